@@ -19,8 +19,12 @@
  * @version 1.0.0
  */
 
-import { initEventListeners, showSetupModal } from './modules/events.js';
+import { initEventListeners, showSetupModal, showStorageWarning } from './modules/events.js';
 import { resizeConfettiCanvas } from './modules/rendering.js';
+import { initStorage, onStorageError } from './modules/storage.js';
+import { checkConfiguredPalettes } from './modules/colorVision.js';
+import { initSensorySettings } from './modules/sensorySettings.js';
+import { initAudioSettings } from './modules/elements.js';
 
 /**
  * Initializes the entire I Spy a Shape game application.
@@ -30,9 +34,13 @@ import { resizeConfettiCanvas } from './modules/rendering.js';
  * everything is set up perfectly before the fun begins.
  * 
  * Here's what happens behind the scenes:
- * 1. We wire up all the buttons and controls so they actually do something
- * 2. We prepare the confetti cannon (because who doesn't love confetti?)
- * 3. We open the welcome screen where players choose their settings
+ * 1. We load saved progress (leaderboards, profiles, ...) from storage
+ * 2. We check the color palettes can be told apart (warnings go to the console)
+ * 3. We apply the comfort settings (following the device's reduced motion
+ *    setting) and the sound volumes
+ * 4. We wire up all the buttons and controls so they actually do something
+ * 5. We prepare the confetti cannon (because who doesn't love confetti?)
+ * 6. We open the welcome screen where players choose their settings
  * 
  * The beauty of using DOMContentLoaded is that we wait for the entire page to
  * load before we start poking around with HTML elements. This prevents those
@@ -44,9 +52,24 @@ import { resizeConfettiCanvas } from './modules/rendering.js';
  * 
  * @listens DOMContentLoaded - Waits for the page to fully load before initializing
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('Game initializing...');
 
+    // Let players know if their progress can't be saved
+    onStorageError(({ message }) => showStorageWarning(message));
+
+    // Load saved progress before anything reads it
+    await initStorage();
+
+    // Warn about palette colors that look alike for some players
+    checkConfiguredPalettes();
+
+    // Calm the animations down for players who need it
+    initSensorySettings();
+
+    // Load the sounds and set their volumes, and keep them in step with the settings panel
+    initAudioSettings();
+
     // Initialize event listeners for all buttons and controls
     initEventListeners();
 
@@ -0,0 +1,318 @@
+/**
+ * Achievements Module
+ * 
+ * Badges give players something to aim for beyond the leaderboard: finding
+ * ten shapes in a row without a slip, tracking down every hard shape, playing
+ * the Daily Challenge all week. Each player collects their own badges, and a
+ * badge stays unlocked for good once it's earned.
+ * 
+ * The game reports what happens as plain achievement events:
+ * - correctMatch { shapeType, combo, difficulty, mode } after every correct click
+ * - gameEnded { mode, difficulty, reason, score, points, timeRemaining, dailyStreak } when a game ends
+ * - highScoreSaved { mode, position } when a score makes it onto a leaderboard
+ * 
+ * recordAchievementEvent() checks every badge the player hasn't got yet and
+ * hands back the ones that were just unlocked, so the game can celebrate
+ * them. More badges can be added with registerAchievement().
+ * 
+ * Records are stored (see storage.js) under shapeGameAchievements, keyed by
+ * player. Like shapeMastery.js, this module never touches the page - the
+ * toasts and the badge gallery live in achievementsScreen.js.
+ * 
+ * @fileoverview Per-player achievements unlocked by gameplay events
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { readRecord, writeRecord } from './storage.js';
+import { getShapeTypes } from './shapeRegistry.js';
+
+/**
+ * Storage record holding every player's achievements.
+ * 
+ * @type {string}
+ */
+const ACHIEVEMENTS_KEY = 'shapeGameAchievements';
+
+/**
+ * Registered achievements keyed by id, in the order they are shown.
+ * 
+ * @type {Map<string, Object>}
+ */
+const achievements = new Map();
+
+/**
+ * Adds an achievement players can unlock.
+ * 
+ * The check is called with each achievement event and the player's record,
+ * and returns true when the achievement has been earned.
+ * 
+ * @example
+ * registerAchievement({
+ *     id: 'century',
+ *     icon: '💯',
+ *     name: 'Century',
+ *     description: 'Score 100 matches in one game',
+ *     check: event => event.type === 'gameEnded' && event.score >= 100
+ * });
+ * 
+ * @function
+ * @param {Object} definition - The achievement
+ * @param {string} definition.id - Unique id, stored with the player's record
+ * @param {string} definition.icon - Emoji shown on the badge
+ * @param {string} definition.name - Badge name
+ * @param {string} definition.description - How to earn it
+ * @param {function(Object, Object): boolean} definition.check - Called with (event, record)
+ * @returns {void}
+ * @throws {Error} If the id, name or check is missing
+ */
+export function registerAchievement(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id.trim().length === 0) {
+        throw new Error('registerAchievement requires an achievement id');
+    }
+
+    if (typeof definition.name !== 'string' || typeof definition.check !== 'function') {
+        throw new Error(`registerAchievement requires a name and a check function for "${definition.id}"`);
+    }
+
+    if (achievements.has(definition.id)) {
+        console.warn(`Achievement "${definition.id}" was already registered - replacing it`);
+    }
+
+    achievements.set(definition.id, { icon: '🏅', description: '', ...definition });
+}
+
+/**
+ * Every registered achievement.
+ * 
+ * @function
+ * @returns {Array<{id: string, icon: string, name: string, description: string}>} Achievements in the order they are shown
+ */
+export function getAchievements() {
+    return [...achievements.values()].map(({ id, icon, name, description }) => ({ id, icon, name, description }));
+}
+
+/**
+ * Normalizes a player name so "Sam" and "sam " share a record.
+ * 
+ * @param {string} playerName - Name as entered
+ * @returns {string} Lookup key
+ */
+function getPlayerKey(playerName) {
+    return String(playerName).trim().toLowerCase();
+}
+
+/**
+ * Loads every player's achievement record.
+ * 
+ * @returns {Object} Records keyed by player key
+ */
+function loadAllAchievements() {
+    return readRecord(ACHIEVEMENTS_KEY, {});
+}
+
+/**
+ * Gets a player's achievement record.
+ * 
+ * @param {Object} all - Every player's record
+ * @param {string} playerKey - The player's lookup key
+ * @returns {{unlocked: Object<string, string>, found: Object<string, boolean>}} Unlock dates by achievement id, and every shape type the player has found
+ */
+function getRecord(all, playerKey) {
+    const record = all[playerKey] || {};
+
+    return {
+        unlocked: record.unlocked || {},
+        found: record.found || {}
+    };
+}
+
+/**
+ * Records an achievement event and unlocks any achievements it earns.
+ * 
+ * @example
+ * const unlocked = recordAchievementEvent('Sam', { type: 'correctMatch', shapeType: 'star', combo: 10 });
+ * unlocked.map(achievement => achievement.name); // ['Sharp Eyes']
+ * 
+ * @function
+ * @param {string} playerName - The player the event happened to
+ * @param {Object} event - Achievement event (see the module overview)
+ * @returns {Array<{id: string, icon: string, name: string, description: string}>} Achievements unlocked by this event
+ */
+export function recordAchievementEvent(playerName, event) {
+    if (!playerName || !event) return [];
+
+    const all = loadAllAchievements();
+    const playerKey = getPlayerKey(playerName);
+    const record = getRecord(all, playerKey);
+    let changed = false;
+
+    // Keep track of every shape the player has found, for the collector badges
+    if (event.type === 'correctMatch' && event.shapeType && !record.found[event.shapeType]) {
+        record.found[event.shapeType] = true;
+        changed = true;
+    }
+
+    const unlocked = [];
+    const date = new Date().toISOString();
+
+    achievements.forEach(achievement => {
+        if (record.unlocked[achievement.id]) return;
+
+        try {
+            if (achievement.check(event, record)) {
+                record.unlocked[achievement.id] = date;
+                unlocked.push(achievement);
+            }
+        } catch (error) {
+            console.error(`Achievement "${achievement.id}" check failed:`, error);
+        }
+    });
+
+    if (changed || unlocked.length > 0) {
+        all[playerKey] = record;
+        writeRecord(ACHIEVEMENTS_KEY, all);
+    }
+
+    return unlocked.map(({ id, icon, name, description }) => ({ id, icon, name, description }));
+}
+
+/**
+ * Lists every achievement with whether (and when) the player unlocked it.
+ * 
+ * @example
+ * getAchievementGallery('Sam').filter(badge => badge.unlockedAt).length; // Badges Sam has earned
+ * 
+ * @function
+ * @param {string} playerName - The player to look up ('' lists everything locked)
+ * @returns {Array<{id: string, icon: string, name: string, description: string, unlockedAt: ?string}>} The gallery
+ */
+export function getAchievementGallery(playerName) {
+    const record = playerName ? getRecord(loadAllAchievements(), getPlayerKey(playerName)) : getRecord({}, '');
+
+    return getAchievements().map(achievement => ({
+        ...achievement,
+        unlockedAt: record.unlocked[achievement.id] || null
+    }));
+}
+
+/**
+ * Moves (or combines) one player's achievements into another's.
+ * 
+ * Used when a profile is renamed or merged. The player keeps every badge
+ * either name had earned, with the earliest unlock date.
+ * 
+ * @function
+ * @param {string} fromName - Player whose achievements are moved
+ * @param {string} intoName - Player who receives them
+ * @returns {void}
+ */
+export function mergePlayerAchievements(fromName, intoName) {
+    const all = loadAllAchievements();
+    const fromKey = getPlayerKey(fromName);
+    const intoKey = getPlayerKey(intoName);
+
+    if (!all[fromKey] || fromKey === intoKey) return;
+
+    const from = getRecord(all, fromKey);
+    const into = getRecord(all, intoKey);
+
+    Object.entries(from.unlocked).forEach(([id, date]) => {
+        if (!into.unlocked[id] || date < into.unlocked[id]) {
+            into.unlocked[id] = date;
+        }
+    });
+    Object.assign(into.found, from.found);
+
+    all[intoKey] = into;
+    delete all[fromKey];
+    writeRecord(ACHIEVEMENTS_KEY, all);
+}
+
+/**
+ * Forgets a player's achievements (when their profile is deleted).
+ * 
+ * @function
+ * @param {string} playerName - The player to forget
+ * @returns {void}
+ */
+export function clearPlayerAchievements(playerName) {
+    const all = loadAllAchievements();
+
+    delete all[getPlayerKey(playerName)];
+    writeRecord(ACHIEVEMENTS_KEY, all);
+}
+
+// Built-in achievements
+
+registerAchievement({
+    id: 'first-find',
+    icon: '⭐',
+    name: 'First Find',
+    description: 'Find your first shape',
+    check: event => event.type === 'correctMatch'
+});
+
+registerAchievement({
+    id: 'sharp-eyes',
+    icon: '🎯',
+    name: 'Sharp Eyes',
+    description: `Find ${gameConfig.achievements.cleanRun} shapes in a row with no mistakes`,
+    // The combo drops back to 0 on every wrong click
+    check: event => event.type === 'correctMatch' && event.combo >= gameConfig.achievements.cleanRun
+});
+
+registerAchievement({
+    id: 'shape-collector',
+    icon: '💎',
+    name: 'Shape Collector',
+    description: 'Find every hard-tier shape',
+    check: (event, record) => event.type === 'correctMatch' &&
+        getShapeTypes(['hard']).every(type => record.found[type])
+});
+
+registerAchievement({
+    id: 'beat-the-clock',
+    icon: '⏱️',
+    name: 'Beat the Clock',
+    description: `Finish a hard Timed game with ${gameConfig.achievements.timeToSpare.matches}+ matches ` +
+        `and ${gameConfig.achievements.timeToSpare.secondsLeft} seconds to spare`,
+    check: event => {
+        const { matches, secondsLeft } = gameConfig.achievements.timeToSpare;
+
+        return event.type === 'gameEnded' &&
+            event.mode === 'timed' &&
+            event.difficulty === 'hard' &&
+            event.reason !== 'quit' &&
+            event.score >= matches &&
+            event.timeRemaining >= secondsLeft;
+    }
+});
+
+registerAchievement({
+    id: 'week-streak',
+    icon: '🔥',
+    name: 'Week Streak',
+    description: `Play the Daily Challenge ${gameConfig.achievements.dailyStreakDays} days in a row`,
+    check: event => event.type === 'gameEnded' &&
+        event.mode === 'daily' &&
+        Boolean(event.dailyStreak) &&
+        event.dailyStreak.current >= gameConfig.achievements.dailyStreakDays
+});
+
+registerAchievement({
+    id: 'top-ten',
+    icon: '📋',
+    name: 'On the Board',
+    description: 'Make the top 10 of a leaderboard',
+    check: event => event.type === 'highScoreSaved' && event.position >= 1 && event.position <= 10
+});
+
+registerAchievement({
+    id: 'champion',
+    icon: '🏆',
+    name: 'Champion',
+    description: 'Take 1st place on a leaderboard',
+    check: event => event.type === 'highScoreSaved' && event.position === 1
+});
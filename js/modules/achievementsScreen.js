@@ -0,0 +1,130 @@
+/**
+ * Achievements Screen Module
+ * 
+ * Shows off the badges from achievements.js. When a badge is unlocked during
+ * play, a toast slides in at the corner of the screen for a few seconds (and
+ * is read out by screen readers). The Badges button in the setup modal opens
+ * a gallery of every badge, with the ones the current player has earned lit
+ * up and the rest waiting to be unlocked.
+ * 
+ * @fileoverview Badge toasts and the badge gallery
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { elements } from './elements.js';
+import { gameConfig } from './config.js';
+import { getAchievementGallery } from './achievements.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+
+/**
+ * Wires up the badge gallery.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initAchievementsScreen() {
+    elements.achievementsBtn.addEventListener('click', showAchievementsModal);
+    elements.closeAchievementsBtn.addEventListener('click', hideAchievementsModal);
+}
+
+/**
+ * Opens the badge gallery for the player named in the setup modal.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function showAchievementsModal() {
+    renderGallery(elements.playerNameInput.value.trim());
+    elements.achievementsModal.classList.remove('hidden');
+    trapFocus(elements.achievementsModal, elements.closeAchievementsBtn);
+}
+
+/**
+ * Closes the badge gallery.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function hideAchievementsModal() {
+    elements.achievementsModal.classList.add('hidden');
+    releaseFocus(elements.achievementsModal);
+}
+
+/**
+ * Fills the gallery with every badge, earned or not.
+ * 
+ * @param {string} playerName - The player whose badges to show ('' for nobody yet)
+ * @returns {void}
+ */
+function renderGallery(playerName) {
+    const gallery = getAchievementGallery(playerName);
+    const earned = gallery.filter(badge => badge.unlockedAt).length;
+
+    elements.achievementsSummary.textContent = playerName ?
+        `${playerName} has earned ${earned} of ${gallery.length} badges` :
+        'Pick your profile or enter your name to see your badges';
+
+    elements.achievementsList.replaceChildren(...gallery.map(badge => {
+        const item = document.createElement('li');
+        item.className = badge.unlockedAt ? 'achievement-badge unlocked' : 'achievement-badge locked';
+
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = badge.unlockedAt ? badge.icon : '🔒';
+
+        const name = document.createElement('span');
+        name.className = 'achievement-name';
+        name.textContent = badge.name;
+
+        const description = document.createElement('span');
+        description.className = 'achievement-description';
+        description.textContent = badge.unlockedAt ?
+            `${badge.description} - earned ${new Date(badge.unlockedAt).toLocaleDateString()}` :
+            badge.description;
+
+        item.append(icon, name, description);
+        item.setAttribute('aria-label', `${badge.name}: ${badge.unlockedAt ? 'earned' : 'not earned yet'}. ${badge.description}`);
+
+        return item;
+    }));
+}
+
+/**
+ * Pops up a "badge unlocked" toast.
+ * 
+ * Several badges unlocked at once stack up, and each one disappears on its
+ * own after gameConfig.achievements.toastMs.
+ * 
+ * @example
+ * recordAchievementEvent(playerName, event).forEach(showAchievementToast);
+ * 
+ * @function
+ * @param {{icon: string, name: string, description: string}} achievement - The badge that was unlocked
+ * @returns {void}
+ */
+export function showAchievementToast(achievement) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = achievement.icon;
+
+    const text = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = `Badge unlocked: ${achievement.name}`;
+    const description = document.createElement('span');
+    description.textContent = achievement.description;
+    text.append(title, description);
+
+    toast.append(icon, text);
+    elements.achievementToasts.appendChild(toast);
+
+    setTimeout(() => {
+        toast.classList.add('leaving');
+        setTimeout(() => toast.remove(), 400); // Match the fade-out (0.4s)
+    }, gameConfig.achievements.toastMs);
+}
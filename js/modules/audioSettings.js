@@ -0,0 +1,213 @@
+/**
+ * Audio Settings Module
+ * 
+ * Keeps track of how loud the game is: a master volume, separate volumes for
+ * sound effects and music, and a mute switch that silences everything without
+ * losing the volumes. Each player's settings are saved with their profile, so
+ * the child who likes it loud and the one who plays with the sound off both
+ * get their own back.
+ * 
+ * Every sound plays at master x channel x its own level from
+ * gameConfig.audio.effectLevels, so the sounds stay balanced against each
+ * other whatever the player chooses. Changes take effect straight away:
+ * whoever plays the sounds listens with onAudioSettingsChange().
+ * 
+ * This module doesn't touch the page - the settings panel is drawn by
+ * settingsScreen.js, soundEngine.js applies the volumes to the sound effects
+ * and initAudioSettings() (elements.js) to the music.
+ * 
+ * @fileoverview Master, effects and music volume and mute settings
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+
+/**
+ * The volumes a player can set.
+ * 
+ * @type {string[]}
+ */
+export const VOLUME_CHANNELS = ['master', 'effects', 'music'];
+
+/**
+ * The settings in use right now.
+ * 
+ * @type {{master: number, effects: number, music: number, muted: boolean}}
+ */
+let settings = { ...gameConfig.audio.defaults };
+
+/**
+ * Functions to call when the settings change.
+ * 
+ * @type {Set<function(Object): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Keeps a volume between 0 and 1, rounded to whole percents.
+ * 
+ * @param {*} value - The volume to check
+ * @returns {?number} The volume, or null if it isn't a number
+ */
+function toVolume(value) {
+    const volume = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(volume)) return null;
+
+    return Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100;
+}
+
+/**
+ * Tells the listeners about the settings now in use.
+ * 
+ * @returns {void}
+ */
+function notifyChange() {
+    const current = getAudioSettings();
+    changeListeners.forEach(listener => listener(current));
+}
+
+/**
+ * Gets the settings in use right now.
+ * 
+ * @function
+ * @returns {{master: number, effects: number, music: number, muted: boolean}} A copy of the settings
+ */
+export function getAudioSettings() {
+    return { ...settings };
+}
+
+/**
+ * Sets one of the volumes.
+ * 
+ * @example
+ * setVolume('music', 0.25);
+ * 
+ * @function
+ * @param {string} channel - One of VOLUME_CHANNELS
+ * @param {number} value - Volume from 0 (silent) to 1 (full); kept within that range
+ * @returns {void}
+ * @throws {Error} If there is no such channel or the volume isn't a number
+ */
+export function setVolume(channel, value) {
+    if (!VOLUME_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown volume channel: ${channel}`);
+    }
+
+    const volume = toVolume(value);
+    if (volume === null) {
+        throw new Error(`Volume must be a number, got ${value}`);
+    }
+
+    settings = { ...settings, [channel]: volume };
+    notifyChange();
+}
+
+/**
+ * Turns one of the volumes up or down.
+ * 
+ * @example
+ * changeVolume('master', -gameConfig.audio.volumeStep); // A bit quieter
+ * 
+ * @function
+ * @param {string} channel - One of VOLUME_CHANNELS
+ * @param {number} delta - How much to add (negative to turn it down)
+ * @returns {number} The new volume
+ */
+export function changeVolume(channel, delta) {
+    setVolume(channel, (settings[channel] || 0) + delta);
+
+    return settings[channel];
+}
+
+/**
+ * Mutes or unmutes every sound (the volumes are kept for unmuting).
+ * 
+ * @function
+ * @param {boolean} muted - Whether to mute
+ * @returns {void}
+ */
+export function setMuted(muted) {
+    settings = { ...settings, muted: Boolean(muted) };
+    notifyChange();
+}
+
+/**
+ * Flips the mute switch.
+ * 
+ * @function
+ * @returns {boolean} True if the game is now muted
+ */
+export function toggleMuted() {
+    setMuted(!settings.muted);
+
+    return settings.muted;
+}
+
+/**
+ * Replaces the settings, e.g. with the ones saved in a player's profile.
+ * 
+ * Anything missing or invalid in the saved settings falls back to
+ * gameConfig.audio.defaults, so passing nothing resets everything.
+ * 
+ * @function
+ * @param {Object} [saved={}] - Saved settings
+ * @returns {void}
+ */
+export function setAudioSettings(saved = {}) {
+    const next = { ...gameConfig.audio.defaults };
+
+    if (saved && typeof saved === 'object') {
+        VOLUME_CHANNELS.forEach(channel => {
+            const volume = toVolume(saved[channel]);
+            if (volume !== null) next[channel] = volume;
+        });
+
+        if (typeof saved.muted === 'boolean') next.muted = saved.muted;
+    }
+
+    settings = next;
+    notifyChange();
+}
+
+/**
+ * Works out how loud a sound effect should play.
+ * 
+ * @example
+ * getEffectVolume('wrong'); // 0.7 with everything at full volume
+ * 
+ * @function
+ * @param {string} sound - Sound name (a key of gameConfig.audio.effectLevels)
+ * @returns {number} Volume from 0 to 1 (0 while muted)
+ */
+export function getEffectVolume(sound) {
+    if (settings.muted) return 0;
+
+    const level = gameConfig.audio.effectLevels[sound] ?? 1;
+    return settings.master * settings.effects * level;
+}
+
+/**
+ * Works out how loud the music should play.
+ * 
+ * @function
+ * @returns {number} Volume from 0 to 1 (0 while muted)
+ */
+export function getMusicVolume() {
+    if (settings.muted) return 0;
+
+    return settings.master * settings.music * gameConfig.audio.musicLevel;
+}
+
+/**
+ * Registers a function to call whenever the settings change.
+ * 
+ * @function
+ * @param {function({master: number, effects: number, music: number, muted: boolean}): void} listener - Called with the new settings
+ * @returns {function(): void} Call to stop listening
+ */
+export function onAudioSettingsChange(listener) {
+    changeListeners.add(listener);
+
+    return () => changeListeners.delete(listener);
+}
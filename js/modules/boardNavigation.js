@@ -0,0 +1,230 @@
+/**
+ * Board Navigation Module
+ * 
+ * Lets players find shapes without a mouse. The shapes on the board take
+ * turns being the board's one Tab stop (a "roving tabindex"), so Tab moves
+ * onto the board and straight off it again instead of through every shape.
+ * Once on the board:
+ * 
+ * - Arrow keys move the focus ring to the nearest shape in that direction
+ *   (by where the shapes are right now, so it works on moving boards too)
+ * - Home and End jump to the first and last shape in reading order
+ * - Enter or Space picks the focused shape, just like clicking it
+ * 
+ * When a round ends and its shapes are cleared away, the next board gets
+ * focus back on its first shape, so keyboard players never have to find
+ * their way back onto the board.
+ * 
+ * @fileoverview Keyboard focus and selection for the shapes on the game board
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import gameState from './gameState.js';
+import { elements } from './elements.js';
+import { handleShapeClick } from './gameLogic.js';
+import { updateShapeLabel } from './rendering.js';
+
+/**
+ * Which way each arrow key moves, as a unit vector on screen.
+ * 
+ * @type {Object<string, {x: number, y: number}>}
+ */
+const ARROW_DIRECTIONS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+};
+
+/**
+ * How much being off to the side counts against a shape, compared with
+ * being further away in the arrow's direction. Higher values keep arrow
+ * moves closer to a straight line.
+ * 
+ * @type {number}
+ */
+const OFF_AXIS_WEIGHT = 2;
+
+/**
+ * Finds the nearest point in a direction from another point.
+ * 
+ * Only points that are actually that way (ahead along the arrow's direction)
+ * are considered. Of those, the closest wins, with distance off to the side
+ * counting OFF_AXIS_WEIGHT times as much as distance ahead.
+ * 
+ * @example
+ * const points = [{ x: 0, y: 0 }, { x: 100, y: 10 }, { x: 50, y: 200 }];
+ * findNearestInDirection(points[0], points, { x: 1, y: 0 }); // 1
+ * findNearestInDirection(points[0], points, { x: -1, y: 0 }); // -1 (nothing to the left)
+ * 
+ * @function
+ * @param {{x: number, y: number}} from - Where to start
+ * @param {Array<{x: number, y: number}>} points - Points to choose from
+ * @param {{x: number, y: number}} direction - Unit vector to move along
+ * @returns {number} Index of the nearest point that way, or -1 if there isn't one
+ */
+export function findNearestInDirection(from, points, direction) {
+    let bestIndex = -1;
+    let bestScore = Infinity;
+
+    points.forEach((point, index) => {
+        const dx = point.x - from.x;
+        const dy = point.y - from.y;
+        const ahead = dx * direction.x + dy * direction.y;
+
+        if (ahead <= 0) return;
+
+        const aside = Math.abs(dx * direction.y - dy * direction.x);
+        const score = ahead + aside * OFF_AXIS_WEIGHT;
+
+        if (score < bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
+
+/**
+ * Sorts points into reading order: top to bottom, then left to right.
+ * 
+ * @function
+ * @param {Array<{x: number, y: number}>} points - Points to sort
+ * @returns {Array<number>} Indexes of the points in reading order
+ */
+export function getReadingOrder(points) {
+    return points
+        .map((point, index) => index)
+        .sort((a, b) => points[a].y - points[b].y || points[a].x - points[b].x);
+}
+
+/**
+ * Finds the middle of an element on screen.
+ * 
+ * @function
+ * @param {HTMLElement} element - The element
+ * @returns {{x: number, y: number}} Its centre in viewport coordinates
+ */
+export function getElementCenter(element) {
+    const rect = element.getBoundingClientRect();
+
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * The shapes currently on the board that have been drawn.
+ * 
+ * @returns {Array<Object>} Shapes with an element on the board
+ */
+function getBoardShapes() {
+    return gameState.shapes.filter(shape => shape.element && shape.element.isConnected);
+}
+
+/**
+ * Moves the focus ring (and the board's Tab stop) to a shape.
+ * 
+ * @param {Object} shape - The shape to focus
+ * @returns {void}
+ */
+function focusShape(shape) {
+    getBoardShapes().forEach(other => {
+        other.element.tabIndex = other === shape ? 0 : -1;
+    });
+
+    shape.element.focus();
+}
+
+/**
+ * Handles arrow keys, Home, End, Enter and Space on the board.
+ * 
+ * @param {KeyboardEvent} event - The key press
+ * @returns {void}
+ */
+function handleBoardKey(event) {
+    if (gameState.gameOver || gameState.paused) return;
+
+    const shapes = getBoardShapes();
+    const current = shapes.find(shape => shape.element === event.target);
+    if (!current) return;
+
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        handleShapeClick(current, event);
+        return;
+    }
+
+    const points = shapes.map(shape => getElementCenter(shape.element));
+    let next = -1;
+
+    if (ARROW_DIRECTIONS[event.key]) {
+        next = findNearestInDirection(getElementCenter(current.element), points, ARROW_DIRECTIONS[event.key]);
+    } else if (event.key === 'Home' || event.key === 'End') {
+        const order = getReadingOrder(points);
+        next = event.key === 'Home' ? order[0] : order[order.length - 1];
+    } else {
+        return;
+    }
+
+    // Arrow keys would otherwise scroll the page
+    event.preventDefault();
+
+    if (next !== -1) {
+        focusShape(shapes[next]);
+    }
+}
+
+/**
+ * Renames a moving shape when it gets focus, since it has moved on since
+ * it was named.
+ * 
+ * @param {FocusEvent} event - The focus event
+ * @returns {void}
+ */
+function handleBoardFocus(event) {
+    const shape = getBoardShapes().find(item => item.element === event.target);
+
+    if (shape && shape.motion) {
+        updateShapeLabel(shape);
+    }
+}
+
+/**
+ * Starts listening for board navigation keys.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initBoardNavigation() {
+    elements.gameBoard.addEventListener('keydown', handleBoardKey);
+    elements.gameBoard.addEventListener('focusin', handleBoardFocus);
+}
+
+/**
+ * Makes sure the board has exactly one Tab stop after shapes are drawn.
+ * 
+ * Called by renderShapes(). If focus was lost because the last board was
+ * cleared away (or the setup modal closed), it goes to the new board's first
+ * shape so a keyboard player can carry straight on.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function updateBoardFocus() {
+    const shapes = getBoardShapes();
+    if (shapes.length === 0) return;
+
+    const active = document.activeElement;
+    const focused = shapes.find(shape => shape.element === active);
+    if (focused) return;
+
+    const first = shapes[getReadingOrder(shapes.map(shape => getElementCenter(shape.element)))[0]];
+    const focusLost = !active || active === document.body;
+
+    if (focusLost && gameState.isGameActive && !gameState.gameOver && !gameState.paused) {
+        focusShape(first);
+    } else if (!shapes.some(shape => shape.element.tabIndex === 0)) {
+        first.element.tabIndex = 0;
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * Color Vision Module
+ * 
+ * Medium and hard rounds ask for the exact color as well as the shape, which
+ * isn't fair on the one in twelve boys (and one in two hundred girls) who see
+ * some of our colors as the same. Red and pink, or teal and light blue, can
+ * look identical with protanopia or tritanopia. This module helps in two ways:
+ * 
+ * - Color palettes tuned for each type of color vision deficiency (CVD), set
+ *   in gameConfig.colorVision.palettes. Palettes keep the same number of
+ *   colors in the same order, so a board seed gives the same boards whichever
+ *   palette is used.
+ * - A fill pattern for each palette position (stripes, dots, crosshatch, ...)
+ *   so colors can be told apart without seeing the color at all.
+ * 
+ * It also checks palettes: checkPalette() simulates how each color looks
+ * with each CVD type and reports colors that become too alike, or that don't
+ * stand out from the board. The game runs it over every configured palette
+ * when it starts and warns in the console about any problems.
+ * 
+ * Like scoring.js, this module never touches the page - rendering.js draws
+ * the patterns.
+ * 
+ * @fileoverview Color-blind friendly palettes, fill patterns and palette checks
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import gameState from './gameState.js';
+import { gameConfig } from './config.js';
+
+/**
+ * The types of color vision the palettes and checks know about.
+ * 
+ * @type {string[]}
+ */
+export const VISION_TYPES = ['normal', 'protanopia', 'deuteranopia', 'tritanopia'];
+
+/**
+ * What each palette is called in the setup modal.
+ * 
+ * @type {Object<string, string>}
+ */
+const PALETTE_LABELS = {
+    standard: 'Standard',
+    protanopia: 'Red-blind friendly (protanopia)',
+    deuteranopia: 'Green-blind friendly (deuteranopia)',
+    tritanopia: 'Blue-blind friendly (tritanopia)'
+};
+
+/**
+ * How each type of color vision deficiency sees linear RGB, from Machado,
+ * Oliveira and Fernandes (2009) at full severity.
+ * 
+ * @type {Object<string, number[][]>}
+ */
+const CVD_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+/**
+ * Turns a hex color into linear RGB (each channel 0-1).
+ * 
+ * @param {string} hex - Color such as '#FF6B6B'
+ * @returns {number[]} Linear red, green and blue
+ */
+function toLinearRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+
+    return [value >> 16, (value >> 8) & 255, value & 255].map(channel => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+}
+
+/**
+ * Turns linear RGB back into a hex color.
+ * 
+ * @param {number[]} rgb - Linear red, green and blue
+ * @returns {string} Hex color
+ */
+function toHex(rgb) {
+    return '#' + rgb.map(c => {
+        const clamped = Math.min(1, Math.max(0, c));
+        const encoded = clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * Math.pow(clamped, 1 / 2.4) - 0.055;
+        return Math.round(encoded * 255).toString(16).padStart(2, '0');
+    }).join('').toUpperCase();
+}
+
+/**
+ * Turns a hex color into CIELAB, where distances match how different colors
+ * look.
+ * 
+ * @param {string} hex - Hex color
+ * @returns {number[]} L, a and b
+ */
+function toLab(hex) {
+    const [r, g, b] = toLinearRgb(hex);
+
+    // Linear RGB to XYZ (D65), relative to the white point
+    const xyz = [
+        (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+        (0.2126 * r + 0.7152 * g + 0.0722 * b) / 1.0,
+        (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883
+    ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+/**
+ * Shows how a color looks with a type of color vision.
+ * 
+ * @example
+ * simulateColorVision('#FF6B6B', 'protanopia'); // A muddy yellow-grey
+ * 
+ * @function
+ * @param {string} hex - Hex color
+ * @param {string} visionType - One of VISION_TYPES
+ * @returns {string} The color as that person sees it
+ */
+export function simulateColorVision(hex, visionType) {
+    const matrix = CVD_MATRICES[visionType];
+    if (!matrix) return hex.toUpperCase();
+
+    const rgb = toLinearRgb(hex);
+    return toHex(matrix.map(row => row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2]));
+}
+
+/**
+ * Works out the WCAG contrast ratio between two colors.
+ * 
+ * @example
+ * getContrastRatio('#000000', '#FFFFFF'); // 21
+ * 
+ * @function
+ * @param {string} first - Hex color
+ * @param {string} second - Hex color
+ * @returns {number} Contrast ratio, from 1 (same) to 21 (black on white)
+ */
+export function getContrastRatio(first, second) {
+    const luminance = hex => {
+        const [r, g, b] = toLinearRgb(hex);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Measures how different two colors look (CIE76 delta E).
+ * 
+ * Around 2 is the smallest difference most people notice; colors that have
+ * to be told apart at a glance need a lot more.
+ * 
+ * @function
+ * @param {string} first - Hex color
+ * @param {string} second - Hex color
+ * @returns {number} Distance between the colors
+ */
+export function getColorDistance(first, second) {
+    const a = toLab(first);
+    const b = toLab(second);
+
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Checks that a palette works for every type of color vision.
+ * 
+ * Two things are checked, using gameConfig.colorVision.check:
+ * - Every color stands out from the board background or the shape outline
+ *   by at least minContrast (so the shape can be seen at all)
+ * - With each type of color vision, every pair of colors is at least
+ *   minDistance apart (so they can be told apart)
+ * 
+ * @example
+ * const report = checkPalette(gameConfig.colors);
+ * report.visionTypes; // ['normal', 'deuteranopia'] - who can tell every color apart
+ * report.problems;    // [{ kind: 'similar', visionType: 'protanopia', colors: ['#FF6B6B', '#F72585'], value: 9.8 }, ...]
+ * 
+ * @function
+ * @param {string[]} colors - Hex colors to check
+ * @param {Object} [options=gameConfig.colorVision.check] - background, outline, minContrast and minDistance
+ * @returns {{ok: boolean, visionTypes: string[], problems: Array<Object>}} Whether everything passed, the vision types every pair passes for, and each problem found
+ */
+export function checkPalette(colors, options = gameConfig.colorVision.check) {
+    const { background, outline, minContrast, minDistance } = options;
+    const problems = [];
+
+    colors.forEach(color => {
+        const contrast = Math.max(getContrastRatio(color, background), getContrastRatio(color, outline));
+        if (contrast < minContrast) {
+            problems.push({ kind: 'contrast', visionType: 'normal', colors: [color], value: contrast });
+        }
+    });
+
+    const visionTypes = VISION_TYPES.filter(visionType => {
+        const seen = colors.map(color => simulateColorVision(color, visionType));
+        let passes = true;
+
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                const distance = getColorDistance(seen[i], seen[j]);
+                if (distance < minDistance) {
+                    problems.push({ kind: 'similar', visionType, colors: [colors[i], colors[j]], value: distance });
+                    passes = false;
+                }
+            }
+        }
+
+        return passes;
+    });
+
+    return { ok: problems.length === 0, visionTypes, problems };
+}
+
+/**
+ * Checks every configured palette and warns in the console about problems.
+ * 
+ * The standard palette is only expected to work for normal color vision, and
+ * each CVD palette for normal vision and its own type.
+ * 
+ * @function
+ * @returns {boolean} True if every palette passed its checks
+ */
+export function checkConfiguredPalettes() {
+    let allPassed = true;
+
+    getPaletteNames().forEach(name => {
+        const report = checkPalette(getPalette(name));
+        const expected = name === 'standard' ? ['normal'] : ['normal', name];
+        const problems = report.problems.filter(problem => problem.kind === 'contrast' || expected.includes(problem.visionType));
+
+        problems.forEach(problem => {
+            console.warn(`Palette "${name}": ${problem.kind === 'contrast' ?
+                `${problem.colors[0]} has low contrast (${problem.value.toFixed(2)}:1)` :
+                `${problem.colors.join(' and ')} look alike with ${problem.visionType} vision (delta E ${problem.value.toFixed(1)})`}`);
+        });
+
+        allPassed = allPassed && problems.length === 0;
+    });
+
+    return allPassed;
+}
+
+/**
+ * Lists the palettes players can choose from.
+ * 
+ * @function
+ * @returns {string[]} 'standard' followed by each configured CVD palette
+ */
+export function getPaletteNames() {
+    return ['standard', ...Object.keys(gameConfig.colorVision.palettes)];
+}
+
+/**
+ * Gets the name a palette is shown with in the setup modal.
+ * 
+ * @function
+ * @param {string} name - Palette name
+ * @returns {string} Its label (the name itself for palettes without one)
+ */
+export function getPaletteLabel(name) {
+    return PALETTE_LABELS[name] || name;
+}
+
+/**
+ * Gets a palette's colors.
+ * 
+ * @function
+ * @param {string} name - Palette name ('standard' is gameConfig.colors)
+ * @returns {string[]} Hex colors (the standard palette for unknown names)
+ */
+export function getPalette(name) {
+    return gameConfig.colorVision.palettes[name] || gameConfig.colors;
+}
+
+/**
+ * Gets the colors shapes are drawn in right now.
+ * 
+ * @function
+ * @returns {string[]} The palette chosen in setup
+ */
+export function getActivePalette() {
+    return getPalette(gameState.colorPalette);
+}
+
+/**
+ * Gets the fill pattern for a color, when patterns are switched on.
+ * 
+ * Each palette position has its own pattern (gameConfig.colorVision.patterns),
+ * so the same pattern always means the same color on a board.
+ * 
+ * @example
+ * gameState.colorPatterns = true;
+ * getColorPattern(getActivePalette()[1]); // 'stripes'
+ * 
+ * @function
+ * @param {string} color - Hex color from the active palette
+ * @returns {?string} Pattern name, or null if patterns are off (or the color isn't in the palette)
+ */
+export function getColorPattern(color) {
+    if (!gameState.colorPatterns) return null;
+
+    const index = getActivePalette().findIndex(item => item.toLowerCase() === String(color).toLowerCase());
+    const { patterns } = gameConfig.colorVision;
+
+    return index === -1 ? null : patterns[index % patterns.length];
+}
@@ -27,7 +27,6 @@
  * 
  * The configuration is organized into logical sections:
  * - Basic game mechanics (shape counts, attempts)
- * - Available shapes for each difficulty level
  * - Color palette (carefully chosen for accessibility)
  * - Difficulty-specific settings for each level
  * - Tooltip content that explains the rules to players
@@ -47,13 +46,10 @@
  * @property {number} maxShapes - Maximum number of shapes that can appear on screen
  * @property {number} minShapes - Minimum number of shapes that must appear
  * @property {number} maxAttempts - How many wrong guesses before game over
- * @property {string[]} basicShapes - Shapes available in all difficulty levels
- * @property {string[]} mediumShapes - Additional shapes for medium/hard difficulty
- * @property {string[]} hardShapes - Extra challenging shapes for hard mode only
  * @property {string[]} colors - WCAG compliant color palette for shapes
  * @property {Object} difficulty - Settings for each difficulty level (easy/medium/hard)
  * @property {Object} tooltips - Help text shown to players for each mode/difficulty
- * @property {string} mode - Default game mode ('classic' or 'timed')
+ * @property {string} mode - Default game mode ('classic', 'timed', 'daily' or 'survival')
  * @property {number} successDelay - Milliseconds to wait before showing new shapes
  * @property {Object} confetti - Settings for the victory animation
  */
@@ -63,34 +59,6 @@ export const gameConfig = {
     minShapes: 5,          // Minimum number of shapes to display
     maxAttempts: 3,        // Number of attempts allowed before game over
 
-    /**
-     * Basic shapes that appear in all difficulty levels.
-     * These are the fundamentals that every player should master first.
-     * We chose these because they're universally recognized and teach
-     * core geometric concepts.
-     * 
-     * @type {string[]}
-     */
-    basicShapes: ['circle', 'square', 'triangle', 'rectangle'],
-
-    /**
-     * Medium difficulty shapes that add complexity without being overwhelming.
-     * These shapes introduce concepts like multiple sides and curved vs straight edges.
-     * The diamond uses a special rendering technique to look like a true gem shape.
-     * 
-     * @type {string[]}
-     */
-    mediumShapes: ['pentagon', 'hexagon', 'oval', 'diamond'],
-
-    /**
-     * Advanced shapes that challenge even experienced players.
-     * These shapes test recognition of complex forms and introduce concepts
-     * like concave shapes (star) and asymmetrical forms (heart).
-     * 
-     * @type {string[]}
-     */
-    hardShapes: ['octagon', 'star', 'heart', 'trapezoid'],
-
     /**
      * WCAG compliant color palette ensuring accessibility for all players.
      * 
@@ -114,6 +82,97 @@ export const gameConfig = {
         '#8AC926'  // Green - natural and positive
     ],
 
+    /**
+     * Spoken name of each palette color, used when screen readers describe
+     * shapes ("red star, top left"). Every color in the palette needs one.
+     * 
+     * @type {Object<string, string>}
+     */
+    colorNames: {
+        '#FF6B6B': 'red',
+        '#4ECDC4': 'teal',
+        '#FFD166': 'yellow',
+        '#FF8C42': 'orange',
+        '#6A4C93': 'purple',
+        '#F72585': 'pink',
+        '#4CC9F0': 'light blue',
+        '#8AC926': 'green',
+
+        // Color vision palettes (colorVision.palettes below)
+        '#882255': 'wine',
+        '#009E73': 'sea green',
+        '#F0E442': 'yellow',
+        '#999933': 'olive',
+        '#332288': 'navy',
+        '#CC79A7': 'pink',
+        '#FFFFFF': 'white',
+        '#000000': 'black',
+        '#E41A1C': 'red',
+        '#44AA99': 'teal',
+        '#56B4E9': 'sky blue',
+        '#117733': 'green',
+        '#E69F00': 'orange',
+        '#6A3D9A': 'purple',
+        '#88CCEE': 'light blue'
+    },
+
+    /**
+     * Color vision support (see colorVision.js).
+     * 
+     * Each CVD palette has the same number of colors as the standard palette
+     * (gameConfig.colors), in matching order, so seeds replay the same boards
+     * whichever palette is chosen. The patterns are given out by palette
+     * position, and the first color stays plain.
+     * 
+     * @type {Object}
+     * @property {Object<string, string[]>} palettes - Palette tuned for each type of color vision deficiency
+     * @property {string[]} patterns - Fill pattern for each palette position ('solid', 'stripes', 'dots', 'crosshatch', 'horizontal', 'vertical', 'checkers', 'zigzag')
+     * @property {Object} check - What checkPalette() expects: contrast against the board background or the shape outline, and how far apart colors must look
+     */
+    colorVision: {
+        palettes: {
+            protanopia: ['#882255', '#009E73', '#F0E442', '#999933', '#332288', '#CC79A7', '#FFFFFF', '#000000'],
+            deuteranopia: ['#E41A1C', '#44AA99', '#F0E442', '#FFFFFF', '#332288', '#000000', '#56B4E9', '#117733'],
+            tritanopia: ['#E41A1C', '#117733', '#F0E442', '#E69F00', '#6A3D9A', '#882255', '#88CCEE', '#000000']
+        },
+        patterns: ['solid', 'stripes', 'dots', 'crosshatch', 'horizontal', 'vertical', 'checkers', 'zigzag'],
+        check: {
+            background: '#F4F4F4',
+            outline: '#4A3B84',
+            minContrast: 3,
+            minDistance: 20
+        }
+    },
+
+    /**
+     * Sensory settings: how much the game moves, flashes and celebrates
+     * (see sensorySettings.js).
+     * 
+     * Players start from `standard`, or from `reducedMotion` when their device
+     * asks for reduced motion (the prefers-reduced-motion setting), and can
+     * switch each setting on or off in setup.
+     * 
+     * @type {Object}
+     * @property {Object<string, boolean>} standard - Settings for everyone else
+     * @property {Object<string, boolean>} reducedMotion - Settings when the device asks for reduced motion
+     * @property {number} fadeSeconds - How long a fading shape takes to fade out and back in
+     */
+    sensory: {
+        standard: {
+            confetti: true,        // Confetti burst on every correct match
+            gentleFeedback: false, // Soft dim and no bouncing instead of shakes and pulses
+            fadeInPlace: false,    // Shapes fade in place instead of moving on hard boards
+            limitFlashing: false   // Warnings change color slowly instead of flashing
+        },
+        reducedMotion: {
+            confetti: false,
+            gentleFeedback: true,
+            fadeInPlace: true,
+            limitFlashing: true
+        },
+        fadeSeconds: 6
+    },
+
     /**
      * Difficulty level configurations that scale the challenge appropriately.
      * 
@@ -127,6 +186,9 @@ export const gameConfig = {
      * - Hard mode adds movement and time pressure
      * - Each level has distinct visual and timing characteristics
      * 
+     * The shapes themselves are declared in the shape registry (shapeRegistry.js).
+     * Each difficulty only lists which registry tiers it draws from.
+     * 
      * @type {Object}
      */
     difficulty: {
@@ -140,21 +202,27 @@ export const gameConfig = {
          * 
          * @type {Object}
          * @property {Object} shapesCount - Range of shapes to display
+         * @property {string[]} shapeTiers - Shape registry tiers to draw shapes from
          * @property {number} timeLimit - Seconds available in timed mode
          * @property {Object} timeBonus - Seconds added for correct answers
          * @property {number} timePenalty - Seconds removed for wrong answers
-         * @property {boolean} distinctColors - Whether all shapes have unique colors
+         * @property {boolean} distinctColors - Whether all shapes have unique colors (while the palette lasts)
          * @property {Object} rotationRange - Degrees of rotation applied to shapes
-         * @property {Object} movementSpeed - Speed range for moving shapes (0 = stationary)
+         * @property {Object} movementSpeed - Speed range for moving shapes in pixels per second (0 = stationary)
+         * @property {string[]} motionPatterns - Motion patterns moving shapes can use (see motion.js)
+         * @property {Object} spinSpeed - Degrees per second moving shapes spin
          */
         easy: {
             shapesCount: { min: 4, max: 8 },
+            shapeTiers: ['basic'],
             timeLimit: 90,  // in seconds
             timeBonus: { correct: 5, colorMatch: 8 },
             timePenalty: 3,
             distinctColors: true,
             rotationRange: { min: 0, max: 45 },
-            movementSpeed: { min: 0, max: 0 }  // No movement in easy mode
+            movementSpeed: { min: 0, max: 0 },  // No movement in easy mode
+            motionPatterns: [],
+            spinSpeed: { min: 0, max: 0 }
         },
 
         /**
@@ -168,12 +236,15 @@ export const gameConfig = {
          */
         medium: {
             shapesCount: { min: 6, max: 12 },
+            shapeTiers: ['basic', 'medium'],
             timeLimit: 60,
             timeBonus: { correct: 3, colorMatch: 5 },
             timePenalty: 5,
             distinctColors: false,
             rotationRange: { min: 0, max: 180 },
-            movementSpeed: { min: 0, max: 0 }  // No movement in medium mode
+            movementSpeed: { min: 0, max: 0 },  // No movement in medium mode
+            motionPatterns: [],
+            spinSpeed: { min: 0, max: 0 }
         },
 
         /**
@@ -188,12 +259,15 @@ export const gameConfig = {
          */
         hard: {
             shapesCount: { min: 10, max: 18 },
+            shapeTiers: ['basic', 'medium', 'hard'],
             timeLimit: 45,
             timeBonus: { correct: 2, colorMatch: 3 },
             timePenalty: 7,
             distinctColors: false,
             rotationRange: { min: 0, max: 359 },
-            movementSpeed: { min: 0.05, max: 0.15 }  // Much slower movement speed in hard mode
+            movementSpeed: { min: 15, max: 40 },  // Slow, steady drift (pixels per second)
+            motionPatterns: ['bounce', 'sine', 'orbit', 'wander'],
+            spinSpeed: { min: 0, max: 25 }  // Some shapes turn slowly as they move
         }
     },
 
@@ -219,11 +293,343 @@ export const gameConfig = {
             easy: "4-8 shapes<br>Match shape only (color doesn't matter)<br>90 seconds time limit<br>Distinct colors<br>Minimal rotation<br>+5s per correct match<br>+8s for color match",
             medium: "6-12 shapes<br>Match both shape AND color<br>60 seconds time limit<br>Similar colors allowed<br>More rotation<br>+3s per correct match<br>+5s for color match",
             hard: "10-18 shapes<br>Match both shape AND color<br>45 seconds time limit<br>Similar colors<br>Full rotation<br>Shapes move slowly<br>+2s per correct match<br>+3s for color match"
+        },
+        daily: {
+            easy: "Daily Challenge uses fixed settings<br>Medium difficulty, 10 shapes<br>Same boards for everyone today",
+            medium: "Daily Challenge uses fixed settings<br>Medium difficulty, 10 shapes<br>Same boards for everyone today",
+            hard: "Daily Challenge uses fixed settings<br>Medium difficulty, 10 shapes<br>Same boards for everyone today"
+        },
+        survival: {
+            easy: "Survival always starts easy<br>Gets harder every 3 correct matches<br>More shapes, rotation and similar colors<br>Shapes start moving at higher levels",
+            medium: "Survival always starts easy<br>Gets harder every 3 correct matches<br>More shapes, rotation and similar colors<br>Shapes start moving at higher levels",
+            hard: "Survival always starts easy<br>Gets harder every 3 correct matches<br>More shapes, rotation and similar colors<br>Shapes start moving at higher levels"
         }
     },
 
     // Game modes
-    mode: 'classic',  // classic or timed
+    mode: 'classic',  // classic, timed, daily or survival
+
+    /**
+     * Daily Challenge settings.
+     * 
+     * Everyone playing on the same day must get the same boards, so the
+     * Daily Challenge ignores the difficulty and shape count picked in setup
+     * and always uses these fixed values instead.
+     * 
+     * @type {Object}
+     * @property {string} difficulty - Difficulty every daily board is generated with
+     * @property {number} shapesQuantity - Number of shapes on every daily board
+     * @property {number} historyDays - How many days of daily results to keep
+     */
+    daily: {
+        difficulty: 'medium',
+        shapesQuantity: 10,
+        historyDays: 30
+    },
+
+    /**
+     * Survival mode settings.
+     * 
+     * Survival starts with the easy settings and climbs one level every
+     * `levelUpEvery` correct matches until it reaches the hard settings at
+     * `maxLevel`. Levels in between are blended from the two (see
+     * survivalMode.js), so the game gets a little harder every time.
+     * 
+     * @type {Object}
+     * @property {number} levelUpEvery - Correct matches needed to reach the next level
+     * @property {number} maxLevel - Level at which the hard settings are fully reached
+     */
+    survival: {
+        levelUpEvery: 3,
+        maxLevel: 10
+    },
+
+    /**
+     * Adaptive target selection settings (see shapeMastery.js).
+     * 
+     * Each shape sits in a spaced-repetition box for each player: box 0 means
+     * never seen, a correct answer moves it up one box and a mistake sends it
+     * back to box 1. Lower boxes are picked more often. A shape also comes
+     * "due" again after enough other reviews, which gives it a boost so
+     * mastered shapes still come back now and then.
+     * 
+     * Adaptive selection is skipped for the Daily Challenge and for games
+     * started with a typed-in seed, since those boards must be identical for
+     * everyone.
+     * 
+     * @type {Object}
+     * @property {boolean} enabled - Whether targets and distractors adapt to the player
+     * @property {number} maxBox - Highest spaced-repetition box (fully mastered)
+     * @property {number[]} boxWeights - Selection weight for boxes 0 (never seen) to maxBox
+     * @property {number[]} reviewIntervals - Reviews until a shape in each box is due again
+     * @property {number} dueBoost - Weight multiplier for shapes that are due
+     * @property {number} slowResponseMs - Average response time above which a shape counts as slow
+     * @property {number} slowResponseBoost - Weight multiplier for slow shapes
+     * @property {number} confusionWeight - Extra distractor weight per recorded mix-up with the target
+     */
+    mastery: {
+        enabled: true,
+        maxBox: 5,
+        boxWeights: [4, 8, 5, 3, 2, 1],
+        reviewIntervals: [0, 2, 5, 10, 20, 40],
+        dueBoost: 2,
+        slowResponseMs: 4000,
+        slowResponseBoost: 1.5,
+        confusionWeight: 3
+    },
+
+    /**
+     * Timed mode clock settings (see gameTimer.js).
+     * 
+     * The clock counts real elapsed time to the millisecond, so time bonuses
+     * and penalties in the difficulty settings can be fractional (2.5 works).
+     * Each warning fires once when the time left drops to its threshold - a
+     * bonus that lifts the clock back above it re-arms the warning.
+     * 
+     * @type {Object}
+     * @property {Array<{seconds: number, pulse: boolean, sound: boolean}>} warnings - When to warn, and whether to pulse the timer and/or play the warning beep
+     */
+    timer: {
+        warnings: [
+            { seconds: 10, pulse: true, sound: true },
+            { seconds: 5, pulse: true, sound: true }
+        ]
+    },
+
+    /**
+     * Points for correct matches (see scoring.js).
+     * 
+     * A match earns basePoints, plus a speed bonus and a crowd bonus, all
+     * multiplied by the combo multiplier. The number of matches is still
+     * counted separately.
+     * 
+     * @type {Object}
+     * @property {number} basePoints - Points for every correct match
+     * @property {{fastMs: number, slowMs: number, maxBonus: number}} speed - The full bonus up to fastMs, sliding down to nothing at slowMs
+     * @property {{step: number, maxMultiplier: number}} combo - Multiplier added per correct answer in a row, and its cap
+     * @property {{freeDistractors: number, pointsPerDistractor: number}} crowd - Points for each distractor beyond freeDistractors
+     */
+    scoring: {
+        basePoints: 100,
+        speed: {
+            fastMs: 1500,
+            slowMs: 8000,
+            maxBonus: 100
+        },
+        combo: {
+            step: 0.25,
+            maxMultiplier: 3
+        },
+        crowd: {
+            freeDistractors: 8,
+            pointsPerDistractor: 5
+        }
+    },
+
+    /**
+     * Player name rules (see namePolicy.js).
+     * 
+     * The blocklist is deliberately short and child-focused - add to it for
+     * your classroom. Words are matched whole, so "Cassie" is fine even
+     * though a blocked word hides inside it.
+     * 
+     * @type {Object}
+     * @property {number} maxLength - Longest name allowed
+     * @property {string} fallbackName - Shown instead of stored names that break the rules
+     * @property {string[]} blocklist - Words that can't be used in names (lowercase)
+     */
+    names: {
+        maxLength: 20,
+        fallbackName: 'Player',
+        blocklist: [
+            'ass', 'bitch', 'boob', 'butt', 'crap', 'damn', 'dick', 'dumb', 'fart', 'fuck',
+            'hate', 'hell', 'idiot', 'kill', 'loser', 'penis', 'poo', 'poop', 'sex', 'shit',
+            'stupid', 'sucks', 'ugly'
+        ]
+    },
+
+    /**
+     * Leaderboard sizes (see leaderboards.js).
+     * 
+     * Classic and Timed have a board for every difficulty and shape count.
+     * 
+     * @type {Object}
+     * @property {number} maxEntries - Most entries each board keeps
+     * @property {number} highlightTop - How many of the best entries get the top-of-the-board highlight
+     */
+    leaderboard: {
+        maxEntries: 50,
+        highlightTop: 10
+    },
+
+    /**
+     * Targets for the achievement badges (see achievements.js).
+     * 
+     * @type {Object}
+     * @property {number} cleanRun - Correct answers in a row, with no mistakes, for "Sharp Eyes"
+     * @property {{matches: number, secondsLeft: number}} timeToSpare - What a hard Timed game needs for "Beat the Clock"
+     * @property {number} dailyStreakDays - Daily Challenge streak for "Week Streak"
+     * @property {number} toastMs - How long the "badge unlocked" toast stays up
+     */
+    achievements: {
+        cleanRun: 10,
+        timeToSpare: {
+            matches: 10,
+            secondsLeft: 20
+        },
+        dailyStreakDays: 7,
+        toastMs: 4000
+    },
+
+    /**
+     * Keyboard shortcuts (see events.js). Escape always pauses and resumes
+     * too (or closes the settings panel), and the board itself is played with
+     * the arrow keys, Enter and Space (see boardNavigation.js).
+     * 
+     * @type {Object}
+     * @property {{pause: string, quit: string, restart: string, settings: string, mute: string, volumeDown: string, volumeUp: string}} shortcuts - Lowercase key for each shortcut
+     */
+    keyboard: {
+        shortcuts: {
+            pause: 'p',
+            quit: 'q',
+            restart: 'r',
+            settings: 's',
+            mute: 'm',
+            volumeDown: '-',
+            volumeUp: '+'   // '=' works too, for keyboards where + needs Shift
+        }
+    },
+
+    /**
+     * Sound settings (see audioSettings.js, soundEngine.js and the settings
+     * panel).
+     * 
+     * Every sound plays at master volume x its channel's volume (effects or
+     * music) x its own level below, so the sounds stay balanced against each
+     * other whatever the player sets. Players' own volumes are saved with
+     * their profile. The warning, tick and nearMiss sounds are synthesized by
+     * the sound engine, so they have no file.
+     * 
+     * @type {Object}
+     * @property {{master: number, effects: number, music: number, muted: boolean}} defaults - Volumes (0 to 1) for players who haven't set their own
+     * @property {Object<string, string>} files - Sound effect files, loaded when the game starts
+     * @property {Object<string, number>} effectLevels - How loud each sound effect is at full volume (wrong is a bit louder, for clear feedback)
+     * @property {{semitones: number, maxSemitones: number}} comboPitch - How much higher the correct sound plays for each answer in a row, and the most it goes up
+     * @property {number} tickSeconds - The clock ticks through this many last seconds of a timed game (after the last warning beep)
+     * @property {number} musicLevel - How loud the music is at full volume
+     * @property {?string} musicTrack - Background music file played during games (none when null)
+     * @property {number} volumeStep - How much the volume shortcuts change the master volume
+     */
+    audio: {
+        defaults: {
+            master: 1,
+            effects: 1,
+            music: 0.5,
+            muted: false
+        },
+        files: {
+            correct: 'audio/correct.mp3',
+            wrong: 'audio/wrong.mp3',
+            gameover: 'audio/gameover.mp3'
+        },
+        effectLevels: {
+            correct: 0.5,
+            wrong: 0.7,
+            nearMiss: 0.6,
+            gameover: 0.8,
+            warning: 0.2,
+            tick: 0.3
+        },
+        comboPitch: {
+            semitones: 1,
+            maxSemitones: 7
+        },
+        tickSeconds: 4,
+        musicLevel: 0.4,
+        musicTrack: null,
+        volumeStep: 0.1
+    },
+
+    /**
+     * Motion pattern settings for moving shapes (see motion.js).
+     * 
+     * Which patterns a difficulty uses, and how fast shapes go, are set per
+     * difficulty (motionPatterns, movementSpeed, spinSpeed). These values
+     * shape the patterns themselves.
+     * 
+     * @type {Object}
+     * @property {number} maxFrameSeconds - Longest time step applied in one frame (stops jumps after a stall)
+     * @property {Object} sine - Sway size in pixels and sways per second for the "sine" pattern
+     * @property {Object} orbit - Circle radius range in pixels for the "orbit" pattern
+     * @property {Object} wander - Turning speed (radians per second) and how often the "wander" pattern changes direction
+     */
+    motion: {
+        maxFrameSeconds: 0.1,
+        sine: {
+            amplitude: { min: 15, max: 40 },
+            frequency: { min: 0.2, max: 0.5 }
+        },
+        orbit: {
+            radius: { min: 40, max: 110 }
+        },
+        wander: {
+            turnRate: 1.5,
+            turnFrequency: 0.3
+        }
+    },
+
+    /**
+     * Board layout settings (see layout.js).
+     * 
+     * Every strategy keeps shapes' rotated footprints at least `spacing`
+     * pixels apart. If the chosen strategy can't fit every shape, the others
+     * are tried before any shapes are left off the board.
+     * 
+     * @type {Object}
+     * @property {string} strategy - Layout to use: 'grid', 'poisson', 'clustered' or 'ring'
+     * @property {number} spacing - Smallest gap in pixels between two shapes
+     * @property {number} edgeMargin - Smallest gap in pixels between a shape and the board edge
+     * @property {number} attempts - Candidate spots tried per shape before moving on
+     * @property {number} clusterCount - Number of groups in the 'clustered' layout
+     */
+    layout: {
+        strategy: 'poisson',
+        spacing: 12,
+        edgeMargin: 10,
+        attempts: 30,
+        clusterCount: 3
+    },
+
+    /**
+     * Collision settings for moving shapes (see collision.js).
+     * 
+     * Moving shapes bump into each other instead of overlapping, and a new
+     * moving board is spread out before it starts so no shape begins hidden
+     * under another.
+     * 
+     * @type {Object}
+     * @property {number} padding - Gap in pixels kept around each shape's footprint
+     * @property {number} separationPasses - Most rounds of spreading out a new board
+     */
+    collision: {
+        padding: 4,
+        separationPasses: 10
+    },
+
+    /**
+     * Session history settings (see sessionHistory.js).
+     * 
+     * Every round of every game is kept for teacher reports. The oldest
+     * sessions are dropped once there are more than `maxSessions`, so the
+     * history can't grow without limit on a shared tablet.
+     * 
+     * @type {Object}
+     * @property {number} maxSessions - Most sessions kept on this device
+     */
+    history: {
+        maxSessions: 1000
+    },
 
     /**
      * Delay between successful match and new round generation.
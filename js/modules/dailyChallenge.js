@@ -0,0 +1,327 @@
+/**
+ * Daily Challenge Module
+ * 
+ * Once a day, every player gets exactly the same puzzle! The Daily Challenge
+ * turns the calendar date into a board seed, so the whole class sees the same
+ * sequence of targets, colors and positions and can compare scores fairly.
+ * 
+ * The rules that make it a "challenge":
+ * - One scored attempt per player per day (starting a game uses the attempt)
+ * - Results go on their own daily leaderboard, separate from Classic/Timed
+ * - Playing on consecutive days builds a personal streak
+ * 
+ * Everything is stored (see storage.js) next to the regular leaderboards:
+ * - shapeGameHighScores_daily: every daily result, tagged with its day
+ * - shapeGameDailyStreaks: each player's streak information
+ * 
+ * @fileoverview Date-seeded Daily Challenge mode, attempts, leaderboard and streaks
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { readRecord, writeRecord } from './storage.js';
+import { compareScoreEntries } from './scoring.js';
+import { sanitizePlayerName } from './namePolicy.js';
+
+/**
+ * Storage record holding every daily result.
+ * 
+ * @type {string}
+ */
+const DAILY_SCORES_KEY = 'shapeGameHighScores_daily';
+
+/**
+ * Storage record holding per-player streak records.
+ * 
+ * @type {string}
+ */
+const DAILY_STREAKS_KEY = 'shapeGameDailyStreaks';
+
+/**
+ * Turns a date into the day key used for seeds and storage.
+ * 
+ * We use the player's local calendar day (not UTC) so the challenge rolls
+ * over at midnight where the classroom actually is.
+ * 
+ * @example
+ * getDayKey(new Date(2024, 4, 1)); // '2024-05-01'
+ * 
+ * @function
+ * @param {Date} [date=new Date()] - The date to convert
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+export function getDayKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Gets the board seed for a given day.
+ * 
+ * The seed is just text built from the day key - normalizeSeed() in utils.js
+ * hashes it into a number. Every device that asks for the same day gets the
+ * same seed, and therefore the same boards.
+ * 
+ * @example
+ * getDailySeed('2024-05-01'); // 'daily-2024-05-01'
+ * 
+ * @function
+ * @param {string} [dayKey=getDayKey()] - The day to get the seed for
+ * @returns {string} Seed text for the day
+ */
+export function getDailySeed(dayKey = getDayKey()) {
+    return `daily-${dayKey}`;
+}
+
+/**
+ * Normalizes a player name for attempt and streak lookups.
+ * 
+ * "Sam", "sam " and "SAM" are the same child on a shared tablet.
+ * 
+ * @param {string} playerName - Name as entered
+ * @returns {string} Lookup key
+ */
+function getPlayerKey(playerName) {
+    return String(playerName).trim().toLowerCase();
+}
+
+/**
+ * Loads every stored daily result (with names cleaned up by the name policy).
+ * 
+ * @returns {Array} All daily score entries
+ */
+function loadAllDailyScores() {
+    return readRecord(DAILY_SCORES_KEY, []).map(entry => ({ ...entry, name: sanitizePlayerName(entry.name) }));
+}
+
+/**
+ * Loads the streak records for every player.
+ * 
+ * @returns {Object} Streak records keyed by player key
+ */
+function loadStreaks() {
+    return readRecord(DAILY_STREAKS_KEY, {});
+}
+
+/**
+ * Counts whole calendar days between two day keys.
+ * 
+ * @param {string} fromKey - Earlier day (YYYY-MM-DD)
+ * @param {string} toKey - Later day (YYYY-MM-DD)
+ * @returns {number} Number of days from fromKey to toKey
+ */
+function daysBetween(fromKey, toKey) {
+    const [fromYear, fromMonth, fromDay] = fromKey.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toKey.split('-').map(Number);
+
+    // Date.UTC avoids daylight-saving hours sneaking into the difference
+    const from = Date.UTC(fromYear, fromMonth - 1, fromDay);
+    const to = Date.UTC(toYear, toMonth - 1, toDay);
+
+    return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Loads the daily leaderboard for one day, best score first.
+ * 
+ * @example
+ * const todaysScores = loadDailyScores();
+ * todaysScores[0].name; // Today's leader
+ * 
+ * @function
+ * @param {string} [dayKey=getDayKey()] - The day to load
+ * @returns {Array} Score entries for that day, sorted by points, then matches (descending)
+ */
+export function loadDailyScores(dayKey = getDayKey()) {
+    return loadAllDailyScores()
+        .filter(entry => entry.day === dayKey)
+        .sort(compareScoreEntries);
+}
+
+/**
+ * Checks whether a player has already used today's attempt.
+ * 
+ * @function
+ * @param {string} playerName - The player to check
+ * @param {string} [dayKey=getDayKey()] - The day to check
+ * @returns {boolean} True if the player already started a Daily Challenge that day
+ */
+export function hasPlayedDaily(playerName, dayKey = getDayKey()) {
+    const playerKey = getPlayerKey(playerName);
+
+    return loadAllDailyScores().some(entry => entry.day === dayKey && getPlayerKey(entry.name) === playerKey);
+}
+
+/**
+ * Gets a player's Daily Challenge streak.
+ * 
+ * The current streak only counts if the player played today or yesterday -
+ * miss a day and it drops back to zero (the best streak is kept forever).
+ * 
+ * @example
+ * getDailyStreak('Sam'); // { current: 3, best: 5, lastPlayed: '2024-05-01' }
+ * 
+ * @function
+ * @param {string} playerName - The player to look up
+ * @param {string} [dayKey=getDayKey()] - The day to measure from
+ * @returns {{current: number, best: number, lastPlayed: ?string}} Streak information
+ */
+export function getDailyStreak(playerName, dayKey = getDayKey()) {
+    const record = loadStreaks()[getPlayerKey(playerName)];
+
+    if (!record) {
+        return { current: 0, best: 0, lastPlayed: null };
+    }
+
+    const gap = daysBetween(record.lastPlayed, dayKey);
+
+    return {
+        current: gap <= 1 ? record.current : 0,
+        best: record.best,
+        lastPlayed: record.lastPlayed
+    };
+}
+
+/**
+ * Uses up the player's Daily Challenge attempt and updates their streak.
+ * 
+ * We record the attempt as soon as the game starts (with a score of 0) so
+ * quitting or refreshing can't be used to fish for a better board. The real
+ * score is filled in by finishDailyAttempt() when the game ends.
+ * 
+ * @function
+ * @param {string} playerName - The player starting the challenge
+ * @param {string} [dayKey=getDayKey()] - The challenge day
+ * @returns {{current: number, best: number, lastPlayed: string}} The updated streak
+ * @throws {Error} If the player has already used the attempt for that day
+ */
+export function startDailyAttempt(playerName, dayKey = getDayKey()) {
+    if (hasPlayedDaily(playerName, dayKey)) {
+        throw new Error(`${playerName} has already played the Daily Challenge for ${dayKey}`);
+    }
+
+    // Record the attempt, dropping results older than the retention window
+    const scores = loadAllDailyScores().filter(entry =>
+        daysBetween(entry.day, dayKey) < gameConfig.daily.historyDays
+    );
+
+    scores.push({
+        name: playerName,
+        score: 0,
+        points: 0,
+        difficulty: gameConfig.daily.difficulty,
+        mode: 'daily',
+        day: dayKey,
+        date: new Date().toISOString(),
+        completed: false
+    });
+
+    writeRecord(DAILY_SCORES_KEY, scores);
+
+    // Update the streak: consecutive days extend it, a gap restarts it
+    const streaks = loadStreaks();
+    const playerKey = getPlayerKey(playerName);
+    const previous = streaks[playerKey];
+
+    const current = previous && daysBetween(previous.lastPlayed, dayKey) === 1 ? previous.current + 1 : 1;
+    const best = Math.max(current, previous ? previous.best : 0);
+
+    streaks[playerKey] = { current, best, lastPlayed: dayKey };
+    writeRecord(DAILY_STREAKS_KEY, streaks);
+
+    console.log(`Daily Challenge ${dayKey} started for ${playerName} (streak ${current})`);
+
+    return streaks[playerKey];
+}
+
+/**
+ * Records the final result for a player's Daily Challenge attempt.
+ * 
+ * @function
+ * @param {string} playerName - The player who finished
+ * @param {{score: number, points: number}} result - Their matches and points
+ * @param {string} [dayKey=getDayKey()] - The challenge day
+ * @returns {number} The player's position on that day's leaderboard (1-based), or 0 if no attempt was found
+ */
+export function finishDailyAttempt(playerName, { score, points }, dayKey = getDayKey()) {
+    const scores = loadAllDailyScores();
+    const playerKey = getPlayerKey(playerName);
+
+    const entry = scores.find(item => item.day === dayKey && getPlayerKey(item.name) === playerKey);
+
+    if (!entry) {
+        console.warn(`No Daily Challenge attempt found for ${playerName} on ${dayKey}`);
+        return 0;
+    }
+
+    // Only the first finished result counts
+    if (!entry.completed) {
+        entry.score = score;
+        entry.points = points;
+        entry.completed = true;
+        entry.date = new Date().toISOString();
+        writeRecord(DAILY_SCORES_KEY, scores);
+    }
+
+    return loadDailyScores(dayKey).findIndex(item =>
+        getPlayerKey(item.name) === playerKey && item.date === entry.date
+    ) + 1;
+}
+
+/**
+ * Moves (or combines) one player's Daily Challenge results and streak into
+ * another player's.
+ * 
+ * Used when a profile is renamed or merged. If both players have a result
+ * for the same day, the better one is kept. For the streak we keep the one
+ * played most recently and the best streak of the two.
+ * 
+ * @function
+ * @param {string} fromName - Player whose daily data is moved
+ * @param {string} intoName - Player who receives it
+ * @returns {void}
+ */
+export function mergePlayerDaily(fromName, intoName) {
+    const fromKey = getPlayerKey(fromName);
+    const intoKey = getPlayerKey(intoName);
+
+    if (fromKey === intoKey) return;
+
+    // Results: rename, keeping only the better result for any shared day
+    const scores = loadAllDailyScores();
+    const merged = scores.filter(entry => getPlayerKey(entry.name) !== fromKey);
+
+    scores.filter(entry => getPlayerKey(entry.name) === fromKey).forEach(entry => {
+        const existing = merged.find(item => item.day === entry.day && getPlayerKey(item.name) === intoKey);
+
+        if (!existing) {
+            merged.push({ ...entry, name: intoName });
+        } else if (compareScoreEntries(entry, existing) < 0) {
+            existing.score = entry.score;
+            existing.points = entry.points;
+            existing.completed = existing.completed || entry.completed;
+        }
+    });
+
+    writeRecord(DAILY_SCORES_KEY, merged);
+
+    // Streaks: keep the most recent run and the best ever
+    const streaks = loadStreaks();
+    const from = streaks[fromKey];
+    const into = streaks[intoKey];
+
+    if (from) {
+        if (!into || from.lastPlayed > into.lastPlayed) {
+            streaks[intoKey] = { ...from, best: Math.max(from.best, into ? into.best : 0) };
+        } else {
+            into.best = Math.max(into.best, from.best);
+        }
+
+        delete streaks[fromKey];
+        writeRecord(DAILY_STREAKS_KEY, streaks);
+    }
+}
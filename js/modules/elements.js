@@ -11,8 +11,8 @@
  * they can just grab the reference from here instead of hunting through the DOM.
  * 
  * We also handle audio initialization here because sound effects are closely
- * tied to DOM elements. By setting volume levels centrally, we ensure consistent
- * audio experience across the entire game.
+ * tied to DOM elements. The volumes come from the player's sound settings
+ * (audioSettings.js) and are applied here, so the whole game sounds consistent.
  * 
  * Pro tip: If you're adding new HTML elements that the JavaScript needs to
  * interact with, add them to this elements object first!
@@ -22,6 +22,10 @@
  * @version 1.0.0
  */
 
+import { gameConfig } from './config.js';
+import { getMusicVolume, onAudioSettingsChange } from './audioSettings.js';
+import { initSoundEngine } from './soundEngine.js';
+
 /**
  * Central registry of all DOM elements used throughout the game.
  * 
@@ -46,7 +50,9 @@
  * during gameplay (like leaderboard tabs).
  * 
  * @type {Object}
- * @property {HTMLElement} score - Displays the current score
+ * @property {HTMLElement} score - Displays the current points
+ * @property {HTMLElement} roundPoints - Shows the points the last match earned
+ * @property {HTMLElement} comboDisplay - Shows the current run of correct answers
  * @property {HTMLElement} attempts - Shows remaining attempts as hearts
  * @property {HTMLElement} targetShape - Container for the shape to find
  * @property {HTMLElement} gameBoard - Main playing area where shapes appear
@@ -55,20 +61,37 @@
  * @property {HTMLElement} setupModal - Initial game setup dialog
  * @property {NodeList} difficultyButtons - All difficulty selection buttons
  * @property {NodeList} modeButtons - All game mode selection buttons
- * @property {HTMLAudioElement} correctSound - Audio for correct matches
- * @property {HTMLAudioElement} wrongSound - Audio for incorrect matches
- * @property {HTMLAudioElement} gameoverSound - Audio for game over
+ * @property {HTMLSelectElement} colorPaletteSelect - Color palette choice in the setup modal
+ * @property {HTMLInputElement} colorPatternsToggle - "Patterns on colors" checkbox in the setup modal
+ * @property {NodeList} sensoryToggles - Comfort checkboxes in the setup modal (data-setting names the sensory setting)
+ * @property {HTMLElement} sensoryDefaultsButton - Button that puts the comfort settings back to the device's preference
+ * @property {HTMLElement} profilePicker - "Who's playing?" profile buttons in the setup modal
+ * @property {HTMLElement} profilesModal - Profile management screen
+ * @property {HTMLElement} historyModal - Reports screen for exporting and importing session history
+ * @property {HTMLElement} pauseScreen - Screen shown while the game is paused
+ * @property {HTMLElement} endGameDialog - "End Game?" confirmation dialog
+ * @property {HTMLElement} achievementsModal - Badge gallery
+ * @property {HTMLElement} achievementToasts - Where "badge unlocked" toasts appear
+ * @property {HTMLAudioElement} backgroundMusic - Background music during games (gameConfig.audio.musicTrack)
+ * @property {HTMLElement} settingsModal - Settings panel (sound and shortcuts)
  */
 export const elements = {
     // Core game display elements
     score: document.getElementById('score-centered'), // Updated to match actual HTML ID
     attempts: document.getElementById('hearts'), // Changed to hearts since that's the element showing attempts
+    roundPoints: document.getElementById('round-points'),
+    comboDisplay: document.getElementById('combo-display'),
     targetShape: document.getElementById('target-shape'),
     gameBoard: document.getElementById('game-board'),
 
     // Game over screen elements
     gameOverScreen: document.getElementById('game-over'),
     finalScore: document.getElementById('final-score'),
+    finalMatches: document.getElementById('final-matches'),
+    finalBestCombo: document.getElementById('final-best-combo'),
+    seedDisplay: document.getElementById('seed-display'),
+    finalSeed: document.getElementById('final-seed'),
+    adaptiveBoardsNote: document.getElementById('adaptive-boards-note'),
     restartButton: document.getElementById('restart-button'),
     backToMenuButton: document.getElementById('back-to-menu-button'),
 
@@ -78,37 +101,101 @@ export const elements = {
     // Setup and configuration elements
     setupModal: document.getElementById('game-setup-modal'),
     playerNameInput: document.getElementById('player-name'),
+    seedInput: document.getElementById('seed-input'),
     nameErrorMessage: document.createElement('div'), // Will be added to DOM when needed
     difficultyButtons: document.querySelectorAll('.option-btn[data-difficulty]'),
     modeButtons: document.querySelectorAll('.option-btn[data-mode]'),
     decreaseShapesBtn: document.getElementById('decrease-shapes'),
     increaseShapesBtn: document.getElementById('increase-shapes'),
     shapeQuantityDisplay: document.getElementById('shape-quantity-display'),
+    colorPaletteSelect: document.getElementById('color-palette'),
+    colorPatternsToggle: document.getElementById('color-patterns'),
+    sensoryToggles: document.querySelectorAll('.sensory-options input[data-setting]'),
+    sensoryDefaultsButton: document.getElementById('sensory-defaults-btn'),
     startGameBtn: document.getElementById('start-game-btn'),
 
+    // Player profiles
+    profilePicker: document.getElementById('profile-picker'),
+    manageProfilesBtn: document.getElementById('manage-profiles-btn'),
+    profilesModal: document.getElementById('profiles-modal'),
+    profilesList: document.getElementById('profiles-list'),
+    newProfileName: document.getElementById('new-profile-name'),
+    newProfileAvatars: document.getElementById('new-profile-avatars'),
+    createProfileBtn: document.getElementById('create-profile-btn'),
+    profileError: document.getElementById('profile-error'),
+    closeProfilesBtn: document.getElementById('close-profiles-btn'),
+
+    // History reports
+    historyBtn: document.getElementById('history-btn'),
+    historyModal: document.getElementById('history-modal'),
+    historyPlayer: document.getElementById('history-player'),
+    historyFrom: document.getElementById('history-from'),
+    historyTo: document.getElementById('history-to'),
+    historySummary: document.getElementById('history-summary'),
+    exportCsvBtn: document.getElementById('export-csv-btn'),
+    exportJsonBtn: document.getElementById('export-json-btn'),
+    historyImport: document.getElementById('history-import'),
+    historyStatus: document.getElementById('history-status'),
+    closeHistoryBtn: document.getElementById('close-history-btn'),
+
+    // Badge gallery and toasts
+    achievementsBtn: document.getElementById('achievements-btn'),
+    achievementsModal: document.getElementById('achievements-modal'),
+    achievementsSummary: document.getElementById('achievements-summary'),
+    achievementsList: document.getElementById('achievements-list'),
+    closeAchievementsBtn: document.getElementById('close-achievements-btn'),
+    achievementToasts: document.getElementById('achievement-toasts'),
+
     // High scores and leaderboard
     highScoresList: document.getElementById('high-scores-list'),
 
     // Timer display elements
     timerDisplay: document.getElementById('timer-display'),
     timer: document.getElementById('timer'),
+    timerBar: document.getElementById('timer-bar'),
+    timerBarFill: document.getElementById('timer-bar-fill'),
+
+    // Survival level display elements
+    levelDisplay: document.getElementById('level-display'),
+    level: document.getElementById('level'),
 
     // Game instructions and help
     findShapeText: document.getElementById('find-shape-text'),
 
     // Leaderboard elements (created dynamically)
     leaderboardTabs: null, // Will be created dynamically
-    classicScoresContainer: null, // Will be created dynamically
-    timedScoresContainer: null, // Will be created dynamically
+    leaderboardDifficulty: null, // Will be created dynamically
+    leaderboardShapes: null, // Will be created dynamically
+    leaderboardScores: null, // Will be created dynamically
     leaderboardContainer: document.getElementById('high-scores-list'),
 
-    // Audio elements for game feedback
-    correctSound: document.getElementById('correct-sound'),
-    wrongSound: document.getElementById('wrong-sound'),
-    gameoverSound: document.getElementById('gameover-sound'),
+    // Background music (sound effects are played by soundEngine.js)
+    backgroundMusic: document.getElementById('background-music'),
+
+    // Settings panel
+    settingsButton: document.getElementById('settings-button'),
+    setupSettingsBtn: document.getElementById('setup-settings-btn'),
+    settingsModal: document.getElementById('settings-modal'),
+    volumeSliders: document.querySelectorAll('.volume-controls input[data-channel]'),
+    volumeValues: document.querySelectorAll('.volume-controls output[data-channel]'),
+    muteToggle: document.getElementById('mute-toggle'),
+    shortcutList: document.getElementById('shortcut-list'),
+    closeSettingsBtn: document.getElementById('close-settings-btn'),
 
     // Game control buttons
-    quitButton: document.getElementById('quit-game-button')
+    quitButton: document.getElementById('quit-game-button'),
+    pauseButton: document.getElementById('pause-game-button'),
+
+    // Pause screen (hides the board while the game is paused)
+    pauseScreen: document.getElementById('pause-screen'),
+    resumeButton: document.getElementById('resume-game-btn'),
+
+    // End game confirmation dialog
+    endGameDialog: document.getElementById('end-game-dialog'),
+    cancelEndGameButton: document.getElementById('cancel-end-game'),
+
+    // Warning shown when progress can't be saved
+    storageWarning: document.getElementById('storage-warning')
 };
 
 /**
@@ -158,45 +245,52 @@ export function initializeConfettiContext() {
  * rewarding and wrong answers feel appropriately disappointing. But nobody
  * wants their ears blown out by loud sound effects!
  * 
- * This function sets volume levels that we've carefully tested to be:
- * - Audible and engaging without being startling
- * - Balanced relative to each other (wrong sound slightly louder for feedback)
- * - Respectful of players who might be in quiet environments
+ * Each sound's volume is the player's master and effects (or music) volume
+ * times its own level in gameConfig.audio.effectLevels - levels we've tested
+ * to be audible without being startling, with the wrong sound slightly louder
+ * because clear negative feedback is important for learning. The volumes are
+ * applied again whenever the player changes them, even mid-game.
  * 
- * The volume levels (0.0 to 1.0) were chosen through playtesting with various
- * devices and headphone types. Wrong sounds are slightly louder because
- * clear negative feedback is important for learning.
+ * The sound effects are loaded into the sound engine (soundEngine.js) here,
+ * ready to play the instant they're needed.
  * 
  * @example
  * // Called during game initialization
  * initAudioSettings();
  * 
- * // Now audio elements have appropriate volumes
- * elements.correctSound.play(); // Plays at 50% volume
- * elements.wrongSound.play();   // Plays at 70% volume
+ * // Now the sounds follow the player's settings
+ * setVolume('master', 0.5);
+ * elements.backgroundMusic.volume; // 0.1 with music at 50%
  * 
  * @function
  * @returns {void}
- * @throws {Error} If audio elements are not found in the DOM
  */
 export function initAudioSettings() {
     try {
-        // Set volume levels for different sounds
-        if (elements.correctSound) {
-            elements.correctSound.volume = 0.5; // Reduced from default 1.0 - pleasant but not overwhelming
+        // Background music is optional - only load it if a track is configured
+        if (elements.backgroundMusic && gameConfig.audio.musicTrack) {
+            elements.backgroundMusic.src = gameConfig.audio.musicTrack;
         }
 
-        if (elements.wrongSound) {
-            elements.wrongSound.volume = 0.7;   // Keep this a bit louder for clear feedback
-        }
+        applyMusicVolume();
+        onAudioSettingsChange(applyMusicVolume);
 
-        if (elements.gameoverSound) {
-            elements.gameoverSound.volume = 0.8; // Prominent but not jarring
-        }
+        initSoundEngine();
 
         console.log('Audio settings initialized successfully');
     } catch (error) {
         console.error('Failed to initialize audio settings:', error);
         // Don't throw - game should still work without audio
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Sets the background music's volume from the player's sound settings.
+ * 
+ * @returns {void}
+ */
+function applyMusicVolume() {
+    if (elements.backgroundMusic) {
+        elements.backgroundMusic.volume = getMusicVolume();
+    }
+}
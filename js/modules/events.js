@@ -24,24 +24,48 @@
 
 // Game event handlers and UI interactions
 import gameState, { resetGameState } from './gameState.js';
-import { elements, initAudioSettings } from './elements.js';
+import { elements } from './elements.js';
 import { gameConfig } from './config.js';
-import { capitalize } from './utils.js';
+import { capitalize, generateSeed, normalizeSeed } from './utils.js';
+import { getDailySeed, hasPlayedDaily, startDailyAttempt, loadDailyScores } from './dailyChallenge.js';
 import {
     applyDifficultySettings,
     startNewRound,
-    startMovingShapes,
     stopMovingShapes,
     stopTimer,
-    endGame,
+    quitGame,
+    startEngineGame,
     hideGameOverScreen,
     loadHighScores,
     startTimer,
     loadHighScoresByMode,
-    generateGameShapes,
-    ensureGameBoardDimensions
+    relayoutGameShapes,
+    ensureGameBoardDimensions,
+    updateSurvivalLevel,
+    pauseGame,
+    resumeGame,
+    gameEngine
 } from './gameLogic.js';
 import { clearGameBoard, resizeConfettiCanvas } from './rendering.js';
+import { findProfileByName, createProfile, getActiveProfile, setActiveProfile, updateProfilePreferences } from './playerProfiles.js';
+import { initProfileScreen, renderProfilePicker, selectProfile } from './profileScreen.js';
+import { initHistoryScreen } from './historyScreen.js';
+import { initAchievementsScreen } from './achievementsScreen.js';
+import { checkPlayerName } from './namePolicy.js';
+import { initBoardNavigation } from './boardNavigation.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+import { getPaletteNames, getPaletteLabel } from './colorVision.js';
+import { getAudioSettings, setAudioSettings } from './audioSettings.js';
+import { initSettingsScreen, isSettingsOpen, showSettingsModal, hideSettingsModal, toggleMuteSetting, stepMasterVolume } from './settingsScreen.js';
+import { setSensorySetting, setSensoryChoices, getSensoryChoices, getSensorySettings, onSensorySettingsChange } from './sensorySettings.js';
+import {
+    isSplitMode,
+    getBoardEntries,
+    getShapeCounts,
+    getPersonalBest,
+    isPlayerEntry,
+    sortBoardEntries
+} from './leaderboards.js';
 
 /**
  * Initializes all event listeners for the game interface.
@@ -55,6 +79,7 @@ import { clearGameBoard, resizeConfettiCanvas } from './rendering.js';
  * - Setup and configuration (difficulty, mode, shape quantity)
  * - Responsive design (window resize handling)
  * - Modal dialogs (confirmations and setup)
+ * - Keyboard play (board navigation and the pause, quit and restart shortcuts)
  * 
  * Each event listener includes proper error handling and user feedback to ensure
  * a smooth experience even when things go wrong.
@@ -104,22 +129,9 @@ export function initEventListeners() {
         // Game mode selection buttons
         elements.modeButtons.forEach(button => {
             button.addEventListener('click', () => {
-                // Visual feedback: update selected state
-                elements.modeButtons.forEach(btn => btn.classList.remove('selected'));
-                button.classList.add('selected');
-
-                // Update game state
+                // Update game state, then the buttons, timer and tooltips to match
                 gameState.currentMode = button.dataset.mode;
-
-                // Show/hide timer based on selected mode
-                if (gameState.currentMode === 'timed') {
-                    elements.timerDisplay.classList.remove('hidden');
-                } else {
-                    elements.timerDisplay.classList.add('hidden');
-                }
-
-                // Update tooltips to match selected mode
-                updateDifficultyTooltips(gameState.currentMode);
+                syncModeSelection();
 
                 console.log(`Game mode changed to: ${gameState.currentMode}`);
             });
@@ -140,24 +152,83 @@ export function initEventListeners() {
             }
         });
 
+        // Color palette and patterns, for players with color vision deficiencies
+        getPaletteNames().forEach(name => {
+            elements.colorPaletteSelect.add(new Option(getPaletteLabel(name), name));
+        });
+        syncColorVisionSelection();
+
+        elements.colorPaletteSelect.addEventListener('change', () => {
+            gameState.colorPalette = elements.colorPaletteSelect.value;
+            console.log(`Color palette changed to: ${gameState.colorPalette}`);
+        });
+
+        elements.colorPatternsToggle.addEventListener('change', () => {
+            gameState.colorPatterns = elements.colorPatternsToggle.checked;
+            console.log(`Color patterns ${gameState.colorPatterns ? 'on' : 'off'}`);
+        });
+
+        // Comfort settings: confetti, gentle feedback, fading shapes, limited flashing
+        elements.sensoryToggles.forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                setSensorySetting(toggle.dataset.setting, toggle.checked);
+                console.log(`Sensory setting ${toggle.dataset.setting} ${toggle.checked ? 'on' : 'off'}`);
+            });
+        });
+
+        elements.sensoryDefaultsButton.addEventListener('click', () => setSensoryChoices());
+
+        // Keep the checkboxes right when a profile is picked or the device setting changes
+        onSensorySettingsChange(syncSensorySelection);
+        syncSensorySelection();
+
+        // Profile picker and management screen
+        initProfileScreen({ onProfileSelected: applyProfilePreferences });
+
+        // Reports screen (session history export and import)
+        initHistoryScreen();
+
+        // Badge gallery
+        initAchievementsScreen();
+
+        // Settings panel (sound and shortcuts)
+        initSettingsScreen();
+
+        // Keep "My scores" and the personal best pointing at the player being typed in
+        elements.playerNameInput.addEventListener('input', renderLeaderboard);
+
         // Game start and quit controls
         elements.startGameBtn.addEventListener('click', startGameFromSetup);
         elements.quitButton.addEventListener('click', () => {
             showEndGameConfirmation();
         });
 
+        // Pause controls: the button, Escape, and switching away from the tab
+        elements.pauseButton.addEventListener('click', showPauseScreen);
+        elements.resumeButton.addEventListener('click', hidePauseScreen);
+        document.addEventListener('keydown', handleShortcutKey);
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                showPauseScreen();
+            }
+        });
+
         // End game confirmation dialog buttons
-        document.getElementById('cancel-end-game').addEventListener('click', () => {
+        elements.cancelEndGameButton.addEventListener('click', () => {
             hideEndGameConfirmation();
         });
 
         document.getElementById('confirm-end-game').addEventListener('click', () => {
+            // End the game first so closing the dialog doesn't resume it
+            quitGame();
             hideEndGameConfirmation();
-            endGame();
         });
 
+        // Keyboard play: arrow keys move between shapes, Enter or Space picks one
+        initBoardNavigation();
+
         // Responsive design: handle window resize
-        window.addEventListener('resize', handleWindowResize);
+        window.addEventListener('resize', scheduleWindowResize);
 
         console.log('All event listeners initialized successfully');
     } catch (error) {
@@ -178,6 +249,7 @@ export function initEventListeners() {
  * - Cleans up any ongoing games or animations
  * - Resets the game state while preserving user preferences
  * - Updates the high scores display with latest data
+ * - Preselects the profile that played last, with their preferred settings
  * - Ensures all modal elements are properly visible
  * 
  * This is also called when players want to return to the main menu from an
@@ -210,12 +282,22 @@ export function showSetupModal() {
     // Hide any other screens that might be visible
     hideGameOverScreen();
 
+    // Welcome back whoever played last on this device
+    const activeProfile = getActiveProfile();
+    if (activeProfile && !elements.playerNameInput.value.trim()) {
+        selectProfile(activeProfile);
+    }
+    renderProfilePicker();
+
     // Show the setup modal with updated information
     elements.setupModal.classList.remove('hidden');
 
     // Refresh the high scores display with latest data
     displayHighScores();
 
+    // Keep keyboard focus in the modal until the game starts
+    trapFocus(elements.setupModal);
+
     console.log('Setup modal displayed - ready for player configuration');
 }
 
@@ -229,6 +311,8 @@ export function showSetupModal() {
  * 
  * The validation process includes:
  * - Player name presence and validity
+ * - One Daily Challenge attempt per player per day
+ * - Finding the player's profile (or creating one for new players)
  * - Graceful error handling with user-friendly messages
  * - Focus management for accessibility
  * - Smooth modal transitions
@@ -244,30 +328,76 @@ export function showSetupModal() {
  * @returns {void} Either starts the game or shows validation errors
  */
 export function startGameFromSetup() {
-    // Validate player name input
-    const playerNameValue = elements.playerNameInput.value.trim();
+    // Validate player name input against the name policy (length,
+    // characters and the blocklist, see namePolicy.js)
+    const { name: playerNameValue, error: nameError } = checkPlayerName(elements.playerNameInput.value);
 
     // Check if player name is empty or invalid
-    if (!playerNameValue) {
+    if (nameError) {
         // Show helpful error message
         const errorMessage = document.getElementById('name-error-message') || createNameErrorMessage();
+        errorMessage.textContent = nameError;
         errorMessage.style.display = 'block';
 
         // Focus on the input field for immediate correction
         elements.playerNameInput.focus();
 
-        console.log('Game start blocked: Player name is required');
+        console.log(`Game start blocked: ${nameError}`);
         return; // Don't proceed with game startup
     }
 
+    // Only one Daily Challenge attempt per player per day
+    if (gameState.currentMode === 'daily' && hasPlayedDaily(playerNameValue)) {
+        const errorMessage = document.getElementById('name-error-message') || createNameErrorMessage();
+        errorMessage.textContent = `${playerNameValue} has already played today's Daily Challenge - come back tomorrow!`;
+        errorMessage.style.display = 'block';
+
+        console.log('Game start blocked: Daily Challenge already played today');
+        return;
+    }
+
+    // Find the player's profile, or create one for a new player
+    let profile = findProfileByName(playerNameValue);
+    if (!profile) {
+        try {
+            profile = createProfile({
+                name: playerNameValue,
+                preferredDifficulty: gameState.currentDifficulty,
+                preferredMode: gameState.currentMode
+            });
+        } catch (error) {
+            const errorMessage = document.getElementById('name-error-message') || createNameErrorMessage();
+            errorMessage.textContent = error.message;
+            errorMessage.style.display = 'block';
+
+            console.log(`Game start blocked: ${error.message}`);
+            return;
+        }
+    }
+
     // Hide any existing error messages
     const errorMessage = document.getElementById('name-error-message');
     if (errorMessage) {
         errorMessage.style.display = 'none';
     }
 
-    // Store the validated player name
-    gameState.playerName = playerNameValue;
+    // Remember who is playing and the settings they chose for next time
+    updateProfilePreferences(profile.id, {
+        preferredDifficulty: gameState.currentDifficulty,
+        preferredMode: gameState.currentMode,
+        colorPalette: gameState.colorPalette,
+        colorPatterns: gameState.colorPatterns,
+        sensory: getSensoryChoices(),
+        audio: getAudioSettings()
+    });
+    setActiveProfile(profile.id);
+    gameState.profileId = profile.id;
+
+    // Store the player's name as their profile spells it
+    gameState.playerName = profile.name;
+
+    // Remember the optional seed so the same boards can be replayed
+    gameState.requestedSeed = elements.seedInput ? elements.seedInput.value.trim() : '';
 
     // Smooth transition: hide setup modal
     elements.setupModal.classList.add('hidden');
@@ -330,14 +460,14 @@ export function createNameErrorMessage() {
  * player experience.
  * 
  * The startup sequence includes:
- * 1. Game state initialization (score, attempts, timers)
+ * 1. Game state initialization (score, attempts, timers, board seed)
  * 2. Visual display updates (UI elements, instructions)
  * 3. Game board preparation and dimension validation
  * 4. Mode-specific setup (timers for timed mode)
  * 5. First round generation with a small delay for smooth transitions
  * 
- * The function handles both classic and timed modes, applying the appropriate
- * settings and UI configurations for each.
+ * Mode-specific setup (timers for timed mode, the fixed seed and settings of
+ * the Daily Challenge) is delegated to setupGameMode().
  * 
  * @example
  * // Called after successful setup validation
@@ -356,10 +486,20 @@ export function startGame() {
     // Initialize core game state
     gameState.gameOver = false;
     gameState.score = 0;
+    gameState.points = 0;
+    gameState.lastRoundPoints = 0;
+    gameState.combo = 0;
+    gameState.bestCombo = 0;
+    gameState.mistakes = 0;
     gameState.attemptsLeft = gameConfig.maxAttempts;
     gameState.targetShape = null;
     gameState.shapes = [];
 
+    // Pick the seed every board in this game is generated from - either the
+    // one the player asked for or a fresh one
+    gameState.seed = gameState.requestedSeed ? normalizeSeed(gameState.requestedSeed) : generateSeed();
+    gameState.roundNumber = 0;
+
     // Clear any leftover shapes from previous games
     clearGameBoard();
 
@@ -369,27 +509,21 @@ export function startGame() {
     // Update all display elements
     updateScoreDisplay();
 
-    // Configure mode-specific settings
-    if (gameState.currentMode === 'timed') {
-        // Set up timed mode
-        const diffSettings = gameConfig.difficulty[gameState.currentDifficulty];
-        gameState.timeRemaining = diffSettings.timeLimit;
-        elements.timer.textContent = gameState.timeRemaining;
-        elements.timerDisplay.classList.remove('hidden');
-        startTimer();
-    } else {
-        // Classic mode: hide timer display
-        elements.timerDisplay.classList.add('hidden');
-    }
+    // Configure mode-specific settings (timer, daily challenge seed, ...)
+    setupGameMode();
+
+    // Start the rules engine with the final difficulty and mode
+    startEngineGame();
 
     // Ensure setup modal is hidden
     elements.setupModal.classList.add('hidden');
+    releaseFocus(elements.setupModal);
 
     // Brief delay to ensure DOM is ready and transitions are smooth
     setTimeout(() => {
         startNewRound();
     }, 100);
-    console.log(`Game started in ${gameState.currentMode} mode, ${gameState.currentDifficulty} difficulty`);
+    console.log(`Game started in ${gameState.currentMode} mode, ${gameState.currentDifficulty} difficulty, seed ${gameState.seed}`);
 }
 
 /**
@@ -399,11 +533,43 @@ export function startGame() {
  * particularly the differences between classic and timed modes. It ensures
  * that the UI and game mechanics are properly configured for the selected mode.
  * 
+ * The Daily Challenge plays by classic rules, but swaps in today's seed and
+ * the fixed daily difficulty and shape count so every player gets the same
+ * boards. Starting it uses up the player's attempt for the day.
+ * 
+ * Survival ignores the selected difficulty and starts at level 1; its
+ * settings are blended per level by survivalMode.js.
+ * 
  * @function
  * @returns {void}
  */
 export function setupGameMode() {
+    // The level bubble is only used by Survival mode
+    elements.levelDisplay.classList.toggle('hidden', gameState.currentMode !== 'survival');
+
     switch (gameState.currentMode) {
+        case 'daily':
+            // Same settings and seed for everyone today
+            gameState.currentDifficulty = gameConfig.daily.difficulty;
+            gameState.shapesQuantity = gameConfig.daily.shapesQuantity;
+            gameState.seed = normalizeSeed(getDailySeed());
+            syncDifficultySelection();
+
+            // Use up today's attempt (and extend the streak)
+            gameState.dailyStreak = startDailyAttempt(gameState.playerName);
+
+            // No clock in the Daily Challenge
+            elements.timerDisplay.classList.add('hidden');
+            break;
+
+        case 'survival':
+            // Start at level 1 (easy settings); the level climbs as the score does
+            updateSurvivalLevel();
+
+            // No clock in Survival - it ends when the hearts run out
+            elements.timerDisplay.classList.add('hidden');
+            break;
+
         case 'timed':
             // Set initial time from difficulty settings
             gameState.timeRemaining = gameConfig.difficulty[gameState.currentDifficulty].timeLimit;
@@ -425,6 +591,100 @@ export function setupGameMode() {
     }
 }
 
+/**
+ * Makes the setup screen's difficulty buttons match gameState.
+ * 
+ * Used when a mode (like the Daily Challenge) picks the difficulty for the
+ * player, so the setup screen doesn't show a stale selection afterwards.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function syncDifficultySelection() {
+    elements.difficultyButtons.forEach(button => {
+        button.classList.toggle('selected', button.dataset.difficulty === gameState.currentDifficulty);
+    });
+
+    applyDifficultySettings();
+}
+
+/**
+ * Makes the setup screen's mode buttons, timer and tooltips match gameState.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function syncModeSelection() {
+    elements.modeButtons.forEach(button => {
+        button.classList.toggle('selected', button.dataset.mode === gameState.currentMode);
+    });
+
+    // Only timed mode shows the clock
+    elements.timerDisplay.classList.toggle('hidden', gameState.currentMode !== 'timed');
+
+    // Update tooltips to match selected mode
+    updateDifficultyTooltips(gameState.currentMode);
+}
+
+/**
+ * Makes the setup screen's palette and pattern controls match gameState.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function syncColorVisionSelection() {
+    elements.colorPaletteSelect.value = gameState.colorPalette;
+    elements.colorPatternsToggle.checked = gameState.colorPatterns;
+}
+
+/**
+ * Makes the setup screen's comfort checkboxes match the sensory settings in use.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function syncSensorySelection() {
+    const settings = getSensorySettings();
+
+    elements.sensoryToggles.forEach(toggle => {
+        toggle.checked = Boolean(settings[toggle.dataset.setting]);
+    });
+}
+
+/**
+ * Applies a profile's preferred difficulty, mode, colors, comfort and sound settings to the setup screen.
+ * 
+ * Called when a player picks their profile, so they don't have to choose
+ * their favourite settings again every time.
+ * 
+ * @function
+ * @param {Object} profile - The chosen profile
+ * @returns {void}
+ */
+export function applyProfilePreferences(profile) {
+    gameState.currentDifficulty = profile.preferredDifficulty;
+    syncDifficultySelection();
+
+    gameState.currentMode = profile.preferredMode;
+    syncModeSelection();
+
+    // Profiles made before palettes existed use the standard colors
+    gameState.colorPalette = profile.colorPalette || 'standard';
+    gameState.colorPatterns = Boolean(profile.colorPatterns);
+    syncColorVisionSelection();
+
+    // Comfort settings they never changed keep following the device
+    setSensoryChoices(profile.sensory);
+
+    // Their own volumes (or the defaults, for a profile that has none yet)
+    setAudioSettings(profile.audio);
+
+    // Show their board, with their scores marked
+    displayHighScores();
+
+    console.log(`Profile ${profile.name} selected (${profile.preferredDifficulty}, ${profile.preferredMode})`);
+}
+
 /**
  * Updates the score and attempts display with visual feedback.
  * 
@@ -435,7 +695,9 @@ export function setupGameMode() {
  * @returns {void}
  */
 export function updateScoreDisplay() {
-    elements.score.textContent = gameState.score;
+    elements.score.textContent = gameState.points;
+    elements.roundPoints.textContent = '';
+    elements.comboDisplay.classList.add('hidden');
 
     // Update hearts display based on attempts left
     const heartSymbol = '❤️';
@@ -452,6 +714,12 @@ export function updateScoreDisplay() {
  * @returns {void}
  */
 export function restartGame() {
+    // The Daily Challenge only allows one attempt - send the player back to the menu
+    if (gameState.currentMode === 'daily') {
+        showSetupModal();
+        return;
+    }
+
     // Hide game over screen
     hideGameOverScreen();
 
@@ -459,11 +727,31 @@ export function restartGame() {
     startGame();
 }
 
+/**
+ * How long the window has to stop changing size before the board is laid out
+ * again. Rotating a tablet fires several resize events in a row.
+ * 
+ * @type {number}
+ */
+const RESIZE_SETTLE_MS = 150;
+
+/**
+ * The wait for the window to stop resizing, if one is running.
+ * 
+ * @type {?number}
+ */
+let resizeTimeout = null;
+
 /**
  * Handles window resize events for responsive design.
  * 
  * This function ensures the game adapts properly to window size changes,
- * updating visual elements and repositioning shapes as needed.
+ * updating visual elements and moving shapes to fit the new board. Shapes are
+ * only moved while a round is being played, and the round itself carries on:
+ * same target, same shapes, same clock.
+ * 
+ * Called once the window has settled on its new size (see
+ * scheduleWindowResize()).
  * 
  * @function
  * @returns {void}
@@ -472,17 +760,47 @@ export function handleWindowResize() {
     // Resize confetti canvas
     resizeConfettiCanvas();
 
-    // If we're in the middle of a game, regenerate the shapes to fit the new window size
-    if (!gameState.gameOver && gameState.shapes.length > 0) {
-        // Preserve the current target shape type
-        const currentTargetShape = gameState.targetShape;
-
-        // Clear and regenerate with same target type but new positions
-        clearGameBoard();
-        generateGameShapes(gameState.shapesQuantity, currentTargetShape);
+    // If we're in the middle of a round, move the shapes to fit the new window
+    // size. Not between rounds: the next round is laid out for the new size
+    // anyway.
+    if (!gameState.gameOver && gameState.shapes.length > 0 && gameEngine.getState().phase === 'playing') {
+        relayoutGameShapes();
     }
 }
 
+/**
+ * Waits for the window to stop resizing, then calls handleWindowResize() once.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function scheduleWindowResize() {
+    clearTimeout(resizeTimeout);
+
+    resizeTimeout = setTimeout(() => {
+        resizeTimeout = null;
+        handleWindowResize();
+    }, RESIZE_SETTLE_MS);
+}
+
+/**
+ * What the leaderboard is showing.
+ * 
+ * The board (mode, difficulty and shape count) follows the setup choices
+ * each time the setup modal opens; the sort order and the "My scores" filter
+ * are kept, so a player who likes to see their own scores keeps seeing them.
+ * 
+ * @type {{mode: string, difficulty: string, shapeCount: ?number, sortColumn: string, sortDirection: string, mineOnly: boolean}}
+ */
+const leaderboardView = {
+    mode: 'classic',
+    difficulty: 'easy',
+    shapeCount: null,
+    sortColumn: 'rank',
+    sortDirection: 'ascending',
+    mineOnly: false
+};
+
 /**
  * Displays and manages the high scores leaderboard interface.
  * 
@@ -492,9 +810,11 @@ export function handleWindowResize() {
  * players to improve.
  * 
  * The leaderboard system includes:
- * - Tabbed interface for Classic and Timed modes
+ * - Tabbed interface for Classic, Timed, today's Daily Challenge and Survival
+ * - Difficulty and shape count pickers, because Classic and Timed keep a
+ *   separate board for each (see leaderboards.js)
+ * - A "My scores" filter for the player named in setup
  * - Dynamic content loading based on stored scores
- * - Interactive tab switching with visual feedback
  * - Responsive design that works on all screen sizes
  * - Proper handling of empty leaderboards
  * 
@@ -513,8 +833,13 @@ export function handleWindowResize() {
  * @returns {void}
  */
 export function displayHighScores() {
+    // Start on the board for the current setup choices
+    leaderboardView.mode = gameState.currentMode;
+    leaderboardView.difficulty = gameState.currentDifficulty;
+    leaderboardView.shapeCount = gameState.shapesQuantity;
+
     // Clear existing content for fresh rebuild
-    elements.highScoresList.innerHTML = '';
+    elements.highScoresList.replaceChildren();
 
     // Create a header container for the leaderboard
     const headerContainer = document.createElement('div');
@@ -529,136 +854,328 @@ export function displayHighScores() {
     const tabsContainer = document.createElement('div');
     tabsContainer.className = 'leaderboard-tabs';
 
-    // Create Classic mode tab with appropriate active state
-    const classicTab = document.createElement('div');
-    classicTab.className = 'leaderboard-tab' + (gameState.currentMode === 'classic' ? ' active' : '');
-    classicTab.textContent = 'Classic Mode';
-    classicTab.addEventListener('click', () => {
-        // Update visual state of tabs
-        document.querySelectorAll('.leaderboard-tab').forEach(tab => tab.classList.remove('active'));
-        classicTab.classList.add('active');
-
-        // Switch visible content
-        if (elements.classicScoresContainer) elements.classicScoresContainer.style.display = 'block';
-        if (elements.timedScoresContainer) elements.timedScoresContainer.style.display = 'none';
-    });
-
-    // Create Timed mode tab with appropriate active state
-    const timedTab = document.createElement('div');
-    timedTab.className = 'leaderboard-tab' + (gameState.currentMode === 'timed' ? ' active' : '');
-    timedTab.textContent = 'Timed Mode';
-    timedTab.addEventListener('click', () => {
-        // Update visual state of tabs
-        document.querySelectorAll('.leaderboard-tab').forEach(tab => tab.classList.remove('active'));
-        timedTab.classList.add('active');
-
-        // Switch visible content
-        if (elements.timedScoresContainer) elements.timedScoresContainer.style.display = 'block';
-        if (elements.classicScoresContainer) elements.classicScoresContainer.style.display = 'none';
+    // One tab per game mode
+    const modes = [
+        { mode: 'classic', label: 'Classic Mode' },
+        { mode: 'timed', label: 'Timed Mode' },
+        { mode: 'daily', label: 'Daily' },
+        { mode: 'survival', label: 'Survival' }
+    ];
+
+    modes.forEach(({ mode, label }) => {
+        // Create the tab with appropriate active state
+        const tab = document.createElement('div');
+        tab.className = 'leaderboard-tab' + (leaderboardView.mode === mode ? ' active' : '');
+        tab.textContent = label;
+        tab.addEventListener('click', () => {
+            // Update visual state of tabs
+            tabsContainer.querySelectorAll('.leaderboard-tab').forEach(item => item.classList.remove('active'));
+            tab.classList.add('active');
+
+            // Switch to this mode's board
+            leaderboardView.mode = mode;
+            renderLeaderboard();
+        });
+        tabsContainer.appendChild(tab);
     });
 
     // Assemble the tab system
-    tabsContainer.appendChild(classicTab);
-    tabsContainer.appendChild(timedTab);
     headerContainer.appendChild(tabsContainer);
     elements.highScoresList.appendChild(headerContainer);
 
-    // Create containers for each mode's scores
-    elements.classicScoresContainer = document.createElement('div');
-    elements.classicScoresContainer.className = 'scores-container';
-    elements.classicScoresContainer.style.display = gameState.currentMode === 'classic' ? 'block' : 'none';
+    // Board pickers and the "My scores" filter
+    elements.highScoresList.appendChild(createLeaderboardFilters());
 
-    elements.timedScoresContainer = document.createElement('div');
-    elements.timedScoresContainer.className = 'scores-container';
-    elements.timedScoresContainer.style.display = gameState.currentMode === 'timed' ? 'block' : 'none';    // Add score containers to leaderboard
-    elements.highScoresList.appendChild(elements.classicScoresContainer);
-    elements.highScoresList.appendChild(elements.timedScoresContainer);
+    // The container the current board is drawn into
+    elements.leaderboardScores = document.createElement('div');
+    elements.leaderboardScores.className = 'scores-container';
+    elements.highScoresList.appendChild(elements.leaderboardScores);
 
     // Store tabs for future reference
     elements.leaderboardTabs = tabsContainer;
 
-    // Load and display scores for both modes
-    const classicScores = loadHighScoresByMode('classic');
-    displayModeScores(classicScores, elements.classicScoresContainer);
-
-    const timedScores = loadHighScoresByMode('timed');
-    displayModeScores(timedScores, elements.timedScoresContainer);
+    renderLeaderboard();
 
     console.log('High scores display updated');
 }
 
 /**
- * Displays scores for a specific game mode in the provided container.
+ * Builds the difficulty and shape count pickers and the "My scores" filter.
+ * 
+ * @returns {HTMLElement} The filter bar
+ */
+function createLeaderboardFilters() {
+    const filters = document.createElement('div');
+    filters.className = 'leaderboard-filters';
+
+    const difficultyLabel = document.createElement('label');
+    difficultyLabel.className = 'leaderboard-board-picker';
+    difficultyLabel.textContent = 'Difficulty ';
+    elements.leaderboardDifficulty = document.createElement('select');
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+        const option = document.createElement('option');
+        option.value = difficulty;
+        option.textContent = capitalize(difficulty);
+        elements.leaderboardDifficulty.appendChild(option);
+    });
+    elements.leaderboardDifficulty.addEventListener('change', () => {
+        leaderboardView.difficulty = elements.leaderboardDifficulty.value;
+        renderLeaderboard();
+    });
+    difficultyLabel.appendChild(elements.leaderboardDifficulty);
+
+    const shapesLabel = document.createElement('label');
+    shapesLabel.className = 'leaderboard-board-picker';
+    shapesLabel.textContent = 'Shapes ';
+    elements.leaderboardShapes = document.createElement('select');
+    elements.leaderboardShapes.addEventListener('change', () => {
+        const value = elements.leaderboardShapes.value;
+        leaderboardView.shapeCount = value === '' ? null : Number(value);
+        renderLeaderboard();
+    });
+    shapesLabel.appendChild(elements.leaderboardShapes);
+
+    const mineLabel = document.createElement('label');
+    mineLabel.className = 'leaderboard-mine';
+    const mineCheckbox = document.createElement('input');
+    mineCheckbox.type = 'checkbox';
+    mineCheckbox.checked = leaderboardView.mineOnly;
+    mineCheckbox.addEventListener('change', () => {
+        leaderboardView.mineOnly = mineCheckbox.checked;
+        renderLeaderboard();
+    });
+    mineLabel.append(mineCheckbox, ' My scores');
+
+    filters.append(difficultyLabel, shapesLabel, mineLabel);
+
+    return filters;
+}
+
+/**
+ * Gets the player whose scores "My scores" and the personal best refer to.
+ * 
+ * @returns {string} The name in the setup modal, or the last player's name
+ */
+function getLeaderboardPlayer() {
+    return elements.playerNameInput.value.trim() || gameState.playerName || '';
+}
+
+/**
+ * Draws the board the leaderboard view points at.
+ * 
+ * @returns {void}
+ */
+function renderLeaderboard() {
+    if (!elements.leaderboardScores) return;
+
+    const { mode } = leaderboardView;
+    const entries = mode === 'daily' ? loadDailyScores() : loadHighScoresByMode(mode);
+    const split = isSplitMode(mode);
+
+    // Only Classic and Timed have a board per difficulty and shape count
+    elements.highScoresList.querySelectorAll('.leaderboard-board-picker').forEach(picker => {
+        picker.classList.toggle('hidden', !split);
+    });
+
+    let board = { mode, difficulty: null, shapeCount: null };
+
+    if (split) {
+        elements.leaderboardDifficulty.value = leaderboardView.difficulty;
+
+        // Offer every shape count this difficulty has scores for, plus the
+        // one being looked at
+        const counts = getShapeCounts(entries, mode, leaderboardView.difficulty);
+        if (!counts.includes(leaderboardView.shapeCount)) {
+            counts.push(leaderboardView.shapeCount);
+            counts.sort((a, b) => (a === null) - (b === null) || a - b);
+        }
+
+        elements.leaderboardShapes.replaceChildren(...counts.map(count => {
+            const option = document.createElement('option');
+            option.value = count === null ? '' : String(count);
+            option.textContent = count === null ? 'Not recorded' : String(count);
+            return option;
+        }));
+        elements.leaderboardShapes.value = leaderboardView.shapeCount === null ? '' : String(leaderboardView.shapeCount);
+
+        board = { mode, difficulty: leaderboardView.difficulty, shapeCount: leaderboardView.shapeCount };
+    }
+
+    elements.leaderboardScores.replaceChildren();
+    displayModeScores(getBoardEntries(entries, board), elements.leaderboardScores, mode);
+}
+
+/**
+ * Leaderboard columns, and which way each sorts first when clicked.
+ * 
+ * @param {string} mode - The board's game mode
+ * @returns {Array<{column: string, label: string, className: string, firstDirection: string}>} Columns in display order
+ */
+function getLeaderboardColumns(mode) {
+    return [
+        { column: 'rank', label: 'Rank', className: 'rank-col', firstDirection: 'ascending' },
+        { column: 'name', label: 'Player', className: 'name-col', firstDirection: 'ascending' },
+        { column: 'points', label: 'Points', className: 'points-col', firstDirection: 'descending' },
+        { column: 'score', label: 'Matches', className: 'score-col', firstDirection: 'descending' },
+        mode === 'survival' ?
+            { column: 'level', label: 'Level', className: 'details-col', firstDirection: 'descending' } :
+            { column: 'date', label: 'Date', className: 'details-col', firstDirection: 'descending' }
+    ];
+}
+
+/**
+ * Displays scores for a specific board in the provided container.
  * 
- * This helper function renders the actual score entries for either Classic
- * or Timed mode. It creates a beautiful, organized table-like layout with
- * special styling for top performers.
+ * This helper function renders the actual score entries for a board. It
+ * creates a beautiful, organized table-like layout with special styling for
+ * top performers.
  * 
  * The function handles both empty and populated leaderboards gracefully:
  * - Empty leaderboards show an encouraging "No high scores yet!" message
  * - Populated leaderboards display a professional ranking table
- * - Top 3 positions get special gold/silver/bronze styling
- * - All entries show rank, player name, score, and difficulty
+ * - Top 3 positions get special gold/silver/bronze styling, and the rest of
+ *   the top 10 (gameConfig.leaderboard.highlightTop) are highlighted too
+ * - Column headings sort the table; ranks always stay the board's ranks
+ * - The current player's rows are marked, with a star on their personal best
+ * - "My scores" hides everyone else's rows
  * 
  * @example
- * // Display classic mode scores
- * const classicScores = loadHighScoresByMode('classic');
- * displayModeScores(classicScores, classicContainer);
- * 
- * // Display timed mode scores
- * const timedScores = loadHighScoresByMode('timed');
- * displayModeScores(timedScores, timedContainer);
+ * // Display the easy, 10-shape Classic board
+ * const board = { mode: 'classic', difficulty: 'easy', shapeCount: 10 };
+ * displayModeScores(getBoardEntries(loadHighScoresByMode('classic'), board), container, 'classic');
  * 
  * @function
- * @param {Array} scores - Array of score objects to display
+ * @param {Array} scores - Array of score objects to display, best first (ranks are added if missing)
  * @param {HTMLElement} container - DOM element to render scores into
+ * @param {string} [mode] - The board's game mode; Survival shows the level reached instead of the date
  * @returns {void}
  * @throws {Error} If container is not a valid DOM element
  */
-export function displayModeScores(scores, container) {
+export function displayModeScores(scores, container, mode) {
     if (!container || !container.appendChild) {
         throw new Error('displayModeScores requires a valid DOM container element');
     }
 
     // Handle empty leaderboard case
     if (!scores || scores.length === 0) {
-        container.innerHTML = '<p class="no-scores">No high scores yet!</p>';
+        const empty = document.createElement('p');
+        empty.className = 'no-scores';
+        empty.textContent = 'No high scores yet!';
+        container.appendChild(empty);
         return;
     }
 
-    // Create leaderboard table header
+    const ranked = scores.map((score, index) => (score.rank ? score : { ...score, rank: index + 1 }));
+    const playerName = getLeaderboardPlayer();
+    const personalBest = getPersonalBest(ranked, playerName);
+    const columns = getLeaderboardColumns(mode);
+    const { highlightTop } = gameConfig.leaderboard;
+
+    // Sort by the chosen column (falling back to rank if this board doesn't have it)
+    if (!columns.some(item => item.column === leaderboardView.sortColumn)) {
+        leaderboardView.sortColumn = 'rank';
+        leaderboardView.sortDirection = 'ascending';
+    }
+    let rows = sortBoardEntries(ranked, leaderboardView.sortColumn, leaderboardView.sortDirection);
+
+    if (leaderboardView.mineOnly) {
+        rows = rows.filter(score => isPlayerEntry(score, playerName));
+    }
+
+    // Create leaderboard table header, with a sort button per column
     const leaderboardHeader = document.createElement('div');
     leaderboardHeader.classList.add('high-score-header');
-    leaderboardHeader.innerHTML = `
-        <span class="rank-col">Rank</span>
-        <span class="name-col">Player</span>
-        <span class="score-col">Score</span>
-        <span class="details-col">Difficulty</span>
-    `;
+    columns.forEach(({ column, label, className, firstDirection }) => {
+        const heading = document.createElement('span');
+        heading.className = className;
+        heading.setAttribute('role', 'columnheader');
+
+        const sorted = leaderboardView.sortColumn === column;
+        heading.setAttribute('aria-sort', sorted ? leaderboardView.sortDirection : 'none');
+
+        const button = document.createElement('button');
+        button.className = 'sort-btn';
+        button.textContent = label + (sorted ? (leaderboardView.sortDirection === 'ascending' ? ' ▲' : ' ▼') : '');
+        button.addEventListener('click', () => {
+            if (sorted) {
+                leaderboardView.sortDirection = leaderboardView.sortDirection === 'ascending' ? 'descending' : 'ascending';
+            } else {
+                leaderboardView.sortColumn = column;
+                leaderboardView.sortDirection = firstDirection;
+            }
+            renderLeaderboard();
+        });
+
+        heading.appendChild(button);
+        leaderboardHeader.appendChild(heading);
+    });
     container.appendChild(leaderboardHeader);
 
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'no-scores';
+        empty.textContent = playerName ? `No scores for ${playerName} on this board yet!` : 'Enter your name to see your scores';
+        container.appendChild(empty);
+        return;
+    }
+
     // Create individual score entries
-    scores.forEach((score, index) => {
+    rows.forEach(score => {
         const scoreItem = document.createElement('div');
         scoreItem.classList.add('high-score-item');
 
         // Apply special styling for top 3 positions
-        if (index === 0) scoreItem.classList.add('gold');
-        if (index === 1) scoreItem.classList.add('silver');
-        if (index === 2) scoreItem.classList.add('bronze');
-
-        // Format the score entry with proper data
-        scoreItem.innerHTML = `
-            <span class="rank-col">${index + 1}</span>
-            <span class="name-col">${score.name}</span>
-            <span class="score-col">${score.score}</span>
-            <span class="details-col">${capitalize(score.difficulty)}</span>
-        `;
+        if (score.rank === 1) scoreItem.classList.add('gold');
+        if (score.rank === 2) scoreItem.classList.add('silver');
+        if (score.rank === 3) scoreItem.classList.add('bronze');
+
+        // Highlight the top of the board, and mark where it ends when the
+        // table is in rank order
+        scoreItem.classList.add(score.rank <= highlightTop ? 'top-ten' : 'below-top');
+        if (score.rank === highlightTop && leaderboardView.sortColumn === 'rank' && rows.length > highlightTop) {
+            scoreItem.classList.add('top-ten-last');
+        }
+
+        if (isPlayerEntry(score, playerName)) scoreItem.classList.add('mine');
+
+        const isBest = personalBest !== null && score.rank === personalBest.rank;
+        const details = mode === 'survival' ? score.level : new Date(score.date).toLocaleDateString();
+
+        // Fill in the score entry - everything goes in as text, so a name
+        // can never turn into markup
+        const nameCell = createScoreCell('name-col', score.name);
+        if (isBest) {
+            const badge = createScoreCell('personal-best', '⭐ PB');
+            badge.title = 'Personal best';
+            nameCell.append(' ', badge);
+        }
+
+        scoreItem.append(
+            createScoreCell('rank-col', score.rank),
+            nameCell,
+            createScoreCell('points-col', score.points !== undefined ? score.points : '-'),
+            createScoreCell('score-col', score.score),
+            createScoreCell('details-col', details)
+        );
 
         container.appendChild(scoreItem);
     });
 
-    console.log(`Displayed ${scores.length} scores in leaderboard`);
+    console.log(`Displayed ${rows.length} scores in leaderboard`);
+}
+
+/**
+ * Creates one cell of a leaderboard row.
+ * 
+ * @param {string} className - The cell's column class
+ * @param {*} value - What the cell shows (always set as text)
+ * @returns {HTMLSpanElement} The cell
+ */
+function createScoreCell(className, value) {
+    const cell = document.createElement('span');
+    cell.className = className;
+    cell.textContent = String(value);
+    return cell;
 }
 
 /**
@@ -685,13 +1202,13 @@ export function displayModeScores(scores, container) {
  * updateDifficultyTooltips('classic'); // Tooltips show classic mode rules
  * 
  * @function
- * @param {string} mode - The game mode to display tooltips for ('classic' or 'timed')
+ * @param {string} mode - The game mode to display tooltips for ('classic', 'timed', 'daily' or 'survival')
  * @returns {void}
  * @throws {Error} If mode is not a valid game mode string
  */
 export function updateDifficultyTooltips(mode) {
-    if (typeof mode !== 'string' || !['classic', 'timed'].includes(mode)) {
-        throw new Error('updateDifficultyTooltips requires a valid mode: "classic" or "timed"');
+    if (typeof mode !== 'string' || !gameConfig.tooltips[mode]) {
+        throw new Error('updateDifficultyTooltips requires a valid mode: "classic", "timed", "daily" or "survival"');
     }
 
     // Update difficulty button tooltips
@@ -717,6 +1234,10 @@ export function updateDifficultyTooltips(mode) {
                 tooltipElement.innerHTML = "Standard gameplay<br>Find matching shapes<br>3 attempts per round";
             } else if (buttonMode === 'timed') {
                 tooltipElement.innerHTML = "Race against the clock<br>Gain time for correct matches<br>Lose time for mistakes<br>Bonus time for color matches";
+            } else if (buttonMode === 'daily') {
+                tooltipElement.innerHTML = "Same boards for everyone today<br>One scored attempt per day<br>Build a streak by playing every day";
+            } else if (buttonMode === 'survival') {
+                tooltipElement.innerHTML = "Starts easy, gets harder as you go<br>Level up every 3 correct matches<br>No clock - play until your hearts run out";
             }
         }
     });
@@ -724,6 +1245,139 @@ export function updateDifficultyTooltips(mode) {
     console.log(`Updated tooltips for ${mode} mode`);
 }
 
+/**
+ * Whether the end game confirmation dialog paused the game itself (and so
+ * should resume it when cancelled).
+ * 
+ * @type {boolean}
+ */
+let confirmationPausedGame = false;
+
+/**
+ * Pauses the game and shows the pause screen.
+ * 
+ * Used by the Pause button, the Escape key and switching to another tab.
+ * The board is hidden while paused so nobody can study it during the break,
+ * and the game stays paused until the player chooses Resume - even after
+ * coming back to the tab.
+ * 
+ * Does nothing if there's no game running (or it's already paused).
+ * 
+ * @function
+ * @returns {void}
+ */
+export function showPauseScreen() {
+    if (!pauseGame()) return;
+
+    elements.pauseScreen.classList.remove('hidden');
+    trapFocus(elements.pauseScreen, elements.resumeButton);
+
+    console.log('Game paused');
+}
+
+/**
+ * Hides the pause screen and carries on exactly where the game stopped.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function hidePauseScreen() {
+    elements.pauseScreen.classList.add('hidden');
+
+    if (resumeGame()) {
+        console.log('Game resumed');
+    }
+
+    // Back to the shape (or button) the player was on, now the board is showing again
+    releaseFocus(elements.pauseScreen);
+}
+
+/**
+ * Handles the game's keyboard shortcuts.
+ * 
+ * - Escape pauses a running game, resumes a paused one, and closes the
+ *   settings panel or cancels the end game dialog if either is open
+ * - The pause shortcut (P) pauses and resumes
+ * - The quit shortcut (Q) asks to end the current game
+ * - The restart shortcut (R) plays again from the game over screen
+ * - The settings shortcut (S) opens the settings panel
+ * - The mute (M) and volume (- and +) shortcuts work at any time, even with
+ *   the settings panel open
+ * 
+ * The shortcuts are set in gameConfig.keyboard.shortcuts, and are ignored
+ * while typing in a text box or with Ctrl, Alt or Cmd held down.
+ * 
+ * @param {KeyboardEvent} event - The key press
+ * @returns {void}
+ */
+function handleShortcutKey(event) {
+    const dialogOpen = elements.endGameDialog.style.display === 'block';
+    const pauseScreenOpen = !elements.pauseScreen.classList.contains('hidden');
+    const settingsOpen = isSettingsOpen();
+
+    if (event.key === 'Escape') {
+        if (settingsOpen) {
+            hideSettingsModal();
+        } else if (dialogOpen) {
+            hideEndGameConfirmation();
+        } else if (pauseScreenOpen) {
+            hidePauseScreen();
+        } else {
+            showPauseScreen();
+        }
+        return;
+    }
+
+    if (event.ctrlKey || event.altKey || event.metaKey || event.repeat || isTextEntry(event.target)) return;
+
+    const { pause, quit, restart, settings, mute, volumeDown, volumeUp } = gameConfig.keyboard.shortcuts;
+
+    // '=' is the + key without Shift on most keyboards
+    const key = event.key === '=' ? '+' : event.key.toLowerCase();
+
+    // Sound shortcuts work everywhere, even mid-round
+    if (key === mute) {
+        toggleMuteSetting();
+        return;
+    }
+    if (key === volumeDown || key === volumeUp) {
+        stepMasterVolume(key === volumeUp ? 1 : -1);
+        return;
+    }
+
+    // The other shortcuts wait until the settings panel is closed
+    if (settingsOpen) return;
+
+    if (key === settings && !dialogOpen) {
+        showSettingsModal();
+    } else if (key === pause && !dialogOpen) {
+        if (pauseScreenOpen) {
+            hidePauseScreen();
+        } else {
+            showPauseScreen();
+        }
+    } else if (key === quit && !dialogOpen && !pauseScreenOpen && gameState.isGameActive && !gameState.gameOver) {
+        showEndGameConfirmation();
+    } else if (key === restart && !elements.gameOverScreen.classList.contains('hidden') &&
+        !elements.restartButton.classList.contains('hidden')) {
+        restartGame();
+    }
+}
+
+/**
+ * Checks whether an element takes typing, so letter shortcuts leave it alone.
+ * 
+ * @param {EventTarget} target - Where the key was pressed
+ * @returns {boolean} True for text boxes, dropdowns and editable content
+ */
+function isTextEntry(target) {
+    if (!target || !target.tagName) return false;
+
+    const tag = target.tagName.toLowerCase();
+    return target.isContentEditable || tag === 'textarea' || tag === 'select' ||
+        (tag === 'input' && !['button', 'checkbox', 'radio', 'range'].includes(target.type));
+}
+
 /**
  * Shows the end game confirmation dialog.
  * 
@@ -731,21 +1385,23 @@ export function updateDifficultyTooltips(mode) {
  * quit an active game. This prevents accidental quits and gives players a
  * chance to continue if they clicked quit by mistake.
  * 
- * While the dialog is shown, the game is paused to prevent any unfair
- * time loss or unwanted game state changes.
+ * While the dialog is shown, the game is paused (clock, moving shapes,
+ * confetti and the next round all wait) to prevent any unfair time loss or
+ * unwanted game state changes.
  * 
  * @function
  * @returns {void}
  */
 export function showEndGameConfirmation() {
     // Pause the game while confirmation is shown
-    if (gameState.currentMode === 'timed') {
-        stopTimer();
-    }
-    stopMovingShapes();
+    confirmationPausedGame = pauseGame();
+
     // Show the confirmation dialog and overlay
     document.getElementById('confirmation-overlay').style.display = 'block';
-    document.getElementById('end-game-dialog').style.display = 'block';
+    elements.endGameDialog.style.display = 'block';
+
+    // Start on Cancel, so pressing Enter by mistake doesn't end the game
+    trapFocus(elements.endGameDialog, elements.cancelEndGameButton);
 
     console.log('End game confirmation dialog shown');
 }
@@ -757,10 +1413,9 @@ export function showEndGameConfirmation() {
  * confirm they want to end the game. It cleans up the modal interface and
  * resumes the game exactly where it left off.
  * 
- * The function intelligently resumes only the appropriate game systems:
- * - Timers are only restarted in timed mode
- * - Shape movement is only restarted if the game isn't over
- * - The game state remains unchanged (no progress is lost)
+ * The game is only resumed if the dialog paused it - if the player confirmed,
+ * the game is already over, and the game state remains unchanged either way
+ * (no progress is lost).
  * 
  * This ensures that canceling the quit dialog returns players to exactly
  * the same game state they were in before.
@@ -771,17 +1426,45 @@ export function showEndGameConfirmation() {
 export function hideEndGameConfirmation() {
     // Hide the confirmation dialog and overlay
     document.getElementById('confirmation-overlay').style.display = 'none';
-    document.getElementById('end-game-dialog').style.display = 'none';
+    elements.endGameDialog.style.display = 'none';
 
     // Resume the game only if it's still active
-    if (!gameState.gameOver) {
-        if (gameState.currentMode === 'timed') {
-            startTimer();
-        }
-        if (gameState.currentDifficulty === 'hard') {
-            startMovingShapes();
-        }
+    if (confirmationPausedGame && !gameState.gameOver) {
+        resumeGame();
     }
+    confirmationPausedGame = false;
+
+    // Focus goes back to where it was (unless the game over screen has it now)
+    releaseFocus(elements.endGameDialog);
 
     console.log('End game confirmation dialog hidden, game resumed');
-}
\ No newline at end of file
+}
+/**
+ * Timeout that hides the storage warning banner.
+ * 
+ * @type {?number}
+ */
+let storageWarningTimeout = null;
+
+/**
+ * Shows a short warning when progress couldn't be saved.
+ * 
+ * Storage problems (usually a full device) shouldn't interrupt the game, so
+ * instead of an error dialog we show a banner for a few seconds and announce
+ * it to screen readers.
+ * 
+ * @function
+ * @param {string} message - Friendly description of the problem
+ * @returns {void}
+ */
+export function showStorageWarning(message) {
+    const warning = elements.storageWarning;
+
+    warning.textContent = message;
+    warning.classList.remove('hidden');
+
+    clearTimeout(storageWarningTimeout);
+    storageWarningTimeout = setTimeout(() => {
+        warning.classList.add('hidden');
+    }, 8000);
+}
@@ -0,0 +1,152 @@
+/**
+ * Focus Trap Module
+ * 
+ * While a dialog is open (the setup modal, the game over screen, the end game
+ * dialog, ...) keyboard players should stay inside it: Tab on the last button
+ * wraps round to the first, and Shift+Tab on the first goes to the last,
+ * instead of wandering off to the hidden game board behind it. When the
+ * dialog closes, focus goes back to wherever it was before it opened, so a
+ * keyboard player doesn't have to find their place again.
+ * 
+ * Dialogs can open on top of each other (the badge gallery opens from the
+ * setup modal), so traps stack up and only the top one is active.
+ * 
+ * @fileoverview Keeps keyboard focus inside open dialogs and restores it after
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Elements that can take keyboard focus.
+ * 
+ * @type {string}
+ */
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Open traps, the active one last.
+ * 
+ * @type {Array<{container: HTMLElement, returnFocus: ?HTMLElement}>}
+ */
+const traps = [];
+
+/**
+ * Checks whether an element is on the page and visible, so it can take focus.
+ * 
+ * @param {?Element} element - The element
+ * @returns {boolean} True if it can be focused
+ */
+function isVisible(element) {
+    return Boolean(element) && element.isConnected && element.getClientRects().length > 0;
+}
+
+/**
+ * Lists the elements in a container that Tab can reach, in Tab order.
+ * 
+ * @param {HTMLElement} container - The dialog
+ * @returns {Array<HTMLElement>} Its focusable, visible elements
+ */
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE)].filter(isVisible);
+}
+
+/**
+ * Keeps Tab and Shift+Tab inside the active trap.
+ * 
+ * @param {KeyboardEvent} event - The key press
+ * @returns {void}
+ */
+function handleTrapKey(event) {
+    if (event.key !== 'Tab' || traps.length === 0) return;
+
+    const { container } = traps[traps.length - 1];
+    const focusable = getFocusableElements(container);
+
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!container.contains(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Traps keyboard focus inside a dialog that has just opened.
+ * 
+ * Focus moves to initialFocus (or the dialog's first focusable element), and
+ * whatever had focus before is remembered for releaseFocus(). Trapping a
+ * dialog that is already trapped just moves focus.
+ * 
+ * @example
+ * elements.pauseScreen.classList.remove('hidden');
+ * trapFocus(elements.pauseScreen, elements.resumeButton);
+ * 
+ * @function
+ * @param {HTMLElement} container - The dialog
+ * @param {HTMLElement} [initialFocus] - Element to focus first
+ * @returns {void}
+ */
+export function trapFocus(container, initialFocus) {
+    if (traps.length === 0) {
+        document.addEventListener('keydown', handleTrapKey);
+    }
+
+    if (!traps.some(trap => trap.container === container)) {
+        traps.push({ container, returnFocus: document.activeElement });
+    }
+
+    const target = isVisible(initialFocus) ? initialFocus : getFocusableElements(container)[0];
+    if (target) {
+        target.focus();
+    }
+}
+
+/**
+ * Releases a dialog's focus trap when it closes.
+ * 
+ * If it was the active trap, focus goes back to where it was before the
+ * dialog opened (as long as that element is still there to focus). Releasing
+ * a dialog that isn't trapped does nothing.
+ * 
+ * @example
+ * elements.pauseScreen.classList.add('hidden');
+ * releaseFocus(elements.pauseScreen);
+ * 
+ * @function
+ * @param {HTMLElement} container - The dialog
+ * @returns {void}
+ */
+export function releaseFocus(container) {
+    const index = traps.findIndex(trap => trap.container === container);
+    if (index === -1) return;
+
+    const [{ returnFocus }] = traps.splice(index, 1);
+
+    if (index === traps.length && isVisible(returnFocus)) {
+        returnFocus.focus();
+    }
+
+    if (traps.length === 0) {
+        document.removeEventListener('keydown', handleTrapKey);
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * Game Rules Engine Module
+ * 
+ * This module is the referee of our game - and only the referee. It knows the
+ * rules (what counts as a match, when attempts reset, how much time a correct
+ * answer earns, when the game is over) but it never touches the page, never
+ * plays a sound and never launches confetti. That makes it possible to run the
+ * whole game in Node, in a test, or in a simulation with no browser at all.
+ * 
+ * The engine works like a tiny reducer:
+ * 
+ *     const { state, events } = applyAction(state, actions.selectShape(3));
+ * 
+ * You hand it the current state and an action, and it hands back a brand new
+ * state plus a list of events describing what happened ("correctMatch",
+ * "attemptsChanged", "gameOver", ...). The old state is never modified.
+ * 
+ * For the browser we wrap that in createEngine(), which keeps the current
+ * state and lets the UI subscribe to events. The UI then decides how to show
+ * them: sounds, shakes, confetti and the game over screen all live in
+ * gameLogic.js as reactions to engine events.
+ * 
+ * @fileoverview Pure, DOM-free game rules engine with an event-emitting store
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { scoreMatch } from './scoring.js';
+
+/**
+ * Builds the rule set for a difficulty and mode from the game configuration.
+ * 
+ * Everything the engine needs to know about the rules is captured here as
+ * plain data, so tests can also hand-craft their own rule sets.
+ * 
+ * @example
+ * const rules = createRules('hard', 'timed');
+ * rules.resetAttemptsOnCorrect; // false - hard mode never gives hearts back
+ * 
+ * @function
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {string} mode - Game mode ('classic', 'timed', 'daily', 'survival')
+ * @param {Object} [config=gameConfig] - Configuration to read settings from
+ * @returns {Object} Plain rules object used by the engine
+ * @throws {Error} If the difficulty is not configured
+ */
+export function createRules(difficulty, mode, config = gameConfig) {
+    const settings = config.difficulty[difficulty];
+
+    if (!settings) {
+        throw new Error(`createRules requires a configured difficulty, got "${difficulty}"`);
+    }
+
+    return {
+        difficulty,
+        mode,
+        maxAttempts: config.maxAttempts,
+        matchColor: difficulty !== 'easy',              // Medium and hard need shape AND color
+        resetAttemptsOnCorrect: difficulty !== 'hard',  // Hard mode: 3 attempts total
+        colorMatchBonus: difficulty === 'easy',         // Easy mode rewards a lucky color match
+        timed: mode === 'timed',
+        timeLimit: settings.timeLimit,
+        timeBonus: { ...settings.timeBonus },
+        timePenalty: settings.timePenalty,
+        timeWarnings: config.timer.warnings.map(warning => ({ ...warning })),
+        scoring: config.scoring
+    };
+}
+
+/**
+ * Action creators for everything that can happen in a game.
+ * 
+ * Actions are plain objects, so they can be logged, stored and replayed.
+ * 
+ * @example
+ * engine.dispatch(actions.newGame(createRules('easy', 'classic')));
+ * engine.dispatch(actions.newRound({ target, shapes }));
+ * engine.dispatch(actions.selectShape(4, 1830));
+ * engine.dispatch(actions.tick(16.7));
+ * 
+ * @type {Object}
+ */
+export const actions = {
+    /**
+     * Starts a fresh game with the given rules.
+     * @param {Object} rules - Rules from createRules()
+     * @returns {Object} Action
+     */
+    newGame: rules => ({ type: 'newGame', rules }),
+
+    /**
+     * Puts a new board in front of the player.
+     * @param {{target: {type: string, color: string}, shapes: Array<{id: number, type: string, color: string}>}} board - The round's target and shapes
+     * @returns {Object} Action
+     */
+    newRound: board => ({ type: 'newRound', target: board.target, shapes: board.shapes }),
+
+    /**
+     * Switches the rules mid-game, keeping score, hearts and time
+     * (Survival mode does this as the player levels up).
+     * @param {Object} rules - Rules from createRules()
+     * @returns {Object} Action
+     */
+    changeRules: rules => ({ type: 'changeRules', rules }),
+
+    /**
+     * The player picked a shape on the board.
+     * @param {number} id - Board id of the chosen shape
+     * @param {number} [reactionMs] - Milliseconds since the board appeared (no speed bonus without it)
+     * @returns {Object} Action
+     */
+    selectShape: (id, reactionMs) => ({ type: 'selectShape', id, reactionMs }),
+
+    /**
+     * Time has passed.
+     * @param {number} ms - Milliseconds elapsed since the last tick
+     * @returns {Object} Action
+     */
+    tick: ms => ({ type: 'tick', ms }),
+
+    /**
+     * The player chose to stop the game.
+     * @returns {Object} Action
+     */
+    quit: () => ({ type: 'quit' })
+};
+
+/**
+ * Creates the engine state before any game has started.
+ * 
+ * @function
+ * @param {Object} [rules=createRules('easy', 'classic')] - Rules for the game
+ * @returns {Object} Initial engine state
+ */
+export function createInitialState(rules = createRules('easy', 'classic')) {
+    return {
+        rules,
+        phase: 'idle',          // idle -> playing -> roundComplete -> playing ... -> over
+        score: 0,               // Correct matches
+        points: 0,              // Points from scoring.js
+        combo: 0,               // Correct answers in a row
+        bestCombo: 0,
+        attemptsLeft: rules.maxAttempts,
+        timeRemaining: rules.timed ? rules.timeLimit : 0,
+        round: 0,
+        target: null,
+        shapes: []
+    };
+}
+
+/**
+ * Checks whether a board shape matches the target under the given rules.
+ * 
+ * @function
+ * @param {{type: string, color: string}} shape - The chosen shape
+ * @param {{type: string, color: string}} target - The target shape
+ * @param {Object} rules - Rules from createRules()
+ * @returns {boolean} True if the shape counts as a correct match
+ */
+export function isCorrectMatch(shape, target, rules) {
+    if (!shape || !target) return false;
+
+    if (!rules.matchColor) {
+        // In easy mode, only shape type matters
+        return shape.type === target.type;
+    }
+
+    // In medium and hard modes, both shape type AND color must match
+    return shape.type === target.type && shape.color === target.color;
+}
+
+/**
+ * Ends the game, returning the updated state and the gameOver event.
+ * 
+ * @param {Object} state - State to end
+ * @param {string} reason - Why the game ended ('attempts', 'time' or 'quit')
+ * @param {Array} events - Event list to append to
+ * @returns {Object} The finished state
+ */
+function finishGame(state, reason, events) {
+    const finished = { ...state, phase: 'over' };
+    events.push({ type: 'gameOver', reason, score: finished.score, points: finished.points, bestCombo: finished.bestCombo });
+    return finished;
+}
+
+/**
+ * Adds a timeWarning event for every warning threshold the clock just
+ * dropped to (or past).
+ * 
+ * A bonus can lift the clock back above a threshold, so the same warning
+ * can fire again the next time the time runs low.
+ * 
+ * @param {Object} rules - Rules from createRules()
+ * @param {number} before - Seconds left before the change
+ * @param {number} after - Seconds left after the change
+ * @param {Array} events - Event list to append to
+ * @returns {void}
+ */
+function addTimeWarnings(rules, before, after, events) {
+    (rules.timeWarnings || []).forEach(warning => {
+        if (before > warning.seconds && after <= warning.seconds && after > 0) {
+            events.push({ type: 'timeWarning', warning, timeRemaining: after });
+        }
+    });
+}
+
+/**
+ * Applies one action to the engine state.
+ * 
+ * This is the whole rule book in one function. It never mutates the state it
+ * is given and never touches the DOM - it only returns what the new state is
+ * and which events happened along the way.
+ * 
+ * Events emitted:
+ * - gameStarted { rules }
+ * - roundStarted { round, target }
+ * - rulesChanged { rules }
+ * - correctMatch { shapeId, shape, score, timeBonus, points, breakdown, combo }
+ * - wrongMatch { shapeId, shape, attemptsLeft, timePenalty }
+ * - scoreChanged { score }
+ * - pointsChanged { points, earned }
+ * - comboChanged { combo }
+ * - attemptsChanged { attemptsLeft }
+ * - timeChanged { timeRemaining }
+ * - timeWarning { warning, timeRemaining }
+ * - gameOver { reason, score, points, bestCombo }
+ * 
+ * @example
+ * let result = applyAction(createInitialState(), actions.newGame(createRules('easy', 'classic')));
+ * result = applyAction(result.state, actions.newRound({ target, shapes }));
+ * result = applyAction(result.state, actions.selectShape(0));
+ * result.events.map(event => event.type);
+ * // ['correctMatch', 'scoreChanged', 'pointsChanged', 'comboChanged', 'attemptsChanged']
+ * 
+ * @function
+ * @param {Object} state - Current engine state
+ * @param {Object} action - Action from the actions creators
+ * @returns {{state: Object, events: Array<Object>}} New state and emitted events
+ * @throws {Error} If the action type is unknown
+ */
+export function applyAction(state, action) {
+    const events = [];
+
+    switch (action.type) {
+        case 'newGame': {
+            const next = { ...createInitialState(action.rules), phase: 'roundComplete' };
+            events.push({ type: 'gameStarted', rules: next.rules });
+            events.push({ type: 'scoreChanged', score: next.score });
+            events.push({ type: 'pointsChanged', points: next.points, earned: 0 });
+            events.push({ type: 'comboChanged', combo: next.combo });
+            events.push({ type: 'attemptsChanged', attemptsLeft: next.attemptsLeft });
+            if (next.rules.timed) {
+                events.push({ type: 'timeChanged', timeRemaining: next.timeRemaining });
+            }
+            return { state: next, events };
+        }
+
+        case 'newRound': {
+            if (state.phase === 'over' || state.phase === 'idle') {
+                return { state, events };
+            }
+
+            const next = {
+                ...state,
+                phase: 'playing',
+                round: state.round + 1,
+                target: { ...action.target },
+                shapes: action.shapes.map(shape => ({ id: shape.id, type: shape.type, color: shape.color }))
+            };
+            events.push({ type: 'roundStarted', round: next.round, target: next.target });
+            return { state: next, events };
+        }
+
+        case 'changeRules': {
+            if (state.phase === 'over') {
+                return { state, events };
+            }
+
+            const next = { ...state, rules: action.rules };
+            events.push({ type: 'rulesChanged', rules: next.rules });
+            return { state: next, events };
+        }
+
+        case 'selectShape': {
+            // Ignore clicks between rounds and after the game is over
+            if (state.phase !== 'playing') {
+                return { state, events };
+            }
+
+            const shape = state.shapes.find(item => item.id === action.id);
+            if (!shape) {
+                return { state, events };
+            }
+
+            const { rules } = state;
+
+            if (isCorrectMatch(shape, state.target, rules)) {
+                let timeBonus = 0;
+                if (rules.timed) {
+                    timeBonus = rules.timeBonus.correct;
+
+                    // In easy mode, add color match bonus if colors happen to match
+                    if (rules.colorMatchBonus && shape.color === state.target.color) {
+                        timeBonus += rules.timeBonus.colorMatch;
+                    }
+                }
+
+                // Every shape on the board that isn't a match is a distractor
+                const combo = state.combo + 1;
+                const distractors = state.shapes.filter(item => !isCorrectMatch(item, state.target, rules)).length;
+                const breakdown = scoreMatch({ reactionMs: action.reactionMs, combo, distractors }, rules.scoring);
+
+                const next = {
+                    ...state,
+                    phase: 'roundComplete',
+                    score: state.score + 1,
+                    points: state.points + breakdown.points,
+                    combo,
+                    bestCombo: Math.max(state.bestCombo, combo),
+                    attemptsLeft: rules.resetAttemptsOnCorrect ? rules.maxAttempts : state.attemptsLeft,
+                    timeRemaining: state.timeRemaining + timeBonus
+                };
+
+                events.push({
+                    type: 'correctMatch',
+                    shapeId: shape.id,
+                    shape,
+                    score: next.score,
+                    timeBonus,
+                    points: breakdown.points,
+                    breakdown,
+                    combo
+                });
+                events.push({ type: 'scoreChanged', score: next.score });
+                events.push({ type: 'pointsChanged', points: next.points, earned: breakdown.points });
+                events.push({ type: 'comboChanged', combo: next.combo });
+                events.push({ type: 'attemptsChanged', attemptsLeft: next.attemptsLeft });
+                if (timeBonus > 0) {
+                    events.push({ type: 'timeChanged', timeRemaining: next.timeRemaining });
+                }
+                return { state: next, events };
+            }
+
+            // Incorrect match: lose a heart and the combo, and some time in timed mode
+            const timePenalty = rules.timed ? Math.min(rules.timePenalty, Math.max(0, state.timeRemaining - 1)) : 0;
+            let next = {
+                ...state,
+                attemptsLeft: state.attemptsLeft - 1,
+                timeRemaining: state.timeRemaining - timePenalty,
+                combo: 0
+            };
+
+            events.push({ type: 'wrongMatch', shapeId: shape.id, shape, attemptsLeft: next.attemptsLeft, timePenalty });
+            if (state.combo > 0) {
+                events.push({ type: 'comboChanged', combo: 0 });
+            }
+            events.push({ type: 'attemptsChanged', attemptsLeft: next.attemptsLeft });
+            if (rules.timed) {
+                events.push({ type: 'timeChanged', timeRemaining: next.timeRemaining });
+                addTimeWarnings(rules, state.timeRemaining, next.timeRemaining, events);
+            }
+
+            if (next.attemptsLeft <= 0) {
+                next = finishGame(next, 'attempts', events);
+            }
+            return { state: next, events };
+        }
+
+        case 'tick': {
+            // The clock only runs in timed games that are still going
+            if (!state.rules.timed || state.phase === 'over' || state.phase === 'idle') {
+                return { state, events };
+            }
+
+            let next = { ...state, timeRemaining: Math.max(0, state.timeRemaining - action.ms / 1000) };
+            events.push({ type: 'timeChanged', timeRemaining: next.timeRemaining });
+            addTimeWarnings(state.rules, state.timeRemaining, next.timeRemaining, events);
+
+            if (next.timeRemaining <= 0) {
+                next = finishGame(next, 'time', events);
+            }
+            return { state: next, events };
+        }
+
+        case 'quit': {
+            if (state.phase === 'over') {
+                return { state, events };
+            }
+            return { state: finishGame(state, 'quit', events), events };
+        }
+
+        default:
+            throw new Error(`applyAction received an unknown action type: ${action.type}`);
+    }
+}
+
+/**
+ * Creates a stateful engine the UI can dispatch actions to and subscribe to.
+ * 
+ * This is a thin wrapper around applyAction(): it remembers the latest state
+ * and tells every subscriber about each emitted event, in order.
+ * 
+ * @example
+ * const engine = createEngine();
+ * const unsubscribe = engine.subscribe((event, state) => {
+ *     if (event.type === 'gameOver') console.log('Final score', event.score);
+ * });
+ * engine.dispatch(actions.newGame(createRules('medium', 'timed')));
+ * 
+ * @function
+ * @param {Object} [initialState=createInitialState()] - State to start from
+ * @returns {{dispatch: function(Object): Array<Object>, subscribe: function(Function): Function, getState: function(): Object}} The engine
+ */
+export function createEngine(initialState = createInitialState()) {
+    let state = initialState;
+    const listeners = new Set();
+
+    return {
+        /**
+         * Applies an action and notifies subscribers of each event.
+         * @param {Object} action - Action to apply
+         * @returns {Array<Object>} The events that were emitted
+         */
+        dispatch(action) {
+            const result = applyAction(state, action);
+            state = result.state;
+            result.events.forEach(event => {
+                listeners.forEach(listener => listener(event, state));
+            });
+            return result.events;
+        },
+
+        /**
+         * Registers a listener for engine events.
+         * @param {function(Object, Object): void} listener - Called with (event, state)
+         * @returns {function(): void} Call to unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * @returns {Object} The current engine state
+         */
+        getState() {
+            return state;
+        }
+    };
+}
@@ -27,8 +27,50 @@
 import gameState from './gameState.js';
 import { elements } from './elements.js';
 import { gameConfig } from './config.js';
-import { getRandomItem, getRandomNumber, shuffleArray, announceTo } from './utils.js';
+import { getRandomItem, getWeightedRandomItem, getRandomNumber, announceTo, createSeededRandom } from './utils.js';
 import { clearGameBoard, createTargetShape, renderShapes, resizeConfettiCanvas } from './rendering.js';
+import { getShapeTypes } from './shapeRegistry.js';
+import { createMotion, updateMotion } from './motion.js';
+import { layoutShapes } from './layout.js';
+import { resolveCollisions, separateShapes } from './collision.js';
+import { finishDailyAttempt } from './dailyChallenge.js';
+import { createEngine, createRules, actions } from './gameEngine.js';
+import { createGameTimer } from './gameTimer.js';
+import { getComboMultiplier } from './scoring.js';
+import { addLeaderboardEntry } from './leaderboards.js';
+import { getActivePalette } from './colorVision.js';
+import { isSensorySettingOn } from './sensorySettings.js';
+import { playEffect } from './soundEngine.js';
+import { sanitizePlayerName } from './namePolicy.js';
+import { recordAchievementEvent } from './achievements.js';
+import { showAchievementToast } from './achievementsScreen.js';
+import { getElementCenter } from './boardNavigation.js';
+import { describeTarget, describeRound, describeCorrectMatch, describeWrongMatch, describeGameOver } from './narration.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+import { getSurvivalLevel, getSurvivalSettings } from './survivalMode.js';
+import { recordSelection, getTargetWeights, getDistractorWeights } from './shapeMastery.js';
+import { recordGameResult } from './playerProfiles.js';
+import { readRecord, writeRecord } from './storage.js';
+import { createSessionRecord, recordRoundStart, recordClick, finishSessionRecord } from './sessionHistory.js';
+
+/**
+ * The rules engine for the current game.
+ * 
+ * The engine decides what a click or a second of time means for the score,
+ * hearts and clock (see gameEngine.js). This module only listens to the
+ * events it emits and turns them into sounds, animations and screens.
+ * 
+ * @type {Object}
+ */
+export const gameEngine = createEngine();
+
+/**
+ * Where the last selection happened, so the confetti can burst from the
+ * player's finger even though the engine knows nothing about the screen.
+ * 
+ * @type {{x: number, y: number}}
+ */
+let lastSelectionPoint = { x: 0, y: 0 };
 
 /**
  * Gets the available shapes for the current difficulty level.
@@ -45,6 +87,10 @@ import { clearGameBoard, createTargetShape, renderShapes, resizeConfettiCanvas }
  * This gradual progression helps players build their shape recognition skills
  * without being overwhelmed by too many options at once.
  * 
+ * The tiers for each difficulty come from `shapeTiers` in the config, and the
+ * shapes in each tier come from the shape registry - so shapes registered at
+ * runtime show up here automatically.
+ * 
  * @example
  * // In easy mode
  * gameState.currentDifficulty = 'easy';
@@ -58,19 +104,203 @@ import { clearGameBoard, createTargetShape, renderShapes, resizeConfettiCanvas }
  * @returns {string[]} Array of shape names available for current difficulty
  */
 export function getAvailableShapes() {
-    let availableShapes = [...gameConfig.basicShapes]; // Start with basic shapes (always available)
+    const { shapeTiers } = getDifficultySettings();
+
+    return getShapeTypes(shapeTiers);
+}
+
+/**
+ * Gets the difficulty settings the current board should be built with.
+ * 
+ * Normally that's simply the selected difficulty from the config. Survival
+ * mode blends its own settings for the current level instead, so everything
+ * that builds or moves the board asks here rather than reading the config.
+ * 
+ * @function
+ * @returns {Object} Settings shaped like an entry of gameConfig.difficulty
+ */
+export function getDifficultySettings() {
+    if (gameState.currentMode === 'survival' && gameState.survivalSettings) {
+        return gameState.survivalSettings;
+    }
+
+    return gameConfig.difficulty[gameState.currentDifficulty];
+}
+
+/**
+ * Gets the difficulty whose matching rules apply right now.
+ * 
+ * This is the selected difficulty, except in Survival mode where it follows
+ * the level ('easy' rules first, then 'medium', then 'hard').
+ * 
+ * @function
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+export function getActiveDifficulty() {
+    if (gameState.currentMode === 'survival' && gameState.survivalSettings) {
+        return gameState.survivalSettings.difficulty;
+    }
+
+    return gameState.currentDifficulty;
+}
+
+/**
+ * Gets how many shapes the current board should have.
+ * 
+ * @function
+ * @returns {number} The player's shape quantity, or the Survival level's count
+ */
+export function getActiveShapesQuantity() {
+    if (gameState.currentMode === 'survival' && gameState.survivalSettings) {
+        return gameState.survivalSettings.shapesQuantity;
+    }
+
+    return gameState.shapesQuantity;
+}
+
+/**
+ * Checks whether shapes on the current board should move.
+ * 
+ * Players who asked for shapes to fade in place instead get still shapes
+ * (see hasFadingShapes()).
+ * 
+ * @function
+ * @returns {boolean} True if the current settings have a movement speed
+ */
+export function hasMovingShapes() {
+    return getDifficultySettings().movementSpeed.max > 0 && !isSensorySettingOn('fadeInPlace');
+}
+
+/**
+ * Checks whether shapes on the current board should fade in place.
+ * 
+ * @function
+ * @returns {boolean} True if the board would move but the player asked for fades instead
+ */
+export function hasFadingShapes() {
+    return getDifficultySettings().movementSpeed.max > 0 && isSensorySettingOn('fadeInPlace');
+}
+
+/**
+ * Checks whether targets and distractors should adapt to the player.
+ * 
+ * Boards that must be identical for everyone (the Daily Challenge, or a game
+ * started from a typed-in seed) always use plain random selection. Adaptive
+ * boards can't be replayed from their seed, so the game over screen doesn't
+ * offer it for them.
+ * 
+ * @function
+ * @returns {boolean} True if selection should be weighted by shape mastery
+ */
+export function isAdaptiveSelection() {
+    return gameConfig.mastery.enabled &&
+        gameState.currentMode !== 'daily' &&
+        !gameState.requestedSeed &&
+        Boolean(gameState.playerName);
+}
+
+/**
+ * Picks the round's target shape, favouring shapes the player hasn't mastered.
+ * 
+ * @function
+ * @param {string[]} availableShapes - Shape types for the current difficulty
+ * @param {function(): number} random - The round's random generator
+ * @returns {string} The chosen shape type
+ */
+export function pickTargetShape(availableShapes, random) {
+    if (!isAdaptiveSelection()) {
+        return getRandomItem(availableShapes, random);
+    }
+
+    return getWeightedRandomItem(availableShapes, getTargetWeights(gameState.playerName, availableShapes), random);
+}
+
+/**
+ * Picks a distractor shape (any type except the target), favouring shapes
+ * the player tends to confuse with the target.
+ * 
+ * @function
+ * @param {string[]} availableShapes - Shape types for the current difficulty
+ * @param {string} targetShapeType - The round's target shape
+ * @param {function(): number} random - The round's random generator
+ * @returns {string} The chosen shape type
+ */
+export function pickDistractorShape(availableShapes, targetShapeType, random) {
+    const candidates = availableShapes.filter(type => type !== targetShapeType);
+
+    if (!isAdaptiveSelection()) {
+        return getRandomItem(candidates, random);
+    }
+
+    return getWeightedRandomItem(candidates, getDistractorWeights(gameState.playerName, targetShapeType, candidates), random);
+}
+
+/**
+ * Picks a shape's color, only repeating a color that's already on the board
+ * some of the time.
+ * 
+ * @example
+ * pickShapeColor(palette, usedColors, 0, random); // A color not on the board yet (if any are left)
+ * pickShapeColor(palette, usedColors, 1, random); // Any color
+ * 
+ * @function
+ * @param {string[]} colors - Colors to pick from
+ * @param {Set<string>} usedColors - Colors already on the board
+ * @param {number} repeatChance - Chance (0-1) of allowing a repeated color
+ * @param {function(): number} random - The round's random generator
+ * @returns {string} The chosen color (a repeat if every color is taken)
+ */
+export function pickShapeColor(colors, usedColors, repeatChance, random) {
+    const unused = colors.filter(color => !usedColors.has(color));
+
+    if (unused.length === 0 || random() < repeatChance) {
+        return getRandomItem(colors, random);
+    }
+
+    return getRandomItem(unused, random);
+}
+
+/**
+ * Moves Survival mode to the level the current score has earned.
+ * 
+ * Called at the start of every Survival round. When the level changes, the
+ * blended settings are rebuilt, the rules engine switches to the level's
+ * matching rules and the HUD shows the new level.
+ * 
+ * @function
+ * @returns {boolean} True if the level changed
+ */
+export function updateSurvivalLevel() {
+    const level = getSurvivalLevel(gameState.score);
 
-    // Add medium shapes for medium and hard difficulties
-    if (gameState.currentDifficulty === 'medium' || gameState.currentDifficulty === 'hard') {
-        availableShapes = [...availableShapes, ...gameConfig.mediumShapes];
+    if (gameState.survivalSettings && level === gameState.survivalLevel) {
+        return false;
     }
 
-    // Add hard shapes only for hard difficulty
-    if (gameState.currentDifficulty === 'hard') {
-        availableShapes = [...availableShapes, ...gameConfig.hardShapes];
+    const levelledUp = gameState.survivalLevel > 0 && level > gameState.survivalLevel;
+
+    gameState.survivalLevel = level;
+    gameState.survivalSettings = getSurvivalSettings(level);
+    gameEngine.dispatch(actions.changeRules(createRules(gameState.survivalSettings.difficulty, 'survival')));
+
+    // Show the level on the HUD (with a little pulse when it goes up)
+    elements.level.textContent = level;
+    if (levelledUp) {
+        elements.levelDisplay.classList.add('score-pulse');
+        setTimeout(() => {
+            elements.levelDisplay.classList.remove('score-pulse');
+        }, 500);
+        announceTo('polite', `Level ${level}! Things are getting harder.`);
     }
 
-    return availableShapes;
+    // The instruction text follows the level's matching rules
+    elements.findShapeText.textContent = gameState.survivalSettings.difficulty === 'easy'
+        ? 'Find this shape: (Shape Only)'
+        : 'Find this shape: (Shape AND Color)';
+
+    console.log(`Survival level ${level}: ${gameState.survivalSettings.difficulty} rules, ${gameState.survivalSettings.shapesQuantity} shapes`);
+
+    return true;
 }
 
 /**
@@ -135,9 +365,9 @@ export function applyDifficultySettings() {
  * 1. **Responsive Sizing**: Adjusts shape sizes based on screen size so the game
  *    feels natural on any device from phones to large monitors.
  * 
- * 2. **Grid-Based Positioning**: Uses an intelligent grid system to distribute
- *    shapes evenly across the screen, preventing clustering and ensuring all
- *    shapes are visible and clickable.
+ * 2. **Overlap-Free Layout**: Hands positioning to the layout engine
+ *    (layout.js), which keeps every shape's rotated footprint apart using the
+ *    strategy in gameConfig.layout (grid, Poisson-disk, clustered or ring).
  * 
  * 3. **Guaranteed Solution**: Always ensures at least one correct match exists,
  *    with smart placement to avoid making it too obvious or too hidden.
@@ -148,9 +378,15 @@ export function applyDifficultySettings() {
  * 5. **Visual Balance**: Manages z-index layering so matching shapes tend to be
  *    visible while still maintaining visual interest through overlapping.
  * 
- * The algorithm is designed to be robust - it handles edge cases like small screens,
- * unusual target shapes, and ensures the game remains playable even when things
- * go wrong (like running out of grid positions).
+ * The algorithm is designed to be robust - it handles edge cases like small screens
+ * and unusual target shapes. If the board truly can't hold the requested
+ * number of shapes, the ones that don't fit are left off (never the first
+ * match, which is made smaller if even that won't fit) and the shortfall is
+ * logged and announced.
+ * 
+ * All randomness is drawn from gameState.random (set up by startNewRound from
+ * the game's seed), so a given seed on the same screen size always produces
+ * the same shapes, colors, positions and rotations.
  * 
  * @example
  * // Generate 10 shapes with 'circle' as the target
@@ -161,7 +397,7 @@ export function applyDifficultySettings() {
  * generateGameShapes(gameState.shapesQuantity, gameState.targetShape);
  * 
  * @function
- * @param {number} count - Number of shapes to generate (will be adjusted for screen size)
+ * @param {number} count - Number of shapes to generate (fewer if they can't all fit)
  * @param {string} targetShapeType - The shape type that players need to find
  * @returns {void} Populates gameState.shapes array and renders shapes on board
  * @throws {Error} If count is not a positive number or targetShapeType is invalid
@@ -179,6 +415,10 @@ export function generateGameShapes(count, targetShapeType) {
     // Clear any existing shapes
     gameState.shapes = [];
 
+    // Every random decision below comes from the round's seeded generator so
+    // the same seed rebuilds the same board
+    const random = gameState.random;
+
     // Get current game board dimensions for positioning calculations
     const boardWidth = elements.gameBoard.clientWidth;
     const boardHeight = elements.gameBoard.clientHeight;
@@ -199,7 +439,8 @@ export function generateGameShapes(count, targetShapeType) {
     }
 
     // Get difficulty settings for this generation
-    const diffSettings = gameConfig.difficulty[gameState.currentDifficulty];
+    const diffSettings = getDifficultySettings();
+    const difficulty = getActiveDifficulty();
 
     // Get available shapes for current difficulty
     const availableShapes = getAvailableShapes();
@@ -210,28 +451,22 @@ export function generateGameShapes(count, targetShapeType) {
     // Fallback color selection if target color is missing
     if (!targetShapeColor) {
         console.error("Target color not found in gameState, using fallback");
-        gameState.targetColor = getRandomItem(gameConfig.colors);
+        gameState.targetColor = getRandomItem(getActivePalette(), random);
     }
 
     // Prepare the color palette for this round
-    let roundColors = [...gameConfig.colors];
+    const roundColors = [...getActivePalette()];
 
     // Ensure the target color is included in our palette
     if (!roundColors.includes(targetShapeColor)) {
         roundColors.push(targetShapeColor);
     }
 
-    // Apply distinct colors rule for easy mode
-    if (diffSettings.distinctColors) {
-        shuffleArray(roundColors);
-        // Limit to enough distinct colors for all shapes plus target
-        roundColors = roundColors.slice(0, count + 1);
-
-        // Double-check that target color survived the slicing
-        if (!roundColors.includes(targetShapeColor)) {
-            roundColors[0] = targetShapeColor; // Replace one color with target color
-        }
-    }
+    // How often a shape may repeat a color already on the board: never with
+    // distinct colors (easy), always without (medium and hard), and anywhere
+    // in between as Survival blends from one to the other
+    const colorRepeatChance = diffSettings.colorRepeatChance ?? (diffSettings.distinctColors ? 0 : 1);
+    const usedColors = new Set();
 
     // Calculate responsive shape sizes based on screen dimensions
     let minSize = 60; // Base minimum size
@@ -252,51 +487,18 @@ export function generateGameShapes(count, targetShapeType) {
         maxSize = 70;
     }
 
-    // Adaptive shape count based on available screen space
-    const boardArea = boardWidth * boardHeight;
-    const screenBasedMaxShapes = Math.min(count, Math.floor(boardArea / 20000));
-    const adjustedCount = Math.max(5, screenBasedMaxShapes); // Never go below 5 shapes
-
-    if (adjustedCount < count) {
-        console.log(`Reduced shape count from ${count} to ${adjustedCount} based on screen size`);
-    }
-
     // Tracking variables for ensuring puzzle solvability
     let shapeMatchAdded = false;    // Has a target shape been added?
     let colorMatchAdded = false;    // Has the target color been used?
     let perfectMatchAdded = false;  // Has a perfect shape+color match been added?
 
-    // Grid-based positioning system for better shape distribution
-    const gridCellSize = Math.max(maxSize * 1.5, 150); // Cells must fit largest shapes
-    const gridColumns = Math.floor(boardWidth / gridCellSize);
-    const gridRows = Math.floor(boardHeight / gridCellSize);
-
-    // Create array of available grid positions
-    const gridCells = [];
-    for (let row = 0; row < gridRows; row++) {
-        for (let col = 0; col < gridColumns; col++) {
-            gridCells.push({
-                row,
-                col,
-                x: col * gridCellSize,
-                y: row * gridCellSize,
-                width: gridCellSize,
-                height: gridCellSize,
-                occupied: false
-            });
-        }
-    }
-
-    // Shuffle grid cells for random positioning
-    shuffleArray(gridCells);
-
-    // Generate shapes with improved distribution
-    for (let i = 0; i < adjustedCount; i++) {
+    // Pick every shape's type, color, size and rotation (positions come later)
+    for (let i = 0; i < count; i++) {
         let shapeType, shapeColor;
         let isMatch = false;
 
         // For medium and hard difficulties, ensure first shape is a perfect match
-        if (i === 0 && (gameState.currentDifficulty === 'medium' || gameState.currentDifficulty === 'hard')) {
+        if (i === 0 && (difficulty === 'medium' || difficulty === 'hard')) {
             // First shape will be a perfect match (shape + color)
             shapeType = targetShapeType;
             shapeColor = targetShapeColor;
@@ -306,68 +508,46 @@ export function generateGameShapes(count, targetShapeType) {
             isMatch = true;
         }
         // For easy mode, ensure first shape matches just the shape
-        else if (i === 0 && gameState.currentDifficulty === 'easy') {
+        else if (i === 0 && difficulty === 'easy') {
             shapeType = targetShapeType;
             // Random color in easy mode (but not the target color to make the game more interesting)
-            do {
-                shapeColor = getRandomItem(roundColors);
-            } while (shapeColor === targetShapeColor);
+            shapeColor = pickShapeColor(
+                roundColors.filter(color => color !== targetShapeColor),
+                usedColors,
+                colorRepeatChance,
+                random
+            );
             shapeMatchAdded = true;
             isMatch = true;
         }
         // For remaining shapes, distribute randomly
         else {
             // Decide whether this should be a target shape
-            if (i < adjustedCount / 3 || Math.random() < 0.7) {
-                do {
-                    shapeType = getRandomItem(availableShapes);
-                } while (shapeType === targetShapeType);
+            if (i < count / 3 || random() < 0.7) {
+                shapeType = pickDistractorShape(availableShapes, targetShapeType, random);
             } else {
                 shapeType = targetShapeType;
                 shapeMatchAdded = true;
             }
 
             // Decide color
-            if (Math.random() < 0.2 && !colorMatchAdded && gameState.currentDifficulty !== 'easy') {
+            if (random() < 0.2 && !colorMatchAdded && difficulty !== 'easy') {
                 shapeColor = targetShapeColor;
                 colorMatchAdded = true;
             } else {
-                shapeColor = getRandomItem(roundColors);
+                shapeColor = pickShapeColor(roundColors, usedColors, colorRepeatChance, random);
             }
 
             // Set isMatch based on difficulty
-            if (gameState.currentDifficulty === 'easy') {
+            if (difficulty === 'easy') {
                 isMatch = (shapeType === targetShapeType);
             } else {
                 isMatch = (shapeType === targetShapeType && shapeColor === targetShapeColor);
             }
         }
 
-        const shapeSize = getRandomNumber(minSize, maxSize);
-
-        // Get a grid cell for this shape
-        let cell = null;
-        if (gridCells.length > 0) {
-            cell = gridCells.pop(); // Take a cell from the shuffled array
-        } else {
-            // Fallback to random positioning if we run out of cells
-            console.log("Ran out of grid cells, using random positioning");
-            break;
-        }
-
-        // Calculate position within the grid cell (add some randomness within the cell)
-        const cellPadding = 10;
-        const maxOffsetX = cell.width - shapeSize - (cellPadding * 2);
-        const maxOffsetY = cell.height - shapeSize - (cellPadding * 2);
-
-        const offsetX = maxOffsetX > 0 ? getRandomNumber(cellPadding, maxOffsetX) : cellPadding;
-        const offsetY = maxOffsetY > 0 ? getRandomNumber(cellPadding, maxOffsetY) : cellPadding;
-
-        const posX = cell.x + offsetX;
-        const posY = cell.y + offsetY;
-
         // Determine z-index based on match status and random factor for better overlap distribution
-        let zIndex = isMatch ? 20 : Math.floor(Math.random() * 10) + 1;
+        let zIndex = isMatch ? 20 : Math.floor(random() * 10) + 1;
 
         // Every nth shape should have a higher z-index to distribute visibility
         if (i % 3 === 0) {
@@ -382,163 +562,127 @@ export function generateGameShapes(count, targetShapeType) {
         const shape = {
             type: shapeType,
             color: shapeColor,
-            size: shapeSize,
+            size: getRandomNumber(minSize, maxSize, random),
             rotation: getRandomNumber(
                 diffSettings.rotationRange.min,
-                diffSettings.rotationRange.max
+                diffSettings.rotationRange.max,
+                random
             ),
             isMatch: isMatch,
-            x: posX,
-            y: posY,
+            x: 0,
+            y: 0,
             // For moving shapes mode
-            vx: 0,
-            vy: 0,
+            motion: null,
+            fadeDelay: 0, // Seconds into the fade a fading shape starts
             element: null, // Reference to DOM element
-            zIndex: zIndex
+            zIndex: zIndex,
+            id: i // Identifies the shape to the rules engine
         };
 
         gameState.shapes.push(shape);
+        usedColors.add(shapeColor);
     }
 
-    // If we ran out of grid cells, handle remaining shapes with random positioning
-    if (gameState.shapes.length < adjustedCount) {
-        const remainingCount = adjustedCount - gameState.shapes.length;
-        for (let i = 0; i < remainingCount; i++) {
-            // Generate shape type and color as before
-            let shapeType, shapeColor;
-            let isMatch = false;
-
-            // Logic for shape type and color (same as above)
-            if (Math.random() < 0.7) {
-                do {
-                    shapeType = getRandomItem(availableShapes);
-                } while (shapeType === targetShapeType);
-            } else {
-                shapeType = targetShapeType;
-                shapeMatchAdded = true;
-            }
-
-            if (Math.random() < 0.2 && !colorMatchAdded && gameState.currentDifficulty !== 'easy') {
-                shapeColor = targetShapeColor;
-                colorMatchAdded = true;
-            } else {
-                shapeColor = getRandomItem(roundColors);
-            }
+    // Lay the shapes out without overlaps. The first shape is always a match
+    // and is guaranteed a spot, so a board that's too small never loses its
+    // only correct answer.
+    const layout = placeGameShapes({ width: boardWidth, height: boardHeight }, random);
 
-            // Set isMatch based on difficulty
-            if (gameState.currentDifficulty === 'easy') {
-                isMatch = (shapeType === targetShapeType);
-            } else {
-                isMatch = (shapeType === targetShapeType && shapeColor === targetShapeColor);
-            }
+    if (!layout.fits) {
+        gameState.shapes.forEach((shape, index) => {
+            shape.id = index;
+        });
+    }
 
-            const shapeSize = getRandomNumber(minSize, maxSize);
-
-            // Random position with edge margin
-            const edgeMargin = 20;
-            const posX = getRandomNumber(edgeMargin, boardWidth - shapeSize - edgeMargin);
-            const posY = getRandomNumber(edgeMargin, boardHeight - shapeSize - edgeMargin);
-
-            let zIndex = isMatch ? 20 : Math.floor(Math.random() * 10) + 1;
-
-            const shape = {
-                type: shapeType,
-                color: shapeColor,
-                size: shapeSize,
-                rotation: getRandomNumber(
-                    diffSettings.rotationRange.min,
-                    diffSettings.rotationRange.max
-                ),
-                isMatch: isMatch,
-                x: posX,
-                y: posY,
-                vx: 0,
-                vy: 0,
-                element: null,
-                zIndex: zIndex
-            };
-
-            gameState.shapes.push(shape);
+    // Ensure shapes have proper z-index values
+    gameState.shapes.forEach(shape => {
+        if (shape.isMatch) {
+            shape.zIndex += 10; // Ensure matching shapes have higher z-index
         }
-    }
+    });
+
+    // Give each shape its motion pattern, speed and spin if shapes move on this board
+    if (hasMovingShapes()) {
+        gameState.shapes.forEach(shape => {
+            shape.motion = createMotion(shape, diffSettings, random);
+        });
 
-    // Double-check that we have at least one correctly matching shape
-    let hasCorrectMatch = gameState.shapes.some(shape => shape.isMatch);
+        // Spread the shapes out so none start hidden under another
+        separateShapes(gameState.shapes, { width: boardWidth, height: boardHeight });
+    }
 
-    if (!hasCorrectMatch) {
-        console.log("No matching shape was added - adding one now");
+    // Or start each fading shape at its own point in the fade, so they don't
+    // all fade out together
+    if (hasFadingShapes()) {
+        gameState.shapes.forEach(shape => {
+            shape.fadeDelay = random() * gameConfig.sensory.fadeSeconds;
+        });
+    }
 
-        // Replace the last shape with an appropriate match
-        const lastIndex = gameState.shapes.length - 1;
-        const lastShape = gameState.shapes[lastIndex];
+    // Tell the rules engine which board the player is looking at
+    gameEngine.dispatch(actions.newRound({
+        target: { type: gameState.targetShape, color: gameState.targetColor },
+        shapes: gameState.shapes
+    }));
 
-        lastShape.type = targetShapeType;
-        lastShape.zIndex = 30; // Very high z-index to ensure visibility
+    // Render all shapes on the game board
+    renderShapes();
+}
 
-        // For medium/hard, color must match too
-        if (gameState.currentDifficulty !== 'easy') {
-            lastShape.color = targetShapeColor;
+// Position the board's shapes without overlaps, dropping (and announcing)
+// any the board has no room for. The first matching shape always gets a spot
+// (shrunk if it has to be), so no board is left without a correct answer
+function placeGameShapes(bounds, random) {
+    const firstMatch = gameState.shapes.findIndex(shape => shape.isMatch);
+    const sizes = gameState.shapes.map(shape => shape.size);
+    const layout = layoutShapes(gameState.shapes, bounds, { random, required: firstMatch >= 0 ? firstMatch : undefined });
+
+    // A shape that was shrunk to fit needs drawing again at its new size
+    gameState.shapes.forEach((shape, index) => {
+        if (shape.element && shape.size !== sizes[index]) {
+            shape.element.remove();
+            shape.element = null;
         }
+    });
 
-        lastShape.isMatch = true;
-
-        // Position in a more central area
-        lastShape.x = boardWidth / 2 - lastShape.size / 2 + getRandomNumber(-50, 50);
-        lastShape.y = boardHeight / 2 - lastShape.size / 2 + getRandomNumber(-50, 50);
+    if (!gameState.shapes.some(shape => shape.isMatch && !layout.unplaced.includes(shape))) {
+        console.error('No matching shape could be placed on the board');
     }
 
-    // Ensure matching shapes are distributed around the board (not all in one area)
-    const matchingShapes = gameState.shapes.filter(shape => shape.isMatch);
-    if (matchingShapes.length > 1) {
-        // If we have multiple matching shapes, ensure they're in different quadrants
-        const quadrants = [
-            { minX: 0, maxX: boardWidth / 2, minY: 0, maxY: boardHeight / 2 },             // top-left
-            { minX: boardWidth / 2, maxX: boardWidth, minY: 0, maxY: boardHeight / 2 },     // top-right
-            { minX: 0, maxX: boardWidth / 2, minY: boardHeight / 2, maxY: boardHeight },    // bottom-left
-            { minX: boardWidth / 2, maxX: boardWidth, minY: boardHeight / 2, maxY: boardHeight } // bottom-right
-        ];
-
-        // Shuffle quadrants
-        shuffleArray(quadrants);
-
-        // Move some matching shapes to different quadrants
-        for (let i = 0; i < Math.min(matchingShapes.length, quadrants.length); i++) {
-            const shape = matchingShapes[i];
-            const quadrant = quadrants[i];
-
-            // Keep a margin from edges
-            const margin = Math.max(30, shape.size / 2);
-
-            // Place within the quadrant with some randomness
-            shape.x = getRandomNumber(quadrant.minX + margin, quadrant.maxX - shape.size - margin);
-            shape.y = getRandomNumber(quadrant.minY + margin, quadrant.maxY - shape.size - margin);
-        }
+    if (!layout.fits) {
+        console.warn(`Only ${layout.placed} of ${layout.requested} shapes fit on a ${bounds.width}x${bounds.height} board (${layout.strategy} layout)`);
+        announceTo('polite', `There's only room for ${layout.placed} shapes on this screen.`);
+
+        layout.unplaced.forEach(shape => shape.element?.remove());
+        gameState.shapes = gameState.shapes.filter(shape => !layout.unplaced.includes(shape));
     }
 
-    // Ensure shapes have proper z-index values
-    gameState.shapes.forEach(shape => {
-        if (shape.isMatch) {
-            shape.zIndex += 10; // Ensure matching shapes have higher z-index
-        }
-    });
+    return layout;
+}
+
+// Move the current board's shapes to fit a new board size (after a resize or
+// rotation). Only positions change: the round, its target and its shapes stay
+// the same, so the rules engine, the session history and the reaction time
+// all carry on as if nothing happened
+export function relayoutGameShapes() {
+    const bounds = { width: elements.gameBoard.clientWidth, height: elements.gameBoard.clientHeight };
+
+    if (gameState.shapes.length === 0 || bounds.width < 100 || bounds.height < 100) return;
+
+    // The round's own stream, so later rounds still follow the seed
+    const random = gameState.random;
+
+    placeGameShapes(bounds, random);
 
-    // Assign velocity for moving shapes mode if active
-    if (gameState.currentDifficulty === 'hard') {
-        const diffSettings = gameConfig.difficulty[gameState.currentDifficulty];
+    // Moving shapes start their patterns again from their new spots
+    if (hasMovingShapes()) {
         gameState.shapes.forEach(shape => {
-            shape.vx = getRandomNumber(
-                diffSettings.movementSpeed.min,
-                diffSettings.movementSpeed.max
-            ) * (Math.random() > 0.5 ? 1 : -1);
-
-            shape.vy = getRandomNumber(
-                diffSettings.movementSpeed.min,
-                diffSettings.movementSpeed.max
-            ) * (Math.random() > 0.5 ? 1 : -1);
+            shape.motion = createMotion(shape, getDifficultySettings(), random);
         });
+
+        separateShapes(gameState.shapes, bounds);
     }
 
-    // Render all shapes on the game board
     renderShapes();
 }
 
@@ -546,21 +690,32 @@ export function generateGameShapes(count, targetShapeType) {
 export function startNewRound() {
     clearGameBoard();
 
+    // Each round draws from its own stream derived from the game seed, so
+    // laying a board out again mid-round (e.g. on resize) can't shift later rounds
+    gameState.roundNumber++;
+    gameState.random = createSeededRandom(`${gameState.seed}:${gameState.roundNumber}`);
+    const random = gameState.random;
+
+    // Survival mode may have earned a new level since the last round
+    if (gameState.currentMode === 'survival') {
+        updateSurvivalLevel();
+    }
+
     // Ensure game board has proper dimensions before generating shapes
     ensureGameBoardDimensions();
 
     // Get available shapes for current difficulty
     const availableShapes = getAvailableShapes();
 
-    // Generate a random target shape
-    const randomShapeType = getRandomItem(availableShapes);
+    // Pick the target shape (weighted toward shapes the player is still learning)
+    const randomShapeType = pickTargetShape(availableShapes, random);
     createTargetShape(randomShapeType);
 
     // Generate random shapes for the game board
-    generateGameShapes(gameState.shapesQuantity, randomShapeType);
+    generateGameShapes(getActiveShapesQuantity(), randomShapeType);
 
-    // Start moving shapes if in hard mode
-    if (gameState.currentDifficulty === 'hard') {
+    // Start moving shapes if the current settings include movement
+    if (hasMovingShapes()) {
         startMovingShapes();
     }
 }
@@ -570,8 +725,14 @@ export function startMovingShapes() {
     // Stop any existing movement
     stopMovingShapes();
 
+    // Shapes stay still while paused - resumeGame() starts them again
+    if (gameState.paused) return;
+
+    // Time of the previous frame, so movement can be scaled by real elapsed time
+    let lastTimestamp = null;
+
     // Animation function for moving shapes
-    function moveShapes() {
+    function moveShapes(timestamp) {
         // Check if game is over first - don't continue animation in that case
         if (gameState.gameOver) {
             console.log('Game over detected in animation loop - stopping animation');
@@ -597,46 +758,28 @@ export function startMovingShapes() {
             return;
         }
 
-        gameState.shapes.forEach(shape => {
-            // Skip if shape is invalid
-            if (!shape) return;
+        // Seconds since the last frame (0 on the first frame), so shapes move
+        // at the same speed whatever the display's refresh rate
+        const dt = lastTimestamp === null ? 0 : (timestamp - lastTimestamp) / 1000;
+        lastTimestamp = timestamp;
 
-            // Update position
-            shape.x += shape.vx;
-            shape.y += shape.vy;
+        const bounds = { width: boardWidth, height: boardHeight };
 
-            // Boundary collision detection
-            let shapeWidth = shape.size;
-            let shapeHeight = shape.size;
+        // Move along each shape's motion pattern (bouncing off the edges)
+        gameState.shapes.forEach(shape => updateMotion(shape, dt, bounds));
 
-            // Adjust dimensions for non-square shapes
-            if (shape.type === 'rectangle' || shape.type === 'oval') {
-                shapeWidth = shape.size * 1.5;
-                shapeHeight = shape.size * 0.75;
-            }
+        // Then push apart and bounce any shapes that ran into each other
+        resolveCollisions(gameState.shapes, bounds);
 
-            // Check horizontal boundaries
-            if (shape.x <= 0 || shape.x + shapeWidth >= boardWidth) {
-                shape.vx *= -1; // Reverse horizontal direction
-
-                // Ensure shape is within bounds
-                if (shape.x <= 0) shape.x = 0;
-                if (shape.x + shapeWidth >= boardWidth) shape.x = boardWidth - shapeWidth;
-            }
-
-            // Check vertical boundaries
-            if (shape.y <= 0 || shape.y + shapeHeight >= boardHeight) {
-                shape.vy *= -1; // Reverse vertical direction
-
-                // Ensure shape is within bounds
-                if (shape.y <= 0) shape.y = 0;
-                if (shape.y + shapeHeight >= boardHeight) shape.y = boardHeight - shapeHeight;
-            }
+        gameState.shapes.forEach(shape => {
+            // Skip if shape is invalid or doesn't move
+            if (!shape || !shape.motion) return;
 
-            // Update position of the existing DOM element
+            // Update position and rotation of the existing DOM element
             if (shape.element) {
                 shape.element.style.left = `${shape.x}px`;
                 shape.element.style.top = `${shape.y}px`;
+                shape.element.style.transform = `rotate(${shape.rotation}deg)`;
             }
         });
 
@@ -671,7 +814,7 @@ export function stopMovingShapes() {
 
 // Handle shape click
 export function handleShapeClick(shape, event) {
-    if (gameState.gameOver) return;
+    if (gameState.gameOver || gameState.paused) return;
 
     // Prevent event bubbling to avoid multiple clicks
     event.stopPropagation();
@@ -679,96 +822,213 @@ export function handleShapeClick(shape, event) {
     console.log('Clicked shape:', shape.type, shape.color);
     console.log('Target shape:', gameState.targetShape, gameState.targetColor);
 
-    // Check for correct match based on difficulty level
-    let isCorrectMatch = false;
+    // Remember where the click happened for the confetti (keyboard picks have
+    // no pointer, so use the middle of the shape), then let the engine decide
+    // whether it was a match
+    lastSelectionPoint = event.clientX === undefined ?
+        getElementCenter(shape.element) :
+        { x: event.clientX, y: event.clientY };
+    const events = gameEngine.dispatch(actions.selectShape(shape.id, performance.now() - gameState.roundStartedAt));
+
+    events.filter(item => item.type === 'correctMatch').forEach(item => {
+        checkAchievements({
+            type: 'correctMatch',
+            shapeType: item.shape.type,
+            combo: item.combo,
+            difficulty: getActiveDifficulty(),
+            mode: gameState.currentMode
+        });
+    });
+}
 
-    if (gameState.currentDifficulty === 'easy') {
-        // In easy mode, only shape type matters
-        isCorrectMatch = shape.type === gameState.targetShape;
-    } else {
-        // In medium and hard modes, both shape type AND color must match
-        isCorrectMatch = shape.type === gameState.targetShape && shape.color === gameState.targetColor;
-    }
+// Unlock any achievements the player just earned and celebrate them
+function checkAchievements(event) {
+    recordAchievementEvent(gameState.playerName, event).forEach(achievement => {
+        showAchievementToast(achievement);
+    });
+}
 
-    if (isCorrectMatch) {
-        // Correct match
-        gameState.score++;
+// Start the rules engine for a new game with the current difficulty and mode
+export function startEngineGame() {
+    gameEngine.dispatch(actions.newGame(createRules(getActiveDifficulty(), gameState.currentMode)));
+}
 
-        // Reset attempts in Easy and Medium modes
-        if (gameState.currentDifficulty !== 'hard') {
-            gameState.attemptsLeft = gameConfig.maxAttempts;
-        }
+// Let the engine end the game early (the player chose to quit)
+export function quitGame() {
+    gameEngine.dispatch(actions.quit());
+}
 
-        updateScoreDisplay();
+// React to rules engine events with sounds, animations and screens
+export function handleEngineEvent(event, state) {
+    // Keep the shared game state in step with the engine
+    gameState.score = state.score;
+    gameState.points = state.points;
+    gameState.combo = state.combo;
+    gameState.bestCombo = state.bestCombo;
+    gameState.attemptsLeft = state.attemptsLeft;
+    gameState.timeRemaining = state.timeRemaining;
+
+    switch (event.type) {
+        case 'gameStarted':
+            gameState.isGameActive = true;
+            lastTickSecond = null;
+            playMusic(true);
+            break;
 
-        // Play correct sound
-        playSound('correct');
+        case 'roundStarted':
+            // Response times are measured from the moment the board appears
+            gameState.roundStartedAt = performance.now();
+
+            // Tell screen reader users what to look for
+            elements.targetShape.setAttribute('aria-label', `Target: ${describeTarget(event.target, state.rules.matchColor)}`);
+            announceTo('polite', describeRound({
+                round: event.round,
+                target: event.target,
+                matchColor: state.rules.matchColor,
+                shapeCount: state.shapes.length
+            }));
+            break;
 
-        // Launch confetti at click location
-        launchConfetti(event.clientX, event.clientY);
+        case 'scoreChanged':
+        case 'comboChanged':
+        case 'attemptsChanged':
+            updateScoreDisplay();
+            break;
 
-        // Add time bonus in timed mode
-        if (gameState.currentMode === 'timed') {
-            const diffSettings = gameConfig.difficulty[gameState.currentDifficulty];
-            let bonus = diffSettings.timeBonus.correct;
+        case 'timeChanged':
+            updateTimerDisplay(event.timeRemaining, state.rules.timeLimit);
+            tickCountdown(event.timeRemaining);
+            break;
 
-            // In easy mode, add color match bonus if colors happen to match
-            if (gameState.currentDifficulty === 'easy' && shape.color === gameState.targetColor) {
-                bonus += diffSettings.timeBonus.colorMatch;
-            }
+        case 'timeWarning':
+            warnTimeRunningOut(event.warning);
+            break;
 
-            gameState.timeRemaining += bonus;
-            elements.timer.textContent = gameState.timeRemaining;
-        }
+        case 'correctMatch':
+            gameState.lastRoundPoints = event.points;
+            recordMasterySelection(event.shape, state.target);
+            announceTo('polite', describeCorrectMatch(event));
 
-        // Start new round after a short delay
-        setTimeout(() => {
-            // Only start a new round if the game is still active
-            if (!gameState.gameOver) {
-                startNewRound();
-            }
-        }, gameConfig.successDelay);
-    } else {
-        // Incorrect match
-        gameState.attemptsLeft--;
-        updateScoreDisplay();
+            // Play correct sound, a little higher for each answer in a row
+            playSound('correct', { combo: event.combo });
 
-        // Add shake animation to the clicked shape for visual feedback (accessibility)
-        if (shape.element) {
-            // Add the shake class
-            shape.element.classList.add('shake');
+            // Launch confetti at click location (unless the player switched it off)
+            if (isSensorySettingOn('confetti')) {
+                launchConfetti(lastSelectionPoint.x, lastSelectionPoint.y);
+            }
 
-            // Remove the shake class after the animation completes
-            setTimeout(() => {
-                if (shape.element) {
-                    shape.element.classList.remove('shake');
+            // Start new round after a short delay (which waits while paused)
+            setPausableTimeout(() => {
+                // Only start a new round if the game is still active
+                if (!gameState.gameOver) {
+                    startNewRound();
                 }
-            }, 500); // Match animation duration (0.5s)
-        }
+            }, gameConfig.successDelay);
+            break;
 
-        // Play wrong sound
-        playSound('wrong');
+        case 'wrongMatch': {
+            gameState.mistakes++;
+            recordMasterySelection(event.shape, state.target);
+            announceTo('assertive', describeWrongMatch(event));
+
+            // Shake the clicked shape for visual feedback (accessibility), or
+            // just dim it for a moment if the player asked for gentle feedback
+            const shape = gameState.shapes.find(item => item.id === event.shapeId);
+            if (shape && shape.element) {
+                const gentle = isSensorySettingOn('gentleFeedback');
+                const feedbackClass = gentle ? 'gentle-miss' : 'shake';
+
+                shape.element.classList.add(feedbackClass);
+
+                // Remove the class after the animation completes
+                setTimeout(() => {
+                    if (shape.element) {
+                        shape.element.classList.remove(feedbackClass);
+                    }
+                }, gentle ? 800 : 500); // Match animation duration (0.8s or 0.5s)
+            }
 
-        // Reduce time in timed mode
-        if (gameState.currentMode === 'timed') {
-            const penalty = gameConfig.difficulty[gameState.currentDifficulty].timePenalty;
-            gameState.timeRemaining = Math.max(1, gameState.timeRemaining - penalty);
-            elements.timer.textContent = gameState.timeRemaining;
+            // Right shape in the wrong color gets a gentler "so close" sound
+            const nearMiss = state.rules.matchColor && event.shape.type === state.target.type;
+            playSound(nearMiss ? 'nearMiss' : 'wrong');
+            break;
         }
 
-        if (gameState.attemptsLeft <= 0) {
-            // Game over
-            endGame();
-        }
+        case 'gameOver':
+            announceTo('assertive', describeGameOver(event));
+            endGame(event.reason);
+            break;
+    }
+}
+
+gameEngine.subscribe(handleEngineEvent);
+
+// Session being recorded for the history log (null between games)
+let currentSession = null;
+
+// Record every round and click of the game for the session history log
+export function recordSessionHistory(event, state) {
+    switch (event.type) {
+        case 'gameStarted':
+            currentSession = createSessionRecord({
+                playerName: gameState.playerName,
+                profileId: gameState.profileId,
+                mode: gameState.currentMode,
+                difficulty: event.rules.difficulty,
+                seed: gameState.seed
+            });
+            break;
+
+        case 'roundStarted':
+            if (currentSession) {
+                recordRoundStart(currentSession, {
+                    round: event.round,
+                    difficulty: state.rules.difficulty,
+                    target: event.target,
+                    shapes: state.shapes
+                });
+            }
+            break;
+
+        case 'correctMatch':
+        case 'wrongMatch':
+            if (currentSession) {
+                recordClick(currentSession, {
+                    shape: event.shape,
+                    correct: event.type === 'correctMatch',
+                    elapsedMs: performance.now() - gameState.roundStartedAt
+                });
+            }
+            break;
+
+        case 'gameOver':
+            if (currentSession) {
+                finishSessionRecord(currentSession, { score: event.score, points: event.points, reason: event.reason });
+                currentSession = null;
+            }
+            break;
     }
 }
 
-// Update the score and attempts display with hearts for lives
+gameEngine.subscribe(recordSessionHistory);
+
+// Add a selection to the player's shape mastery record
+function recordMasterySelection(selectedShape, target) {
+    if (!gameState.playerName || !target) return;
+
+    recordSelection(gameState.playerName, {
+        targetType: target.type,
+        selectedType: selectedShape.type,
+        responseMs: performance.now() - gameState.roundStartedAt
+    });
+}
+
+// Update the points, combo and attempts display with hearts for lives
 export function updateScoreDisplay() {
-    // Update the centered score display and add pulse animation
+    // Update the centered points display and add pulse animation
     const scoreCentered = document.getElementById('score-centered');
     if (scoreCentered) {
-        scoreCentered.textContent = gameState.score;
+        scoreCentered.textContent = gameState.points;
 
         // Only add pulse animation if the score was incremented (correct match)
         // We can check if score changed by comparing with previousScore in gameState
@@ -780,12 +1040,16 @@ export function updateScoreDisplay() {
             setTimeout(() => {
                 scoreCentered.parentElement.classList.remove('score-pulse');
             }, 500);
+
+            showRoundPoints(gameState.lastRoundPoints);
         }
 
         // Store current score for next comparison
         gameState.previousScore = gameState.score;
     }
 
+    updateComboDisplay();
+
     // Update hearts display for remaining attempts
     const heartsElement = document.getElementById('hearts');
     if (heartsElement) {
@@ -821,6 +1085,33 @@ export function updateScoreDisplay() {
     }
 }
 
+// Pop up the points the last match earned next to the score
+function showRoundPoints(points) {
+    const roundPoints = elements.roundPoints;
+    if (!roundPoints || points <= 0) return;
+
+    roundPoints.textContent = `+${points}`;
+
+    // Restart the float-up animation, even if it is still running
+    roundPoints.classList.remove('round-points-show');
+    void roundPoints.offsetWidth;
+    roundPoints.classList.add('round-points-show');
+}
+
+// Show the current run of correct answers (only once there's a combo going)
+function updateComboDisplay() {
+    const comboDisplay = elements.comboDisplay;
+    if (!comboDisplay) return;
+
+    if (gameState.combo < 2) {
+        comboDisplay.classList.add('hidden');
+        return;
+    }
+
+    comboDisplay.textContent = `🔥 ${gameState.combo} in a row ×${getComboMultiplier(gameState.combo)}`;
+    comboDisplay.classList.remove('hidden');
+}
+
 // Fade out match instructions after first successful identification
 export function fadeOutMatchInstructions() {
     const instructionElement = document.getElementById('match-instructions');
@@ -838,6 +1129,102 @@ export function fadeOutMatchInstructions() {
     }
 }
 
+// The running confetti animation's frame function, so a burst frozen by a
+// pause can carry on from where it stopped
+let confettiStep = null;
+
+// Timeouts that stop counting down while the game is paused
+const pausableTimeouts = new Set();
+
+// Run a callback after a delay, not counting any time spent paused
+function setPausableTimeout(callback, delay) {
+    const timeout = { callback, remaining: delay, startedAt: 0, id: null };
+    pausableTimeouts.add(timeout);
+    startPausableTimeout(timeout);
+    return timeout;
+}
+
+// Start (or restart after a pause) the countdown of a pausable timeout
+function startPausableTimeout(timeout) {
+    timeout.startedAt = performance.now();
+    timeout.id = setTimeout(() => {
+        pausableTimeouts.delete(timeout);
+        timeout.callback();
+    }, Math.max(0, timeout.remaining));
+}
+
+// Drop every waiting pausable timeout without running it
+function clearPausableTimeouts() {
+    pausableTimeouts.forEach(timeout => clearTimeout(timeout.id));
+    pausableTimeouts.clear();
+}
+
+// Pause the game: freeze the clock, moving shapes, confetti and the wait for
+// the next round, and hide the board so nobody can look ahead. Returns false
+// if there was no running game to pause.
+export function pauseGame() {
+    if (!gameState.isGameActive || gameState.gameOver || gameState.paused) return false;
+
+    // Stopping the clock counts the time up to now, so resuming carries on
+    // with exactly the time that was left
+    if (gameTimer.isRunning()) {
+        stopTimer();
+
+        // That was the last of the time - the game is over, not paused
+        if (gameState.gameOver) return false;
+    }
+
+    gameState.paused = true;
+    gameState.pausedAt = performance.now();
+
+    stopMovingShapes();
+    pauseMusic();
+
+    if (gameState.confettiAnimationId) {
+        cancelAnimationFrame(gameState.confettiAnimationId);
+        gameState.confettiAnimationId = null;
+    }
+
+    pausableTimeouts.forEach(timeout => {
+        clearTimeout(timeout.id);
+        timeout.remaining -= gameState.pausedAt - timeout.startedAt;
+    });
+
+    elements.gameBoard.classList.add('paused');
+
+    return true;
+}
+
+// Carry on exactly where pauseGame() stopped. Returns false if the game
+// wasn't paused.
+export function resumeGame() {
+    if (!gameState.paused) return false;
+
+    gameState.paused = false;
+    elements.gameBoard.classList.remove('paused');
+
+    // Response times shouldn't include the break
+    gameState.roundStartedAt += performance.now() - gameState.pausedAt;
+
+    pausableTimeouts.forEach(startPausableTimeout);
+
+    if (confettiStep) {
+        gameState.confettiAnimationId = requestAnimationFrame(confettiStep);
+    }
+
+    if (gameState.currentMode === 'timed') {
+        startTimer();
+    }
+
+    if (hasMovingShapes()) {
+        startMovingShapes();
+    }
+
+    playMusic();
+
+    return true;
+}
+
 // Launch confetti animation
 export function launchConfetti(x, y) {
     // Make sure canvas is properly sized
@@ -848,6 +1235,7 @@ export function launchConfetti(x, y) {
         cancelAnimationFrame(gameState.confettiAnimationId);
         gameState.confettiAnimationId = null;
     }
+    confettiStep = null;
 
     // Show canvas and ensure it remains visible during animation
     elements.confettiCanvas.classList.remove('hidden');
@@ -960,6 +1348,11 @@ export function launchConfetti(x, y) {
             gameState.confettiAnimationId = null;
         }
 
+        // Nothing left to carry on after a pause
+        if (confettiStep === animateConfetti) {
+            confettiStep = null;
+        }
+
         // Ensure canvas is completely cleared
         confettiCtx.clearRect(0, 0, elements.confettiCanvas.width, elements.confettiCanvas.height);
 
@@ -970,120 +1363,218 @@ export function launchConfetti(x, y) {
     }
 
     // Start animation
+    confettiStep = animateConfetti;
     gameState.confettiAnimationId = requestAnimationFrame(animateConfetti);
 
     // Safety timeout - force cleanup if animation somehow gets stuck
-    setTimeout(finalizeAnimation, MAX_ANIMATION_TIME + 100);
+    setPausableTimeout(finalizeAnimation, MAX_ANIMATION_TIME + 100);
 }
 
-// Play sound effect
-export function playSound(type) {
-    switch (type) {
-        case 'correct':
-            elements.correctSound.currentTime = 0;
-            elements.correctSound.play().catch(e => console.log('Sound play error:', e));
-            break;
-        case 'wrong':
-            elements.wrongSound.currentTime = 0;
-            elements.wrongSound.play().catch(e => console.log('Sound play error:', e));
-            break;
-        case 'gameover':
-            elements.gameoverSound.currentTime = 0;
-            elements.gameoverSound.play().catch(e => console.log('Sound play error:', e));
-            break;
+// Show the seconds left and shrink the countdown bar to match
+export function updateTimerDisplay(timeRemaining, timeLimit) {
+    elements.timer.textContent = Math.ceil(timeRemaining);
+
+    // Bonuses can take the clock past the starting time - the bar just stays full
+    const fraction = timeLimit > 0 ? Math.min(1, Math.max(0, timeRemaining / timeLimit)) : 0;
+    elements.timerBarFill.style.transform = `scaleX(${fraction})`;
+    elements.timerBar.setAttribute('aria-valuenow', Math.ceil(timeRemaining));
+}
+
+// Pulse the timer and/or beep when the time left drops to a warning threshold
+function warnTimeRunningOut(warning) {
+    if (warning.pulse) {
+        // Restart the animation even if the last pulse is still running
+        elements.timerDisplay.classList.remove('timer-pulse');
+        void elements.timerDisplay.offsetWidth;
+        elements.timerDisplay.classList.add('timer-pulse');
+
+        setTimeout(() => {
+            elements.timerDisplay.classList.remove('timer-pulse');
+        }, 1000);
+    }
+
+    if (warning.sound) {
+        playSound('warning');
+    }
+
+    announceTo('assertive', `${warning.seconds} seconds left!`);
+}
+
+// The whole second the countdown last ticked for, so each second ticks once
+let lastTickSecond = null;
+
+// Tick once a second through the last few seconds of a timed game
+function tickCountdown(timeRemaining) {
+    const second = Math.ceil(timeRemaining);
+    if (timeRemaining <= 0 || second > gameConfig.audio.tickSeconds || second === lastTickSecond) return;
+
+    lastTickSecond = second;
+    playSound('tick');
+}
+
+// Play a sound effect ('correct', 'wrong', 'nearMiss', 'gameover', 'warning'
+// or 'tick'); options.combo raises the pitch of a correct answer in a row
+export function playSound(type, options) {
+    playEffect(type, options);
+}
+
+// Play the background music during a game (from the start for a new game),
+// if a track is configured
+export function playMusic(fromStart = false) {
+    if (!gameConfig.audio.musicTrack || !elements.backgroundMusic) return;
+
+    if (fromStart) {
+        elements.backgroundMusic.currentTime = 0;
     }
+    elements.backgroundMusic.play().catch(e => console.log('Music play error:', e));
 }
 
-// End the game
-export function endGame() {
+// Pause the background music (it carries on from there when played again)
+export function pauseMusic() {
+    if (elements.backgroundMusic) {
+        elements.backgroundMusic.pause();
+    }
+}
+
+// End the game ('attempts', 'time' or 'quit', from the engine)
+export function endGame(reason) {
     gameState.gameOver = true;
+    gameState.isGameActive = false;
 
-    // Stop any timers or animations
+    // Stop any timers, animations and music
     stopTimer();
     stopMovingShapes();
+    pauseMusic();
+
+    // A game can end while paused (quitting from the pause screen), and
+    // nothing from it should carry on into the next game
+    gameState.paused = false;
+    elements.gameBoard.classList.remove('paused');
+    clearPausableTimeouts();
+
+    // Give a confetti burst frozen by a pause one more frame, in which it
+    // sees the game is over and clears itself away
+    if (confettiStep && !gameState.confettiAnimationId) {
+        gameState.confettiAnimationId = requestAnimationFrame(confettiStep);
+    }
 
-    // Update final score
-    elements.finalScore.textContent = gameState.score;
+    // Update final points, matches and best combo
+    elements.finalScore.textContent = gameState.points;
+    elements.finalMatches.textContent = gameState.score;
+    elements.finalBestCombo.textContent = gameState.bestCombo;
+
+    // Show the seed so this exact sequence of boards can be replayed - unless
+    // the boards adapted to the player, which the seed alone can't reproduce
+    // (the weights also changed with every click)
+    const adaptive = isAdaptiveSelection();
+    elements.finalSeed.textContent = gameState.seed;
+    elements.seedDisplay.classList.toggle('hidden', adaptive);
+    elements.adaptiveBoardsNote.classList.toggle('hidden', !adaptive);
 
     // Play game over sound
     playSound('gameover');
 
-    // Show game over screen
+    // The Daily Challenge only gets one attempt, so there's nothing to retry
+    elements.restartButton.classList.toggle('hidden', gameState.currentMode === 'daily');
+    showDailyStreak(gameState.currentMode === 'daily' ? gameState.dailyStreak : null);
+
+    // Show game over screen, keeping keyboard focus on its buttons
     elements.gameOverScreen.classList.remove('hidden');
+    trapFocus(elements.gameOverScreen, gameState.currentMode === 'daily' ? elements.backToMenuButton : elements.restartButton);
 
     // Save high score
     saveHighScore();
+
+    checkAchievements({
+        type: 'gameEnded',
+        mode: gameState.currentMode,
+        difficulty: getActiveDifficulty(),
+        reason,
+        score: gameState.score,
+        points: gameState.points,
+        timeRemaining: gameState.timeRemaining,
+        dailyStreak: gameState.currentMode === 'daily' ? gameState.dailyStreak : null
+    });
+
+    // Add this game to the player's lifetime stats
+    if (gameState.profileId) {
+        recordGameResult(gameState.profileId, {
+            score: gameState.score,
+            mistakes: gameState.mistakes,
+            survivalLevel: gameState.currentMode === 'survival' ? gameState.survivalLevel : 0
+        });
+    }
 }
 
 // Hide game over screen
 export function hideGameOverScreen() {
     elements.gameOverScreen.classList.add('hidden');
+    releaseFocus(elements.gameOverScreen);
 }
 
+// The timed mode clock - it reports the real time passed every frame, and
+// the engine counts down and ends the game when time runs out
+const gameTimer = createGameTimer(ms => gameEngine.dispatch(actions.tick(ms)));
+
 // Start the timer for timed mode
 export function startTimer() {
     // Clear any existing timer
     stopTimer();
 
-    // Start new timer interval
-    gameState.timerInterval = setInterval(() => {
-        gameState.timeRemaining--;
-        elements.timer.textContent = gameState.timeRemaining;
-
-        // Check for time up
-        if (gameState.timeRemaining <= 0) {
-            stopTimer();
-            endGame();
-        }
-    }, 1000);
+    gameTimer.start();
 }
 
-// Stop the timer
+// Stop the timer (the time up to now is still counted)
 export function stopTimer() {
-    if (gameState.timerInterval) {
-        clearInterval(gameState.timerInterval);
-        gameState.timerInterval = null;
-    }
+    gameTimer.stop();
 }
 
 // Save high score and return position information
 export function saveHighScore() {
+    // Daily Challenge results go on today's separate leaderboard
+    if (gameState.currentMode === 'daily') {
+        const dailyPosition = finishDailyAttempt(gameState.playerName, {
+            score: gameState.score,
+            points: gameState.points
+        });
+
+        if (gameState.score > 0 && dailyPosition > 0 && dailyPosition <= gameConfig.leaderboard.highlightTop) {
+            showLeaderboardPosition(dailyPosition);
+            checkAchievements({ type: 'highScoreSaved', mode: 'daily', position: dailyPosition });
+        }
+
+        return dailyPosition;
+    }
+
     // Only save if score is greater than 0
     if (gameState.score > 0) {
-        // Get existing high scores for the current mode
-        let highScores = loadHighScoresByMode(gameState.currentMode);
-
         // Create new score entry
         const scoreEntry = {
             name: gameState.playerName,
             score: gameState.score,
-            difficulty: gameState.currentDifficulty,
+            points: gameState.points,
+            difficulty: getActiveDifficulty(),
             mode: gameState.currentMode,
+            shapeCount: getActiveShapesQuantity(),
             date: new Date().toISOString()
         };
 
-        // Add new score
-        highScores.push(scoreEntry);
-
-        // Sort by score (descending)
-        highScores.sort((a, b) => b.score - a.score);
-
-        // Get player's position in leaderboard
-        const playerPosition = highScores.findIndex(score =>
-            score.name === scoreEntry.name &&
-            score.score === scoreEntry.score &&
-            score.date === scoreEntry.date
-        ) + 1;
+        // Survival scores also record how far the player got
+        if (gameState.currentMode === 'survival') {
+            scoreEntry.level = gameState.survivalLevel;
+        }
 
-        // Keep only top 10
-        highScores = highScores.slice(0, 10);
+        // Add it to its board (same mode, difficulty and shape count) and
+        // get the player's position there
+        const { entries, rank: playerPosition } = addLeaderboardEntry(loadHighScoresByMode(gameState.currentMode), scoreEntry);
 
-        // Save back to local storage with mode prefix
-        localStorage.setItem(`shapeGameHighScores_${gameState.currentMode}`, JSON.stringify(highScores));
+        // Save back to storage with mode prefix
+        writeRecord(`shapeGameHighScores_${gameState.currentMode}`, entries);
 
         // Show leaderboard position message on game over screen
-        if (playerPosition <= 10) {
+        if (playerPosition > 0 && playerPosition <= gameConfig.leaderboard.highlightTop) {
             showLeaderboardPosition(playerPosition);
+            checkAchievements({ type: 'highScoreSaved', mode: gameState.currentMode, position: playerPosition });
         }
 
         return playerPosition;
@@ -1140,39 +1631,63 @@ export function showLeaderboardPosition(position) {
     announceTo('assertive', ariaLabel);
 }
 
-// Load high scores by game mode
-export function loadHighScoresByMode(mode) {
-    return JSON.parse(localStorage.getItem(`shapeGameHighScores_${mode}`) || '[]');
+// Show the player's Daily Challenge streak on the game over screen (or hide it)
+export function showDailyStreak(streak) {
+    let streakElement = document.getElementById('daily-streak');
+
+    if (!streak) {
+        if (streakElement) {
+            streakElement.classList.add('hidden');
+        }
+        return;
+    }
+
+    if (!streakElement) {
+        streakElement = document.createElement('div');
+        streakElement.id = 'daily-streak';
+        streakElement.className = 'daily-streak';
+        streakElement.setAttribute('role', 'status');
+
+        // Insert it after the final score
+        const finalScoreParent = elements.finalScore.parentNode;
+        finalScoreParent.parentNode.insertBefore(streakElement, finalScoreParent.nextSibling);
+    }
+
+    const days = streak.current === 1 ? 'day' : 'days';
+    streakElement.textContent = `🔥 Daily streak: ${streak.current} ${days} (best: ${streak.best})`;
+    streakElement.classList.remove('hidden');
 }
 
-// Load all high scores (legacy function for backward compatibility)
-export function loadHighScores() {
-    // Try to get high scores by current mode first
-    const modeScores = loadHighScoresByMode(gameState.currentMode);
+// Load high scores by game mode (names saved before the name policy are cleaned up)
+export function loadHighScoresByMode(mode) {
+    return readRecord(`shapeGameHighScores_${mode}`, []).map(entry => ({ ...entry, name: sanitizePlayerName(entry.name) }));
+}
 
-    // For backward compatibility, check the old storage key
-    const legacyScores = JSON.parse(localStorage.getItem('shapeGameHighScores') || '[]');
+// Move a player's leaderboard entries to a new name (when a profile is renamed or merged)
+export function renamePlayerScores(fromName, toName) {
+    const fromKey = fromName.trim().toLowerCase();
 
-    if (modeScores.length > 0) {
-        return modeScores;
-    } else if (legacyScores.length > 0) {
-        // Migrate old scores to the new format
-        const classicScores = legacyScores.filter(score => score.mode === 'classic');
-        const timedScores = legacyScores.filter(score => score.mode === 'timed');
+    ['classic', 'timed', 'survival'].forEach(mode => {
+        const scores = loadHighScoresByMode(mode);
+        let changed = false;
 
-        if (classicScores.length > 0) {
-            localStorage.setItem('shapeGameHighScores_classic', JSON.stringify(classicScores));
-        }
+        scores.forEach(score => {
+            if (String(score.name).trim().toLowerCase() === fromKey) {
+                score.name = toName;
+                changed = true;
+            }
+        });
 
-        if (timedScores.length > 0) {
-            localStorage.setItem('shapeGameHighScores_timed', JSON.stringify(timedScores));
+        if (changed) {
+            writeRecord(`shapeGameHighScores_${mode}`, scores);
         }
+    });
+}
 
-        // Return the scores for the current mode
-        return gameState.currentMode === 'classic' ? classicScores : timedScores;
-    }
-
-    return [];
+// Load the high scores for the current mode (older combined scores are split
+// by mode when storage starts, see storage.js)
+export function loadHighScores() {
+    return loadHighScoresByMode(gameState.currentMode);
 }
 
 // Force game board to have proper dimensions
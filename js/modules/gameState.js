@@ -43,10 +43,13 @@
  * @property {boolean} isGameActive - Whether a game round is currently running
  * @property {number} score - Player's current score (number of correct matches)
  * @property {number} previousScore - Previous score value for animation triggers
+ * @property {number} points - Player's current points (see scoring.js)
+ * @property {number} lastRoundPoints - Points the most recent correct match earned
+ * @property {number} combo - Correct answers in a row
+ * @property {number} bestCombo - Longest run of correct answers this game
  * @property {number} attemptsLeft - Remaining wrong guesses before game over
  * @property {number} previousAttempts - Previous attempts for animation triggers
  * @property {number} timer - Current timer value (used internally)
- * @property {?number} timerInterval - ID of the active timer interval
  * @property {?string} targetShape - The shape type player needs to find
  * @property {?string} targetColor - The color of the target shape
  * @property {Array} shapes - Array of shape objects currently on the game board
@@ -58,22 +61,39 @@
  * @property {string} currentDifficulty - Currently selected difficulty
  * @property {string} currentMode - Currently selected game mode
  * @property {number} shapesQuantity - User's preferred number of shapes
+ * @property {string} colorPalette - Palette shapes are drawn in ('standard' or a gameConfig.colorVision.palettes name)
+ * @property {boolean} colorPatterns - Whether shapes get a fill pattern for their color
  * @property {boolean} gameOver - Whether the current game has ended
  * @property {?number} animationFrameId - ID of active animation frame for cleanup
  * @property {number} timeRemaining - Seconds left in timed mode
  * @property {?number} confettiAnimationId - ID of active confetti animation
+ * @property {?number} seed - Seed the current game's boards are generated from
+ * @property {string} requestedSeed - Seed the player asked for in setup ('' for a fresh random seed)
+ * @property {number} roundNumber - How many rounds have been started this game
+ * @property {function(): number} random - Seeded random generator for the current round
+ * @property {number} roundStartedAt - performance.now() when the current board appeared (for response times)
+ * @property {?Object} dailyStreak - Streak info returned when today's Daily Challenge started
+ * @property {number} survivalLevel - Current Survival mode level (0 outside Survival)
+ * @property {?Object} survivalSettings - Blended difficulty settings for the current Survival level
+ * @property {?string} profileId - Id of the player profile that is playing (see playerProfiles.js)
+ * @property {number} mistakes - Wrong clicks in the current game (for the profile's lifetime stats)
+ * @property {boolean} paused - Whether the current game is paused
+ * @property {number} pausedAt - performance.now() when the game was paused
  */
 const gameState = {
     // Core game status
     isGameActive: false,
     score: 0,
     previousScore: 0, // Added to track previous score for animation
+    points: 0,
+    lastRoundPoints: 0,
+    combo: 0,
+    bestCombo: 0,
     attemptsLeft: 0,
     previousAttempts: 0, // Added to track previous attempts for animation
 
     // Timer management
     timer: 0,
-    timerInterval: null,
 
     // Current round data
     targetShape: null,
@@ -87,6 +107,8 @@ const gameState = {
 
     // Player data
     playerName: '',
+    profileId: null,
+    mistakes: 0,
     highScores: {
         easy: [],
         medium: [],
@@ -97,12 +119,30 @@ const gameState = {
     currentDifficulty: 'easy',
     currentMode: 'classic',
     shapesQuantity: 10,
+    colorPalette: 'standard',
+    colorPatterns: false,
 
     // Game flow control
     gameOver: false,
+    paused: false,
+    pausedAt: 0,
     animationFrameId: null,
     timeRemaining: 0,
-    confettiAnimationId: null // Added to track confetti animations
+    confettiAnimationId: null, // Added to track confetti animations
+
+    // Reproducible round generation
+    seed: null,
+    requestedSeed: '',
+    roundNumber: 0,
+    random: Math.random,
+    roundStartedAt: 0,
+
+    // Daily Challenge
+    dailyStreak: null,
+
+    // Survival mode
+    survivalLevel: 0,
+    survivalSettings: null
 };
 
 /**
@@ -119,12 +159,15 @@ const gameState = {
  * - Target shape and board shapes
  * - Timers and animations
  * - Game over flags
+ * - The game seed and its round generator
  * 
  * STAYS THE SAME (player preferences):
  * - Chosen difficulty and game mode
  * - Number of shapes preference
- * - Player name
+ * - Color palette and patterns
+ * - Player name and profile
  * - High scores
+ * - Requested seed
  * 
  * This approach means players don't have to re-enter their settings every time
  * they start a new game, which makes for a much smoother experience.
@@ -146,12 +189,16 @@ export function resetGameState() {
     gameState.isGameActive = false;
     gameState.score = 0;
     gameState.previousScore = 0; // Reset previousScore
+    gameState.points = 0;
+    gameState.lastRoundPoints = 0;
+    gameState.combo = 0;
+    gameState.bestCombo = 0;
     gameState.attemptsLeft = 0;
     gameState.previousAttempts = 0;
+    gameState.mistakes = 0;
 
     // Clear timer data
     gameState.timer = 0;
-    gameState.timerInterval = null;
 
     // Clear current round data
     gameState.targetShape = null;
@@ -160,16 +207,29 @@ export function resetGameState() {
 
     // Reset game flow flags
     gameState.gameOver = false;
+    gameState.paused = false;
+    gameState.pausedAt = 0;
     gameState.animationFrameId = null;
     gameState.timeRemaining = 0;
     gameState.confettiAnimationId = null;
 
+    // Clear seeded generation (a new seed is chosen when the next game starts)
+    gameState.seed = null;
+    gameState.roundNumber = 0;
+    gameState.random = Math.random;
+    gameState.roundStartedAt = 0;
+    gameState.dailyStreak = null;
+    gameState.survivalLevel = 0;
+    gameState.survivalSettings = null;
+
     // Preserve user preferences - these should NOT be reset:
     // - gameState.currentDifficulty 
     // - gameState.currentMode 
     // - gameState.shapesQuantity
     // - gameState.playerName
+    // - gameState.profileId
     // - gameState.highScores
+    // - gameState.requestedSeed
 
     console.log('Game state reset - ready for new game');
 }
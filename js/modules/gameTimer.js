@@ -0,0 +1,126 @@
+/**
+ * Game Timer Module
+ * 
+ * The clock behind Timed mode. It used to knock one whole second off every
+ * time a setInterval fired, which drifted whenever the browser was busy or
+ * throttled the tab, and couldn't handle half-second bonuses. Now the clock
+ * reads performance.now() every frame and reports exactly how many
+ * milliseconds really passed, so the countdown bar moves smoothly and the time
+ * left is always right - however late a frame turns up.
+ * 
+ * Stopping the clock counts the time up to that moment, and starting it again
+ * begins counting from then, so time spent paused is never taken off.
+ * 
+ * The rules engine still decides what the time means (bonuses, penalties,
+ * warnings, running out); this module only measures it.
+ * 
+ * @fileoverview Monotonic, pause-aware clock for timed mode
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a clock that reports elapsed time once per animation frame.
+ * 
+ * @example
+ * const timer = createGameTimer(ms => engine.dispatch(actions.tick(ms)));
+ * timer.start();
+ * // ...the player pauses
+ * timer.stop();  // Counts the time up to now, then stops
+ * timer.start(); // Carries on - the paused time is never counted
+ * 
+ * @function
+ * @param {function(number): void} onElapsed - Called with the milliseconds since the last report
+ * @param {Object} [options] - Clock sources, replaceable for tests
+ * @param {function(): number} [options.now] - Monotonic time in milliseconds (defaults to performance.now)
+ * @param {function(Function): number} [options.requestFrame] - Schedules the next update (defaults to requestAnimationFrame)
+ * @param {function(number): void} [options.cancelFrame] - Cancels a scheduled update (defaults to cancelAnimationFrame)
+ * @returns {{start: function(): void, stop: function(): void, isRunning: function(): boolean, getActiveMs: function(): number}} The clock
+ */
+export function createGameTimer(onElapsed, {
+    now = () => performance.now(),
+    requestFrame = callback => requestAnimationFrame(callback),
+    cancelFrame = id => cancelAnimationFrame(id)
+} = {}) {
+    let running = false;
+    let frameId = null;
+    let lastTime = 0;
+    let activeMs = 0;
+
+    // Report the time since the last report
+    function report() {
+        const time = now();
+        const elapsed = Math.max(0, time - lastTime);
+
+        lastTime = time;
+        activeMs += elapsed;
+
+        if (elapsed > 0) {
+            onElapsed(elapsed);
+        }
+    }
+
+    function frame() {
+        frameId = null;
+        if (!running) return;
+
+        report();
+
+        // The report may have ended the game and stopped the clock
+        if (running) {
+            frameId = requestFrame(frame);
+        }
+    }
+
+    return {
+        /**
+         * Starts (or restarts) counting from now.
+         * 
+         * @returns {void}
+         */
+        start() {
+            if (running) return;
+
+            running = true;
+            lastTime = now();
+            frameId = requestFrame(frame);
+        },
+
+        /**
+         * Counts the time up to now, then stops.
+         * 
+         * @returns {void}
+         */
+        stop() {
+            if (!running) return;
+
+            // Stop first, so anything the last report triggers (like the
+            // game ending) sees a stopped clock
+            running = false;
+            if (frameId !== null) {
+                cancelFrame(frameId);
+                frameId = null;
+            }
+
+            report();
+        },
+
+        /**
+         * Whether the clock is counting.
+         * 
+         * @returns {boolean} True between start() and stop()
+         */
+        isRunning() {
+            return running;
+        },
+
+        /**
+         * Total time counted since the clock was created (paused time excluded).
+         * 
+         * @returns {number} Milliseconds
+         */
+        getActiveMs() {
+            return activeMs;
+        }
+    };
+}
@@ -0,0 +1,220 @@
+/**
+ * History Screen Module
+ * 
+ * The Reports screen is where a teacher gets the full session history out of
+ * the game. Pick a player (or everyone) and a date range, then download a CSV
+ * for a spreadsheet or a JSON file for safekeeping. A JSON file from another
+ * tablet can be imported here too, so one device can hold the whole class's
+ * history.
+ * 
+ * The data itself is handled by sessionHistory.js.
+ * 
+ * @fileoverview Reports screen for exporting and importing session history
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { elements } from './elements.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+import {
+    loadSessions,
+    listHistoryPlayers,
+    exportSessionsToCsv,
+    exportSessionsToJson,
+    importSessions
+} from './sessionHistory.js';
+
+/**
+ * Wires up the Reports screen.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initHistoryScreen() {
+    elements.historyBtn.addEventListener('click', showHistoryModal);
+    elements.closeHistoryBtn.addEventListener('click', hideHistoryModal);
+
+    [elements.historyPlayer, elements.historyFrom, elements.historyTo].forEach(input => {
+        input.addEventListener('change', updateSummary);
+    });
+
+    elements.exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+    elements.exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+    elements.historyImport.addEventListener('change', handleImport);
+}
+
+/**
+ * Opens the Reports screen.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function showHistoryModal() {
+    renderPlayerOptions();
+    showStatus('');
+    updateSummary();
+    elements.historyModal.classList.remove('hidden');
+    trapFocus(elements.historyModal, elements.historyPlayer);
+}
+
+/**
+ * Closes the Reports screen.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function hideHistoryModal() {
+    elements.historyModal.classList.add('hidden');
+    releaseFocus(elements.historyModal);
+}
+
+/**
+ * Shows a message under the export and import controls.
+ * 
+ * @param {string} message - Message to show ('' to clear it)
+ * @returns {void}
+ */
+function showStatus(message) {
+    elements.historyStatus.textContent = message;
+}
+
+/**
+ * Fills the player dropdown with everyone who has history.
+ * 
+ * @returns {void}
+ */
+function renderPlayerOptions() {
+    const select = elements.historyPlayer;
+    const previous = select.value;
+
+    select.replaceChildren();
+
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All players';
+    select.appendChild(all);
+
+    listHistoryPlayers().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+
+    select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+}
+
+/**
+ * Reads the current player and date filters.
+ * 
+ * @returns {{playerName: string, from: string, to: string}} The filter for loadSessions()
+ */
+function getFilter() {
+    return {
+        playerName: elements.historyPlayer.value,
+        from: elements.historyFrom.value,
+        to: elements.historyTo.value
+    };
+}
+
+/**
+ * Shows how many sessions and rounds the current filters match.
+ * 
+ * @returns {void}
+ */
+function updateSummary() {
+    const sessions = loadSessions(getFilter());
+    const rounds = sessions.reduce((total, session) => total + session.rounds.length, 0);
+
+    elements.historySummary.textContent = `${sessions.length} ${sessions.length === 1 ? 'game' : 'games'}, ` +
+        `${rounds} ${rounds === 1 ? 'round' : 'rounds'} selected`;
+}
+
+/**
+ * Builds a download file name from the current filters.
+ * 
+ * @param {string} extension - 'csv' or 'json'
+ * @returns {string} Something like "shape-game-history-sam-2024-05-01-to-2024-05-31.csv"
+ */
+function getExportFileName(extension) {
+    const { playerName, from, to } = getFilter();
+    const player = playerName ? playerName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'all';
+
+    return `shape-game-history-${player || 'player'}-${from || 'start'}-to-${to || 'today'}.${extension}`;
+}
+
+/**
+ * Makes the browser download some text as a file.
+ * 
+ * @param {string} fileName - Name for the downloaded file
+ * @param {string} mimeType - MIME type of the contents
+ * @param {string} text - File contents
+ * @returns {void}
+ */
+function downloadFile(fileName, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports the sessions matching the current filters.
+ * 
+ * @param {string} format - 'csv' or 'json'
+ * @returns {void}
+ */
+function exportHistory(format) {
+    const { from, to } = getFilter();
+
+    if (from && to && from > to) {
+        showStatus('The "From" date must be before the "To" date');
+        return;
+    }
+
+    const sessions = loadSessions(getFilter());
+
+    if (sessions.length === 0) {
+        showStatus('There are no games to export for these filters');
+        return;
+    }
+
+    if (format === 'csv') {
+        downloadFile(getExportFileName('csv'), 'text/csv', exportSessionsToCsv(sessions));
+    } else {
+        downloadFile(getExportFileName('json'), 'application/json', exportSessionsToJson(sessions));
+    }
+
+    showStatus(`Exported ${sessions.length} ${sessions.length === 1 ? 'game' : 'games'}`);
+}
+
+/**
+ * Imports the JSON file the teacher picked.
+ * 
+ * @returns {Promise<void>}
+ */
+async function handleImport() {
+    const file = elements.historyImport.files[0];
+    if (!file) return;
+
+    try {
+        const { added, skipped } = importSessions(await file.text());
+        showStatus(`Imported ${added} ${added === 1 ? 'game' : 'games'}` +
+            (skipped > 0 ? ` (${skipped} already here or unreadable)` : ''));
+    } catch (error) {
+        console.error('History import failed:', error);
+        showStatus(error.message);
+    }
+
+    // Let the same file be picked again
+    elements.historyImport.value = '';
+
+    renderPlayerOptions();
+    updateSummary();
+}
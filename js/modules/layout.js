@@ -0,0 +1,533 @@
+/**
+ * Layout Module
+ * 
+ * Decides where each shape sits when a new board is generated. Every layout
+ * strategy works through the same placement checks, so whichever one is used
+ * the shapes never overlap: each shape's footprint is the box around it
+ * *after* rotation (a long rectangle turned 45 degrees needs a lot more room
+ * than its base size suggests), and neighbouring footprints always keep
+ * gameConfig.layout.spacing pixels between them.
+ * 
+ * Built-in strategies:
+ * - grid: one shape per cell of an even grid, nudged a little inside its cell
+ * - poisson: Poisson-disk style scattering - spread out but natural-looking
+ * - clustered: a few loose groups, which makes scanning the board harder
+ * - ring: shapes arranged around rings, outermost ring first
+ * 
+ * More can be added with registerLayoutStrategy(). When the chosen strategy
+ * can't fit every shape, the others are tried before giving up, so a report
+ * that shapes didn't fit means there really wasn't room on this board. A
+ * shape that has to be on the board (the round's match) is never left off:
+ * if no strategy places it, it is put in the middle of the board first -
+ * made smaller if even the empty board is too small for it.
+ * 
+ * Like motion.js, this module never touches the page.
+ * 
+ * @fileoverview Pluggable, overlap-free board layouts for generated shapes
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { getShapeDimensions } from './shapeRegistry.js';
+import { getRandomFloat, shuffleArray } from './utils.js';
+
+/**
+ * Registered layout strategies keyed by name.
+ * 
+ * @type {Map<string, function(Object): void>}
+ */
+const layoutStrategies = new Map();
+
+/**
+ * Strategies tried, in order, when the chosen one can't fit every shape.
+ * Grid goes last because it packs evenly sized cells most reliably.
+ * 
+ * @type {string[]}
+ */
+const FALLBACK_STRATEGIES = ['poisson', 'grid'];
+
+/**
+ * Adds a layout strategy (or replaces one with the same name).
+ * 
+ * A strategy receives a placement helper and calls placement.tryPlace() with
+ * candidate centers for each shape; the helper rejects anything that would
+ * leave the board or crowd a shape that's already placed. Shapes the strategy
+ * never manages to place are reported as not fitting.
+ * 
+ * @example
+ * registerLayoutStrategy('diagonal', placement => {
+ *     const { boxes, bounds } = placement;
+ *     boxes.forEach((box, index) => {
+ *         const t = (index + 0.5) / boxes.length;
+ *         placement.tryPlace(index, t * bounds.width, t * bounds.height);
+ *     });
+ * });
+ * 
+ * @function
+ * @param {string} name - Strategy name used in gameConfig.layout.strategy
+ * @param {function(Object): void} place - Places shapes using the helper's boxes, bounds, random and tryPlace()
+ * @returns {void}
+ * @throws {Error} If the name or function is missing
+ */
+export function registerLayoutStrategy(name, place) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('registerLayoutStrategy requires a strategy name');
+    }
+
+    if (typeof place !== 'function') {
+        throw new Error(`registerLayoutStrategy requires a placement function for "${name}"`);
+    }
+
+    if (layoutStrategies.has(name)) {
+        console.warn(`Layout strategy "${name}" was already registered - replacing it`);
+    }
+
+    layoutStrategies.set(name, place);
+}
+
+/**
+ * Names of every registered layout strategy.
+ * 
+ * @function
+ * @returns {string[]} Strategy names in registration order
+ */
+export function getLayoutStrategies() {
+    return [...layoutStrategies.keys()];
+}
+
+/**
+ * Gets the box a shape covers once it's rotated.
+ * 
+ * @example
+ * getRotatedBounds({ type: 'rectangle', size: 80, rotation: 90 }); // { width: 60, height: 120 }
+ * 
+ * @function
+ * @param {Object} shape - The shape (type, size and rotation)
+ * @returns {{width: number, height: number}} Width and height of the rotated shape's bounding box
+ */
+export function getRotatedBounds(shape) {
+    const { width, height } = getShapeDimensions(shape.type, shape.size);
+    const angle = (shape.rotation || 0) * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+
+    return {
+        width: width * cos + height * sin,
+        height: width * sin + height * cos
+    };
+}
+
+/**
+ * Creates the helper strategies place shapes through.
+ * 
+ * @param {Array<{width: number, height: number}>} boxes - Rotated footprint of each shape
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @param {function(): number} random - Source of random numbers in [0, 1)
+ * @returns {Object} The helper: boxes, bounds, random, spacing, centers and tryPlace()
+ */
+function createPlacement(boxes, bounds, random) {
+    const { spacing, edgeMargin } = gameConfig.layout;
+    const centers = boxes.map(() => null);
+    const placed = [];
+
+    return {
+        boxes,
+        bounds,
+        random,
+        spacing,
+        edgeMargin,
+        centers,
+
+        /**
+         * Places a shape centered on (x, y) if there's room for it there.
+         * 
+         * @param {number} index - Which shape (index into boxes)
+         * @param {number} x - Center x in pixels
+         * @param {number} y - Center y in pixels
+         * @returns {boolean} True if the shape was placed
+         */
+        tryPlace(index, x, y) {
+            if (centers[index]) return false;
+
+            const halfWidth = boxes[index].width / 2;
+            const halfHeight = boxes[index].height / 2;
+
+            if (x - halfWidth < edgeMargin || x + halfWidth > bounds.width - edgeMargin ||
+                y - halfHeight < edgeMargin || y + halfHeight > bounds.height - edgeMargin) {
+                return false;
+            }
+
+            const crowded = placed.some(other => {
+                const otherBox = boxes[other];
+                const otherCenter = centers[other];
+
+                return Math.abs(x - otherCenter.x) < halfWidth + otherBox.width / 2 + spacing &&
+                    Math.abs(y - otherCenter.y) < halfHeight + otherBox.height / 2 + spacing;
+            });
+
+            if (crowded) return false;
+
+            centers[index] = { x, y };
+            placed.push(index);
+            return true;
+        }
+    };
+}
+
+/**
+ * Tries a shape at up to gameConfig.layout.attempts random spots anywhere on
+ * the board.
+ * 
+ * @param {Object} placement - The placement helper
+ * @param {number} index - Which shape
+ * @returns {boolean} True if the shape was placed
+ */
+function tryRandomSpots(placement, index) {
+    const { bounds, random } = placement;
+
+    for (let attempt = 0; attempt < gameConfig.layout.attempts; attempt++) {
+        if (placement.tryPlace(index, random() * bounds.width, random() * bounds.height)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+registerLayoutStrategy('grid', placement => {
+    const { boxes, bounds, random, spacing, edgeMargin } = placement;
+
+    // Square cells big enough for the largest rotated shape plus spacing
+    const cellSize = Math.max(...boxes.map(box => Math.max(box.width, box.height))) + spacing;
+    const usableWidth = bounds.width - edgeMargin * 2 + spacing;
+    const usableHeight = bounds.height - edgeMargin * 2 + spacing;
+    const columns = Math.floor(usableWidth / cellSize);
+    const rows = Math.floor(usableHeight / cellSize);
+
+    // Center the grid on the board
+    const originX = edgeMargin + (usableWidth - columns * cellSize) / 2;
+    const originY = edgeMargin + (usableHeight - rows * cellSize) / 2;
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            cells.push({
+                x: originX + column * cellSize + (cellSize - spacing) / 2,
+                y: originY + row * cellSize + (cellSize - spacing) / 2
+            });
+        }
+    }
+
+    shuffleArray(cells, random);
+
+    boxes.forEach((box, index) => {
+        const cell = cells.pop();
+        if (!cell) return;
+
+        // Wiggle smaller shapes around inside their cell so the grid isn't obvious
+        const slackX = (cellSize - spacing - box.width) / 2;
+        const slackY = (cellSize - spacing - box.height) / 2;
+
+        if (!placement.tryPlace(index, cell.x + getRandomFloat(-slackX, slackX, random), cell.y + getRandomFloat(-slackY, slackY, random))) {
+            placement.tryPlace(index, cell.x, cell.y);
+        }
+    });
+});
+
+registerLayoutStrategy('poisson', placement => {
+    const { boxes, random, spacing } = placement;
+    const radius = index => Math.hypot(boxes[index].width, boxes[index].height) / 2;
+
+    // Shapes that might still have room around them for a neighbour
+    const active = [];
+
+    boxes.forEach((box, index) => {
+        let placed = false;
+
+        // Try spots just beyond the reach of an already-placed shape
+        // (Bridson's algorithm, with the gap sized for both shapes)
+        while (!placed && active.length > 0) {
+            const activeIndex = Math.floor(random() * active.length);
+            const anchor = active[activeIndex];
+            const { x, y } = placement.centers[anchor];
+            const minDistance = radius(anchor) + radius(index) + spacing;
+
+            for (let attempt = 0; attempt < gameConfig.layout.attempts && !placed; attempt++) {
+                const angle = random() * Math.PI * 2;
+                const distance = minDistance * (1 + random());
+                placed = placement.tryPlace(index, x + Math.cos(angle) * distance, y + Math.sin(angle) * distance);
+            }
+
+            // No room around this one - stop growing from it
+            if (!placed) {
+                active.splice(activeIndex, 1);
+            }
+        }
+
+        if (!placed) {
+            placed = tryRandomSpots(placement, index);
+        }
+
+        if (placed) {
+            active.push(index);
+        }
+    });
+});
+
+registerLayoutStrategy('clustered', placement => {
+    const { boxes, bounds, random } = placement;
+    const { attempts, clusterCount } = gameConfig.layout;
+
+    // Group centers stay away from the edges so each group has room to grow
+    const clusters = Array.from({ length: Math.min(clusterCount, boxes.length) }, () => ({
+        x: getRandomFloat(bounds.width * 0.2, bounds.width * 0.8, random),
+        y: getRandomFloat(bounds.height * 0.2, bounds.height * 0.8, random)
+    }));
+    const maxSpread = Math.max(bounds.width, bounds.height) / 2;
+
+    boxes.forEach((box, index) => {
+        const cluster = clusters[index % clusters.length];
+
+        // Start close to the group's center and search further out with each try
+        for (let attempt = 1; attempt <= attempts * 2; attempt++) {
+            const spread = maxSpread * attempt / (attempts * 2);
+            const angle = random() * Math.PI * 2;
+            const distance = spread * Math.sqrt(random());
+
+            if (placement.tryPlace(index, cluster.x + Math.cos(angle) * distance, cluster.y + Math.sin(angle) * distance)) {
+                return;
+            }
+        }
+
+        tryRandomSpots(placement, index);
+    });
+});
+
+/**
+ * Finds evenly spaced spots around an ellipse.
+ * 
+ * Distance along the ellipse is measured the way the spacing check measures
+ * it - the larger of the horizontal and vertical gaps - so neighbouring spots
+ * on the curved, diagonal parts of a ring are as far apart as on the flat
+ * parts.
+ * 
+ * @param {{x: number, y: number, radiusX: number, radiusY: number}} ellipse - Center and radii in pixels
+ * @param {number} step - Smallest distance between spots
+ * @param {number} maxCount - Most spots wanted
+ * @param {number} start - Angle of the first spot in radians
+ * @returns {Array<{x: number, y: number}>} The spots (up to maxCount)
+ */
+function spreadAroundEllipse(ellipse, step, maxCount, start) {
+    const samples = 360;
+    const points = [];
+    const lengths = [0];
+
+    for (let i = 0; i <= samples; i++) {
+        const angle = start + i / samples * Math.PI * 2;
+        points.push({
+            x: ellipse.x + Math.cos(angle) * ellipse.radiusX,
+            y: ellipse.y + Math.sin(angle) * ellipse.radiusY
+        });
+
+        if (i > 0) {
+            const previous = points[i - 1];
+            lengths.push(lengths[i - 1] + Math.max(Math.abs(points[i].x - previous.x), Math.abs(points[i].y - previous.y)));
+        }
+    }
+
+    const total = lengths[samples];
+    const count = Math.min(Math.floor(total / step), maxCount);
+    const spots = [];
+    let sample = 0;
+
+    for (let slot = 0; slot < count; slot++) {
+        const target = slot * total / count;
+        while (lengths[sample] < target) {
+            sample++;
+        }
+        spots.push(points[sample]);
+    }
+
+    return spots;
+}
+
+registerLayoutStrategy('ring', placement => {
+    const { boxes, bounds, random, spacing, edgeMargin } = placement;
+    const largest = Math.max(...boxes.map(box => Math.max(box.width, box.height)));
+    const step = largest + spacing;
+    const ellipse = {
+        x: bounds.width / 2,
+        y: bounds.height / 2,
+        radiusX: bounds.width / 2 - edgeMargin - largest / 2,
+        radiusY: bounds.height / 2 - edgeMargin - largest / 2
+    };
+    let next = 0;
+
+    // Fill rings from the outside in, spacing shapes evenly around each one
+    while (next < boxes.length && ellipse.radiusX > 0 && ellipse.radiusY > 0) {
+        const spots = spreadAroundEllipse(ellipse, step, boxes.length - next, random() * Math.PI * 2);
+        if (spots.length === 0) break;
+
+        spots.forEach((spot, slot) => placement.tryPlace(next + slot, spot.x, spot.y));
+
+        next += spots.length;
+        ellipse.radiusX -= step;
+        ellipse.radiusY -= step;
+    }
+
+    // One more shape fits in the middle
+    if (next < boxes.length) {
+        placement.tryPlace(next, bounds.width / 2, bounds.height / 2);
+    }
+
+    // Anything that missed its slot on a tight ring looks for a gap
+    boxes.forEach((box, index) => {
+        if (!placement.centers[index]) {
+            tryRandomSpots(placement, index);
+        }
+    });
+});
+
+/**
+ * Runs one strategy on a fresh, empty board.
+ * 
+ * @param {string} name - Strategy name
+ * @param {Array<{width: number, height: number}>} boxes - Rotated footprint of each shape
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @param {function(): number} random - Source of random numbers in [0, 1)
+ * @param {number} [pinned] - Shape to put in the middle of the board before the strategy runs
+ * @returns {{strategy: string, centers: Array<?{x: number, y: number}>, placed: number}} Where each shape went
+ */
+function runStrategy(name, boxes, bounds, random, pinned) {
+    const placement = createPlacement(boxes, bounds, random);
+
+    if (pinned !== undefined) {
+        placement.tryPlace(pinned, bounds.width / 2, bounds.height / 2);
+    }
+
+    layoutStrategies.get(name)(placement);
+
+    return {
+        strategy: name,
+        centers: placement.centers,
+        placed: placement.centers.filter(Boolean).length
+    };
+}
+
+/**
+ * Shrinks a shape, if needed, so it fits inside the board's edge margins on
+ * its own.
+ * 
+ * @param {Object} shape - The shape (its size is changed)
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @returns {void}
+ */
+function shrinkToFit(shape, bounds) {
+    const { edgeMargin } = gameConfig.layout;
+    const box = getRotatedBounds(shape);
+    const scale = Math.min(1, (bounds.width - edgeMargin * 2) / box.width, (bounds.height - edgeMargin * 2) / box.height);
+
+    if (scale < 1) {
+        console.warn(`Shrinking a ${shape.type} from ${shape.size}px to fit a ${bounds.width}x${bounds.height} board`);
+        shape.size = Math.max(1, Math.floor(shape.size * scale));
+    }
+}
+
+/**
+ * Positions shapes on the board without any overlap.
+ * 
+ * Shapes are placed in the order given, so put the ones that must make it
+ * onto the board (like the matching shapes) first. Each placed shape gets its
+ * x and y (top-left corner, before rotation) set.
+ * 
+ * When the chosen strategy can't fit everything, the fallback strategies get
+ * a try and the best result wins. If even that leaves shapes out, the report
+ * says so and lists them - the board really is too small for that many.
+ * 
+ * Placing shapes in order makes the first ones likely to fit, but random
+ * strategies can still miss. The `required` shape is guaranteed a spot: if
+ * the best result left it out, the strategies run again with it pinned to
+ * the middle of the board (shrunk first if the board is smaller than it).
+ * 
+ * @example
+ * const report = layoutShapes(shapes, { width: 800, height: 600 }, { strategy: 'ring', random, required: 0 });
+ * if (!report.fits) {
+ *     console.warn(`Only ${report.placed} of ${report.requested} shapes fit`);
+ * }
+ * 
+ * @function
+ * @param {Array<Object>} shapes - Shapes to position (type, size and rotation)
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @param {Object} options - Layout options
+ * @param {string} [options.strategy] - Strategy name, defaults to gameConfig.layout.strategy
+ * @param {function(): number} options.random - Source of random numbers in [0, 1)
+ * @param {number} [options.required] - Index of a shape that must be placed (its size may shrink)
+ * @returns {{strategy: string, requested: number, placed: number, fits: boolean, unplaced: Array<Object>}} What happened
+ */
+export function layoutShapes(shapes, bounds, { strategy = gameConfig.layout.strategy, random, required }) {
+    if (shapes.length === 0) {
+        return { strategy, requested: 0, placed: 0, fits: true, unplaced: [] };
+    }
+
+    let chosen = strategy;
+
+    if (!layoutStrategies.has(chosen)) {
+        console.warn(`Unknown layout strategy "${chosen}" - using ${FALLBACK_STRATEGIES[0]}`);
+        chosen = FALLBACK_STRATEGIES[0];
+    }
+
+    const boxes = shapes.map(getRotatedBounds);
+    let best = runStrategy(chosen, boxes, bounds, random);
+
+    for (const fallback of FALLBACK_STRATEGIES) {
+        if (best.placed === shapes.length) break;
+        if (fallback === chosen) continue;
+
+        const attempt = runStrategy(fallback, boxes, bounds, random);
+        if (attempt.placed > best.placed) {
+            best = attempt;
+        }
+    }
+
+    // The shape that must be on the board didn't make it - start again with
+    // it in the middle
+    if (required !== undefined && shapes[required] && !best.centers[required]) {
+        shrinkToFit(shapes[required], bounds);
+        boxes[required] = getRotatedBounds(shapes[required]);
+
+        best = null;
+
+        for (const name of new Set([chosen, ...FALLBACK_STRATEGIES])) {
+            const attempt = runStrategy(name, boxes, bounds, random, required);
+            if (!best || attempt.placed > best.placed) {
+                best = attempt;
+            }
+            if (best.placed === shapes.length) break;
+        }
+    }
+
+    const unplaced = [];
+
+    shapes.forEach((shape, index) => {
+        const center = best.centers[index];
+        if (!center) {
+            unplaced.push(shape);
+            return;
+        }
+
+        // Rotation is around the center, so the unrotated corner sits half
+        // the shape's own size up and left of it
+        const { width, height } = getShapeDimensions(shape.type, shape.size);
+        shape.x = center.x - width / 2;
+        shape.y = center.y - height / 2;
+    });
+
+    return {
+        strategy: best.strategy,
+        requested: shapes.length,
+        placed: best.placed,
+        fits: unplaced.length === 0,
+        unplaced
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * Leaderboards Module
+ * 
+ * A 15 on hard with 20 shapes is a very different game from a 15 on easy
+ * with 5, so Classic and Timed scores are split into separate boards: one for
+ * every difficulty and shape count. Daily Challenge boards are already fair
+ * (everyone plays the same boards that day) and Survival changes difficulty
+ * and shape count as the player levels up, so each of those is one board.
+ * 
+ * Scores are still stored in one record per mode (see storage.js); a board
+ * is just the entries that share a mode, difficulty and shape count. Each
+ * board keeps up to gameConfig.leaderboard.maxEntries entries, and the top
+ * ones (highlightTop) get the leaderboard highlight.
+ * 
+ * This module only works with the entry lists - the leaderboard screen in
+ * events.js draws them.
+ * 
+ * @fileoverview Per-difficulty and per-shape-count leaderboard boards
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { compareScoreEntries } from './scoring.js';
+
+/**
+ * Checks whether a mode splits its scores by difficulty and shape count.
+ * 
+ * @function
+ * @param {string} mode - Game mode
+ * @returns {boolean} True for Classic and Timed
+ */
+export function isSplitMode(mode) {
+    return mode === 'classic' || mode === 'timed';
+}
+
+/**
+ * Works out which board an entry belongs on.
+ * 
+ * Entries saved before shape counts were recorded have a shapeCount of null
+ * and share their own board.
+ * 
+ * @example
+ * getBoard({ mode: 'timed', difficulty: 'hard', shapeCount: 20, ... });
+ * // { mode: 'timed', difficulty: 'hard', shapeCount: 20 }
+ * 
+ * @function
+ * @param {Object} entry - Leaderboard entry
+ * @returns {{mode: string, difficulty: ?string, shapeCount: ?number}} The board
+ */
+export function getBoard(entry) {
+    if (!isSplitMode(entry.mode)) {
+        return { mode: entry.mode, difficulty: null, shapeCount: null };
+    }
+
+    return {
+        mode: entry.mode,
+        difficulty: entry.difficulty,
+        shapeCount: typeof entry.shapeCount === 'number' ? entry.shapeCount : null
+    };
+}
+
+/**
+ * Checks whether an entry is on a board.
+ * 
+ * @function
+ * @param {Object} entry - Leaderboard entry
+ * @param {{mode: string, difficulty: ?string, shapeCount: ?number}} board - The board
+ * @returns {boolean} True if the entry belongs on the board
+ */
+export function isOnBoard(entry, board) {
+    const entryBoard = getBoard(entry);
+
+    return entryBoard.mode === board.mode &&
+        entryBoard.difficulty === board.difficulty &&
+        entryBoard.shapeCount === board.shapeCount;
+}
+
+/**
+ * Gets a board's entries, best first, each with its rank.
+ * 
+ * @example
+ * getBoardEntries(loadHighScoresByMode('classic'), { mode: 'classic', difficulty: 'easy', shapeCount: 10 });
+ * // [{ rank: 1, name: 'Sam', points: 2400, score: 12, ... }, ...]
+ * 
+ * @function
+ * @param {Array<Object>} entries - Entries for the board's mode
+ * @param {{mode: string, difficulty: ?string, shapeCount: ?number}} board - The board
+ * @returns {Array<Object>} Copies of the board's entries with a 1-based rank
+ */
+export function getBoardEntries(entries, board) {
+    return entries
+        .filter(entry => isOnBoard(entry, board))
+        .sort(compareScoreEntries)
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+/**
+ * Adds an entry to its board, trimming that board to maxEntries.
+ * 
+ * Entries on other boards are left alone.
+ * 
+ * @example
+ * const { entries, rank } = addLeaderboardEntry(loadHighScoresByMode('timed'), scoreEntry);
+ * writeRecord('shapeGameHighScores_timed', entries);
+ * 
+ * @function
+ * @param {Array<Object>} entries - Every entry for the entry's mode
+ * @param {Object} entry - The new entry
+ * @param {number} [maxEntries=gameConfig.leaderboard.maxEntries] - Most entries a board keeps
+ * @returns {{entries: Array<Object>, rank: number}} The updated list and the new entry's rank on its board (0 if it didn't make it)
+ */
+export function addLeaderboardEntry(entries, entry, maxEntries = gameConfig.leaderboard.maxEntries) {
+    const board = getBoard(entry);
+    const kept = [...entries, entry].filter(item => isOnBoard(item, board)).sort(compareScoreEntries).slice(0, maxEntries);
+    const others = entries.filter(item => !isOnBoard(item, board));
+
+    return {
+        entries: [...others, ...kept],
+        rank: kept.indexOf(entry) + 1
+    };
+}
+
+/**
+ * Lists the shape counts a mode and difficulty have boards for.
+ * 
+ * @function
+ * @param {Array<Object>} entries - Entries for the mode
+ * @param {string} mode - Game mode
+ * @param {string} difficulty - Difficulty level
+ * @returns {Array<?number>} Shape counts, smallest first (null, for older entries without one, last)
+ */
+export function getShapeCounts(entries, mode, difficulty) {
+    const counts = new Set(entries
+        .filter(entry => entry.mode === mode && entry.difficulty === difficulty)
+        .map(entry => getBoard(entry).shapeCount));
+
+    return [...counts].sort((a, b) => (a === null) - (b === null) || a - b);
+}
+
+/**
+ * Checks whether an entry was set by a player.
+ * 
+ * @function
+ * @param {Object} entry - Leaderboard entry
+ * @param {string} playerName - The player
+ * @returns {boolean} True if the names match (ignoring case and spaces)
+ */
+export function isPlayerEntry(entry, playerName) {
+    return Boolean(playerName) && String(entry.name).trim().toLowerCase() === playerName.trim().toLowerCase();
+}
+
+/**
+ * Finds a player's best entry on a board.
+ * 
+ * @function
+ * @param {Array<Object>} boardEntries - Entries from getBoardEntries()
+ * @param {string} playerName - The player
+ * @returns {?Object} Their best entry, or null if they have none
+ */
+export function getPersonalBest(boardEntries, playerName) {
+    return boardEntries.find(entry => isPlayerEntry(entry, playerName)) || null;
+}
+
+/**
+ * Values each sortable leaderboard column sorts by.
+ * 
+ * @type {Object<string, function(Object): (number|string)>}
+ */
+const SORT_VALUES = {
+    rank: entry => entry.rank,
+    name: entry => String(entry.name).toLowerCase(),
+    points: entry => entry.points || 0,
+    score: entry => entry.score,
+    level: entry => entry.level || 0,
+    date: entry => entry.date || ''
+};
+
+/**
+ * Sorts ranked entries by a column.
+ * 
+ * Ties keep their rank order.
+ * 
+ * @example
+ * sortBoardEntries(boardEntries, 'name', 'ascending');
+ * 
+ * @function
+ * @param {Array<Object>} boardEntries - Entries from getBoardEntries()
+ * @param {string} column - 'rank', 'name', 'points', 'score', 'level' or 'date'
+ * @param {string} direction - 'ascending' or 'descending'
+ * @returns {Array<Object>} A sorted copy
+ * @throws {Error} If the column can't be sorted
+ */
+export function sortBoardEntries(boardEntries, column, direction) {
+    const value = SORT_VALUES[column];
+
+    if (!value) {
+        throw new Error(`sortBoardEntries can't sort by "${column}"`);
+    }
+
+    const sign = direction === 'descending' ? -1 : 1;
+
+    return [...boardEntries].sort((a, b) => {
+        const first = value(a);
+        const second = value(b);
+
+        if (first < second) return -sign;
+        if (first > second) return sign;
+        return a.rank - b.rank;
+    });
+}
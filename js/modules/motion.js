@@ -0,0 +1,247 @@
+/**
+ * Motion Module
+ * 
+ * Moving shapes make hard mode (and the top Survival levels) a real
+ * challenge: the child has to track a shape while deciding whether it's the
+ * one they're looking for. This module decides how each shape moves.
+ * 
+ * Every moving shape gets a motion pattern when its board is generated:
+ * - bounce: straight lines, bouncing off the board edges
+ * - sine: drifts along a line while swaying gently from side to side
+ * - orbit: circles slowly around a point
+ * - wander: meanders, turning a little left and right as it goes
+ * Shapes can also spin slowly while they move.
+ * 
+ * Speeds are in pixels (or degrees) per second and every update is scaled by
+ * the real time since the last frame, so shapes move at the same pace on a
+ * 60Hz Chromebook and a 120Hz tablet.
+ * 
+ * This module doesn't touch the page - gameLogic.js runs the animation loop
+ * and moves the DOM elements.
+ * 
+ * @fileoverview Frame-rate-independent motion patterns for moving shapes
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { getRandomItem, getRandomFloat } from './utils.js';
+import { getShapeDimensions } from './shapeRegistry.js';
+
+/**
+ * Keeps a shape inside the board, bouncing its heading off any edge it hits.
+ * 
+ * @param {Object} shape - The shape (x, y, type, size and motion)
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @returns {void}
+ */
+function bounceOffEdges(shape, bounds) {
+    const { motion } = shape;
+    const { width, height } = getShapeDimensions(shape.type, shape.size);
+    const maxX = Math.max(0, bounds.width - width);
+    const maxY = Math.max(0, bounds.height - height);
+
+    if (shape.x <= 0 || shape.x >= maxX) {
+        shape.x = Math.min(maxX, Math.max(0, shape.x));
+        motion.dirX = shape.x <= 0 ? Math.abs(motion.dirX) : -Math.abs(motion.dirX);
+    }
+
+    if (shape.y <= 0 || shape.y >= maxY) {
+        shape.y = Math.min(maxY, Math.max(0, shape.y));
+        motion.dirY = shape.y <= 0 ? Math.abs(motion.dirY) : -Math.abs(motion.dirY);
+    }
+}
+
+/**
+ * How each motion pattern sets itself up and moves a shape.
+ * 
+ * init() adds pattern-specific fields to a new motion state; step() moves the
+ * shape by dt seconds and updates motion.vx/vy (its current velocity).
+ * 
+ * @type {Object<string, {init: function(Object, Object, function(): number): void, step: function(Object, number, Object): void}>}
+ */
+const PATTERNS = {
+    bounce: {
+        init() {},
+
+        step(shape, dt, bounds) {
+            const { motion } = shape;
+
+            motion.vx = motion.dirX * motion.speed;
+            motion.vy = motion.dirY * motion.speed;
+            shape.x += motion.vx * dt;
+            shape.y += motion.vy * dt;
+
+            bounceOffEdges(shape, bounds);
+        }
+    },
+
+    sine: {
+        init(motion, shape, random) {
+            const { amplitude, frequency } = gameConfig.motion.sine;
+
+            motion.amplitude = getRandomFloat(amplitude.min, amplitude.max, random);
+            motion.frequency = getRandomFloat(frequency.min, frequency.max, random);
+            motion.phase = getRandomFloat(0, Math.PI * 2, random);
+        },
+
+        step(shape, dt, bounds) {
+            const { motion } = shape;
+            const omega = Math.PI * 2 * motion.frequency;
+
+            // Drift along the heading, plus a sideways sway (the derivative of
+            // amplitude * sin(omega * t + phase))
+            const sway = motion.amplitude * omega * Math.cos(omega * motion.time + motion.phase);
+
+            motion.vx = motion.dirX * motion.speed - motion.dirY * sway;
+            motion.vy = motion.dirY * motion.speed + motion.dirX * sway;
+            shape.x += motion.vx * dt;
+            shape.y += motion.vy * dt;
+
+            bounceOffEdges(shape, bounds);
+        }
+    },
+
+    orbit: {
+        init(motion, shape, random) {
+            const { radius } = gameConfig.motion.orbit;
+
+            motion.radius = getRandomFloat(radius.min, radius.max, random);
+            motion.angle = getRandomFloat(0, Math.PI * 2, random);
+            motion.clockwise = random() < 0.5;
+
+            // Orbit around a point such that the shape starts where it was placed
+            motion.centerX = shape.x - Math.cos(motion.angle) * motion.radius;
+            motion.centerY = shape.y - Math.sin(motion.angle) * motion.radius;
+        },
+
+        step(shape, dt, bounds) {
+            const { motion } = shape;
+            const { width, height } = getShapeDimensions(shape.type, shape.size);
+
+            // Keep the whole circle on the board (shrinking it on tiny boards)
+            const radius = Math.max(0, Math.min(motion.radius, (bounds.width - width) / 2, (bounds.height - height) / 2));
+            motion.centerX = Math.min(Math.max(motion.centerX, radius), bounds.width - width - radius);
+            motion.centerY = Math.min(Math.max(motion.centerY, radius), bounds.height - height - radius);
+
+            // Same speed along the circle as the other patterns move in a line
+            const angularSpeed = radius > 0 ? motion.speed / radius : 0;
+            motion.angle += angularSpeed * dt * (motion.clockwise ? 1 : -1);
+
+            const nextX = motion.centerX + Math.cos(motion.angle) * radius;
+            const nextY = motion.centerY + Math.sin(motion.angle) * radius;
+
+            motion.vx = dt > 0 ? (nextX - shape.x) / dt : 0;
+            motion.vy = dt > 0 ? (nextY - shape.y) / dt : 0;
+            shape.x = nextX;
+            shape.y = nextY;
+        }
+    },
+
+    wander: {
+        init(motion, shape, random) {
+            motion.phase = getRandomFloat(0, Math.PI * 2, random);
+        },
+
+        step(shape, dt, bounds) {
+            const { motion } = shape;
+            const { turnRate, turnFrequency } = gameConfig.motion.wander;
+
+            // Turn smoothly left and right; two mismatched waves keep the path
+            // from looking like a repeating pattern
+            const t = motion.time * Math.PI * 2 * turnFrequency + motion.phase;
+            const turn = turnRate * (Math.sin(t) + 0.5 * Math.sin(t * 2.3 + 1)) * dt;
+            const cos = Math.cos(turn);
+            const sin = Math.sin(turn);
+            const dirX = motion.dirX * cos - motion.dirY * sin;
+            const dirY = motion.dirX * sin + motion.dirY * cos;
+
+            motion.dirX = dirX;
+            motion.dirY = dirY;
+            motion.vx = dirX * motion.speed;
+            motion.vy = dirY * motion.speed;
+            shape.x += motion.vx * dt;
+            shape.y += motion.vy * dt;
+
+            bounceOffEdges(shape, bounds);
+        }
+    }
+};
+
+/**
+ * Names of every available motion pattern.
+ * 
+ * @type {string[]}
+ */
+export const MOTION_PATTERNS = Object.keys(PATTERNS);
+
+/**
+ * Gives a shape its motion for this round.
+ * 
+ * All random choices come from the round's seeded generator, so the same
+ * seed gives every shape the same pattern, speed and direction.
+ * 
+ * @example
+ * shape.motion = createMotion(shape, getDifficultySettings(), gameState.random);
+ * 
+ * @function
+ * @param {Object} shape - The shape (its x and y are the starting point)
+ * @param {Object} settings - Difficulty settings with movementSpeed, motionPatterns and spinSpeed
+ * @param {function(): number} random - Source of random numbers in [0, 1)
+ * @returns {?Object} The motion state, or null if shapes don't move at this difficulty
+ */
+export function createMotion(shape, settings, random) {
+    const { movementSpeed, spinSpeed } = settings;
+    const patterns = settings.motionPatterns.filter(name => PATTERNS[name]);
+
+    if (movementSpeed.max <= 0 || patterns.length === 0) {
+        return null;
+    }
+
+    const heading = getRandomFloat(0, Math.PI * 2, random);
+
+    const motion = {
+        pattern: getRandomItem(patterns, random),
+        speed: getRandomFloat(movementSpeed.min, movementSpeed.max, random),
+        dirX: Math.cos(heading),
+        dirY: Math.sin(heading),
+        spin: getRandomFloat(spinSpeed.min, spinSpeed.max, random) * (random() < 0.5 ? -1 : 1),
+        time: 0,
+        vx: 0,
+        vy: 0
+    };
+
+    PATTERNS[motion.pattern].init(motion, shape, random);
+
+    return motion;
+}
+
+/**
+ * Moves a shape along its motion pattern.
+ * 
+ * Long gaps between frames (a busy device, or a tab switched away and back)
+ * are capped at gameConfig.motion.maxFrameSeconds so shapes never jump
+ * across the board.
+ * 
+ * @example
+ * updateMotion(shape, (timestamp - lastTimestamp) / 1000, { width: 800, height: 600 });
+ * 
+ * @function
+ * @param {Object} shape - The shape to move (x, y and rotation are updated)
+ * @param {number} dt - Seconds since the last update
+ * @param {{width: number, height: number}} bounds - Board size in pixels
+ * @returns {void}
+ */
+export function updateMotion(shape, dt, bounds) {
+    const { motion } = shape;
+    if (!motion) return;
+
+    const step = Math.min(Math.max(0, dt), gameConfig.motion.maxFrameSeconds);
+
+    motion.time += step;
+    PATTERNS[motion.pattern].step(shape, step, bounds);
+
+    if (motion.spin !== 0) {
+        shape.rotation = (shape.rotation + motion.spin * step + 360) % 360;
+    }
+}
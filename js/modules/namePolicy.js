@@ -0,0 +1,141 @@
+/**
+ * Name Policy Module
+ * 
+ * Player names end up on leaderboards that a whole class looks at, so we
+ * are a bit careful with them. A name:
+ * 
+ * - Can't be empty, and can be at most gameConfig.names.maxLength characters
+ * - Can only use letters (any alphabet), numbers, spaces and - ' . _
+ * - Can't be a word from the child-safe blocklist in gameConfig.names
+ *   (also caught when spelled with look-alike numbers or spaced out, like
+ *   "p 0 0 p")
+ * 
+ * checkPlayerName() is used wherever a name is typed in, and tells the
+ * player what to change. sanitizePlayerName() cleans up names that were
+ * saved before these rules existed (or edited by hand in storage), so old
+ * leaderboards and profiles are safe to show.
+ * 
+ * Names are still always shown with textContent - this policy is about what
+ * is appropriate, not what is safe to put in the page.
+ * 
+ * @fileoverview Player name length, character and blocklist rules
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+
+/**
+ * Characters a name may contain.
+ * 
+ * @type {RegExp}
+ */
+const ALLOWED_CHARACTER = /[\p{L}\p{M}\p{N} '._-]/u;
+
+/**
+ * Numbers and symbols people use in place of letters to sneak a word past
+ * a blocklist.
+ * 
+ * @type {Object<string, string>}
+ */
+const LOOK_ALIKES = {
+    '0': 'o',
+    '1': 'i',
+    '3': 'e',
+    '4': 'a',
+    '5': 's',
+    '7': 't',
+    '8': 'b',
+    '@': 'a',
+    '$': 's',
+    '!': 'i'
+};
+
+/**
+ * Tidies up spacing: trims the ends and collapses runs of spaces.
+ * 
+ * @param {string} name - Name as entered
+ * @returns {string} The tidied name
+ */
+function tidySpaces(name) {
+    return name.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Checks a name against the blocklist.
+ * 
+ * Each word of the name is checked, and so is the whole name with the gaps
+ * taken out.
+ * 
+ * @param {string} name - The name
+ * @returns {boolean} True if the name uses a blocked word
+ */
+function isBlocked(name) {
+    const blocked = new Set(gameConfig.names.blocklist.map(word => word.toLowerCase()));
+    const plain = [...name.toLowerCase()].map(char => LOOK_ALIKES[char] || char).join('');
+    const words = plain.split(/[^\p{L}]+/u).filter(Boolean);
+
+    return [...words, words.join('')].some(word =>
+        blocked.has(word) || (word.endsWith('s') && blocked.has(word.slice(0, -1)))
+    );
+}
+
+/**
+ * Checks whether a name follows the name policy.
+ * 
+ * @example
+ * checkPlayerName('  Sam   Lee ');   // { name: 'Sam Lee', error: null }
+ * checkPlayerName('<b>Sam</b>');      // { name: '<b>Sam</b>', error: 'Names can only use letters, ...' }
+ * 
+ * @function
+ * @param {string} name - Name as entered
+ * @returns {{name: string, error: ?string}} The tidied name, and what's wrong with it (null if nothing)
+ */
+export function checkPlayerName(name) {
+    const tidied = tidySpaces(typeof name === 'string' ? name : '');
+    const { maxLength } = gameConfig.names;
+
+    if (tidied.length === 0) {
+        return { name: tidied, error: 'Please enter your name' };
+    }
+
+    if (tidied.length > maxLength) {
+        return { name: tidied, error: `Names can be at most ${maxLength} characters` };
+    }
+
+    if (![...tidied].every(char => ALLOWED_CHARACTER.test(char))) {
+        return { name: tidied, error: "Names can only use letters, numbers, spaces and - ' . _" };
+    }
+
+    if (isBlocked(tidied)) {
+        return { name: tidied, error: 'Please choose a different name' };
+    }
+
+    return { name: tidied, error: null };
+}
+
+/**
+ * Turns any stored name into one that follows the name policy.
+ * 
+ * Markup and other characters that aren't allowed are dropped and long names
+ * are cut short. Names with nothing left, or that use a blocked word, become
+ * gameConfig.names.fallbackName.
+ * 
+ * @example
+ * sanitizePlayerName('<img src=x onerror=alert(1)>Sam'); // 'Sam'
+ * 
+ * @function
+ * @param {*} name - Name from storage
+ * @returns {string} A name that passes checkPlayerName()
+ */
+export function sanitizePlayerName(name) {
+    const { maxLength, fallbackName } = gameConfig.names;
+    const text = String(name === null || name === undefined ? '' : name).replace(/<[^>]*>/g, '');
+    const cleaned = tidySpaces([...text].filter(char => ALLOWED_CHARACTER.test(char)).join('')).slice(0, maxLength).trim();
+
+    if (cleaned.length === 0 || isBlocked(cleaned)) {
+        return fallbackName;
+    }
+
+    return cleaned;
+}
@@ -0,0 +1,205 @@
+/**
+ * Narration Module
+ * 
+ * Everything a screen reader says about the game is worded here, so the
+ * game can be played by ear: each shape on the board is named with its
+ * color and where it is ("red star, top left"), every new target is read
+ * out when the round starts, and each click is followed by what happened
+ * (right or wrong, points, hearts and time left).
+ * 
+ * Colors are named with gameConfig.colorNames, and shapes with the friendly
+ * names from the shape registry. This module only builds the sentences - the
+ * game reads them out with announceTo() (utils.js) and puts the shape names
+ * on the board in rendering.js.
+ * 
+ * @fileoverview Spoken descriptions of shapes, targets and results
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { getShapeDisplayName } from './shapeRegistry.js';
+
+/**
+ * Rows and columns of the board, for saying where a shape is.
+ * 
+ * @type {{rows: string[], columns: string[]}}
+ */
+const BOARD_AREAS = {
+    rows: ['top', 'middle', 'bottom'],
+    columns: ['left', 'center', 'right']
+};
+
+/**
+ * Gets the spoken name of a palette color.
+ * 
+ * @example
+ * getColorName('#FF6B6B'); // 'red'
+ * 
+ * @function
+ * @param {string} color - Hex color from the palette
+ * @returns {string} Its name, or 'colored' for a color without one
+ */
+export function getColorName(color) {
+    const names = gameConfig.colorNames;
+    const key = Object.keys(names).find(hex => hex.toLowerCase() === String(color).toLowerCase());
+
+    return key ? names[key] : 'colored';
+}
+
+/**
+ * Names a shape by its color and type.
+ * 
+ * @example
+ * nameShape('star', '#FF6B6B'); // 'red star'
+ * 
+ * @function
+ * @param {string} type - Shape type
+ * @param {string} color - Hex color
+ * @returns {string} Color and shape, in lowercase
+ */
+export function nameShape(type, color) {
+    return `${getColorName(color)} ${getShapeDisplayName(type).toLowerCase()}`;
+}
+
+/**
+ * Says which part of the board a point is in.
+ * 
+ * The board is split into a 3 by 3 grid, giving "top left", "middle right",
+ * "bottom center" and so on (the very middle is just "center").
+ * 
+ * @example
+ * describePosition(50, 40, 800, 600); // 'top left'
+ * 
+ * @function
+ * @param {number} x - Distance from the board's left edge, in pixels
+ * @param {number} y - Distance from the board's top edge, in pixels
+ * @param {number} width - Board width, in pixels
+ * @param {number} height - Board height, in pixels
+ * @returns {string} Where the point is
+ */
+export function describePosition(x, y, width, height) {
+    const area = (value, size) => Math.min(2, Math.max(0, Math.floor((value / Math.max(size, 1)) * 3)));
+    const row = BOARD_AREAS.rows[area(y, height)];
+    const column = BOARD_AREAS.columns[area(x, width)];
+
+    return row === 'middle' && column === 'center' ? 'center' : `${row} ${column}`;
+}
+
+/**
+ * Describes a shape on the board for screen readers.
+ * 
+ * @example
+ * describeShape({ type: 'star', color: '#FF6B6B', x: 20, y: 30 }, { width: 800, height: 600 }, { width: 60, height: 60 });
+ * // 'red star, top left'
+ * 
+ * @function
+ * @param {Object} shape - Shape from gameState.shapes (type, color, x, y)
+ * @param {{width: number, height: number}} board - Board size
+ * @param {{width: number, height: number}} size - The shape's size on screen
+ * @returns {string} Color, shape and position
+ */
+export function describeShape(shape, board, size) {
+    const position = describePosition(shape.x + size.width / 2, shape.y + size.height / 2, board.width, board.height);
+
+    return `${nameShape(shape.type, shape.color)}, ${position}`;
+}
+
+/**
+ * Describes the target shape (what the player is looking for).
+ * 
+ * @function
+ * @param {{type: string, color: string}} target - The round's target
+ * @param {boolean} matchColor - Whether the color has to match too
+ * @returns {string} e.g. "red star", or "star, any color"
+ */
+export function describeTarget(target, matchColor) {
+    return matchColor ?
+        nameShape(target.type, target.color) :
+        `${getShapeDisplayName(target.type).toLowerCase()}, any color`;
+}
+
+/**
+ * Reads out a new round.
+ * 
+ * @example
+ * describeRound({ round: 1, target, matchColor: true, shapeCount: 10 });
+ * // 'Find the red star. 10 shapes on the board. Press Tab to reach the board, then use the arrow keys to hear each shape.'
+ * 
+ * @function
+ * @param {Object} round - The round
+ * @param {number} round.round - Round number (the first round also explains the keys)
+ * @param {{type: string, color: string}} round.target - Shape to find
+ * @param {boolean} round.matchColor - Whether the color has to match too
+ * @param {number} round.shapeCount - Shapes on the board
+ * @returns {string} The announcement
+ */
+export function describeRound({ round, target, matchColor, shapeCount }) {
+    const shapeName = getShapeDisplayName(target.type).toLowerCase();
+    const find = matchColor ?
+        `Find the ${nameShape(target.type, target.color)}.` :
+        `Find ${/^[aeiou]/.test(shapeName) ? 'an' : 'a'} ${shapeName}, any color.`;
+    const help = round === 1 ? ' Press Tab to reach the board, then use the arrow keys to hear each shape.' : '';
+
+    return `${find} ${shapeCount} shapes on the board.${help}`;
+}
+
+/**
+ * Reads out a correct click.
+ * 
+ * @function
+ * @param {Object} match - The correctMatch engine event
+ * @returns {string} The announcement
+ */
+export function describeCorrectMatch(match) {
+    const parts = [`Correct, ${nameShape(match.shape.type, match.shape.color)}!`, `${match.points} points.`];
+
+    if (match.combo > 1) {
+        parts.push(`${match.combo} in a row.`);
+    }
+    if (match.timeBonus > 0) {
+        parts.push(`Plus ${Math.round(match.timeBonus)} seconds.`);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Reads out a wrong click, including the hearts (and time) it cost.
+ * 
+ * @function
+ * @param {Object} miss - The wrongMatch engine event
+ * @returns {string} The announcement
+ */
+export function describeWrongMatch(miss) {
+    const parts = [`Not that one, that's the ${nameShape(miss.shape.type, miss.shape.color)}.`];
+
+    if (miss.attemptsLeft === 1) {
+        parts.push('Last heart!');
+    } else if (miss.attemptsLeft > 1) {
+        parts.push(`${miss.attemptsLeft} hearts left.`);
+    }
+    if (miss.timePenalty > 0) {
+        parts.push(`Minus ${Math.round(miss.timePenalty)} seconds.`);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Reads out the end of the game.
+ * 
+ * @function
+ * @param {Object} result - The gameOver engine event
+ * @returns {string} The announcement
+ */
+export function describeGameOver(result) {
+    const reasons = {
+        attempts: 'Out of hearts.',
+        time: "Time's up!",
+        quit: 'Game ended.'
+    };
+
+    return `${reasons[result.reason] || 'Game over.'} Final score ${result.points} points, ` +
+        `${result.score} matches, best combo ${result.bestCombo}.`;
+}
@@ -0,0 +1,399 @@
+/**
+ * Player Profiles Module
+ * 
+ * Our game lives on shared classroom tablets, so "who is playing?" matters.
+ * A profile remembers a player between sessions: their name, a friendly
+ * avatar, the difficulty and mode they like to play, and lifetime stats like
+ * games played and best score.
+ * 
+ * This module only handles the data - it never touches the page. The setup
+ * picker and the management screen live in profileScreen.js.
+ * 
+ * Everything is stored (see storage.js) in the shapeGameProfiles record:
+ * 
+ *     {
+ *         activeProfileId: 'profile-lx3k2-ab12cd',
+ *         profiles: [{ id, name, avatar, preferredDifficulty, preferredMode, colorPalette, colorPatterns, sensory, audio, createdAt, lastPlayed, stats }]
+ *     }
+ * 
+ * @fileoverview Local player profiles with preferences and lifetime stats
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { readRecord, writeRecord } from './storage.js';
+import { checkPlayerName, sanitizePlayerName } from './namePolicy.js';
+
+/**
+ * Storage record holding every profile.
+ * 
+ * @type {string}
+ */
+const PROFILES_KEY = 'shapeGameProfiles';
+
+/**
+ * Avatars players can choose from.
+ * 
+ * @type {string[]}
+ */
+export const PROFILE_AVATARS = ['🦊', '🐼', '🐸', '🦁', '🐙', '🦄', '🐢', '🐝'];
+
+/**
+ * Loads the whole profile store.
+ * 
+ * Names saved before the name policy existed are cleaned up on the way out.
+ * 
+ * @returns {{activeProfileId: ?string, profiles: Array<Object>}} The store
+ */
+function loadStore() {
+    const store = readRecord(PROFILES_KEY, { activeProfileId: null, profiles: [] });
+
+    store.profiles.forEach(profile => {
+        profile.name = sanitizePlayerName(profile.name);
+    });
+
+    return store;
+}
+
+/**
+ * Saves the whole profile store.
+ * 
+ * @param {{activeProfileId: ?string, profiles: Array<Object>}} store - The store to save
+ * @returns {void}
+ */
+function saveStore(store) {
+    writeRecord(PROFILES_KEY, store);
+}
+
+/**
+ * Creates an empty set of lifetime stats.
+ * 
+ * @returns {Object} Stats with every counter at zero
+ */
+function createStats() {
+    return {
+        gamesPlayed: 0,
+        bestScore: 0,
+        correctMatches: 0,
+        wrongMatches: 0,
+        bestSurvivalLevel: 0
+    };
+}
+
+/**
+ * Normalizes a name for duplicate checks ("Sam" and "sam " are the same).
+ * 
+ * @param {string} name - Name as entered
+ * @returns {string} Lookup key
+ */
+function getNameKey(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * Checks a profile name against the name policy and returns it tidied.
+ * 
+ * @param {string} name - The proposed name
+ * @param {Array<Object>} profiles - Existing profiles
+ * @param {?string} [exceptId=null] - Profile allowed to already have this name (when renaming)
+ * @returns {string} The tidied name
+ * @throws {Error} If the name breaks the name policy (see namePolicy.js) or is already taken
+ */
+function validateName(name, profiles, exceptId = null) {
+    const { name: trimmed, error } = checkPlayerName(name);
+
+    if (error) {
+        throw new Error(error);
+    }
+
+    const duplicate = profiles.find(profile => profile.id !== exceptId && getNameKey(profile.name) === getNameKey(trimmed));
+    if (duplicate) {
+        throw new Error(`There is already a profile called ${duplicate.name}`);
+    }
+
+    return trimmed;
+}
+
+/**
+ * Finds a profile in a store or throws.
+ * 
+ * @param {Object} store - The profile store
+ * @param {string} id - Profile id
+ * @returns {Object} The profile
+ * @throws {Error} If there is no profile with that id
+ */
+function requireProfile(store, id) {
+    const profile = store.profiles.find(item => item.id === id);
+
+    if (!profile) {
+        throw new Error(`No profile found with id ${id}`);
+    }
+
+    return profile;
+}
+
+/**
+ * Lists every profile, in the order they were created.
+ * 
+ * @function
+ * @returns {Array<Object>} All profiles
+ */
+export function loadProfiles() {
+    return loadStore().profiles;
+}
+
+/**
+ * Gets one profile by id.
+ * 
+ * @function
+ * @param {string} id - Profile id
+ * @returns {?Object} The profile, or null if it doesn't exist
+ */
+export function getProfile(id) {
+    return loadStore().profiles.find(profile => profile.id === id) || null;
+}
+
+/**
+ * Finds a profile by name (ignoring case and surrounding spaces).
+ * 
+ * @example
+ * findProfileByName(' sam '); // Sam's profile, if there is one
+ * 
+ * @function
+ * @param {string} name - The name to look for
+ * @returns {?Object} The profile, or null if nobody has that name
+ */
+export function findProfileByName(name) {
+    const key = getNameKey(name);
+
+    return loadStore().profiles.find(profile => getNameKey(profile.name) === key) || null;
+}
+
+/**
+ * Gets the profile that played last on this device.
+ * 
+ * @function
+ * @returns {?Object} The active profile, or null
+ */
+export function getActiveProfile() {
+    const store = loadStore();
+
+    return store.profiles.find(profile => profile.id === store.activeProfileId) || null;
+}
+
+/**
+ * Marks a profile as the one currently playing.
+ * 
+ * @function
+ * @param {?string} id - Profile id, or null to clear the selection
+ * @returns {void}
+ */
+export function setActiveProfile(id) {
+    const store = loadStore();
+
+    if (id !== null) {
+        requireProfile(store, id);
+    }
+
+    store.activeProfileId = id;
+    saveStore(store);
+}
+
+/**
+ * Creates a new profile.
+ * 
+ * @example
+ * const profile = createProfile({ name: 'Sam', avatar: '🦊', preferredDifficulty: 'medium' });
+ * 
+ * @function
+ * @param {Object} details - The new profile's details
+ * @param {string} details.name - Display name (must be unique)
+ * @param {string} [details.avatar] - One of PROFILE_AVATARS; picked automatically when omitted
+ * @param {string} [details.preferredDifficulty='easy'] - Difficulty to preselect in setup
+ * @param {string} [details.preferredMode='classic'] - Game mode to preselect in setup
+ * @param {string} [details.colorPalette='standard'] - Color palette to draw shapes in (see colorVision.js)
+ * @param {boolean} [details.colorPatterns=false] - Whether to draw fill patterns on shapes
+ * @param {Object<string, boolean>} [details.sensory={}] - Comfort settings the player switched (see sensorySettings.js)
+ * @param {Object} [details.audio={}] - Volumes and mute (see audioSettings.js); the defaults when empty
+ * @returns {Object} The created profile
+ * @throws {Error} If the name breaks the name policy or is already taken
+ */
+export function createProfile({ name, avatar, preferredDifficulty = 'easy', preferredMode = 'classic', colorPalette = 'standard', colorPatterns = false, sensory = {}, audio = {} }) {
+    const store = loadStore();
+
+    const profile = {
+        id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: validateName(name, store.profiles),
+        // Hand out avatars in turn so new players don't all look the same
+        avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[store.profiles.length % PROFILE_AVATARS.length],
+        preferredDifficulty,
+        preferredMode,
+        colorPalette,
+        colorPatterns,
+        sensory,
+        audio,
+        createdAt: new Date().toISOString(),
+        lastPlayed: null,
+        stats: createStats()
+    };
+
+    store.profiles.push(profile);
+    saveStore(store);
+
+    console.log(`Created profile ${profile.name}`);
+
+    return profile;
+}
+
+/**
+ * Updates a profile's avatar or preferred settings.
+ * 
+ * @function
+ * @param {string} id - Profile id
+ * @param {Object} changes - Any of avatar, preferredDifficulty, preferredMode, colorPalette, colorPatterns, sensory, audio
+ * @returns {Object} The updated profile
+ * @throws {Error} If the profile doesn't exist
+ */
+export function updateProfilePreferences(id, { avatar, preferredDifficulty, preferredMode, colorPalette, colorPatterns, sensory, audio }) {
+    const store = loadStore();
+    const profile = requireProfile(store, id);
+
+    if (PROFILE_AVATARS.includes(avatar)) profile.avatar = avatar;
+    if (preferredDifficulty) profile.preferredDifficulty = preferredDifficulty;
+    if (preferredMode) profile.preferredMode = preferredMode;
+    if (colorPalette) profile.colorPalette = colorPalette;
+    if (typeof colorPatterns === 'boolean') profile.colorPatterns = colorPatterns;
+    if (sensory && typeof sensory === 'object') profile.sensory = { ...sensory };
+    if (audio && typeof audio === 'object') profile.audio = { ...audio };
+
+    saveStore(store);
+
+    return profile;
+}
+
+/**
+ * Renames a profile.
+ * 
+ * Only the profile itself changes here - anything else stored under the old
+ * name (leaderboards, streaks, shape mastery) is moved by the caller.
+ * 
+ * @function
+ * @param {string} id - Profile id
+ * @param {string} newName - The new name (must be unique)
+ * @returns {{oldName: string, profile: Object}} The previous name and the updated profile
+ * @throws {Error} If the profile doesn't exist or the name is invalid
+ */
+export function renameProfile(id, newName) {
+    const store = loadStore();
+    const profile = requireProfile(store, id);
+    const oldName = profile.name;
+
+    profile.name = validateName(newName, store.profiles, id);
+    saveStore(store);
+
+    console.log(`Renamed profile ${oldName} to ${profile.name}`);
+
+    return { oldName, profile };
+}
+
+/**
+ * Merges one profile into another.
+ * 
+ * Handy when a child has ended up with two profiles ("Sam" and "Sammy").
+ * Lifetime stats are added together, best scores keep the better value, and
+ * the merged-away profile is deleted.
+ * 
+ * @function
+ * @param {string} fromId - Profile to merge away
+ * @param {string} intoId - Profile to keep
+ * @returns {{from: Object, into: Object}} The removed profile and the updated one
+ * @throws {Error} If either profile doesn't exist or they are the same profile
+ */
+export function mergeProfiles(fromId, intoId) {
+    if (fromId === intoId) {
+        throw new Error('A profile cannot be merged into itself');
+    }
+
+    const store = loadStore();
+    const from = requireProfile(store, fromId);
+    const into = requireProfile(store, intoId);
+
+    into.stats = {
+        gamesPlayed: into.stats.gamesPlayed + from.stats.gamesPlayed,
+        bestScore: Math.max(into.stats.bestScore, from.stats.bestScore),
+        correctMatches: into.stats.correctMatches + from.stats.correctMatches,
+        wrongMatches: into.stats.wrongMatches + from.stats.wrongMatches,
+        bestSurvivalLevel: Math.max(into.stats.bestSurvivalLevel, from.stats.bestSurvivalLevel)
+    };
+
+    if (from.lastPlayed && (!into.lastPlayed || from.lastPlayed > into.lastPlayed)) {
+        into.lastPlayed = from.lastPlayed;
+    }
+
+    store.profiles = store.profiles.filter(profile => profile.id !== fromId);
+    if (store.activeProfileId === fromId) {
+        store.activeProfileId = intoId;
+    }
+
+    saveStore(store);
+
+    console.log(`Merged profile ${from.name} into ${into.name}`);
+
+    return { from, into };
+}
+
+/**
+ * Deletes a profile.
+ * 
+ * @function
+ * @param {string} id - Profile id
+ * @returns {Object} The deleted profile
+ * @throws {Error} If the profile doesn't exist
+ */
+export function deleteProfile(id) {
+    const store = loadStore();
+    const profile = requireProfile(store, id);
+
+    store.profiles = store.profiles.filter(item => item.id !== id);
+    if (store.activeProfileId === id) {
+        store.activeProfileId = null;
+    }
+
+    saveStore(store);
+
+    console.log(`Deleted profile ${profile.name}`);
+
+    return profile;
+}
+
+/**
+ * Adds a finished game to a profile's lifetime stats.
+ * 
+ * @example
+ * recordGameResult(profile.id, { score: 12, mistakes: 3, survivalLevel: 0 });
+ * 
+ * @function
+ * @param {string} id - Profile id
+ * @param {Object} result - How the game went
+ * @param {number} result.score - Correct matches in the game
+ * @param {number} result.mistakes - Wrong clicks in the game
+ * @param {number} [result.survivalLevel=0] - Level reached in Survival mode
+ * @returns {Object} The updated stats
+ * @throws {Error} If the profile doesn't exist
+ */
+export function recordGameResult(id, { score, mistakes, survivalLevel = 0 }) {
+    const store = loadStore();
+    const profile = requireProfile(store, id);
+    const { stats } = profile;
+
+    stats.gamesPlayed++;
+    stats.bestScore = Math.max(stats.bestScore, score);
+    stats.correctMatches += score;
+    stats.wrongMatches += mistakes;
+    stats.bestSurvivalLevel = Math.max(stats.bestSurvivalLevel, survivalLevel);
+    profile.lastPlayed = new Date().toISOString();
+
+    saveStore(store);
+
+    return stats;
+}
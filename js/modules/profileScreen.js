@@ -0,0 +1,435 @@
+/**
+ * Profile Screen Module
+ * 
+ * This module draws everything players see of their profiles: the row of
+ * "Who's playing?" buttons in the setup modal, and the management screen
+ * where a grown-up can create, rename, merge or delete profiles.
+ * 
+ * The profile data itself lives in playerProfiles.js. Leaderboards, streaks,
+ * shape mastery and session history are still stored by player name, so when a profile is
+ * renamed or merged we move those records along with it - otherwise a child
+ * called "Sammy" would lose all of Sam's progress.
+ * 
+ * Names are always written with textContent, never innerHTML, since they are
+ * typed in by players.
+ * 
+ * @fileoverview Profile picker and profile management screen
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { elements } from './elements.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+import {
+    PROFILE_AVATARS,
+    loadProfiles,
+    findProfileByName,
+    createProfile,
+    renameProfile,
+    mergeProfiles,
+    deleteProfile
+} from './playerProfiles.js';
+import { mergePlayerMastery, clearPlayerMastery } from './shapeMastery.js';
+import { mergePlayerDaily } from './dailyChallenge.js';
+import { renamePlayerScores } from './gameLogic.js';
+import { renamePlayerHistory } from './sessionHistory.js';
+import { mergePlayerAchievements, clearPlayerAchievements } from './achievements.js';
+
+/**
+ * Called when a player picks their profile in the setup modal.
+ * 
+ * @type {function(Object): void}
+ */
+let onProfileSelected = () => {};
+
+/**
+ * Avatar currently chosen in the "New Profile" form.
+ * 
+ * @type {string}
+ */
+let newProfileAvatar = PROFILE_AVATARS[0];
+
+/**
+ * Wires up the profile picker and management screen.
+ * 
+ * @example
+ * initProfileScreen({
+ *     onProfileSelected: profile => applyProfilePreferences(profile)
+ * });
+ * 
+ * @function
+ * @param {Object} options - Screen options
+ * @param {function(Object): void} options.onProfileSelected - Called with the profile a player picks
+ * @returns {void}
+ */
+export function initProfileScreen(options) {
+    onProfileSelected = options.onProfileSelected;
+
+    elements.manageProfilesBtn.addEventListener('click', showProfilesModal);
+    elements.closeProfilesBtn.addEventListener('click', hideProfilesModal);
+    elements.createProfileBtn.addEventListener('click', handleCreateProfile);
+
+    // Typing a profile's name by hand selects that profile too
+    elements.playerNameInput.addEventListener('input', () => renderProfilePicker());
+
+    renderAvatarChoices();
+}
+
+/**
+ * Picks a profile in the setup modal: fills in the name and applies the
+ * profile's preferred difficulty and mode.
+ * 
+ * @function
+ * @param {Object} profile - The chosen profile
+ * @returns {void}
+ */
+export function selectProfile(profile) {
+    elements.playerNameInput.value = profile.name;
+    onProfileSelected(profile);
+    renderProfilePicker();
+}
+
+/**
+ * Draws the "Who's playing?" buttons in the setup modal.
+ * 
+ * The profile whose name is in the name box is shown as selected.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function renderProfilePicker() {
+    const picker = elements.profilePicker;
+    const selected = findProfileByName(elements.playerNameInput.value);
+
+    picker.replaceChildren();
+
+    loadProfiles().forEach(profile => {
+        const button = document.createElement('button');
+        button.className = 'profile-btn';
+        button.classList.toggle('selected', selected !== null && selected.id === profile.id);
+        button.setAttribute('aria-pressed', String(selected !== null && selected.id === profile.id));
+
+        const avatar = document.createElement('span');
+        avatar.className = 'profile-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = profile.avatar;
+
+        const name = document.createElement('span');
+        name.textContent = profile.name;
+
+        button.append(avatar, name);
+        button.addEventListener('click', () => selectProfile(profile));
+
+        picker.appendChild(button);
+    });
+}
+
+/**
+ * Opens the profile management screen.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function showProfilesModal() {
+    showProfileError('');
+    renderProfilesList();
+    elements.profilesModal.classList.remove('hidden');
+    trapFocus(elements.profilesModal, elements.newProfileName);
+}
+
+/**
+ * Closes the profile management screen and refreshes the setup picker.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function hideProfilesModal() {
+    elements.profilesModal.classList.add('hidden');
+    releaseFocus(elements.profilesModal);
+    renderProfilePicker();
+}
+
+/**
+ * Shows (or clears) the error line on the management screen.
+ * 
+ * @param {string} message - Message to show, or '' to hide it
+ * @returns {void}
+ */
+function showProfileError(message) {
+    elements.profileError.textContent = message;
+    elements.profileError.classList.toggle('hidden', !message);
+}
+
+/**
+ * Draws the avatar buttons of the "New Profile" form.
+ * 
+ * @returns {void}
+ */
+function renderAvatarChoices() {
+    elements.newProfileAvatars.replaceChildren();
+
+    PROFILE_AVATARS.forEach(avatar => {
+        const button = document.createElement('button');
+        button.className = 'avatar-choice';
+        button.textContent = avatar;
+        button.classList.toggle('selected', avatar === newProfileAvatar);
+        button.setAttribute('aria-pressed', String(avatar === newProfileAvatar));
+
+        button.addEventListener('click', () => {
+            newProfileAvatar = avatar;
+            renderAvatarChoices();
+        });
+
+        elements.newProfileAvatars.appendChild(button);
+    });
+}
+
+/**
+ * Describes a profile's lifetime stats in one short line.
+ * 
+ * @param {Object} stats - The profile's stats
+ * @returns {string} Something like "12 games · best 18 · 85% correct"
+ */
+function describeStats(stats) {
+    const clicks = stats.correctMatches + stats.wrongMatches;
+    const accuracy = clicks > 0 ? Math.round((stats.correctMatches / clicks) * 100) : 0;
+    const games = stats.gamesPlayed === 1 ? 'game' : 'games';
+
+    return `${stats.gamesPlayed} ${games} · best ${stats.bestScore} · ${accuracy}% correct`;
+}
+
+/**
+ * Creates a small button for a profile row.
+ * 
+ * @param {string} label - Button text
+ * @param {function(): void} onClick - Click handler
+ * @param {boolean} [danger=false] - Whether the action can't be undone
+ * @returns {HTMLButtonElement} The button
+ */
+function createActionButton(label, onClick, danger = false) {
+    const button = document.createElement('button');
+    button.className = 'profile-action-btn';
+    button.classList.toggle('danger', danger);
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+
+    return button;
+}
+
+/**
+ * Draws the list of profiles on the management screen.
+ * 
+ * @returns {void}
+ */
+function renderProfilesList() {
+    const list = elements.profilesList;
+    const profiles = loadProfiles();
+
+    list.replaceChildren();
+
+    if (profiles.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No profiles yet - create one below!';
+        list.appendChild(empty);
+        return;
+    }
+
+    profiles.forEach(profile => {
+        const row = document.createElement('li');
+
+        const avatar = document.createElement('span');
+        avatar.className = 'profile-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = profile.avatar;
+
+        const details = document.createElement('div');
+        details.className = 'profile-details';
+
+        const name = document.createElement('div');
+        name.className = 'profile-name';
+        name.textContent = profile.name;
+
+        const stats = document.createElement('div');
+        stats.className = 'profile-stats';
+        stats.textContent = describeStats(profile.stats);
+
+        details.append(name, stats);
+        row.append(
+            avatar,
+            details,
+            createActionButton('Rename', () => showRenameForm(row, profile)),
+            createActionButton('Merge', () => showMergeForm(row, profile)),
+            createActionButton('Delete', () => handleDeleteProfile(profile), true)
+        );
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Replaces a profile row's buttons with an inline rename form.
+ * 
+ * @param {HTMLElement} row - The profile's row
+ * @param {Object} profile - The profile to rename
+ * @returns {void}
+ */
+function showRenameForm(row, profile) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'profile-rename-input';
+    input.maxLength = 20;
+    input.value = profile.name;
+    input.setAttribute('aria-label', `New name for ${profile.name}`);
+
+    row.querySelectorAll('.profile-action-btn').forEach(button => button.remove());
+    row.append(
+        input,
+        createActionButton('Save', () => handleRenameProfile(profile, input.value)),
+        createActionButton('Cancel', renderProfilesList)
+    );
+
+    input.focus();
+    input.select();
+}
+
+/**
+ * Replaces a profile row's buttons with a "merge into..." form.
+ * 
+ * @param {HTMLElement} row - The profile's row
+ * @param {Object} profile - The profile to merge away
+ * @returns {void}
+ */
+function showMergeForm(row, profile) {
+    const others = loadProfiles().filter(item => item.id !== profile.id);
+
+    if (others.length === 0) {
+        showProfileError('There is no other profile to merge into');
+        return;
+    }
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Merge ${profile.name} into`);
+
+    others.forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.textContent = `${other.avatar} ${other.name}`;
+        select.appendChild(option);
+    });
+
+    row.querySelectorAll('.profile-action-btn').forEach(button => button.remove());
+    row.append(
+        select,
+        createActionButton('Merge', () => handleMergeProfiles(profile, select.value), true),
+        createActionButton('Cancel', renderProfilesList)
+    );
+
+    select.focus();
+}
+
+/**
+ * Creates a profile from the "New Profile" form.
+ * 
+ * @returns {void}
+ */
+function handleCreateProfile() {
+    try {
+        createProfile({ name: elements.newProfileName.value, avatar: newProfileAvatar });
+    } catch (error) {
+        showProfileError(error.message);
+        elements.newProfileName.focus();
+        return;
+    }
+
+    elements.newProfileName.value = '';
+    showProfileError('');
+    renderProfilesList();
+}
+
+/**
+ * Renames a profile and moves everything stored under its old name.
+ * 
+ * @param {Object} profile - The profile to rename
+ * @param {string} newName - The name typed in
+ * @returns {void}
+ */
+function handleRenameProfile(profile, newName) {
+    let result;
+
+    try {
+        result = renameProfile(profile.id, newName);
+    } catch (error) {
+        showProfileError(error.message);
+        return;
+    }
+
+    const { oldName, profile: renamed } = result;
+    renamePlayerScores(oldName, renamed.name);
+    mergePlayerMastery(oldName, renamed.name);
+    mergePlayerDaily(oldName, renamed.name);
+    renamePlayerHistory(oldName, renamed.name);
+    mergePlayerAchievements(oldName, renamed.name);
+
+    // Keep the setup modal's name box pointing at the same player
+    if (elements.playerNameInput.value.trim().toLowerCase() === oldName.toLowerCase()) {
+        elements.playerNameInput.value = renamed.name;
+    }
+
+    showProfileError('');
+    renderProfilesList();
+}
+
+/**
+ * Merges one profile into another after checking with the player.
+ * 
+ * @param {Object} profile - The profile to merge away
+ * @param {string} intoId - Id of the profile to keep
+ * @returns {void}
+ */
+function handleMergeProfiles(profile, intoId) {
+    const into = loadProfiles().find(item => item.id === intoId);
+
+    if (!into || !window.confirm(`Merge ${profile.name} into ${into.name}? ${profile.name} will be removed.`)) {
+        return;
+    }
+
+    mergeProfiles(profile.id, intoId);
+    renamePlayerScores(profile.name, into.name);
+    mergePlayerMastery(profile.name, into.name);
+    mergePlayerDaily(profile.name, into.name);
+    renamePlayerHistory(profile.name, into.name);
+    mergePlayerAchievements(profile.name, into.name);
+
+    if (elements.playerNameInput.value.trim().toLowerCase() === profile.name.toLowerCase()) {
+        elements.playerNameInput.value = into.name;
+    }
+
+    showProfileError('');
+    renderProfilesList();
+}
+
+/**
+ * Deletes a profile after checking with the player.
+ * 
+ * Leaderboard entries stay (they are a record of what happened), but the
+ * profile's shape mastery and badges are forgotten.
+ * 
+ * @param {Object} profile - The profile to delete
+ * @returns {void}
+ */
+function handleDeleteProfile(profile) {
+    if (!window.confirm(`Delete ${profile.name}'s profile? Their stats and progress will be lost.`)) {
+        return;
+    }
+
+    deleteProfile(profile.id);
+    clearPlayerMastery(profile.name);
+    clearPlayerAchievements(profile.name);
+
+    if (elements.playerNameInput.value.trim().toLowerCase() === profile.name.toLowerCase()) {
+        elements.playerNameInput.value = '';
+    }
+
+    showProfileError('');
+    renderProfilesList();
+}
@@ -12,9 +12,10 @@
  * - Easy to style with colors and borders
  * - Accessible to screen readers
  * 
- * The rendering system is designed to be flexible and maintainable. Adding a
- * new shape is as simple as adding a new case to the switch statement with
- * the appropriate SVG path or element.
+ * The rendering system is designed to be flexible and maintainable. The shapes
+ * themselves are described in the shape registry (shapeRegistry.js), so adding
+ * a new shape is as simple as registering its SVG geometry there - this module
+ * draws whatever the registry hands it.
  * 
  * This module also handles the confetti animation system - because what's the
  * point of getting answers right if you don't get a celebration?
@@ -26,9 +27,40 @@
 
 import gameState from './gameState.js';
 import { elements } from './elements.js';
-import { getRandomItem, getRandomNumber } from './utils.js';
 import { gameConfig } from './config.js';
-import { handleShapeClick } from './gameLogic.js';
+import { getRandomItem, getRandomNumber } from './utils.js';
+import { handleShapeClick, hasMovingShapes, hasFadingShapes } from './gameLogic.js';
+import { getShapeDefinition, getShapeDimensions } from './shapeRegistry.js';
+import { updateBoardFocus } from './boardNavigation.js';
+import { describeShape } from './narration.js';
+import { getActivePalette, getColorPattern, getContrastRatio } from './colorVision.js';
+
+/**
+ * What one tile of each fill pattern is drawn with, on a 12 by 12 grid in the
+ * shape's 100 by 100 coordinate system. Lines are stroked and everything
+ * else is filled, in a color that stands out from the shape's own.
+ * 
+ * @type {Object<string, Array<{tag: string, attributes: Object<string, string>}>>}
+ */
+const PATTERN_TILES = {
+    stripes: [{ tag: 'path', attributes: { d: 'M-3,3 L3,-3 M0,12 L12,0 M9,15 L15,9' } }],
+    dots: [{ tag: 'circle', attributes: { cx: '6', cy: '6', r: '2.5' } }],
+    crosshatch: [{ tag: 'path', attributes: { d: 'M0,12 L12,0 M0,0 L12,12' } }],
+    horizontal: [{ tag: 'path', attributes: { d: 'M0,6 H12' } }],
+    vertical: [{ tag: 'path', attributes: { d: 'M6,0 V12' } }],
+    checkers: [
+        { tag: 'rect', attributes: { x: '0', y: '0', width: '6', height: '6' } },
+        { tag: 'rect', attributes: { x: '6', y: '6', width: '6', height: '6' } }
+    ],
+    zigzag: [{ tag: 'polyline', attributes: { points: '0,9 3,3 6,9 9,3 12,9' } }]
+};
+
+/**
+ * Counts the fill patterns drawn so far, so every pattern gets its own id.
+ * 
+ * @type {number}
+ */
+let patternCount = 0;
 
 /**
  * Clears all shapes from the game board.
@@ -101,8 +133,8 @@ export function createTargetShape(shapeType) {
     // Set the target shape in the game state
     gameState.targetShape = shapeType;
 
-    // Select a random color for the target shape
-    gameState.targetColor = getRandomItem(gameConfig.colors);
+    // Select a random color for the target shape (from the round's seeded generator)
+    gameState.targetColor = getRandomItem(getActivePalette(), gameState.random);
 
     // Clear the previous target shape container
     while (elements.targetShape.firstChild) {
@@ -144,13 +176,13 @@ export function createTargetShape(shapeType) {
  * Here's how the magic works:
  * 1. Create a container div for positioning and styling
  * 2. Create an SVG element for crisp, scalable graphics
- * 3. Generate the specific shape path/element based on type
+ * 3. Look up the shape's geometry and aspect ratio in the shape registry
  * 4. Apply colors, borders, and styling
  * 5. Package it all up in a clickable container
  * 
- * Each shape type has carefully crafted SVG coordinates that make it look
- * just right. The diamond shape is particularly special - it uses a custom
- * approach to look like a real gem rather than just a rotated square.
+ * Each shape type has carefully crafted SVG coordinates (kept in the shape
+ * registry) that make it look just right. Unknown shape types fall back to
+ * a circle with a console warning rather than breaking the round.
  * 
  * @example
  * // Create a medium red circle
@@ -199,8 +231,6 @@ export function createShapeElement(type, color, size) {
     shapeContainer.classList.add('game-shape');
 
     // Set common styles for container
-    shapeContainer.style.width = `${baseSize}px`;
-    shapeContainer.style.height = `${baseSize}px`;
     shapeContainer.style.position = 'absolute';
     shapeContainer.style.border = 'none'; // Remove container border
     shapeContainer.style.backgroundColor = 'transparent'; // Ensure transparent background
@@ -217,103 +247,19 @@ export function createShapeElement(type, color, size) {
     svg.style.overflow = 'visible'; // Allow shapes to extend beyond the SVG container
     svg.style.display = 'block';
 
-    // Create the specific shape path/element based on type
-    let shapePath;
-
-    switch (type) {
-        case 'circle':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            shapePath.setAttribute('cx', '50'); // Center X
-            shapePath.setAttribute('cy', '50'); // Center Y
-            shapePath.setAttribute('r', '45');  // Radius (leave some padding)
-            break;
-
-        case 'square':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            shapePath.setAttribute('x', '5');
-            shapePath.setAttribute('y', '5');
-            shapePath.setAttribute('width', '90');
-            shapePath.setAttribute('height', '90');
-            break;
-
-        case 'triangle':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Equilateral triangle pointing up
-            shapePath.setAttribute('points', '50,5 5,95 95,95');
-            break;
-
-        case 'rectangle':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            shapePath.setAttribute('x', '5');
-            shapePath.setAttribute('y', '20');
-            shapePath.setAttribute('width', '90');
-            shapePath.setAttribute('height', '60');
-            // Adjust container size for rectangle's aspect ratio
-            shapeContainer.style.width = `${baseSize * 1.5}px`;
-            shapeContainer.style.height = `${baseSize * 0.75}px`;
-            break;
-
-        case 'pentagon':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Regular pentagon with point at top
-            shapePath.setAttribute('points', '50,5 95,35 80,95 20,95 5,35');
-            break;
-
-        case 'hexagon':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Regular hexagon with flat top and bottom
-            shapePath.setAttribute('points', '25,5 75,5 95,50 75,95 25,95 5,50');
-            break;
-
-        case 'oval':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'ellipse');
-            shapePath.setAttribute('cx', '50');
-            shapePath.setAttribute('cy', '50');
-            shapePath.setAttribute('rx', '45'); // Horizontal radius
-            shapePath.setAttribute('ry', '30'); // Vertical radius (smaller for oval shape)
-            // Adjust container size for oval's aspect ratio
-            shapeContainer.style.width = `${baseSize * 1.5}px`;
-            shapeContainer.style.height = `${baseSize * 0.8}px`;
-            break;
-
-        case 'diamond':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // True diamond shape (not just a rotated square)
-            shapePath.setAttribute('points', '50,5 95,50 50,95 5,50');
-            break; case 'octagon':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Regular octagon with symmetrical angles
-            shapePath.setAttribute('points', '30,5 70,5 95,30 95,70 70,95 30,95 5,70 5,30');
-            break;
-
-        case 'star':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Five-pointed star with alternating inner and outer points
-            shapePath.setAttribute('points', '50,5 61,35 95,35 68,55 79,90 50,70 21,90 32,55 5,35 39,35');
-            break;
-
-        case 'heart':
-            // Hearts need a path element for their curved shape
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-            // Heart shape using Bézier curves for realistic appearance
-            shapePath.setAttribute('d', 'M50,90 C25,60 0,35 0,20 C0,5 15,0 25,0 C35,0 45,10 50,15 C55,10 65,0 75,0 C85,0 100,5 100,20 C100,35 75,60 50,90 Z');
-            break;
-
-        case 'trapezoid':
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            // Trapezoid with parallel top and bottom edges
-            shapePath.setAttribute('points', '20,5 80,5 95,95 5,95');
-            break;
-
-        default:
-            // Fallback to a circle if shape type not recognized
-            console.warn(`Unknown shape type: ${type}, defaulting to circle`);
-            shapePath = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            shapePath.setAttribute('cx', '50');
-            shapePath.setAttribute('cy', '50');
-            shapePath.setAttribute('r', '45');
-            break;
-    }
+    // Look up the shape's geometry in the registry (unknown types fall back to a circle)
+    const definition = getShapeDefinition(type);
+
+    // Size the container to the shape's aspect ratio so wide shapes aren't squashed
+    const { width, height } = getShapeDimensions(definition.type, baseSize);
+    shapeContainer.style.width = `${width}px`;
+    shapeContainer.style.height = `${height}px`;
+
+    // Build the SVG element described by the registry
+    const shapePath = document.createElementNS('http://www.w3.org/2000/svg', definition.svg.tag);
+    Object.entries(definition.svg.attributes).forEach(([name, value]) => {
+        shapePath.setAttribute(name, value);
+    });
 
     // Apply consistent styling to all shape paths
     shapePath.setAttribute('fill', color);
@@ -323,6 +269,13 @@ export function createShapeElement(type, color, size) {
 
     // Assemble the complete shape element
     svg.appendChild(shapePath);
+
+    // With patterns switched on, lay the color's pattern over the fill
+    const pattern = getColorPattern(color);
+    if (pattern && PATTERN_TILES[pattern]) {
+        addFillPattern(svg, shapePath, pattern, color);
+    }
+
     shapeContainer.appendChild(svg);
 
     // Add debugging information for development
@@ -331,6 +284,60 @@ export function createShapeElement(type, color, size) {
     return shapeContainer;
 }
 
+/**
+ * Lays a fill pattern over a shape, so its color can be told apart by
+ * texture as well.
+ * 
+ * The pattern is drawn in black or white, whichever stands out more from the
+ * shape's color, on a copy of the shape's outline placed on top of it.
+ * 
+ * @param {SVGElement} svg - The shape's SVG element
+ * @param {SVGElement} shapePath - The shape's filled outline
+ * @param {string} pattern - Pattern name (a key of PATTERN_TILES)
+ * @param {string} color - The shape's hex color
+ * @returns {void}
+ */
+function addFillPattern(svg, shapePath, pattern, color) {
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const ink = getContrastRatio(color, '#000000') >= getContrastRatio(color, '#FFFFFF') ? '#000000' : '#FFFFFF';
+    const id = `fill-pattern-${++patternCount}`;
+
+    const defs = document.createElementNS(svgNamespace, 'defs');
+    const tile = document.createElementNS(svgNamespace, 'pattern');
+    tile.setAttribute('id', id);
+    tile.setAttribute('patternUnits', 'userSpaceOnUse');
+    tile.setAttribute('width', '12');
+    tile.setAttribute('height', '12');
+
+    PATTERN_TILES[pattern].forEach(({ tag, attributes }) => {
+        const mark = document.createElementNS(svgNamespace, tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            mark.setAttribute(name, value);
+        });
+
+        if (tag === 'path' || tag === 'polyline') {
+            mark.setAttribute('fill', 'none');
+            mark.setAttribute('stroke', ink);
+            mark.setAttribute('stroke-width', '2');
+        } else {
+            mark.setAttribute('fill', ink);
+        }
+        tile.appendChild(mark);
+    });
+
+    defs.appendChild(tile);
+    svg.insertBefore(defs, svg.firstChild);
+
+    // A copy of the outline, filled with the pattern and kept faint enough
+    // that the color underneath still shows
+    const overlay = shapePath.cloneNode(false);
+    overlay.setAttribute('fill', `url(#${id})`);
+    overlay.setAttribute('fill-opacity', '0.6');
+    overlay.setAttribute('stroke', 'none');
+    overlay.setAttribute('pointer-events', 'none');
+    svg.appendChild(overlay);
+}
+
 /**
  * Renders all shapes from gameState onto the game board.
  * 
@@ -343,6 +350,8 @@ export function createShapeElement(type, color, size) {
  * - It updates positions and styling for all shapes
  * - It handles the case where shapes might be moving around (hard mode)
  * - It ensures all shapes are properly clickable and visible
+ * - It makes every shape focusable and selectable from the keyboard
+ * - It names every shape for screen readers ("red star, top left")
  * 
  * Each shape gets important metadata attached:
  * - data-shape-type: For debugging and testing
@@ -383,17 +392,29 @@ export function renderShapes() {
             // Add CSS class for styling
             shapeElement.classList.add('shape');
 
-            // Add moving class if in hard mode for special styling
-            if (gameState.currentDifficulty === 'hard') {
+            // Add moving class if shapes move on this board for special styling
+            if (hasMovingShapes()) {
                 shapeElement.classList.add('moving-shape');
             }
 
+            // Or fade it slowly in place, starting at its own point in the fade
+            if (hasFadingShapes()) {
+                shapeElement.classList.add('fading-shape');
+                shapeElement.style.setProperty('--fade-seconds', `${gameConfig.sensory.fadeSeconds}s`);
+                shapeElement.style.setProperty('--fade-delay', `-${shape.fadeDelay.toFixed(2)}s`);
+            }
+
             // Apply z-index from the shape object (matching shapes have higher z-index)
             shapeElement.style.zIndex = shape.zIndex || 5;
 
             // Ensure the element is clickable
             shapeElement.style.pointerEvents = 'auto';
 
+            // Let keyboard players reach and pick it too (see boardNavigation.js
+            // for which shape is the board's Tab stop)
+            shapeElement.setAttribute('role', 'button');
+            shapeElement.tabIndex = -1;
+
             // Add click event handler - only once when element is created
             shapeElement.addEventListener('click', function (event) {
                 handleShapeClick(shape, event);
@@ -416,13 +437,43 @@ export function renderShapes() {
             shape.element.style.display = 'flex';
             shape.element.style.visibility = 'visible';
             shape.element.style.opacity = '1';
+
+            // Name it for screen readers by color, shape and where it is
+            updateShapeLabel(shape);
         }
     });
 
+    // Give the board its Tab stop (and focus, if the last board had it)
+    updateBoardFocus();
+
     // Log the total number of shapes rendered for debugging
     console.log(`Rendered a total of ${gameState.shapes.length} shapes on the game board`);
 }
 
+/**
+ * Gives a shape on the board its screen reader name, such as
+ * "red star, top left".
+ * 
+ * renderShapes() names every shape, and moving shapes are renamed each time
+ * they get keyboard focus, so the position is where the shape is now.
+ * 
+ * @example
+ * updateShapeLabel(gameState.shapes[0]);
+ * gameState.shapes[0].element.getAttribute('aria-label'); // 'teal hexagon, center'
+ * 
+ * @function
+ * @param {Object} shape - Shape from gameState.shapes with an element on the board
+ * @returns {void}
+ */
+export function updateShapeLabel(shape) {
+    if (!shape.element) return;
+
+    const board = { width: elements.gameBoard.clientWidth, height: elements.gameBoard.clientHeight };
+    const size = { width: shape.element.offsetWidth, height: shape.element.offsetHeight };
+
+    shape.element.setAttribute('aria-label', describeShape(shape, board, size));
+}
+
 /**
  * Resizes the confetti canvas to match the current window dimensions.
  * 
@@ -0,0 +1,100 @@
+/**
+ * Scoring Module
+ * 
+ * Every correct match used to be worth exactly one point. Now a match is
+ * worth points, and how many depends on how the player found it:
+ * 
+ * - Base points for every correct match
+ * - A speed bonus for quick answers, shrinking to nothing for slow ones
+ * - A crowd bonus when the board was packed with distractors
+ * - A combo multiplier that grows with each correct answer in a row and
+ *   drops back to 1x on a wrong click
+ * 
+ * The number of matches (the "raw" score) is still kept alongside the
+ * points, so leaderboards can show both.
+ * 
+ * All the numbers live in gameConfig.scoring. Like gameEngine.js, this module
+ * never touches the page - the engine calls it to work out each round's
+ * points.
+ * 
+ * @fileoverview Configurable combo and reaction-time scoring
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+
+/**
+ * Works out the combo multiplier for a run of correct answers.
+ * 
+ * @example
+ * getComboMultiplier(1); // 1 - no combo yet
+ * getComboMultiplier(3); // 1.5 with the default 0.25 step
+ * 
+ * @function
+ * @param {number} combo - Correct answers in a row, including this one
+ * @param {Object} [scoring=gameConfig.scoring] - Scoring settings
+ * @returns {number} Multiplier applied to the round's points
+ */
+export function getComboMultiplier(combo, scoring = gameConfig.scoring) {
+    const { step, maxMultiplier } = scoring.combo;
+
+    return Math.min(maxMultiplier, 1 + step * Math.max(0, combo - 1));
+}
+
+/**
+ * Works out how many points a correct match earns.
+ * 
+ * @example
+ * scoreMatch({ reactionMs: 1200, combo: 2, distractors: 14 });
+ * // { points: 288, base: 100, speedBonus: 100, crowdBonus: 30, multiplier: 1.25 }
+ * 
+ * @function
+ * @param {Object} round - How the match happened
+ * @param {number} round.reactionMs - Milliseconds from the board appearing to the click
+ * @param {number} round.combo - Correct answers in a row, including this one
+ * @param {number} round.distractors - Shapes on the board that weren't a match
+ * @param {Object} [scoring=gameConfig.scoring] - Scoring settings
+ * @returns {{points: number, base: number, speedBonus: number, crowdBonus: number, multiplier: number}} Points earned and how they add up
+ */
+export function scoreMatch({ reactionMs, combo, distractors }, scoring = gameConfig.scoring) {
+    const { basePoints, speed, crowd } = scoring;
+
+    // Full bonus up to fastMs, sliding down to nothing at slowMs
+    let speedBonus = 0;
+    if (typeof reactionMs === 'number' && reactionMs >= 0) {
+        const slowness = (reactionMs - speed.fastMs) / (speed.slowMs - speed.fastMs);
+        speedBonus = Math.round(speed.maxBonus * Math.min(1, Math.max(0, 1 - slowness)));
+    }
+
+    // Only boards busier than freeDistractors earn the crowd bonus
+    const crowdBonus = Math.max(0, distractors - crowd.freeDistractors) * crowd.pointsPerDistractor;
+
+    const multiplier = getComboMultiplier(combo, scoring);
+
+    return {
+        points: Math.round((basePoints + speedBonus + crowdBonus) * multiplier),
+        base: basePoints,
+        speedBonus,
+        crowdBonus,
+        multiplier
+    };
+}
+
+/**
+ * Sorts leaderboard entries: most points first, then most matches.
+ * 
+ * Entries saved before points existed have no points, so they sort below
+ * any game that earned some.
+ * 
+ * @example
+ * highScores.sort(compareScoreEntries);
+ * 
+ * @function
+ * @param {{score: number, points: number}} a - First entry
+ * @param {{score: number, points: number}} b - Second entry
+ * @returns {number} Negative if a ranks higher, positive if b does
+ */
+export function compareScoreEntries(a, b) {
+    return (b.points || 0) - (a.points || 0) || b.score - a.score;
+}
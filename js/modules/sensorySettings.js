@@ -0,0 +1,217 @@
+/**
+ * Sensory Settings Module
+ * 
+ * Confetti, shaking shapes, bouncing scores and shapes whizzing around the
+ * board make the game exciting for most players, but they can be too much -
+ * especially for some of our neurodivergent students, or anyone who gets
+ * motion sick. This module keeps track of four settings:
+ * 
+ * - confetti: the confetti burst on a correct match
+ * - gentleFeedback: a soft dim instead of a shake on a wrong click, and no
+ *   bouncing scores, hearts, level or swinging target banner
+ * - fadeInPlace: on boards where shapes would move, they stay where they are
+ *   and slowly fade out and back in instead
+ * - limitFlashing: warnings (like the timer running low) change color slowly
+ *   instead of flashing
+ * 
+ * Out of the box the settings follow the device: if it asks for reduced
+ * motion (prefers-reduced-motion), everything calm is switched on. Anything
+ * the player switches in setup overrides that, and is saved with their
+ * profile. Only the player's own choices are stored, so a setting they never
+ * touched keeps following the device.
+ * 
+ * The settings the stylesheet can handle are shown as classes on <body>
+ * (gentle-feedback and limit-flashing); the game checks the others with
+ * isSensorySettingOn().
+ * 
+ * @fileoverview Reduced-motion and sensory-load settings
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+
+/**
+ * The sensory settings, in the order they appear in setup.
+ * 
+ * @type {string[]}
+ */
+export const SENSORY_SETTINGS = ['confetti', 'gentleFeedback', 'fadeInPlace', 'limitFlashing'];
+
+/**
+ * Settings shown on <body> as a class, for the stylesheet to use.
+ * 
+ * @type {Object<string, string>}
+ */
+const BODY_CLASSES = {
+    gentleFeedback: 'gentle-feedback',
+    limitFlashing: 'limit-flashing'
+};
+
+/**
+ * Media query for the device's reduced motion setting.
+ * 
+ * @type {string}
+ */
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Settings the player has switched themselves (the rest follow the device).
+ * 
+ * @type {Object<string, boolean>}
+ */
+let choices = {};
+
+/**
+ * Functions to call when the settings change.
+ * 
+ * @type {Set<function(Object<string, boolean>): void>}
+ */
+const changeListeners = new Set();
+
+/**
+ * Checks whether the device asks for reduced motion.
+ * 
+ * @function
+ * @returns {boolean} True if prefers-reduced-motion is set to reduce
+ */
+export function prefersReducedMotion() {
+    return typeof window !== 'undefined' &&
+        typeof window.matchMedia === 'function' &&
+        window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Gets the settings in use right now.
+ * 
+ * @example
+ * getSensorySettings(); // { confetti: true, gentleFeedback: false, fadeInPlace: false, limitFlashing: false }
+ * 
+ * @function
+ * @returns {Object<string, boolean>} Every setting, on or off
+ */
+export function getSensorySettings() {
+    const { standard, reducedMotion } = gameConfig.sensory;
+
+    return { ...(prefersReducedMotion() ? reducedMotion : standard), ...choices };
+}
+
+/**
+ * Checks whether a setting is switched on.
+ * 
+ * @example
+ * if (isSensorySettingOn('confetti')) {
+ *     launchConfetti(x, y);
+ * }
+ * 
+ * @function
+ * @param {string} name - One of SENSORY_SETTINGS
+ * @returns {boolean} True if the setting is on
+ */
+export function isSensorySettingOn(name) {
+    return Boolean(getSensorySettings()[name]);
+}
+
+/**
+ * Switches a setting on or off (overriding the device's preference).
+ * 
+ * @function
+ * @param {string} name - One of SENSORY_SETTINGS
+ * @param {boolean} on - Whether to switch it on
+ * @returns {void}
+ * @throws {Error} If there is no such setting
+ */
+export function setSensorySetting(name, on) {
+    if (!SENSORY_SETTINGS.includes(name)) {
+        throw new Error(`Unknown sensory setting: ${name}`);
+    }
+
+    choices = { ...choices, [name]: Boolean(on) };
+    notifyChange();
+}
+
+/**
+ * Gets the settings the player has switched themselves, for saving.
+ * 
+ * @function
+ * @returns {Object<string, boolean>} Only the settings that override the device
+ */
+export function getSensoryChoices() {
+    return { ...choices };
+}
+
+/**
+ * Replaces the player's choices, e.g. with the ones saved in their profile.
+ * 
+ * Unknown settings and values that aren't true or false are ignored; passing
+ * nothing (or an empty object) goes back to following the device.
+ * 
+ * @function
+ * @param {Object<string, boolean>} [saved={}] - Saved choices
+ * @returns {void}
+ */
+export function setSensoryChoices(saved = {}) {
+    choices = {};
+
+    SENSORY_SETTINGS.forEach(name => {
+        if (saved && typeof saved[name] === 'boolean') {
+            choices[name] = saved[name];
+        }
+    });
+
+    notifyChange();
+}
+
+/**
+ * Registers a function to call whenever the settings in use change - when
+ * the player switches one, a profile's choices are loaded, or the device's
+ * reduced motion setting changes.
+ * 
+ * @function
+ * @param {function(Object<string, boolean>): void} listener - Called with the settings now in use
+ * @returns {function(): void} Call to stop listening
+ */
+export function onSensorySettingsChange(listener) {
+    changeListeners.add(listener);
+
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Tells the listeners about the settings now in use.
+ * 
+ * @returns {void}
+ */
+function notifyChange() {
+    const settings = getSensorySettings();
+    changeListeners.forEach(listener => listener(settings));
+}
+
+/**
+ * Shows the stylesheet's settings as classes on <body>.
+ * 
+ * @param {Object<string, boolean>} settings - The settings in use
+ * @returns {void}
+ */
+function applyBodyClasses(settings) {
+    Object.entries(BODY_CLASSES).forEach(([name, className]) => {
+        document.body.classList.toggle(className, Boolean(settings[name]));
+    });
+}
+
+/**
+ * Applies the settings to the page and follows changes to the device's
+ * reduced motion setting. Called once at startup.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initSensorySettings() {
+    onSensorySettingsChange(applyBodyClasses);
+
+    if (typeof window.matchMedia === 'function') {
+        window.matchMedia(REDUCED_MOTION_QUERY).addEventListener('change', notifyChange);
+    }
+
+    applyBodyClasses(getSensorySettings());
+}
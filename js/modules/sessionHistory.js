@@ -0,0 +1,447 @@
+/**
+ * Session History Module
+ * 
+ * The leaderboards only keep the top 10 final scores, which is great for
+ * bragging rights but tells a teacher very little. This module keeps the
+ * whole story of every game: each round's target, the distractors on the
+ * board, how long the child took to make their first click, every wrong
+ * click (and what they clicked instead) and how the round ended.
+ * 
+ * Sessions can be filtered by player and date, exported as CSV (one row per
+ * round, ready for a spreadsheet) or JSON (everything, for backups), and
+ * imported again on another device. Imports merge by session id, so
+ * importing the same file twice does no harm.
+ * 
+ * Like the other data modules this one never touches the page - the export
+ * screen lives in historyScreen.js.
+ * 
+ * @fileoverview Per-session round history with CSV/JSON export and import
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { getDayKey } from './dailyChallenge.js';
+import { readRecord, writeRecord } from './storage.js';
+import { sanitizePlayerName } from './namePolicy.js';
+
+/**
+ * Storage record holding every recorded session.
+ * 
+ * @type {string}
+ */
+const HISTORY_KEY = 'shapeGameHistory';
+
+/**
+ * Format marker written into JSON exports so imports can recognize them.
+ * 
+ * @type {string}
+ */
+const EXPORT_FORMAT = 'shape-game-history';
+
+/**
+ * Version of the JSON export format.
+ * 
+ * @type {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * How a round ends when the game stops before it is solved, by game over reason.
+ * 
+ * @type {Object<string, string>}
+ */
+const UNFINISHED_OUTCOMES = {
+    attempts: 'outOfAttempts',
+    time: 'timeUp',
+    quit: 'quit'
+};
+
+/**
+ * Columns of the CSV export, in order.
+ * 
+ * @type {string[]}
+ */
+const CSV_COLUMNS = [
+    'sessionId', 'player', 'startedAt', 'mode', 'difficulty', 'seed', 'finalScore',
+    'finalPoints', 'round', 'roundDifficulty', 'targetShape', 'targetColor', 'distractors',
+    'firstClickMs', 'wrongClicks', 'wrongShapes', 'outcome'
+];
+
+/**
+ * Loads every recorded session, oldest first, with player names cleaned up
+ * by the name policy.
+ * 
+ * @returns {Array<Object>} All sessions
+ */
+function loadAllSessions() {
+    return readRecord(HISTORY_KEY, []).map(session => ({ ...session, playerName: sanitizePlayerName(session.playerName) }));
+}
+
+/**
+ * Saves the session list, dropping the oldest sessions beyond the limit.
+ * 
+ * @param {Array<Object>} sessions - Sessions to save, oldest first
+ * @returns {void}
+ */
+function saveAllSessions(sessions) {
+    const { maxSessions } = gameConfig.history;
+
+    writeRecord(HISTORY_KEY, sessions.slice(-maxSessions));
+}
+
+/**
+ * Gets the round currently being played in a session.
+ * 
+ * @param {Object} session - The session being recorded
+ * @returns {?Object} The last round, or null before the first round
+ */
+function getCurrentRound(session) {
+    return session.rounds.length > 0 ? session.rounds[session.rounds.length - 1] : null;
+}
+
+/**
+ * Starts recording a new session.
+ * 
+ * The session only lives in memory until finishSessionRecord() saves it, so
+ * a game abandoned by closing the tab is not recorded.
+ * 
+ * @example
+ * const session = createSessionRecord({ playerName: 'Sam', mode: 'classic', difficulty: 'easy', seed: 42 });
+ * 
+ * @function
+ * @param {Object} details - Who is playing and how
+ * @param {string} details.playerName - The player's name
+ * @param {?string} [details.profileId=null] - The player's profile id
+ * @param {string} details.mode - Game mode
+ * @param {string} details.difficulty - Difficulty at the start of the game
+ * @param {?number} details.seed - Board seed
+ * @returns {Object} The new session record
+ */
+export function createSessionRecord({ playerName, profileId = null, mode, difficulty, seed }) {
+    return {
+        id: `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        playerName,
+        profileId,
+        mode,
+        difficulty,
+        seed,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        finalScore: 0,
+        finalPoints: 0,
+        endReason: null,
+        rounds: []
+    };
+}
+
+/**
+ * Adds a new round to a session.
+ * 
+ * @function
+ * @param {Object} session - The session being recorded
+ * @param {Object} round - The round that just appeared
+ * @param {number} round.round - Round number (1-based)
+ * @param {string} round.difficulty - Difficulty rules for this round (changes in Survival)
+ * @param {{type: string, color: string}} round.target - The shape to find
+ * @param {Array<{type: string, color: string}>} round.shapes - Every shape on the board
+ * @returns {Object} The new round record
+ */
+export function recordRoundStart(session, { round, difficulty, target, shapes }) {
+    const record = {
+        round,
+        difficulty,
+        target: { type: target.type, color: target.color },
+        distractors: shapes
+            .filter(shape => shape.type !== target.type || shape.color !== target.color)
+            .map(shape => ({ type: shape.type, color: shape.color })),
+        firstClickMs: null,
+        wrongClicks: [],
+        outcome: null
+    };
+
+    session.rounds.push(record);
+
+    return record;
+}
+
+/**
+ * Records a click on a shape in the current round.
+ * 
+ * @function
+ * @param {Object} session - The session being recorded
+ * @param {Object} click - What was clicked
+ * @param {{type: string, color: string}} click.shape - The clicked shape
+ * @param {boolean} click.correct - Whether it was a correct match
+ * @param {number} click.elapsedMs - Milliseconds since the round appeared
+ * @returns {void}
+ */
+export function recordClick(session, { shape, correct, elapsedMs }) {
+    const round = getCurrentRound(session);
+    if (!round || round.outcome) return;
+
+    const ms = Math.max(0, Math.round(elapsedMs));
+
+    if (round.firstClickMs === null) {
+        round.firstClickMs = ms;
+    }
+
+    if (correct) {
+        round.outcome = 'correct';
+    } else {
+        round.wrongClicks.push({ type: shape.type, color: shape.color, elapsedMs: ms });
+    }
+}
+
+/**
+ * Finishes a session and saves it to the history.
+ * 
+ * A round that was still being played when the game ended gets an outcome
+ * describing why ("outOfAttempts", "timeUp" or "quit").
+ * 
+ * @function
+ * @param {Object} session - The session being recorded
+ * @param {Object} result - How the game ended
+ * @param {number} result.score - Final score (correct matches)
+ * @param {number} result.points - Final points
+ * @param {string} result.reason - Game over reason from the engine ('attempts', 'time' or 'quit')
+ * @returns {Object} The saved session
+ */
+export function finishSessionRecord(session, { score, points, reason }) {
+    const round = getCurrentRound(session);
+
+    if (round && !round.outcome) {
+        round.outcome = UNFINISHED_OUTCOMES[reason] || reason;
+    }
+
+    session.endedAt = new Date().toISOString();
+    session.finalScore = score;
+    session.finalPoints = points;
+    session.endReason = reason;
+
+    const sessions = loadAllSessions();
+    sessions.push(session);
+    saveAllSessions(sessions);
+
+    return session;
+}
+
+/**
+ * Loads recorded sessions, optionally for one player and a date range.
+ * 
+ * @example
+ * loadSessions({ playerName: 'Sam', from: '2024-05-01', to: '2024-05-31' });
+ * 
+ * @function
+ * @param {Object} [filter={}] - Which sessions to return
+ * @param {string} [filter.playerName] - Only this player (ignoring case)
+ * @param {string} [filter.from] - First day to include (YYYY-MM-DD, local time)
+ * @param {string} [filter.to] - Last day to include (YYYY-MM-DD, local time)
+ * @returns {Array<Object>} Matching sessions, oldest first
+ */
+export function loadSessions({ playerName, from, to } = {}) {
+    const playerKey = playerName ? playerName.trim().toLowerCase() : null;
+
+    return loadAllSessions().filter(session => {
+        const day = getDayKey(new Date(session.startedAt));
+
+        if (playerKey && session.playerName.trim().toLowerCase() !== playerKey) return false;
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+
+        return true;
+    });
+}
+
+/**
+ * Lists every player who has recorded history.
+ * 
+ * @function
+ * @returns {string[]} Player names, alphabetically
+ */
+export function listHistoryPlayers() {
+    const names = new Map();
+
+    loadAllSessions().forEach(session => {
+        names.set(session.playerName.trim().toLowerCase(), session.playerName);
+    });
+
+    return [...names.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Quotes a value for CSV when it contains commas, quotes or line breaks.
+ * 
+ * Text starting with =, +, -, @, a tab or a carriage return would be run as a
+ * formula when the report is opened in a spreadsheet (a player named
+ * "=HYPERLINK(...)", or a doctored import), so it gets a leading apostrophe,
+ * which spreadsheets read as "this is plain text".
+ * 
+ * @param {*} value - The cell value
+ * @returns {string} The CSV cell
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV report with one row per round.
+ * 
+ * Distractors are listed as "type:color" separated by semicolons, and wrong
+ * clicks as the clicked shape types separated by semicolons.
+ * 
+ * @function
+ * @param {Array<Object>} sessions - Sessions to export
+ * @returns {string} CSV text with a header row
+ */
+export function exportSessionsToCsv(sessions) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    sessions.forEach(session => {
+        session.rounds.forEach(round => {
+            const cells = [
+                session.id,
+                session.playerName,
+                session.startedAt,
+                session.mode,
+                session.difficulty,
+                session.seed,
+                session.finalScore,
+                session.finalPoints,
+                round.round,
+                round.difficulty,
+                round.target.type,
+                round.target.color,
+                round.distractors.map(shape => `${shape.type}:${shape.color}`).join(';'),
+                round.firstClickMs,
+                round.wrongClicks.length,
+                round.wrongClicks.map(click => click.type).join(';'),
+                round.outcome
+            ];
+
+            rows.push(cells.map(toCsvCell).join(','));
+        });
+    });
+
+    return rows.join('\r\n');
+}
+
+/**
+ * Builds a JSON export of sessions that importSessions() can read back.
+ * 
+ * @function
+ * @param {Array<Object>} sessions - Sessions to export
+ * @returns {string} JSON text
+ */
+export function exportSessionsToJson(sessions) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions
+    }, null, 2);
+}
+
+/**
+ * Checks that an imported session has the fields the reports rely on.
+ * 
+ * @param {*} session - A session from an import file
+ * @returns {boolean} Whether it looks like a session record
+ */
+function isValidSession(session) {
+    return Boolean(session) &&
+        typeof session.id === 'string' &&
+        typeof session.playerName === 'string' &&
+        typeof session.startedAt === 'string' &&
+        !Number.isNaN(Date.parse(session.startedAt)) &&
+        Array.isArray(session.rounds) &&
+        session.rounds.every(round => round && round.target && Array.isArray(round.distractors) && Array.isArray(round.wrongClicks));
+}
+
+/**
+ * Merges sessions from a JSON export (for example from another tablet).
+ * 
+ * Sessions already in this device's history (same id) are skipped, so the
+ * same file can safely be imported more than once. Player names go through
+ * the name policy, like names loaded from this device's own storage.
+ * 
+ * @example
+ * const { added, skipped } = importSessions(fileText);
+ * 
+ * @function
+ * @param {string} text - Contents of a JSON export
+ * @returns {{added: number, skipped: number}} How many sessions were added and skipped
+ * @throws {Error} If the text isn't a history export
+ */
+export function importSessions(text) {
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not a valid history export');
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+        throw new Error('This file is not a valid history export');
+    }
+
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('This history export was made by a newer version of the game');
+    }
+
+    const sessions = loadAllSessions();
+    const knownIds = new Set(sessions.map(session => session.id));
+    let added = 0;
+    let skipped = 0;
+
+    data.sessions.forEach(session => {
+        if (!isValidSession(session) || knownIds.has(session.id)) {
+            skipped++;
+            return;
+        }
+
+        sessions.push({ ...session, playerName: sanitizePlayerName(session.playerName) });
+        knownIds.add(session.id);
+        added++;
+    });
+
+    // Keep the history in the order the games were played
+    sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    saveAllSessions(sessions);
+
+    console.log(`Imported ${added} sessions (${skipped} skipped)`);
+
+    return { added, skipped };
+}
+
+/**
+ * Moves a player's sessions to a new name (when a profile is renamed or merged).
+ * 
+ * @function
+ * @param {string} fromName - The old name
+ * @param {string} toName - The new name
+ * @returns {void}
+ */
+export function renamePlayerHistory(fromName, toName) {
+    const fromKey = fromName.trim().toLowerCase();
+    const sessions = loadAllSessions();
+    let changed = false;
+
+    sessions.forEach(session => {
+        if (session.playerName.trim().toLowerCase() === fromKey) {
+            session.playerName = toName;
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        saveAllSessions(sessions);
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * Settings Screen Module
+ * 
+ * The settings panel opens from the Settings button during a game (or from
+ * the setup modal, or with the S key). It has sliders for the master, sound
+ * effects and music volumes, a mute switch, and a list of the keyboard
+ * shortcuts. Everything takes effect straight away - the game pauses while
+ * the panel is open, and picks up exactly where it was when it closes.
+ * 
+ * The M key mutes and the - and + keys turn the volume down and up without
+ * opening the panel, even in the middle of a round.
+ * 
+ * Changes are saved with the current player's profile as soon as they are
+ * made. The settings themselves are kept by audioSettings.js.
+ * 
+ * @fileoverview Settings panel, volume shortcuts and saving sound settings per profile
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import gameState from './gameState.js';
+import { elements } from './elements.js';
+import { gameConfig } from './config.js';
+import { announceTo } from './utils.js';
+import { trapFocus, releaseFocus } from './focusTrap.js';
+import { pauseGame, resumeGame, playSound } from './gameLogic.js';
+import { findProfileByName, updateProfilePreferences } from './playerProfiles.js';
+import {
+    getAudioSettings,
+    setVolume,
+    changeVolume,
+    toggleMuted,
+    setMuted,
+    onAudioSettingsChange
+} from './audioSettings.js';
+
+/**
+ * What each shortcut in gameConfig.keyboard.shortcuts does, in the order
+ * they're listed in the panel.
+ * 
+ * @type {Object<string, string>}
+ */
+const SHORTCUT_LABELS = {
+    pause: 'Pause or resume (Escape works too)',
+    quit: 'End the game',
+    restart: 'Play again from the game over screen',
+    settings: 'Open these settings',
+    mute: 'Mute or unmute',
+    volumeDown: 'Quieter',
+    volumeUp: 'Louder'
+};
+
+/**
+ * Keys for playing the board, which aren't configurable.
+ * 
+ * @type {Array<{keys: string, label: string}>}
+ */
+const BOARD_KEYS = [
+    { keys: 'Tab', label: 'Move onto the board' },
+    { keys: 'Arrow keys', label: 'Move between shapes' },
+    { keys: 'Enter or Space', label: 'Pick the shape' }
+];
+
+/**
+ * Whether opening the panel paused a running game (so closing it resumes).
+ * 
+ * @type {boolean}
+ */
+let pausedForSettings = false;
+
+/**
+ * Wires up the settings panel and keeps it in step with the sound settings.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initSettingsScreen() {
+    elements.settingsButton.addEventListener('click', showSettingsModal);
+    elements.setupSettingsBtn.addEventListener('click', showSettingsModal);
+    elements.closeSettingsBtn.addEventListener('click', hideSettingsModal);
+
+    elements.volumeSliders.forEach(slider => {
+        // Louder or quieter as the slider moves, saved when it's let go
+        slider.addEventListener('input', () => {
+            setVolume(slider.dataset.channel, Number(slider.value) / 100);
+        });
+
+        slider.addEventListener('change', () => {
+            saveAudioSettings();
+
+            // Let the player hear the new volume
+            if (slider.dataset.channel !== 'music') {
+                playSound('correct');
+            }
+        });
+    });
+
+    elements.muteToggle.addEventListener('change', () => {
+        setMuted(elements.muteToggle.checked);
+        saveAudioSettings();
+    });
+
+    onAudioSettingsChange(syncSettingsControls);
+    syncSettingsControls();
+    renderShortcutList();
+}
+
+/**
+ * Checks whether the settings panel is open.
+ * 
+ * @function
+ * @returns {boolean} True if it's showing
+ */
+export function isSettingsOpen() {
+    return !elements.settingsModal.classList.contains('hidden');
+}
+
+/**
+ * Opens the settings panel, pausing the game if one is running.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function showSettingsModal() {
+    if (isSettingsOpen()) return;
+
+    pausedForSettings = pauseGame();
+
+    elements.settingsModal.classList.remove('hidden');
+    trapFocus(elements.settingsModal, elements.volumeSliders[0]);
+}
+
+/**
+ * Closes the settings panel, resuming the game if opening it paused one.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function hideSettingsModal() {
+    elements.settingsModal.classList.add('hidden');
+
+    if (pausedForSettings) {
+        pausedForSettings = false;
+        resumeGame();
+    }
+
+    // After resuming, so focus can go back to a shape on the board
+    releaseFocus(elements.settingsModal);
+}
+
+/**
+ * Mutes or unmutes the game (the M shortcut), and says which.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function toggleMuteSetting() {
+    const muted = toggleMuted();
+    saveAudioSettings();
+
+    announceTo('polite', muted ? 'Sound off' : 'Sound on');
+}
+
+/**
+ * Turns the master volume up or down a step (the - and + shortcuts), and
+ * says how loud it is now. Turning it up also unmutes.
+ * 
+ * @function
+ * @param {number} direction - 1 for louder, -1 for quieter
+ * @returns {void}
+ */
+export function stepMasterVolume(direction) {
+    if (direction > 0 && getAudioSettings().muted) {
+        setMuted(false);
+    }
+
+    const volume = changeVolume('master', direction * gameConfig.audio.volumeStep);
+    saveAudioSettings();
+
+    announceTo('polite', `Volume ${Math.round(volume * 100)}%`);
+}
+
+/**
+ * Saves the sound settings with the current player's profile.
+ * 
+ * During a game that's the profile playing; otherwise it's the profile named
+ * in the setup modal (if there is one yet - a new player's settings are
+ * saved when their profile is created at the start of the game).
+ * 
+ * @returns {void}
+ */
+function saveAudioSettings() {
+    const profile = gameState.isGameActive && gameState.profileId ?
+        { id: gameState.profileId } :
+        findProfileByName(elements.playerNameInput.value);
+
+    if (profile) {
+        updateProfilePreferences(profile.id, { audio: getAudioSettings() });
+    }
+}
+
+/**
+ * Makes the sliders, volume readouts and mute switch match the settings.
+ * 
+ * @param {Object} [settings=getAudioSettings()] - The sound settings
+ * @returns {void}
+ */
+function syncSettingsControls(settings = getAudioSettings()) {
+    elements.volumeSliders.forEach(slider => {
+        slider.value = Math.round(settings[slider.dataset.channel] * 100);
+    });
+
+    elements.volumeValues.forEach(output => {
+        output.textContent = `${Math.round(settings[output.dataset.channel] * 100)}%`;
+    });
+
+    elements.muteToggle.checked = settings.muted;
+}
+
+/**
+ * Lists the keyboard shortcuts, with the keys set in gameConfig.keyboard.
+ * 
+ * @returns {void}
+ */
+function renderShortcutList() {
+    const { shortcuts } = gameConfig.keyboard;
+    const rows = [
+        ...Object.keys(SHORTCUT_LABELS)
+            .filter(name => shortcuts[name])
+            .map(name => ({ keys: shortcuts[name].toUpperCase(), label: SHORTCUT_LABELS[name] })),
+        ...BOARD_KEYS
+    ];
+
+    elements.shortcutList.replaceChildren();
+
+    rows.forEach(({ keys, label }) => {
+        const term = document.createElement('dt');
+        const key = document.createElement('kbd');
+        key.textContent = keys;
+        term.appendChild(key);
+
+        const description = document.createElement('dd');
+        description.textContent = label;
+
+        elements.shortcutList.append(term, description);
+    });
+}
@@ -0,0 +1,271 @@
+/**
+ * Shape Mastery Module
+ * 
+ * Every child finds different shapes tricky. One breezes through stars but
+ * keeps mixing up pentagons and hexagons; another never misses a hexagon but
+ * stalls on trapezoids. This module keeps a little learning record for each
+ * player so the game can show them more of what they haven't mastered yet.
+ * 
+ * For every shape type we track:
+ * - How often the player was asked to find it, and how often they got it
+ * - How long they took (average response time)
+ * - A spaced-repetition "box" (Leitner style): getting a shape right moves it
+ *   up a box, getting it wrong sends it back to box 1
+ * 
+ * For every confusion pair we count how often the player clicked one shape
+ * when the target was another ("hexagon when the target was pentagon").
+ * 
+ * Shapes in low boxes, shapes that are due for review, slow shapes and
+ * never-seen shapes get bigger weights when picking targets. Shapes the
+ * player confuses with the target get bigger weights as distractors.
+ * 
+ * Records are stored (see storage.js) under shapeGameMastery, keyed by player.
+ * 
+ * @fileoverview Per-player shape mastery tracking and adaptive selection weights
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { readRecord, writeRecord } from './storage.js';
+
+/**
+ * Storage record holding every player's mastery record.
+ * 
+ * @type {string}
+ */
+const MASTERY_KEY = 'shapeGameMastery';
+
+/**
+ * Normalizes a player name so "Sam" and "sam " share a record.
+ * 
+ * @param {string} playerName - Name as entered
+ * @returns {string} Lookup key
+ */
+function getPlayerKey(playerName) {
+    return String(playerName).trim().toLowerCase();
+}
+
+/**
+ * Loads every player's mastery record.
+ * 
+ * @returns {Object} Records keyed by player key
+ */
+function loadAllMastery() {
+    return readRecord(MASTERY_KEY, {});
+}
+
+/**
+ * Builds the key for a confusion pair.
+ * 
+ * @param {string} targetType - The shape the player was looking for
+ * @param {string} selectedType - The shape they clicked instead
+ * @returns {string} Key like 'pentagon>hexagon'
+ */
+function getConfusionKey(targetType, selectedType) {
+    return `${targetType}>${selectedType}`;
+}
+
+/**
+ * Gets a player's mastery record.
+ * 
+ * @example
+ * const mastery = getShapeMastery('Sam');
+ * mastery.shapes.pentagon;               // { attempts: 6, correct: 3, totalResponseMs: 21000, box: 1, lastReview: 40 }
+ * mastery.confusions['pentagon>hexagon']; // 3
+ * 
+ * @function
+ * @param {string} playerName - The player to look up
+ * @returns {{reviews: number, shapes: Object, confusions: Object}} The player's record (empty for new players)
+ */
+export function getShapeMastery(playerName) {
+    const record = loadAllMastery()[getPlayerKey(playerName)];
+
+    return record || { reviews: 0, shapes: {}, confusions: {} };
+}
+
+/**
+ * Records one selection the player made.
+ * 
+ * A selection counts as recognizing the target shape when the clicked shape
+ * has the same type - picking a pentagon of the wrong color still shows the
+ * child knows what a pentagon is. Clicking a different type records a
+ * confusion pair.
+ * 
+ * @example
+ * recordSelection('Sam', { targetType: 'pentagon', selectedType: 'hexagon', responseMs: 4200 });
+ * 
+ * @function
+ * @param {string} playerName - The player who made the selection
+ * @param {Object} selection - What happened
+ * @param {string} selection.targetType - The shape they were looking for
+ * @param {string} selection.selectedType - The shape they clicked
+ * @param {number} selection.responseMs - Milliseconds from the board appearing to the click
+ * @returns {Object} The updated stats for the target shape
+ */
+export function recordSelection(playerName, { targetType, selectedType, responseMs }) {
+    const all = loadAllMastery();
+    const playerKey = getPlayerKey(playerName);
+    const record = all[playerKey] || { reviews: 0, shapes: {}, confusions: {} };
+    const { maxBox } = gameConfig.mastery;
+
+    const stats = record.shapes[targetType] || { attempts: 0, correct: 0, totalResponseMs: 0, box: 0, lastReview: 0 };
+    const recognized = selectedType === targetType;
+
+    record.reviews++;
+    stats.attempts++;
+    stats.totalResponseMs += Math.max(0, responseMs);
+    stats.lastReview = record.reviews;
+
+    if (recognized) {
+        stats.correct++;
+        stats.box = Math.min(maxBox, stats.box + 1);
+    } else {
+        // Back to the start - this shape needs more practice
+        stats.box = 1;
+        const key = getConfusionKey(targetType, selectedType);
+        record.confusions[key] = (record.confusions[key] || 0) + 1;
+    }
+
+    record.shapes[targetType] = stats;
+    all[playerKey] = record;
+    writeRecord(MASTERY_KEY, all);
+
+    return stats;
+}
+
+/**
+ * Works out how much a player needs to practise one shape.
+ * 
+ * @param {Object} record - The player's mastery record
+ * @param {string} type - Shape type
+ * @returns {number} Selection weight (bigger = shown more often)
+ */
+function getPracticeWeight(record, type) {
+    const { boxWeights, reviewIntervals, dueBoost, slowResponseMs, slowResponseBoost } = gameConfig.mastery;
+    const stats = record.shapes[type];
+
+    // Never seen: box 0
+    if (!stats) {
+        return boxWeights[0];
+    }
+
+    let weight = boxWeights[stats.box];
+
+    // Spaced repetition: a shape comes due again once enough other reviews
+    // have happened since we last saw it
+    if (record.reviews - stats.lastReview >= reviewIntervals[stats.box]) {
+        weight *= dueBoost;
+    }
+
+    // Correct but slow still means "not quite mastered"
+    if (stats.totalResponseMs / stats.attempts > slowResponseMs) {
+        weight *= slowResponseBoost;
+    }
+
+    return weight;
+}
+
+/**
+ * Gets target selection weights for a player.
+ * 
+ * @example
+ * const types = getAvailableShapes();
+ * const target = getWeightedRandomItem(types, getTargetWeights('Sam', types), random);
+ * 
+ * @function
+ * @param {string} playerName - The player
+ * @param {string[]} types - Candidate shape types
+ * @returns {number[]} One weight per type
+ */
+export function getTargetWeights(playerName, types) {
+    const record = getShapeMastery(playerName);
+
+    return types.map(type => getPracticeWeight(record, type));
+}
+
+/**
+ * Gets distractor selection weights for a player and target.
+ * 
+ * Shapes the player has mixed up with this target (in either direction) are
+ * shown alongside it more often, so the child practises telling them apart.
+ * 
+ * @function
+ * @param {string} playerName - The player
+ * @param {string} targetType - The round's target shape
+ * @param {string[]} types - Candidate distractor shape types
+ * @returns {number[]} One weight per type
+ */
+export function getDistractorWeights(playerName, targetType, types) {
+    const record = getShapeMastery(playerName);
+    const { confusionWeight } = gameConfig.mastery;
+
+    return types.map(type => {
+        const confusions = (record.confusions[getConfusionKey(targetType, type)] || 0) +
+            (record.confusions[getConfusionKey(type, targetType)] || 0);
+
+        return getPracticeWeight(record, type) + confusions * confusionWeight;
+    });
+}
+
+/**
+ * Moves (or combines) one player's mastery record into another's.
+ * 
+ * Used when a profile is renamed (the new name has no record yet, so the
+ * record simply moves) and when two profiles are merged (counts are added
+ * together and each shape keeps the lower, more cautious box).
+ * 
+ * @function
+ * @param {string} fromName - Player whose record is moved
+ * @param {string} intoName - Player who receives it
+ * @returns {void}
+ */
+export function mergePlayerMastery(fromName, intoName) {
+    const all = loadAllMastery();
+    const fromKey = getPlayerKey(fromName);
+    const intoKey = getPlayerKey(intoName);
+    const from = all[fromKey];
+
+    if (!from || fromKey === intoKey) return;
+
+    const into = all[intoKey];
+
+    if (!into) {
+        all[intoKey] = from;
+    } else {
+        Object.entries(from.shapes).forEach(([type, stats]) => {
+            const existing = into.shapes[type];
+
+            into.shapes[type] = existing ? {
+                attempts: existing.attempts + stats.attempts,
+                correct: existing.correct + stats.correct,
+                totalResponseMs: existing.totalResponseMs + stats.totalResponseMs,
+                box: Math.min(existing.box, stats.box),
+                lastReview: Math.max(existing.lastReview, stats.lastReview)
+            } : stats;
+        });
+
+        Object.entries(from.confusions).forEach(([key, count]) => {
+            into.confusions[key] = (into.confusions[key] || 0) + count;
+        });
+
+        into.reviews = Math.max(into.reviews, from.reviews);
+    }
+
+    delete all[fromKey];
+    writeRecord(MASTERY_KEY, all);
+}
+
+/**
+ * Forgets a player's mastery record (when their profile is deleted).
+ * 
+ * @function
+ * @param {string} playerName - The player to forget
+ * @returns {void}
+ */
+export function clearPlayerMastery(playerName) {
+    const all = loadAllMastery();
+
+    delete all[getPlayerKey(playerName)];
+    writeRecord(MASTERY_KEY, all);
+}
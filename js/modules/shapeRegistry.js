@@ -0,0 +1,372 @@
+/**
+ * Shape Registry Module
+ * 
+ * This module is the game's catalogue of shapes. Every shape the game knows
+ * about is declared here exactly once - its SVG geometry, how wide or tall it
+ * is compared to a square, which difficulty tier it belongs to, the friendly
+ * name we show to players, and a few geometry facts like how many sides and
+ * corners it has.
+ * 
+ * Before this module existed, each shape lived as a case in a big switch
+ * statement inside the renderer, and the rectangle/oval proportions were
+ * copied into the movement code too. Now the renderer, the difficulty logic
+ * and the movement bounds all ask the registry instead, so there is only one
+ * place to look when something about a shape needs to change.
+ * 
+ * Adding a new shape doesn't require touching any core file:
+ * 
+ *     import { registerShape } from './modules/shapeRegistry.js';
+ *     registerShape({
+ *         type: 'parallelogram',
+ *         displayName: 'Parallelogram',
+ *         tier: 'hard',
+ *         sides: 4,
+ *         vertices: 4,
+ *         svg: { tag: 'polygon', attributes: { points: '25,20 95,20 75,80 5,80' } }
+ *     });
+ * 
+ * @fileoverview Data-driven registry of every shape the game can draw
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Difficulty tiers in the order players meet them.
+ * 
+ * Tiers are cumulative: medium difficulty uses basic and medium shapes,
+ * hard uses all three. The order here is also the order shapes are listed
+ * in by getShapeTypes().
+ * 
+ * @type {string[]}
+ */
+export const SHAPE_TIERS = ['basic', 'medium', 'hard'];
+
+/**
+ * The shape type drawn when someone asks for a shape we don't know.
+ * 
+ * @type {string}
+ */
+export const FALLBACK_SHAPE_TYPE = 'circle';
+
+/**
+ * Registered shapes keyed by type. A Map keeps registration order so shape
+ * lists come out in a predictable order.
+ * 
+ * @type {Map<string, Object>}
+ */
+const shapeDefinitions = new Map();
+
+/**
+ * Adds a shape to the registry (or replaces one with the same type).
+ * 
+ * The SVG geometry is drawn inside a standard 0-100 viewBox, so coordinates
+ * between 5 and 95 leave a little breathing room for the border. Shapes that
+ * are not square set an aspectRatio - the width and height multipliers
+ * applied to the shape's base size - so the container hugs the drawing.
+ * 
+ * @example
+ * registerShape({
+ *     type: 'crescent',
+ *     displayName: 'Crescent',
+ *     tier: 'hard',
+ *     sides: 2,
+ *     vertices: 2,
+ *     svg: { tag: 'path', attributes: { d: 'M60,5 A45,45 0 1,0 60,95 A35,35 0 1,1 60,5 Z' } }
+ * });
+ * 
+ * @function
+ * @param {Object} definition - The shape description
+ * @param {string} definition.type - Unique identifier used throughout the game ('circle', 'star', ...)
+ * @param {string} definition.displayName - Friendly name shown to players
+ * @param {string} definition.tier - Difficulty tier ('basic', 'medium' or 'hard')
+ * @param {Object} definition.svg - SVG geometry: { tag, attributes }
+ * @param {Object} [definition.aspectRatio] - Width/height multipliers, defaults to { width: 1, height: 1 }
+ * @param {number} [definition.sides] - Number of sides (0 for curved shapes)
+ * @param {number} [definition.vertices] - Number of corners (0 for curved shapes)
+ * @returns {Object} The frozen, normalized definition that was stored
+ * @throws {Error} If any required field is missing or invalid
+ */
+export function registerShape(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('registerShape requires a shape definition object');
+    }
+
+    const { type, displayName, tier, svg } = definition;
+
+    if (typeof type !== 'string' || type.trim().length === 0) {
+        throw new Error('registerShape requires a valid shape type string');
+    }
+
+    if (typeof displayName !== 'string' || displayName.trim().length === 0) {
+        throw new Error(`registerShape requires a display name for "${type}"`);
+    }
+
+    if (!SHAPE_TIERS.includes(tier)) {
+        throw new Error(`registerShape requires a tier of ${SHAPE_TIERS.join(', ')} for "${type}"`);
+    }
+
+    if (!svg || typeof svg.tag !== 'string' || !svg.attributes || typeof svg.attributes !== 'object') {
+        throw new Error(`registerShape requires svg geometry ({ tag, attributes }) for "${type}"`);
+    }
+
+    const aspectRatio = definition.aspectRatio || { width: 1, height: 1 };
+    if (!(aspectRatio.width > 0) || !(aspectRatio.height > 0)) {
+        throw new Error(`registerShape requires a positive aspect ratio for "${type}"`);
+    }
+
+    const normalized = Object.freeze({
+        type,
+        displayName,
+        tier,
+        svg: Object.freeze({ tag: svg.tag, attributes: Object.freeze({ ...svg.attributes }) }),
+        aspectRatio: Object.freeze({ width: aspectRatio.width, height: aspectRatio.height }),
+        sides: typeof definition.sides === 'number' ? definition.sides : 0,
+        vertices: typeof definition.vertices === 'number' ? definition.vertices : 0
+    });
+
+    if (shapeDefinitions.has(type)) {
+        console.warn(`Shape "${type}" was already registered - replacing it`);
+    }
+
+    shapeDefinitions.set(type, normalized);
+
+    return normalized;
+}
+
+/**
+ * Removes a shape from the registry.
+ * 
+ * @function
+ * @param {string} type - The shape type to remove
+ * @returns {boolean} True if the shape existed and was removed
+ */
+export function unregisterShape(type) {
+    return shapeDefinitions.delete(type);
+}
+
+/**
+ * Checks whether a shape type has been registered.
+ * 
+ * @function
+ * @param {string} type - The shape type to look up
+ * @returns {boolean} True if the registry knows this shape
+ */
+export function hasShape(type) {
+    return shapeDefinitions.has(type);
+}
+
+/**
+ * Looks up the full definition for a shape type.
+ * 
+ * Unknown types fall back to the circle so the game keeps running even if a
+ * typo sneaks into a custom shape list - we log a warning so it's easy to spot.
+ * 
+ * @example
+ * getShapeDefinition('hexagon').sides; // 6
+ * 
+ * @function
+ * @param {string} type - The shape type to look up
+ * @returns {Object} The registered shape definition
+ */
+export function getShapeDefinition(type) {
+    const definition = shapeDefinitions.get(type);
+
+    if (!definition) {
+        console.warn(`Unknown shape type: ${type}, defaulting to ${FALLBACK_SHAPE_TYPE}`);
+        return shapeDefinitions.get(FALLBACK_SHAPE_TYPE);
+    }
+
+    return definition;
+}
+
+/**
+ * Lists registered shape types, optionally limited to some tiers.
+ * 
+ * @example
+ * getShapeTypes(['basic']);            // ['circle', 'square', 'triangle', 'rectangle']
+ * getShapeTypes(['basic', 'medium']);  // basic shapes followed by medium shapes
+ * getShapeTypes();                     // every registered shape
+ * 
+ * @function
+ * @param {string[]} [tiers] - Tiers to include; all tiers when omitted
+ * @returns {string[]} Shape types ordered by tier, then registration order
+ */
+export function getShapeTypes(tiers = SHAPE_TIERS) {
+    const types = [];
+
+    SHAPE_TIERS.forEach(tier => {
+        if (!tiers.includes(tier)) return;
+
+        shapeDefinitions.forEach(definition => {
+            if (definition.tier === tier) {
+                types.push(definition.type);
+            }
+        });
+    });
+
+    return types;
+}
+
+/**
+ * Works out how much room a shape takes up on screen for a given base size.
+ * 
+ * Square-ish shapes are simply size × size. Wide shapes like the rectangle
+ * and oval stretch horizontally and shrink vertically according to their
+ * aspect ratio. Rendering and movement both use this so shapes bounce off
+ * the walls at their real edges.
+ * 
+ * @example
+ * getShapeDimensions('rectangle', 80); // { width: 120, height: 60 }
+ * 
+ * @function
+ * @param {string} type - The shape type
+ * @param {number} size - The shape's base size in pixels
+ * @returns {{width: number, height: number}} Rendered width and height in pixels
+ */
+export function getShapeDimensions(type, size) {
+    const { aspectRatio } = getShapeDefinition(type);
+
+    return {
+        width: size * aspectRatio.width,
+        height: size * aspectRatio.height
+    };
+}
+
+/**
+ * Gets the player-friendly name for a shape type.
+ * 
+ * @function
+ * @param {string} type - The shape type
+ * @returns {string} Display name such as 'Hexagon'
+ */
+export function getShapeDisplayName(type) {
+    return getShapeDefinition(type).displayName;
+}
+
+/*
+ * Built-in shapes.
+ * 
+ * Each one is drawn in a 0-100 viewBox. The coordinates were hand-tuned so
+ * the shapes look balanced next to each other at the same base size.
+ */
+
+// Basic tier - the fundamentals every player should master first
+registerShape({
+    type: 'circle',
+    displayName: 'Circle',
+    tier: 'basic',
+    sides: 0,
+    vertices: 0,
+    svg: { tag: 'circle', attributes: { cx: '50', cy: '50', r: '45' } }
+});
+
+registerShape({
+    type: 'square',
+    displayName: 'Square',
+    tier: 'basic',
+    sides: 4,
+    vertices: 4,
+    svg: { tag: 'rect', attributes: { x: '5', y: '5', width: '90', height: '90' } }
+});
+
+registerShape({
+    type: 'triangle',
+    displayName: 'Triangle',
+    tier: 'basic',
+    sides: 3,
+    vertices: 3,
+    // Equilateral triangle pointing up
+    svg: { tag: 'polygon', attributes: { points: '50,5 5,95 95,95' } }
+});
+
+registerShape({
+    type: 'rectangle',
+    displayName: 'Rectangle',
+    tier: 'basic',
+    sides: 4,
+    vertices: 4,
+    aspectRatio: { width: 1.5, height: 0.75 },
+    svg: { tag: 'rect', attributes: { x: '5', y: '20', width: '90', height: '60' } }
+});
+
+// Medium tier - more sides and the first curved-but-not-round shape
+registerShape({
+    type: 'pentagon',
+    displayName: 'Pentagon',
+    tier: 'medium',
+    sides: 5,
+    vertices: 5,
+    // Regular pentagon with point at top
+    svg: { tag: 'polygon', attributes: { points: '50,5 95,35 80,95 20,95 5,35' } }
+});
+
+registerShape({
+    type: 'hexagon',
+    displayName: 'Hexagon',
+    tier: 'medium',
+    sides: 6,
+    vertices: 6,
+    // Regular hexagon with flat top and bottom
+    svg: { tag: 'polygon', attributes: { points: '25,5 75,5 95,50 75,95 25,95 5,50' } }
+});
+
+registerShape({
+    type: 'oval',
+    displayName: 'Oval',
+    tier: 'medium',
+    sides: 0,
+    vertices: 0,
+    aspectRatio: { width: 1.5, height: 0.8 },
+    svg: { tag: 'ellipse', attributes: { cx: '50', cy: '50', rx: '45', ry: '30' } }
+});
+
+registerShape({
+    type: 'diamond',
+    displayName: 'Diamond',
+    tier: 'medium',
+    sides: 4,
+    vertices: 4,
+    // True diamond shape (not just a rotated square)
+    svg: { tag: 'polygon', attributes: { points: '50,5 95,50 50,95 5,50' } }
+});
+
+// Hard tier - complex, concave and asymmetrical forms
+registerShape({
+    type: 'octagon',
+    displayName: 'Octagon',
+    tier: 'hard',
+    sides: 8,
+    vertices: 8,
+    // Regular octagon with symmetrical angles
+    svg: { tag: 'polygon', attributes: { points: '30,5 70,5 95,30 95,70 70,95 30,95 5,70 5,30' } }
+});
+
+registerShape({
+    type: 'star',
+    displayName: 'Star',
+    tier: 'hard',
+    sides: 10,
+    vertices: 10,
+    // Five-pointed star with alternating inner and outer points
+    svg: { tag: 'polygon', attributes: { points: '50,5 61,35 95,35 68,55 79,90 50,70 21,90 32,55 5,35 39,35' } }
+});
+
+registerShape({
+    type: 'heart',
+    displayName: 'Heart',
+    tier: 'hard',
+    sides: 0,
+    vertices: 2,
+    // Heart shape using Bézier curves for realistic appearance
+    svg: { tag: 'path', attributes: { d: 'M50,90 C25,60 0,35 0,20 C0,5 15,0 25,0 C35,0 45,10 50,15 C55,10 65,0 75,0 C85,0 100,5 100,20 C100,35 75,60 50,90 Z' } }
+});
+
+registerShape({
+    type: 'trapezoid',
+    displayName: 'Trapezoid',
+    tier: 'hard',
+    sides: 4,
+    vertices: 4,
+    // Trapezoid with parallel top and bottom edges
+    svg: { tag: 'polygon', attributes: { points: '20,5 80,5 95,95 5,95' } }
+});
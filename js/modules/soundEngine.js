@@ -0,0 +1,389 @@
+/**
+ * Sound Engine Module
+ * 
+ * Plays the game's sound effects through the Web Audio API. Restarting an
+ * <audio> element on every click lags behind the click (and drops sounds
+ * when clicks come quickly), so instead every sound is loaded into memory
+ * once, when the game starts, and played from there the moment it's needed:
+ * 
+ * - correct, wrong and gameover come from the files in gameConfig.audio.files
+ * - warning, tick and nearMiss are synthesized here, so there are no more
+ *   files to download
+ * 
+ * The sounds also react to the game. A correct match plays a little higher
+ * with each answer in a row, a click on the right shape in the wrong color
+ * gets its own "so close" cue instead of the wrong buzz, and the clock ticks
+ * through the last few seconds of a timed game.
+ * 
+ * Browsers won't play sound before the player has clicked or pressed a key
+ * on the page. Until then sounds are skipped rather than saved up (so there's
+ * no burst of old sounds on the first click), and the first click or key
+ * press switches sound on. Browsers without Web Audio, or sound files that
+ * fail to load, fall back to playing the files through audio elements.
+ * 
+ * Volumes come from audioSettings.js and follow the settings panel straight
+ * away. The background music is a long track, so it stays an <audio>
+ * element (see elements.js).
+ * 
+ * @fileoverview Web Audio sound effects with pitch-varying feedback
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+import { getAudioSettings, getEffectVolume, onAudioSettingsChange } from './audioSettings.js';
+
+/**
+ * Recipes for the synthesized sounds: how long each lasts and its waveform
+ * (a sample between -1 and 1 at each moment t, in seconds).
+ * 
+ * @type {Object<string, {seconds: number, sample: function(number): number}>}
+ */
+const SYNTHESIZED_CUES = {
+    // A single beep as the time warnings are reached
+    warning: {
+        seconds: 0.25,
+        sample: t => tone(880, t) * fade(t, 18)
+    },
+
+    // A short, dry click for each of the last seconds
+    tick: {
+        seconds: 0.05,
+        sample: t => tone(1800, t) * fade(t, 120)
+    },
+
+    // Two soft falling notes: right shape, wrong color - so close!
+    nearMiss: {
+        seconds: 0.4,
+        sample: t => (t < 0.15 ?
+            tone(587.33, t) * fade(t, 25) :
+            tone(493.88, t) * fade(t - 0.15, 10)) * 0.8
+    }
+};
+
+/**
+ * How long a sound may wait for the browser to allow audio before it's too
+ * late to be worth playing.
+ * 
+ * @type {number}
+ */
+const LATE_SOUND_MS = 250;
+
+/**
+ * Page events that count as the player interacting, which lets audio play.
+ * 
+ * @type {string[]}
+ */
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+/**
+ * The audio context, or null if Web Audio isn't available.
+ * 
+ * @type {?AudioContext}
+ */
+let context = null;
+
+/**
+ * Master volume (and mute), which every sound goes through.
+ * 
+ * @type {?GainNode}
+ */
+let masterGain = null;
+
+/**
+ * Sound effects volume, feeding into the master volume.
+ * 
+ * @type {?GainNode}
+ */
+let effectsGain = null;
+
+/**
+ * Every sound, loaded and ready to play.
+ * 
+ * @type {Map<string, AudioBuffer>}
+ */
+const buffers = new Map();
+
+/**
+ * Audio elements for sounds played without Web Audio, made when first needed.
+ * 
+ * @type {Map<string, HTMLAudioElement>}
+ */
+const fallbackPlayers = new Map();
+
+/**
+ * A sine wave.
+ * 
+ * @param {number} frequency - Pitch in hertz
+ * @param {number} t - Time in seconds
+ * @returns {number} Sample between -1 and 1
+ */
+function tone(frequency, t) {
+    return Math.sin(2 * Math.PI * frequency * t);
+}
+
+/**
+ * A quick attack and a smooth die-away, so synthesized sounds don't click.
+ * 
+ * @param {number} t - Time since the note started, in seconds
+ * @param {number} rate - How quickly it dies away (higher is shorter)
+ * @returns {number} Loudness from 0 to 1
+ */
+function fade(t, rate) {
+    return Math.min(1, t / 0.005) * Math.exp(-t * rate);
+}
+
+/**
+ * Works out how fast to play the correct sound for an answer in a row, which
+ * raises its pitch. The first answer plays at normal pitch, and each one after
+ * goes up gameConfig.audio.comboPitch.semitones, up to maxSemitones.
+ * 
+ * @example
+ * getComboPlaybackRate(1); // 1 (normal pitch)
+ * getComboPlaybackRate(3); // About 1.12 (two semitones up)
+ * 
+ * @function
+ * @param {number} combo - Correct answers in a row, including this one
+ * @returns {number} Playback rate (1 is normal pitch)
+ */
+export function getComboPlaybackRate(combo) {
+    const { semitones, maxSemitones } = gameConfig.audio.comboPitch;
+    const steps = Math.max(0, (Number(combo) || 0) - 1);
+
+    return Math.pow(2, Math.min(steps * semitones, maxSemitones) / 12);
+}
+
+/**
+ * Makes the audio context, asking for the lowest latency the device offers.
+ * 
+ * @returns {?AudioContext} The context, or null if Web Audio isn't available
+ */
+function createContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    try {
+        return new AudioContextClass({ latencyHint: 'interactive' });
+    } catch (error) {
+        // Older browsers don't take options
+        return new AudioContextClass();
+    }
+}
+
+/**
+ * Renders a synthesized sound into a buffer.
+ * 
+ * @param {{seconds: number, sample: function(number): number}} cue - The recipe
+ * @returns {AudioBuffer} The sound
+ */
+function synthesize(cue) {
+    const { sampleRate } = context;
+    const buffer = context.createBuffer(1, Math.ceil(cue.seconds * sampleRate), sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+        data[i] = cue.sample(i / sampleRate);
+    }
+
+    return buffer;
+}
+
+/**
+ * Downloads and decodes the sound files. A file that fails to load (e.g.
+ * when the game is opened straight from disk) is played through an audio
+ * element instead.
+ * 
+ * @returns {Promise<void>} Resolves once every file has loaded or failed
+ */
+async function loadSoundFiles() {
+    await Promise.all(Object.entries(gameConfig.audio.files).map(async ([name, url]) => {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.arrayBuffer();
+
+            // Older Safari only has the callback form of decodeAudioData
+            buffers.set(name, await new Promise((resolve, reject) => {
+                context.decodeAudioData(data, resolve, reject);
+            }));
+        } catch (error) {
+            console.log(`Sound "${name}" couldn't be loaded, using an audio element instead:`, error);
+        }
+    }));
+}
+
+/**
+ * Sets the master and effects volumes from the player's sound settings.
+ * 
+ * @param {{master: number, effects: number, muted: boolean}} settings - The sound settings
+ * @returns {void}
+ */
+function applyVolumes(settings) {
+    if (!context) return;
+
+    // Glide to the new volume so dragging a slider doesn't crackle
+    const now = context.currentTime;
+    masterGain.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, 0.015);
+    effectsGain.gain.setTargetAtTime(settings.effects, now, 0.015);
+}
+
+/**
+ * Asks the browser to start audio, which works once the player has
+ * interacted with the page.
+ * 
+ * @returns {Promise<void>} Resolves once audio is running
+ */
+function resumeContext() {
+    if (context.state === 'running') return Promise.resolve();
+
+    return context.resume();
+}
+
+/**
+ * Switches audio on at the player's first click or key press, and stops
+ * listening once it's on.
+ * 
+ * @returns {void}
+ */
+function listenForUnlock() {
+    const unlock = () => {
+        resumeContext()
+            .then(() => {
+                UNLOCK_EVENTS.forEach(type => document.removeEventListener(type, unlock, true));
+            })
+            .catch(error => console.log('Audio not allowed yet:', error));
+
+        // iOS only switches audio on if something plays during the tap itself
+        const silence = context.createBufferSource();
+        silence.buffer = context.createBuffer(1, 1, context.sampleRate);
+        silence.connect(context.destination);
+        silence.start();
+    };
+
+    UNLOCK_EVENTS.forEach(type => document.addEventListener(type, unlock, true));
+}
+
+/**
+ * Sets up the sound engine: makes the audio context, synthesizes the cues,
+ * starts loading the sound files and follows the sound settings. Called once
+ * at startup; sounds play through audio elements if Web Audio isn't available.
+ * 
+ * @function
+ * @returns {void}
+ */
+export function initSoundEngine() {
+    try {
+        context = createContext();
+    } catch (error) {
+        console.log('Web Audio unavailable, using audio elements:', error);
+        context = null;
+    }
+
+    if (context) {
+        masterGain = context.createGain();
+        masterGain.connect(context.destination);
+
+        effectsGain = context.createGain();
+        effectsGain.connect(masterGain);
+
+        Object.entries(SYNTHESIZED_CUES).forEach(([name, cue]) => {
+            buffers.set(name, synthesize(cue));
+        });
+
+        loadSoundFiles();
+        listenForUnlock();
+    }
+
+    applyVolumes(getAudioSettings());
+    onAudioSettingsChange(applyVolumes);
+}
+
+/**
+ * Plays a loaded sound right now.
+ * 
+ * @param {string} name - Sound name
+ * @param {number} playbackRate - Speed (and pitch) to play at
+ * @returns {void}
+ */
+function startBuffer(name, playbackRate) {
+    const source = context.createBufferSource();
+    source.buffer = buffers.get(name);
+    source.playbackRate.value = playbackRate;
+
+    // The sound's own level, then the effects and master volumes
+    const level = context.createGain();
+    level.gain.value = gameConfig.audio.effectLevels[name] ?? 1;
+
+    source.connect(level);
+    level.connect(effectsGain);
+    source.start();
+}
+
+/**
+ * Plays a sound file through an audio element (without Web Audio, or if the
+ * file couldn't be loaded into a buffer).
+ * 
+ * @param {string} name - Sound name
+ * @param {number} playbackRate - Speed (and pitch) to play at
+ * @returns {void}
+ */
+function playFallback(name, playbackRate) {
+    const url = gameConfig.audio.files[name];
+    if (!url) return;
+
+    let player = fallbackPlayers.get(name);
+    if (!player) {
+        player = new Audio(url);
+        player.preservesPitch = false;
+        fallbackPlayers.set(name, player);
+    }
+
+    player.volume = getEffectVolume(name);
+    player.playbackRate = playbackRate;
+    player.currentTime = 0;
+    player.play().catch(e => console.log('Sound play error:', e));
+}
+
+/**
+ * Plays a sound effect.
+ * 
+ * If the browser hasn't allowed audio yet, the sound waits a moment in case
+ * this click is the one that allows it, and is skipped if not.
+ * 
+ * @example
+ * playEffect('correct', { combo: gameState.combo }); // Higher with each answer in a row
+ * playEffect('tick');
+ * 
+ * @function
+ * @param {string} name - 'correct', 'wrong', 'gameover', 'nearMiss', 'warning' or 'tick'
+ * @param {Object} [options={}] - How to play it
+ * @param {number} [options.combo=0] - Correct answers in a row, to raise the pitch
+ * @returns {void}
+ */
+export function playEffect(name, { combo = 0 } = {}) {
+    const playbackRate = getComboPlaybackRate(combo);
+
+    if (!context || !buffers.has(name)) {
+        playFallback(name, playbackRate);
+        return;
+    }
+
+    if (context.state === 'running') {
+        startBuffer(name, playbackRate);
+        return;
+    }
+
+    const requestedAt = performance.now();
+    resumeContext()
+        .then(() => {
+            if (performance.now() - requestedAt <= LATE_SOUND_MS) {
+                startBuffer(name, playbackRate);
+            }
+        })
+        .catch(() => {
+            // Still blocked - the sound is skipped
+        });
+}
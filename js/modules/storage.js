@@ -0,0 +1,564 @@
+/**
+ * Storage Module
+ * 
+ * Everything the game remembers between visits - leaderboards, streaks,
+ * profiles, shape mastery and session history - goes through this module.
+ * 
+ * Records live in IndexedDB when the browser has it, which gives us far more
+ * room than localStorage (the session history grows quickly in a busy
+ * classroom). When IndexedDB is missing or refuses to open (some private
+ * browsing modes), we fall back to localStorage, and if even that fails we
+ * keep records in memory so the game still plays.
+ * 
+ * The rest of the game is synchronous, so all records are loaded into a cache
+ * once at startup by initStorage(). After that readRecord() answers straight
+ * from the cache and writeRecord() updates the cache immediately and saves in
+ * the background. A save that fails (most often because storage is full) is
+ * reported to onStorageError() listeners instead of being thrown at whoever
+ * happened to be saving - so a full disk can never crash the game over screen.
+ * 
+ * There are two kinds of versioned steps:
+ * - STORE_UPGRADES change the IndexedDB layout (run by the browser when the
+ *   database version goes up)
+ * - MIGRATIONS change the data itself, in order, from the schema version
+ *   saved with the records up to the latest one
+ * 
+ * To change how data is stored, add a new step to the end of the right list.
+ * Never edit or reorder a step that has already shipped.
+ * 
+ * @fileoverview IndexedDB-backed record storage with localStorage fallback and schema migrations
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Name of the IndexedDB database.
+ * 
+ * @type {string}
+ */
+const DB_NAME = 'shapeGame';
+
+/**
+ * IndexedDB object store holding every record, keyed by record name.
+ * 
+ * @type {string}
+ */
+const RECORDS_STORE = 'records';
+
+/**
+ * Record holding the data schema version the stored records are at.
+ * 
+ * @type {string}
+ */
+const SCHEMA_VERSION_KEY = 'shapeGameSchemaVersion';
+
+/**
+ * The combined leaderboard used before scores were split by game mode.
+ * 
+ * @type {string}
+ */
+const LEGACY_HIGH_SCORES_KEY = 'shapeGameHighScores';
+
+/**
+ * Every record name the game uses.
+ * 
+ * The localStorage backend only loads these, and the first migration copies
+ * them from localStorage into IndexedDB.
+ * 
+ * @type {string[]}
+ */
+const RECORD_KEYS = [
+    LEGACY_HIGH_SCORES_KEY,
+    'shapeGameHighScores_classic',
+    'shapeGameHighScores_timed',
+    'shapeGameHighScores_survival',
+    'shapeGameHighScores_daily',
+    'shapeGameDailyStreaks',
+    'shapeGameMastery',
+    'shapeGameProfiles',
+    'shapeGameHistory',
+    'shapeGameAchievements'
+];
+
+/**
+ * IndexedDB layout changes, one per database version (index 0 = version 1).
+ * 
+ * @type {Array<function(IDBDatabase): void>}
+ */
+const STORE_UPGRADES = [
+    // Version 1: a single key-value store of records
+    db => db.createObjectStore(RECORDS_STORE)
+];
+
+/**
+ * Data migrations, in the order they must run.
+ * 
+ * Each step runs once, when the stored schema version is lower than the
+ * step's version.
+ * 
+ * @type {Array<{version: number, description: string, migrate: function(Object): Promise<void>}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Import records saved in localStorage by earlier versions',
+        migrate: importLocalStorageRecords
+    },
+    {
+        version: 2,
+        description: 'Split the old combined leaderboard into per-mode leaderboards',
+        migrate: splitLegacyHighScores
+    }
+];
+
+/**
+ * All records, loaded by initStorage().
+ * 
+ * @type {Map<string, *>}
+ */
+const cache = new Map();
+
+/**
+ * Saves that haven't finished yet (see flushStorage()), with the record each
+ * one is saving.
+ * 
+ * @type {Map<Promise<boolean>, string>}
+ */
+const pendingWrites = new Map();
+
+/**
+ * Functions told about failed saves.
+ * 
+ * @type {Set<function({message: string, error: Error, key: string}): void>}
+ */
+const errorListeners = new Set();
+
+/**
+ * The backend records are saved to (set by initStorage()).
+ * 
+ * @type {?Object}
+ */
+let backend = null;
+
+/**
+ * Turns an IndexedDB request into a promise.
+ * 
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} Resolves with the request's result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for an IndexedDB transaction to finish.
+ * 
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves once everything in it is saved
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+/**
+ * Opens the IndexedDB database, running any layout upgrades it needs.
+ * 
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, STORE_UPGRADES.length);
+
+    request.onupgradeneeded = event => {
+        for (let version = event.oldVersion; version < STORE_UPGRADES.length; version++) {
+            STORE_UPGRADES[version](request.result);
+        }
+    };
+
+    return promisifyRequest(request);
+}
+
+/**
+ * Creates a backend that keeps records in IndexedDB.
+ * 
+ * @returns {Promise<Object>} The backend
+ */
+async function createIndexedDbBackend() {
+    const db = await openDatabase();
+
+    // Let a newer version of the game in another tab upgrade the database
+    db.onversionchange = () => db.close();
+
+    const write = (operation) => {
+        const transaction = db.transaction(RECORDS_STORE, 'readwrite');
+        operation(transaction.objectStore(RECORDS_STORE));
+        return promisifyTransaction(transaction);
+    };
+
+    return {
+        name: 'indexedDB',
+
+        async loadAll() {
+            const store = db.transaction(RECORDS_STORE, 'readonly').objectStore(RECORDS_STORE);
+            const [keys, values] = await Promise.all([
+                promisifyRequest(store.getAllKeys()),
+                promisifyRequest(store.getAll())
+            ]);
+
+            return new Map(keys.map((key, index) => [key, values[index]]));
+        },
+
+        save: (key, value) => write(store => store.put(value, key)),
+
+        remove: key => write(store => store.delete(key))
+    };
+}
+
+/**
+ * Creates a backend that keeps records in localStorage, as JSON.
+ * 
+ * @returns {Object} The backend
+ * @throws {Error} If localStorage can't be used
+ */
+function createLocalStorageBackend() {
+    // Touching localStorage throws in some locked-down browsers
+    const probeKey = `${SCHEMA_VERSION_KEY}_probe`;
+    localStorage.setItem(probeKey, '1');
+    localStorage.removeItem(probeKey);
+
+    return {
+        name: 'localStorage',
+
+        async loadAll() {
+            const records = new Map();
+
+            [SCHEMA_VERSION_KEY, ...RECORD_KEYS].forEach(key => {
+                const value = readLocalStorageRecord(key);
+                if (value !== undefined) {
+                    records.set(key, value);
+                }
+            });
+
+            return records;
+        },
+
+        async save(key, value) {
+            localStorage.setItem(key, JSON.stringify(value));
+        },
+
+        async remove(key) {
+            localStorage.removeItem(key);
+        }
+    };
+}
+
+/**
+ * Creates a backend that forgets everything when the page closes.
+ * 
+ * @returns {Object} The backend
+ */
+function createMemoryBackend() {
+    return {
+        name: 'memory',
+        loadAll: async () => new Map(),
+        save: async () => {},
+        remove: async () => {}
+    };
+}
+
+/**
+ * Reads one JSON record straight from localStorage.
+ * 
+ * @param {string} key - Record name
+ * @returns {*} The parsed value, or undefined if it is missing or unreadable
+ */
+function readLocalStorageRecord(key) {
+    const text = localStorage.getItem(key);
+    if (text === null) return undefined;
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.warn(`Ignoring unreadable saved data in ${key}`, error);
+        return undefined;
+    }
+}
+
+/**
+ * Checks whether an error means storage is full.
+ * 
+ * @param {Error} error - The error from a failed save
+ * @returns {boolean} Whether the browser ran out of storage space
+ */
+function isQuotaError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22
+    );
+}
+
+/**
+ * Tells every listener that saving a record failed.
+ * 
+ * @param {Error} error - What went wrong
+ * @param {string} key - The record that couldn't be saved
+ * @returns {void}
+ */
+function reportStorageError(error, key) {
+    const message = isQuotaError(error)
+        ? 'Storage is full, so your latest progress could not be saved. Exporting and clearing old reports will free up space.'
+        : 'Your progress could not be saved on this device.';
+
+    console.error(`Failed to save ${key}:`, error);
+
+    errorListeners.forEach(listener => listener({ message, error, key }));
+}
+
+/**
+ * Runs a save or delete in the background, reporting failures.
+ * 
+ * @param {string} key - The record being changed
+ * @param {function(): Promise<void>} operation - The backend call
+ * @returns {Promise<boolean>} Resolves with whether it worked (never rejects)
+ */
+function persist(key, operation) {
+    const write = Promise.resolve()
+        .then(operation)
+        .then(() => true, error => {
+            reportStorageError(error, key);
+            return false;
+        })
+        .finally(() => pendingWrites.delete(write));
+
+    pendingWrites.set(write, key);
+
+    return write;
+}
+
+/**
+ * Migration 1: copies records from localStorage into IndexedDB.
+ * 
+ * Records already in IndexedDB win. Each localStorage copy is removed once
+ * its record is safely in IndexedDB, so there is only ever one copy of each
+ * record. A record that can't be saved (most often because storage is full)
+ * keeps its localStorage copy, and the migration fails so it runs again next
+ * time - the player's only copy is never thrown away.
+ * 
+ * @param {Object} context - Migration context
+ * @param {string} context.backend - Name of the active backend
+ * @returns {Promise<void>}
+ * @throws {Error} If any record couldn't be saved to IndexedDB
+ */
+async function importLocalStorageRecords({ backend: backendName }) {
+    // Nothing to import when localStorage is where the records already are
+    if (backendName !== 'indexedDB' || typeof localStorage === 'undefined') return;
+
+    const imports = RECORD_KEYS.flatMap(key => {
+        const value = readLocalStorageRecord(key);
+        if (value === undefined) return [];
+
+        // A record already in IndexedDB is already saved
+        const saved = cache.has(key) ? Promise.resolve(true) : writeRecord(key, value);
+        return [saved.then(ok => ({ key, ok }))];
+    });
+
+    const results = await Promise.all(imports);
+    const imported = results.filter(result => result.ok).map(result => result.key);
+    const failed = results.filter(result => !result.ok).map(result => result.key);
+
+    imported.forEach(key => localStorage.removeItem(key));
+
+    if (imported.length > 0) {
+        console.log(`Imported ${imported.length} records from localStorage`);
+    }
+
+    if (failed.length > 0) {
+        throw new Error(`Could not import ${failed.join(', ')} from localStorage`);
+    }
+}
+
+/**
+ * Migration 2: moves scores from the old combined leaderboard to the
+ * per-mode classic and timed leaderboards.
+ * 
+ * @returns {Promise<void>}
+ */
+async function splitLegacyHighScores() {
+    const legacyScores = readRecord(LEGACY_HIGH_SCORES_KEY, []);
+
+    ['classic', 'timed'].forEach(mode => {
+        const key = `shapeGameHighScores_${mode}`;
+        const existing = readRecord(key, []);
+        const moved = legacyScores.filter(score => score.mode === mode && !existing.some(entry =>
+            entry.name === score.name && entry.score === score.score && entry.date === score.date
+        ));
+
+        if (moved.length > 0) {
+            writeRecord(key, [...existing, ...moved].sort((a, b) => b.score - a.score).slice(0, 10));
+        }
+    });
+
+    removeRecord(LEGACY_HIGH_SCORES_KEY);
+}
+
+/**
+ * Opens storage, loads every record and brings old data up to date.
+ * 
+ * Call (and wait for) this once before anything reads or writes records.
+ * 
+ * @example
+ * await initStorage(); // 'indexedDB', 'localStorage' or 'memory'
+ * 
+ * @function
+ * @returns {Promise<string>} Name of the backend in use
+ */
+export async function initStorage() {
+    const candidates = [
+        () => (typeof indexedDB !== 'undefined' ? createIndexedDbBackend() : Promise.reject(new Error('IndexedDB is not available'))),
+        () => createLocalStorageBackend()
+    ];
+
+    for (const createBackend of candidates) {
+        try {
+            backend = await createBackend();
+            cache.clear();
+            (await backend.loadAll()).forEach((value, key) => cache.set(key, value));
+            break;
+        } catch (error) {
+            console.warn('Storage backend unavailable, trying the next one:', error);
+            backend = null;
+        }
+    }
+
+    if (!backend) {
+        backend = createMemoryBackend();
+        cache.clear();
+        errorListeners.forEach(listener => listener({
+            message: 'This browser won\'t let the game save, so scores will be lost when the page closes.',
+            error: new Error('No persistent storage available'),
+            key: null
+        }));
+    }
+
+    // Bring the stored data up to the latest schema, one step at a time. A
+    // step that fails leaves the version where it is, so it runs again (along
+    // with the steps after it) next time
+    const storedVersion = readRecord(SCHEMA_VERSION_KEY, 0);
+
+    for (const step of MIGRATIONS) {
+        if (step.version > storedVersion) {
+            console.log(`Storage migration ${step.version}: ${step.description}`);
+
+            try {
+                await step.migrate({ backend: backend.name });
+            } catch (error) {
+                console.warn(`Storage migration ${step.version} failed, will retry next time:`, error);
+                break;
+            }
+
+            writeRecord(SCHEMA_VERSION_KEY, step.version);
+        }
+    }
+
+    await flushStorage();
+
+    console.log(`Storage ready (${backend.name})`);
+
+    return backend.name;
+}
+
+/**
+ * Reads a record.
+ * 
+ * Returns a copy, so changing the result doesn't change what is stored until
+ * it is passed to writeRecord().
+ * 
+ * @example
+ * const scores = readRecord('shapeGameHighScores_classic', []);
+ * 
+ * @function
+ * @param {string} key - Record name
+ * @param {*} fallback - Value to return when there is no such record
+ * @returns {*} A copy of the record, or the fallback
+ */
+export function readRecord(key, fallback) {
+    return cache.has(key) ? structuredClone(cache.get(key)) : fallback;
+}
+
+/**
+ * Saves a record.
+ * 
+ * The new value can be read back straight away; saving it to the device
+ * happens in the background. If that fails, onStorageError() listeners are
+ * told - this function never throws because storage is full.
+ * 
+ * @function
+ * @param {string} key - Record name
+ * @param {*} value - Any value structuredClone() can copy
+ * @returns {Promise<boolean>} Resolves with whether it was saved (once the failure is reported, if not)
+ */
+export function writeRecord(key, value) {
+    const copy = structuredClone(value);
+    cache.set(key, copy);
+
+    return persist(key, () => backend.save(key, copy));
+}
+
+/**
+ * Deletes a record.
+ * 
+ * @function
+ * @param {string} key - Record name
+ * @returns {Promise<boolean>} Resolves with whether it was deleted (once the failure is reported, if not)
+ */
+export function removeRecord(key) {
+    cache.delete(key);
+
+    return persist(key, () => backend.remove(key));
+}
+
+/**
+ * Waits for every background save to finish.
+ * 
+ * @example
+ * const outcomes = await flushStorage();
+ * outcomes.get('shapeGameProfiles'); // false if the profiles couldn't be saved
+ * 
+ * @function
+ * @returns {Promise<Map<string, boolean>>} Whether the last change to each record it waited for was saved
+ */
+export async function flushStorage() {
+    const outcomes = new Map();
+
+    while (pendingWrites.size > 0) {
+        const writes = [...pendingWrites];
+        const results = await Promise.all(writes.map(([write]) => write));
+
+        writes.forEach(([, key], index) => outcomes.set(key, results[index]));
+    }
+
+    return outcomes;
+}
+
+/**
+ * Registers a function to call when a save fails.
+ * 
+ * @example
+ * onStorageError(({ message }) => showStorageWarning(message));
+ * 
+ * @function
+ * @param {function({message: string, error: Error, key: ?string}): void} listener - Called with a friendly message and the error
+ * @returns {function(): void} Call to stop listening
+ */
+export function onStorageError(listener) {
+    errorListeners.add(listener);
+
+    return () => errorListeners.delete(listener);
+}
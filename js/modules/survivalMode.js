@@ -0,0 +1,127 @@
+/**
+ * Survival Mode Module
+ * 
+ * How long can you keep going? Survival mode starts with the gentle easy
+ * settings and turns the dial up a notch every few correct matches. There's
+ * no clock - the game only ends when the hearts run out.
+ * 
+ * Instead of jumping straight from easy to medium to hard, every level is a
+ * blend of the easy and hard difficulty configs. Level 1 is exactly easy, the
+ * last level is exactly hard, and each level in between moves a little
+ * further along: a few more shapes, a bit more rotation, new shape tiers,
+ * similar colors and finally moving (and spinning) shapes.
+ * 
+ * The matching rules follow the level's "band": the first third of the
+ * levels play by easy rules (shape only), the middle third by medium rules
+ * (shape and color) and the last third by hard rules (no heart refills).
+ * 
+ * @fileoverview Survival mode level ramp and blended difficulty settings
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { gameConfig } from './config.js';
+
+/**
+ * Blends two numbers.
+ * 
+ * @param {number} from - Value at progress 0
+ * @param {number} to - Value at progress 1
+ * @param {number} progress - How far along we are (0-1)
+ * @returns {number} The blended value
+ */
+function lerp(from, to, progress) {
+    return from + (to - from) * progress;
+}
+
+/**
+ * Blends two { min, max } ranges.
+ * 
+ * @param {{min: number, max: number}} from - Range at progress 0
+ * @param {{min: number, max: number}} to - Range at progress 1
+ * @param {number} progress - How far along we are (0-1)
+ * @param {boolean} [round=false] - Whether to round to whole numbers
+ * @returns {{min: number, max: number}} The blended range
+ */
+function lerpRange(from, to, progress, round = false) {
+    const min = lerp(from.min, to.min, progress);
+    const max = lerp(from.max, to.max, progress);
+
+    return round ? { min: Math.round(min), max: Math.round(max) } : { min, max };
+}
+
+/**
+ * Works out the Survival level for a score.
+ * 
+ * @example
+ * // With levelUpEvery = 3
+ * getSurvivalLevel(0); // 1
+ * getSurvivalLevel(3); // 2
+ * getSurvivalLevel(99); // 10 (capped at maxLevel)
+ * 
+ * @function
+ * @param {number} score - Correct matches so far
+ * @returns {number} The level (1 to gameConfig.survival.maxLevel)
+ */
+export function getSurvivalLevel(score) {
+    const { levelUpEvery, maxLevel } = gameConfig.survival;
+
+    return Math.min(maxLevel, 1 + Math.floor(score / levelUpEvery));
+}
+
+/**
+ * Builds the difficulty settings for a Survival level.
+ * 
+ * The result has the same shape as the entries in gameConfig.difficulty, so
+ * the board generator can use it in place of a fixed difficulty. It also says
+ * which difficulty's matching rules apply and how many shapes to show.
+ * 
+ * @example
+ * const settings = getSurvivalSettings(1);
+ * settings.difficulty;  // 'easy'
+ * settings.shapeTiers;  // ['basic']
+ * 
+ * getSurvivalSettings(10).movementSpeed; // Same as hard mode
+ * 
+ * @function
+ * @param {number} level - Survival level (1 to gameConfig.survival.maxLevel)
+ * @returns {Object} Blended difficulty settings plus level, difficulty, shapesQuantity and colorRepeatChance (how often a shape may repeat a color already on the board)
+ */
+export function getSurvivalSettings(level) {
+    const { maxLevel } = gameConfig.survival;
+    const easy = gameConfig.difficulty.easy;
+    const hard = gameConfig.difficulty.hard;
+
+    // 0 at level 1, 1 at the max level
+    const progress = Math.min(1, Math.max(0, (level - 1) / (maxLevel - 1)));
+
+    // Which difficulty's matching rules apply at this level
+    const bands = ['easy', 'medium', 'hard'];
+    const difficulty = bands[Math.min(bands.length - 1, Math.floor(progress * bands.length))];
+
+    // Unlock shape tiers gradually, in the order hard mode lists them
+    const tierCount = Math.round(lerp(easy.shapeTiers.length, hard.shapeTiers.length, progress));
+
+    const shapesCount = lerpRange(easy.shapesCount, hard.shapesCount, progress, true);
+    const rules = gameConfig.difficulty[difficulty];
+
+    // Colors go from all different to freely repeated a little at a time
+    const colorRepeatChance = lerp(easy.distinctColors ? 0 : 1, hard.distinctColors ? 0 : 1, progress);
+
+    return {
+        level,
+        difficulty,
+        shapesQuantity: Math.round((shapesCount.min + shapesCount.max) / 2),
+        shapesCount,
+        shapeTiers: hard.shapeTiers.slice(0, tierCount),
+        distinctColors: colorRepeatChance === 0,
+        colorRepeatChance,
+        rotationRange: lerpRange(easy.rotationRange, hard.rotationRange, progress, true),
+        movementSpeed: lerpRange(easy.movementSpeed, hard.movementSpeed, progress),
+        motionPatterns: [...hard.motionPatterns],
+        spinSpeed: lerpRange(easy.spinSpeed, hard.spinSpeed, progress),
+        timeLimit: rules.timeLimit,
+        timeBonus: { ...rules.timeBonus },
+        timePenalty: rules.timePenalty
+    };
+}
@@ -18,6 +18,97 @@
  * @version 1.0.0
  */
 
+/**
+ * Turns any seed (number or text) into a 32-bit unsigned integer.
+ * 
+ * Seeds can be typed by a teacher ("tuesday-shapes") or generated by the
+ * game (3141592653). Either way the PRNG needs a plain 32-bit number, so
+ * text is run through a small FNV-1a hash. The same text always gives the
+ * same number.
+ * 
+ * @example
+ * normalizeSeed(42);          // 42
+ * normalizeSeed('2024-05-01'); // Always the same 32-bit number for this date
+ * 
+ * @function
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} Unsigned 32-bit integer seed
+ * @throws {Error} If seed is neither a finite number nor a non-empty string
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    if (typeof seed === 'string' && seed.trim().length > 0) {
+        const text = seed.trim();
+
+        // Plain digits are treated as the number they spell out
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for any other text
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    throw new Error('normalizeSeed requires a finite number or a non-empty string');
+}
+
+/**
+ * Creates a seeded pseudo-random number generator.
+ * 
+ * Math.random() can't be replayed, which means we can never rebuild a board
+ * a child struggled with. This returns a drop-in replacement for
+ * Math.random() (a function returning decimals in [0, 1)) that produces the
+ * exact same sequence every time it's created with the same seed.
+ * 
+ * Under the hood it's Mulberry32 - tiny, fast, and plenty random for
+ * shuffling shapes around a game board (not for cryptography!).
+ * 
+ * @example
+ * const random = createSeededRandom(12345);
+ * random(); // 0.9797282677609473 - and the same value every time for seed 12345
+ * getRandomItem(['circle', 'square'], random);
+ * 
+ * @function
+ * @param {number|string} seed - The seed for the sequence
+ * @returns {function(): number} Generator returning decimals in [0, 1)
+ * @throws {Error} If seed cannot be normalized
+ */
+export function createSeededRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a fresh seed for a new game.
+ * 
+ * This is the one place we still lean on Math.random() for round
+ * generation - everything after the seed is chosen is reproducible.
+ * 
+ * @example
+ * const seed = generateSeed(); // e.g. 2718281828
+ * 
+ * @function
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
 /**
  * Selects a random item from an array.
  * 
@@ -25,28 +116,80 @@
  * random shape, choosing a color, or selecting which tooltip to show, this
  * function is working behind the scenes.
  * 
- * The math here is simple but important: Math.random() gives us a decimal
+ * The math here is simple but important: the random source gives us a decimal
  * between 0 and 1, we multiply by array length to get a decimal between 0
  * and length, then Math.floor() rounds down to get a valid array index.
  * 
+ * Pass a seeded generator from createSeededRandom() to make the pick
+ * reproducible; without one we fall back to Math.random().
+ * 
  * @example
  * const colors = ['red', 'blue', 'green'];
  * const randomColor = getRandomItem(colors); // Might return 'blue'
  * 
  * const shapes = ['circle', 'square'];
- * const targetShape = getRandomItem(shapes); // 50/50 chance of each
+ * const targetShape = getRandomItem(shapes, gameState.random); // Same pick for the same seed
  * 
  * @function
  * @param {Array} array - The array to select from
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {*} A randomly selected item from the array
  * @throws {Error} If array is empty or not an array
  */
-export function getRandomItem(array) {
+export function getRandomItem(array, random = Math.random) {
     if (!Array.isArray(array) || array.length === 0) {
         throw new Error('getRandomItem requires a non-empty array');
     }
 
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * Selects a random item from an array, favouring items with bigger weights.
+ * 
+ * An item with weight 4 is picked twice as often as one with weight 2. It's
+ * how we show a child the shapes they still find tricky more often, without
+ * ever completely hiding the ones they already know.
+ * 
+ * Like getRandomItem(), it uses exactly one random number per pick, so a
+ * seeded generator gives reproducible results for the same weights.
+ * 
+ * @example
+ * getWeightedRandomItem(['circle', 'hexagon'], [1, 3]); // 'hexagon' about 75% of the time
+ * 
+ * @function
+ * @param {Array} array - The array to select from
+ * @param {number[]} weights - Non-negative weight for each item (same length as array)
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {*} A randomly selected item from the array
+ * @throws {Error} If array is empty or weights don't match the array
+ */
+export function getWeightedRandomItem(array, weights, random = Math.random) {
+    if (!Array.isArray(array) || array.length === 0) {
+        throw new Error('getWeightedRandomItem requires a non-empty array');
+    }
+
+    if (!Array.isArray(weights) || weights.length !== array.length) {
+        throw new Error('getWeightedRandomItem requires one weight per item');
+    }
+
+    const total = weights.reduce((sum, weight) => sum + Math.max(0, weight), 0);
+
+    // All weights zero - every item is equally likely
+    if (total <= 0) {
+        return getRandomItem(array, random);
+    }
+
+    let threshold = random() * total;
+    for (let i = 0; i < array.length; i++) {
+        threshold -= Math.max(0, weights[i]);
+        if (threshold < 0) {
+            return array[i];
+        }
+    }
+
+    // Floating point rounding can leave us just past the end
+    return array[array.length - 1];
 }
 
 /**
@@ -62,15 +205,16 @@ export function getRandomItem(array) {
  * @example
  * const diceRoll = getRandomNumber(1, 6); // 1, 2, 3, 4, 5, or 6
  * const shapeCount = getRandomNumber(5, 15); // Anywhere from 5 to 15 shapes
- * const rotation = getRandomNumber(0, 359); // Full rotation range
+ * const rotation = getRandomNumber(0, 359, gameState.random); // Reproducible for a given seed
  * 
  * @function
  * @param {number} min - Minimum value (inclusive)
  * @param {number} max - Maximum value (inclusive)
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {number} Random integer between min and max
  * @throws {Error} If min is greater than max or if parameters aren't numbers
  */
-export function getRandomNumber(min, max) {
+export function getRandomNumber(min, max, random = Math.random) {
     if (typeof min !== 'number' || typeof max !== 'number') {
         throw new Error('getRandomNumber requires numeric parameters');
     }
@@ -79,7 +223,36 @@ export function getRandomNumber(min, max) {
         throw new Error('Min value cannot be greater than max value');
     }
 
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Generates a random decimal number between min and max.
+ * 
+ * getRandomNumber() rounds down to whole numbers, which is perfect for shape
+ * counts but ruins small values like a movement speed of 0.05-0.15 (it can
+ * only ever return 0.05 or 1.05). Use this one whenever the fraction matters.
+ * 
+ * @example
+ * const speed = getRandomFloat(15, 40, gameState.random); // e.g. 27.3816...
+ * 
+ * @function
+ * @param {number} min - Minimum value (inclusive)
+ * @param {number} max - Maximum value (exclusive, unless min equals max)
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {number} Random number between min and max
+ * @throws {Error} If min is greater than max or if parameters aren't numbers
+ */
+export function getRandomFloat(min, max, random = Math.random) {
+    if (typeof min !== 'number' || typeof max !== 'number') {
+        throw new Error('getRandomFloat requires numeric parameters');
+    }
+
+    if (min > max) {
+        throw new Error('Min value cannot be greater than max value');
+    }
+
+    return min + random() * (max - min);
 }
 
 /**
@@ -102,21 +275,22 @@ export function getRandomNumber(min, max) {
  * console.log(deck); // Order is now randomized
  * 
  * const gridPositions = generateGridPositions();
- * shuffleArray(gridPositions); // Randomize shape placement
+ * shuffleArray(gridPositions, gameState.random); // Same order for the same seed
  * 
  * @function
  * @param {Array} array - The array to shuffle (modified in place)
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {Array} The same array, now shuffled
  * @throws {Error} If parameter is not an array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     if (!Array.isArray(array)) {
         throw new Error('shuffleArray requires an array parameter');
     }
 
     // Fisher-Yates shuffle algorithm
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]]; // ES6 destructuring swap
     }
 
@@ -156,21 +330,54 @@ export function capitalize(string) {
     return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+/**
+ * Messages waiting to go into each live region (several messages in quick
+ * succession are read out together rather than cutting each other off).
+ * 
+ * @type {Object<string, ?{message: string, timeout: number}>}
+ */
+const pendingAnnouncements = { polite: null, assertive: null };
+
+/**
+ * Finds (or creates) the live region for a priority.
+ * 
+ * @param {'polite'|'assertive'} priority - How urgently it is read out
+ * @returns {HTMLElement} The live region
+ */
+function getLiveRegion(priority) {
+    const id = `sr-announcer-${priority}`;
+    let region = document.getElementById(id);
+
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', priority);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+
+    return region;
+}
+
 /**
  * Announces a message to screen readers without visual display.
  * 
  * This is our accessibility superhero function! Screen readers can only announce
  * text that's actually in the DOM, but we don't want to clutter the visual
- * interface with announcement messages. This function creates a hidden element
- * that screen readers can see but sighted users cannot.
+ * interface with announcement messages. The messages go into two hidden live
+ * regions (one per priority) that screen readers can see but sighted users
+ * cannot.
  * 
  * The 'aria-live' attribute tells screen readers how urgent the message is:
  * - 'polite': Wait for a pause before announcing (good for scores)
  * - 'assertive': Interrupt immediately (good for errors or important alerts)
  * 
- * We automatically clean up the announcement element after 1 second to prevent
- * DOM pollution. This gives screen readers time to process the message while
- * keeping the HTML clean.
+ * The live regions stay on the page the whole time - screen readers often
+ * miss a live region that appears with its message already in it. Each
+ * message replaces the last one in its region, after the region has been
+ * emptied for a moment, so the same message twice in a row is still read
+ * out twice. Messages that arrive in that moment are read out together.
  * 
  * @example
  * // Announce a score update
@@ -201,22 +408,23 @@ export function announceTo(priority, message) {
         return; // Don't announce empty messages
     }
 
-    // Create a hidden element for the announcement
-    const announcer = document.createElement('div');
-    announcer.setAttribute('aria-live', priority);
-    announcer.setAttribute('role', 'status');
-    announcer.className = 'sr-only'; // Screen reader only - hidden from visual display
-    announcer.textContent = message;
+    // Empty the region, then fill it a moment later so the change is noticed
+    const region = getLiveRegion(priority);
+    const pending = pendingAnnouncements[priority];
+    region.textContent = '';
 
-    // Add to DOM so screen readers can detect it
-    document.body.appendChild(announcer);
+    if (pending) {
+        clearTimeout(pending.timeout);
+    }
 
-    // Remove after announcement (screen readers need time to process)
-    setTimeout(() => {
-        if (document.body.contains(announcer)) {
-            document.body.removeChild(announcer);
-        }
-    }, 1000);
+    const text = pending ? `${pending.message} ${message}` : message;
+    pendingAnnouncements[priority] = {
+        message: text,
+        timeout: setTimeout(() => {
+            pendingAnnouncements[priority] = null;
+            region.textContent = text;
+        }, 50)
+    };
 
     console.log(`Screen reader announcement: ${message}`);
 }
\ No newline at end of file
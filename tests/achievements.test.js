@@ -0,0 +1,161 @@
+/**
+ * Tests for achievements (achievements.js): the built-in badges, unlocking
+ * each badge once, the gallery, merging players and adding new badges.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { resetStorage } from './helpers/storage.js';
+import { getShapeTypes } from '../js/modules/shapeRegistry.js';
+import {
+    registerAchievement,
+    getAchievements,
+    recordAchievementEvent,
+    getAchievementGallery,
+    mergePlayerAchievements,
+    clearPlayerAchievements
+} from '../js/modules/achievements.js';
+
+const { cleanRun, timeToSpare, dailyStreakDays } = gameConfig.achievements;
+
+function match(shapeType = 'circle', combo = 1) {
+    return { type: 'correctMatch', shapeType, combo, difficulty: 'easy', mode: 'classic' };
+}
+
+function gameEnded(details) {
+    return { type: 'gameEnded', mode: 'classic', difficulty: 'easy', reason: 'attempts', score: 0, points: 0, timeRemaining: 0, dailyStreak: null, ...details };
+}
+
+function ids(unlocked) {
+    return unlocked.map(achievement => achievement.id);
+}
+
+function unlockedIds(playerName) {
+    return getAchievementGallery(playerName).filter(badge => badge.unlockedAt).map(badge => badge.id);
+}
+
+beforeEach(async () => {
+    await resetStorage();
+});
+
+describe('built-in achievements', () => {
+    test('First Find unlocks on the first match, and only once', () => {
+        assert.deepEqual(ids(recordAchievementEvent('Sam', match())), ['first-find']);
+        assert.deepEqual(recordAchievementEvent('Sam', match()), []);
+    });
+
+    test('Sharp Eyes needs a clean run', () => {
+        assert.ok(!ids(recordAchievementEvent('Sam', match('circle', cleanRun - 1))).includes('sharp-eyes'));
+        assert.ok(ids(recordAchievementEvent('Sam', match('circle', cleanRun))).includes('sharp-eyes'));
+    });
+
+    test('Shape Collector needs every hard shape, found across games', () => {
+        const hardShapes = getShapeTypes(['hard']);
+
+        hardShapes.slice(0, -1).forEach(type => recordAchievementEvent('Sam', match(type)));
+        assert.ok(!unlockedIds('Sam').includes('shape-collector'));
+
+        assert.deepEqual(ids(recordAchievementEvent('Sam', match(hardShapes.at(-1)))), ['shape-collector']);
+    });
+
+    test('Beat the Clock needs a hard Timed game finished with time to spare', () => {
+        const win = { mode: 'timed', difficulty: 'hard', reason: 'attempts', score: timeToSpare.matches, timeRemaining: timeToSpare.secondsLeft };
+
+        assert.deepEqual(recordAchievementEvent('Sam', gameEnded({ ...win, reason: 'quit' })), []);
+        assert.deepEqual(recordAchievementEvent('Sam', gameEnded({ ...win, difficulty: 'medium' })), []);
+        assert.deepEqual(recordAchievementEvent('Sam', gameEnded({ ...win, timeRemaining: timeToSpare.secondsLeft - 1 })), []);
+        assert.deepEqual(ids(recordAchievementEvent('Sam', gameEnded(win))), ['beat-the-clock']);
+    });
+
+    test('Week Streak needs a long enough Daily Challenge streak', () => {
+        const daily = current => gameEnded({ mode: 'daily', dailyStreak: { current, best: current } });
+
+        assert.deepEqual(recordAchievementEvent('Sam', daily(dailyStreakDays - 1)), []);
+        assert.deepEqual(ids(recordAchievementEvent('Sam', daily(dailyStreakDays))), ['week-streak']);
+    });
+
+    test('leaderboard places unlock On the Board and Champion', () => {
+        assert.deepEqual(ids(recordAchievementEvent('Sam', { type: 'highScoreSaved', mode: 'classic', position: 4 })), ['top-ten']);
+        assert.deepEqual(ids(recordAchievementEvent('Sam', { type: 'highScoreSaved', mode: 'classic', position: 1 })), ['champion']);
+        assert.deepEqual(recordAchievementEvent('Ana', { type: 'highScoreSaved', mode: 'classic', position: 11 }), []);
+    });
+});
+
+describe('the gallery', () => {
+    test('lists every badge, with unlock dates for the player\'s', () => {
+        recordAchievementEvent('Sam', match());
+        const gallery = getAchievementGallery(' sam');
+
+        assert.equal(gallery.length, getAchievements().length);
+        assert.ok(gallery.find(badge => badge.id === 'first-find').unlockedAt);
+        assert.equal(gallery.find(badge => badge.id === 'champion').unlockedAt, null);
+    });
+
+    test('shows everything locked without a player', () => {
+        recordAchievementEvent('Sam', match());
+
+        assert.deepEqual(unlockedIds(''), []);
+    });
+
+    test('ignores events without a player', () => {
+        assert.deepEqual(recordAchievementEvent('', match()), []);
+    });
+});
+
+describe('merging and clearing', () => {
+    test('a merge keeps every badge and every shape found under either name', () => {
+        recordAchievementEvent('Sammy', { type: 'highScoreSaved', position: 1 });
+        getShapeTypes(['hard']).slice(0, -1).forEach(type => recordAchievementEvent('Sammy', match(type)));
+        recordAchievementEvent('Sam', match('circle'));
+
+        mergePlayerAchievements('Sammy', 'Sam');
+
+        assert.deepEqual(unlockedIds('Sam').sort(), ['champion', 'first-find', 'top-ten']);
+        assert.deepEqual(unlockedIds('Sammy'), []);
+        assert.deepEqual(ids(recordAchievementEvent('Sam', match(getShapeTypes(['hard']).at(-1)))), ['shape-collector']);
+    });
+
+    test('clearPlayerAchievements forgets only that player', () => {
+        recordAchievementEvent('Sam', match());
+        recordAchievementEvent('Ana', match());
+
+        clearPlayerAchievements('Sam');
+
+        assert.deepEqual(unlockedIds('Sam'), []);
+        assert.deepEqual(unlockedIds('Ana'), ['first-find']);
+    });
+});
+
+describe('registerAchievement', () => {
+    test('adds a badge that unlocks like the built-in ones', () => {
+        registerAchievement({
+            id: 'century',
+            icon: '💯',
+            name: 'Century',
+            description: 'Score 100 matches in one game',
+            check: event => event.type === 'gameEnded' && event.score >= 100
+        });
+
+        assert.equal(getAchievements().at(-1).id, 'century');
+        assert.deepEqual(ids(recordAchievementEvent('Sam', gameEnded({ score: 100 }))), ['century']);
+    });
+
+    test('a failing check doesn\'t stop the other badges', () => {
+        const { error } = console;
+        console.error = () => {};
+
+        try {
+            registerAchievement({ id: 'broken', name: 'Broken', check: () => { throw new Error('oops'); } });
+
+            assert.deepEqual(ids(recordAchievementEvent('Sam', match())), ['first-find']);
+        } finally {
+            console.error = error;
+        }
+    });
+
+    test('rejects badges without an id, name or check', () => {
+        assert.throws(() => registerAchievement({ name: 'Nameless', check: () => true }), /achievement id/);
+        assert.throws(() => registerAchievement({ id: 'no-check', name: 'No check' }), /name and a check function/);
+    });
+});
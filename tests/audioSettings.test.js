@@ -0,0 +1,119 @@
+/**
+ * Tests for the volume settings (audioSettings.js): the three volumes, mute,
+ * loading saved settings and how loud each sound plays.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import {
+    getAudioSettings,
+    setVolume,
+    changeVolume,
+    setMuted,
+    toggleMuted,
+    setAudioSettings,
+    getEffectVolume,
+    getMusicVolume,
+    onAudioSettingsChange
+} from '../js/modules/audioSettings.js';
+
+const { defaults, effectLevels, musicLevel, volumeStep } = gameConfig.audio;
+
+beforeEach(() => {
+    setAudioSettings();
+});
+
+describe('volumes', () => {
+    test('start at the defaults', () => {
+        assert.deepEqual(getAudioSettings(), defaults);
+    });
+
+    test('stay between 0 and 1, in whole percents', () => {
+        setVolume('music', 0.333);
+        assert.equal(getAudioSettings().music, 0.33);
+
+        setVolume('music', 4);
+        assert.equal(getAudioSettings().music, 1);
+
+        setVolume('music', -1);
+        assert.equal(getAudioSettings().music, 0);
+    });
+
+    test('step up and down without rounding errors creeping in', () => {
+        setVolume('master', 0.5);
+
+        for (let i = 0; i < 3; i++) {
+            changeVolume('master', volumeStep);
+        }
+
+        assert.equal(getAudioSettings().master, 0.8);
+        assert.equal(changeVolume('master', -volumeStep * 20), 0);
+    });
+
+    test('reject unknown channels and values that aren\'t numbers', () => {
+        assert.throws(() => setVolume('voice', 0.5), /Unknown volume channel/);
+        assert.throws(() => setVolume('music', 'loud'), /must be a number/);
+        assert.throws(() => setVolume('music', true), /must be a number/);
+        assert.deepEqual(getAudioSettings(), defaults);
+    });
+});
+
+describe('mute', () => {
+    test('silences everything but keeps the volumes', () => {
+        setVolume('effects', 0.4);
+
+        assert.equal(toggleMuted(), true);
+        assert.equal(getEffectVolume('correct'), 0);
+        assert.equal(getMusicVolume(), 0);
+        assert.equal(getAudioSettings().effects, 0.4);
+
+        setMuted(false);
+        assert.ok(getEffectVolume('correct') > 0);
+    });
+});
+
+describe('setAudioSettings', () => {
+    test('loads saved settings, falling back to the defaults for anything odd', () => {
+        setAudioSettings({ master: 0.6, effects: 'loud', music: 2, muted: 'no' });
+
+        assert.deepEqual(getAudioSettings(), { ...defaults, master: 0.6, music: 1 });
+    });
+
+    test('resets everything when given nothing', () => {
+        setVolume('master', 0.2);
+        setMuted(true);
+
+        setAudioSettings(null);
+
+        assert.deepEqual(getAudioSettings(), defaults);
+    });
+});
+
+describe('how loud sounds play', () => {
+    test('effects mix the master and effects volumes with the sound\'s own level', () => {
+        setVolume('master', 0.5);
+        setVolume('effects', 0.8);
+
+        assert.equal(getEffectVolume('wrong'), 0.5 * 0.8 * effectLevels.wrong);
+        assert.equal(getEffectVolume('not-a-sound'), 0.5 * 0.8);
+    });
+
+    test('music mixes the master and music volumes with the music level', () => {
+        setVolume('master', 0.5);
+
+        assert.equal(getMusicVolume(), 0.5 * defaults.music * musicLevel);
+    });
+});
+
+test('listeners hear about every change until they stop listening', () => {
+    const seen = [];
+    const stop = onAudioSettingsChange(settings => seen.push(settings));
+
+    setVolume('music', 0.1);
+    toggleMuted();
+    stop();
+    setVolume('music', 0.9);
+
+    assert.deepEqual(seen.map(settings => [settings.music, settings.muted]), [[0.1, false], [0.1, true]]);
+});
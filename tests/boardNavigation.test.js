@@ -0,0 +1,162 @@
+/**
+ * Tests for keyboard play on the board (boardNavigation.js): choosing the
+ * next shape for each arrow key, reading order, the board's single Tab stop
+ * and picking a shape with Enter.
+ */
+
+import { dom } from './helpers/dom.js';
+import { test, describe, before, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState, { resetGameState } from '../js/modules/gameState.js';
+import { initStorage } from '../js/modules/storage.js';
+import { setSensorySetting } from '../js/modules/sensorySettings.js';
+import { actions } from '../js/modules/gameEngine.js';
+import { startEngineGame, quitGame, gameEngine } from '../js/modules/gameLogic.js';
+import { findNearestInDirection, getReadingOrder, initBoardNavigation, updateBoardFocus } from '../js/modules/boardNavigation.js';
+
+const TARGET = { type: 'star', color: '#FF6B6B' };
+
+const board = document.getElementById('game-board');
+
+// A plus sign of shapes around the middle one
+const LAYOUT = [
+    { type: 'circle', x: 300, y: 300 },
+    { type: 'star', x: 500, y: 300 },
+    { type: 'square', x: 100, y: 300 },
+    { type: 'triangle', x: 300, y: 100 },
+    { type: 'hexagon', x: 300, y: 500 }
+];
+
+before(async () => {
+    await initStorage();
+    setSensorySetting('confetti', false);
+    initBoardNavigation();
+});
+
+after(() => {
+    dom.window.close();
+});
+
+// Draw the plus sign on the board, with each shape's on-screen box faked
+// since jsdom doesn't lay the page out
+beforeEach(() => {
+    resetGameState();
+    gameState.currentMode = 'classic';
+    gameState.currentDifficulty = 'easy';
+    gameState.playerName = '';
+    startEngineGame();
+
+    gameState.shapes = LAYOUT.map(({ type, x, y }, id) => {
+        const element = document.createElement('div');
+        element.getBoundingClientRect = () => ({ left: x - 40, top: y - 40, width: 80, height: 80 });
+        board.appendChild(element);
+        return { id, type, color: TARGET.color, element };
+    });
+
+    gameEngine.dispatch(actions.newRound({ target: TARGET, shapes: gameState.shapes }));
+    document.body.focus();
+});
+
+afterEach(() => {
+    if (!gameState.gameOver) {
+        quitGame();
+    }
+
+    gameState.shapes.forEach(shape => shape.element.remove());
+});
+
+function press(key) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+}
+
+function focusedType() {
+    const shape = gameState.shapes.find(item => item.element === document.activeElement);
+    return shape ? shape.type : null;
+}
+
+describe('findNearestInDirection', () => {
+    const points = LAYOUT.map(({ x, y }) => ({ x, y }));
+
+    test('finds the nearest point each way', () => {
+        assert.equal(findNearestInDirection(points[0], points, { x: 1, y: 0 }), 1);
+        assert.equal(findNearestInDirection(points[0], points, { x: -1, y: 0 }), 2);
+        assert.equal(findNearestInDirection(points[0], points, { x: 0, y: -1 }), 3);
+        assert.equal(findNearestInDirection(points[0], points, { x: 0, y: 1 }), 4);
+    });
+
+    test('finds nothing past the edge', () => {
+        assert.equal(findNearestInDirection(points[1], points, { x: 1, y: 0 }), -1);
+    });
+
+    test('prefers a point straight ahead over a nearer one off to the side', () => {
+        const from = { x: 0, y: 0 };
+
+        assert.equal(findNearestInDirection(from, [{ x: 60, y: 50 }, { x: 120, y: 0 }], { x: 1, y: 0 }), 1);
+    });
+});
+
+test('getReadingOrder goes top to bottom, then left to right', () => {
+    assert.deepEqual(getReadingOrder([{ x: 50, y: 20 }, { x: 10, y: 90 }, { x: 10, y: 20 }]), [2, 0, 1]);
+});
+
+describe('the board', () => {
+    test('has a single Tab stop, on the first shape in reading order', () => {
+        updateBoardFocus();
+
+        assert.equal(focusedType(), 'triangle');
+        assert.deepEqual(gameState.shapes.map(shape => shape.element.tabIndex), [-1, -1, -1, 0, -1]);
+    });
+
+    test('arrow keys move the Tab stop to the next shape that way', () => {
+        updateBoardFocus();
+
+        press('ArrowDown');
+        assert.equal(focusedType(), 'circle');
+        press('ArrowRight');
+        assert.equal(focusedType(), 'star');
+        press('ArrowRight');
+        assert.equal(focusedType(), 'star');
+
+        assert.equal(gameState.shapes.filter(shape => shape.element.tabIndex === 0).length, 1);
+    });
+
+    test('Home and End jump to the first and last shape', () => {
+        updateBoardFocus();
+
+        press('End');
+        assert.equal(focusedType(), 'hexagon');
+        press('Home');
+        assert.equal(focusedType(), 'triangle');
+    });
+
+    test('arrow keys don\'t scroll the page', () => {
+        updateBoardFocus();
+
+        assert.equal(press('ArrowDown').defaultPrevented, true);
+        assert.equal(press('a').defaultPrevented, false);
+    });
+
+    test('Enter picks the focused shape', () => {
+        updateBoardFocus();
+        press('ArrowDown');
+        press('ArrowRight');
+
+        press('Enter');
+
+        assert.equal(gameState.score, 1);
+    });
+
+    test('keys do nothing while paused', () => {
+        updateBoardFocus();
+        gameState.paused = true;
+
+        press('ArrowDown');
+        press('Enter');
+
+        gameState.paused = false;
+        assert.equal(focusedType(), 'triangle');
+        assert.equal(gameState.score, 0);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for shape collisions (collision.js): rotated footprints, the overlap
+ * test, the spatial grid and pushing touching shapes apart.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { getFootprint, getOverlap, createSpatialGrid, resolveCollisions, separateShapes } from '../js/modules/collision.js';
+
+const BOUNDS = { width: 800, height: 600 };
+const { padding } = gameConfig.collision;
+
+function square(x, y, { rotation = 0, motion = null } = {}) {
+    return { type: 'square', size: 80, rotation, x, y, motion };
+}
+
+function heading(dirX, dirY, speed = 30) {
+    return { pattern: 'bounce', speed, dirX, dirY, vx: dirX * speed, vy: dirY * speed, spin: 0, time: 0 };
+}
+
+function touching(a, b) {
+    const overlap = getOverlap(getFootprint(a), getFootprint(b));
+    return Boolean(overlap && overlap.depth > 0.001);
+}
+
+describe('getFootprint', () => {
+    test('is the shape\'s box plus padding, around its center', () => {
+        const footprint = getFootprint(square(100, 50));
+
+        assert.equal(footprint.cx, 140);
+        assert.equal(footprint.cy, 90);
+        assert.equal(footprint.halfWidth, 40 + padding);
+        assert.deepEqual(footprint.aabb, { minX: 100 - padding, minY: 50 - padding, maxX: 180 + padding, maxY: 130 + padding });
+    });
+
+    test('grows its outer box when the shape is turned', () => {
+        const { aabb } = getFootprint(square(100, 50, { rotation: 45 }));
+        const extent = (40 + padding) * Math.SQRT2;
+
+        assert.ok(Math.abs(aabb.maxX - (140 + extent)) < 0.001);
+        assert.ok(Math.abs(aabb.minY - (90 - extent)) < 0.001);
+    });
+
+    test('uses the shape\'s real width and height', () => {
+        const footprint = getFootprint({ type: 'rectangle', size: 80, rotation: 90, x: 0, y: 0 });
+
+        assert.equal(footprint.halfWidth, 60 + padding);
+        assert.equal(footprint.halfHeight, 30 + padding);
+        assert.ok(footprint.aabb.maxY - footprint.aabb.minY > footprint.aabb.maxX - footprint.aabb.minX);
+    });
+});
+
+describe('getOverlap', () => {
+    test('finds no overlap between shapes with a gap', () => {
+        assert.equal(getOverlap(getFootprint(square(0, 0)), getFootprint(square(100, 0))), null);
+    });
+
+    test('gives the depth and the direction to push them apart', () => {
+        const overlap = getOverlap(getFootprint(square(0, 0)), getFootprint(square(78, 10)));
+
+        assert.equal(overlap.depth, 80 + padding * 2 - 78);
+        assert.deepEqual(overlap.normal, { x: 1, y: 0 });
+    });
+
+    test('sees the gap between turned shapes whose outer boxes overlap', () => {
+        const a = getFootprint(square(0, 0, { rotation: 45 }));
+        const b = getFootprint(square(90, 90, { rotation: 0 }));
+
+        assert.ok(a.aabb.maxX > b.aabb.minX && a.aabb.maxY > b.aabb.minY);
+        assert.equal(getOverlap(a, b), null);
+    });
+});
+
+describe('createSpatialGrid', () => {
+    test('only pairs up shapes that share a cell, once each', () => {
+        const grid = createSpatialGrid(100);
+
+        grid.insert(0, { minX: 10, minY: 10, maxX: 150, maxY: 150 });
+        grid.insert(1, { minX: 120, minY: 120, maxX: 190, maxY: 190 });
+        grid.insert(2, { minX: 500, minY: 500, maxX: 550, maxY: 550 });
+
+        assert.deepEqual(grid.getCandidatePairs(), [[0, 1]]);
+    });
+
+    test('starts empty again after clear()', () => {
+        const grid = createSpatialGrid(100);
+
+        grid.insert(0, { minX: 0, minY: 0, maxX: 50, maxY: 50 });
+        grid.insert(1, { minX: 10, minY: 10, maxX: 60, maxY: 60 });
+        grid.clear();
+
+        assert.deepEqual(grid.getCandidatePairs(), []);
+    });
+});
+
+describe('resolveCollisions', () => {
+    test('pushes a moving shape out of a still one and bounces it back', () => {
+        const still = square(100, 100);
+        const moving = square(170, 100, { motion: heading(-1, 0) });
+
+        assert.equal(resolveCollisions([still, moving], BOUNDS), 1);
+
+        assert.deepEqual([still.x, still.y], [100, 100]);
+        assert.equal(touching(still, moving), false);
+        assert.equal(moving.motion.dirX, 1);
+    });
+
+    test('splits the push between two moving shapes', () => {
+        const left = square(100, 100, { motion: heading(1, 0) });
+        const right = square(170, 100, { motion: heading(-1, 0) });
+
+        resolveCollisions([left, right], BOUNDS);
+
+        assert.equal(100 - left.x, right.x - 170);
+        assert.equal(touching(left, right), false);
+        assert.deepEqual([left.motion.dirX, right.motion.dirX], [-1, 1]);
+    });
+
+    test('doesn\'t bounce shapes already moving apart', () => {
+        const left = square(100, 100, { motion: heading(-1, 0) });
+        const right = square(170, 100, { motion: heading(1, 0) });
+
+        resolveCollisions([left, right], BOUNDS);
+
+        assert.deepEqual([left.motion.dirX, right.motion.dirX], [-1, 1]);
+    });
+
+    test('reverses an orbiting shape and carries its circle with it', () => {
+        const still = square(100, 100);
+        const orbiting = square(170, 100, { motion: { ...heading(-1, 0), pattern: 'orbit', clockwise: true, centerX: 200, centerY: 100 } });
+
+        resolveCollisions([still, orbiting], BOUNDS);
+
+        assert.equal(orbiting.motion.clockwise, false);
+        assert.equal(orbiting.motion.centerX - orbiting.x, 30);
+    });
+
+    test('never pushes a shape off the board', () => {
+        const still = square(80, 100);
+        const moving = square(20, 100, { motion: heading(1, 0) });
+
+        resolveCollisions([still, moving], BOUNDS);
+
+        assert.ok(moving.x >= 0);
+    });
+});
+
+describe('separateShapes', () => {
+    test('pulls two overlapping shapes fully apart', () => {
+        const shapes = [square(360, 260, { motion: heading(1, 0) }), square(380, 270, { motion: heading(1, 0) })];
+
+        assert.equal(separateShapes(shapes, BOUNDS), 0);
+        assert.equal(touching(...shapes), false);
+    });
+
+    test('spreads out a stack until only the padding between shapes overlaps', () => {
+        const shapes = Array.from({ length: 6 }, (_, index) => square(360 + index, 260 + index * 2, { motion: heading(1, 0) }));
+
+        separateShapes(shapes, BOUNDS);
+
+        shapes.forEach((shape, index) => {
+            assert.ok(shape.x >= 0 && shape.y >= 0 && shape.x <= BOUNDS.width - 80 && shape.y <= BOUNDS.height - 80);
+
+            shapes.slice(index + 1).forEach(other => {
+                const overlap = getOverlap(getFootprint(shape), getFootprint(other));
+                assert.ok(!overlap || overlap.depth < padding * 2, 'the shapes themselves overlap');
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for color vision support (colorVision.js): simulating color vision
+ * deficiencies, the palette checks, the configured palettes and fill
+ * patterns.
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import gameState from '../js/modules/gameState.js';
+import {
+    simulateColorVision,
+    getContrastRatio,
+    getColorDistance,
+    checkPalette,
+    checkConfiguredPalettes,
+    getPaletteNames,
+    getPaletteLabel,
+    getPalette,
+    getActivePalette,
+    getColorPattern
+} from '../js/modules/colorVision.js';
+
+afterEach(() => {
+    gameState.colorPalette = 'standard';
+    gameState.colorPatterns = false;
+});
+
+describe('color math', () => {
+    test('normal vision sees colors as they are', () => {
+        assert.equal(simulateColorVision('#ff6b6b', 'normal'), '#FF6B6B');
+    });
+
+    test('orange and green look alike without red or green cones', () => {
+        const orange = '#CC6600';
+        const green = '#669900';
+
+        assert.ok(getColorDistance(orange, green) > 50);
+        assert.ok(getColorDistance(simulateColorVision(orange, 'protanopia'), simulateColorVision(green, 'protanopia')) < 20);
+        assert.ok(getColorDistance(simulateColorVision(orange, 'deuteranopia'), simulateColorVision(green, 'deuteranopia')) < 20);
+        assert.ok(getColorDistance(simulateColorVision(orange, 'tritanopia'), simulateColorVision(green, 'tritanopia')) > 50);
+    });
+
+    test('greys look the same to everyone', () => {
+        ['protanopia', 'deuteranopia', 'tritanopia'].forEach(visionType => {
+            assert.ok(getColorDistance(simulateColorVision('#808080', visionType), '#808080') < 1, visionType);
+        });
+    });
+
+    test('contrast runs from 1 to 21 whichever color comes first', () => {
+        assert.equal(getContrastRatio('#000000', '#FFFFFF'), 21);
+        assert.equal(getContrastRatio('#FFFFFF', '#000000'), 21);
+        assert.equal(getContrastRatio('#4A3B84', '#4A3B84'), 1);
+    });
+});
+
+describe('checkPalette', () => {
+    const { check } = gameConfig.colorVision;
+
+    test('passes colors everyone can tell apart and see', () => {
+        const report = checkPalette(['#000000', '#FFFFFF', '#F0E442'], check);
+
+        assert.deepEqual(report, { ok: true, visionTypes: ['normal', 'protanopia', 'deuteranopia', 'tritanopia'], problems: [] });
+    });
+
+    test('reports colors that look alike, and for whom', () => {
+        const report = checkPalette(['#CC6600', '#669900'], check);
+
+        assert.equal(report.ok, false);
+        assert.ok(report.visionTypes.includes('normal'));
+        assert.ok(!report.visionTypes.includes('deuteranopia'));
+        assert.ok(report.problems.some(problem => problem.kind === 'similar' && problem.visionType === 'deuteranopia'));
+    });
+
+    test('reports colors that vanish against the board and the outline', () => {
+        const report = checkPalette(['#F0F0F0'], { ...check, outline: '#F4F4F4' });
+
+        assert.equal(report.problems[0].kind, 'contrast');
+    });
+});
+
+describe('palettes', () => {
+    test('every configured palette passes its own checks', () => {
+        const { warn } = console;
+        const warnings = [];
+        console.warn = message => warnings.push(message);
+
+        try {
+            assert.equal(checkConfiguredPalettes(), true);
+            assert.deepEqual(warnings, []);
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    test('the standard palette comes first, and unknown names fall back to it', () => {
+        assert.deepEqual(getPaletteNames(), ['standard', 'protanopia', 'deuteranopia', 'tritanopia']);
+        assert.equal(getPalette('standard'), gameConfig.colors);
+        assert.equal(getPalette('sepia'), gameConfig.colors);
+        assert.equal(getPaletteLabel('standard'), 'Standard');
+        assert.equal(getPaletteLabel('sepia'), 'sepia');
+    });
+
+    test('shapes are drawn from the palette chosen in setup', () => {
+        gameState.colorPalette = 'tritanopia';
+
+        assert.deepEqual(getActivePalette(), gameConfig.colorVision.palettes.tritanopia);
+    });
+});
+
+describe('getColorPattern', () => {
+    test('gives nothing while patterns are off', () => {
+        assert.equal(getColorPattern(gameConfig.colors[1]), null);
+    });
+
+    test('gives each palette color its own pattern', () => {
+        gameState.colorPatterns = true;
+        gameState.colorPalette = 'deuteranopia';
+        const palette = getActivePalette();
+
+        const patterns = palette.map(getColorPattern);
+
+        assert.equal(new Set(patterns).size, palette.length);
+        assert.equal(getColorPattern(palette[1].toLowerCase()), gameConfig.colorVision.patterns[1]);
+        assert.equal(getColorPattern('#123456'), null);
+    });
+});
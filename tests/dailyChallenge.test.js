@@ -0,0 +1,158 @@
+/**
+ * Tests for the Daily Challenge (dailyChallenge.js): the date seed, one
+ * attempt per player per day, the daily leaderboard and streaks.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/storage.js';
+import { writeRecord } from '../js/modules/storage.js';
+import {
+    getDayKey,
+    getDailySeed,
+    loadDailyScores,
+    hasPlayedDaily,
+    getDailyStreak,
+    startDailyAttempt,
+    finishDailyAttempt,
+    mergePlayerDaily
+} from '../js/modules/dailyChallenge.js';
+
+// Play the challenge on each of the given days
+function playDays(playerName, days) {
+    return days.map(day => startDailyAttempt(playerName, day)).pop();
+}
+
+beforeEach(async () => {
+    await resetStorage();
+});
+
+describe('the daily seed', () => {
+    test('uses the local calendar day', () => {
+        assert.equal(getDayKey(new Date(2024, 4, 1, 23, 59)), '2024-05-01');
+        assert.equal(getDayKey(new Date(2024, 11, 31, 0, 0)), '2024-12-31');
+    });
+
+    test('is the same for everyone on the same day', () => {
+        assert.equal(getDailySeed('2024-05-01'), 'daily-2024-05-01');
+        assert.notEqual(getDailySeed('2024-05-02'), getDailySeed('2024-05-01'));
+    });
+});
+
+describe('attempts', () => {
+    test('one per player per day, whatever the name\'s case', () => {
+        startDailyAttempt('Sam', '2024-05-01');
+
+        assert.equal(hasPlayedDaily('sam ', '2024-05-01'), true);
+        assert.equal(hasPlayedDaily('Sam', '2024-05-02'), false);
+        assert.equal(hasPlayedDaily('Ana', '2024-05-01'), false);
+        assert.throws(() => startDailyAttempt('SAM', '2024-05-01'), /already played/);
+    });
+
+    test('count from the start, so quitting can\'t fish for a better board', () => {
+        startDailyAttempt('Sam', '2024-05-01');
+
+        const [entry] = loadDailyScores('2024-05-01');
+        assert.equal(entry.score, 0);
+        assert.equal(entry.completed, false);
+    });
+
+    test('only the first finished result counts', () => {
+        startDailyAttempt('Sam', '2024-05-01');
+
+        assert.equal(finishDailyAttempt('Sam', { score: 4, points: 500 }, '2024-05-01'), 1);
+        finishDailyAttempt('Sam', { score: 9, points: 1200 }, '2024-05-01');
+
+        const [entry] = loadDailyScores('2024-05-01');
+        assert.equal(entry.score, 4);
+        assert.equal(entry.points, 500);
+        assert.equal(entry.completed, true);
+    });
+
+    test('finishing without an attempt does nothing', () => {
+        assert.equal(finishDailyAttempt('Sam', { score: 4, points: 500 }, '2024-05-01'), 0);
+        assert.deepEqual(loadDailyScores('2024-05-01'), []);
+    });
+
+    test('results older than the history window are dropped', () => {
+        startDailyAttempt('Sam', '2024-01-01');
+        startDailyAttempt('Sam', '2024-05-01');
+
+        assert.deepEqual(loadDailyScores('2024-01-01'), []);
+    });
+});
+
+describe('the daily leaderboard', () => {
+    test('ranks the day\'s results by points', () => {
+        ['Ana', 'Ben', 'Cal'].forEach(name => startDailyAttempt(name, '2024-05-01'));
+        finishDailyAttempt('Ana', { score: 5, points: 600 }, '2024-05-01');
+        finishDailyAttempt('Ben', { score: 5, points: 900 }, '2024-05-01');
+
+        assert.equal(finishDailyAttempt('Cal', { score: 3, points: 700 }, '2024-05-01'), 2);
+        assert.deepEqual(loadDailyScores('2024-05-01').map(entry => entry.name), ['Ben', 'Cal', 'Ana']);
+    });
+
+    test('cleans up stored names with the name policy', () => {
+        writeRecord('shapeGameHighScores_daily', [
+            { name: '<b>Zed</b>', score: 1, points: 100, day: '2024-05-01', date: '2024-05-01T10:00:00.000Z', completed: true }
+        ]);
+
+        assert.equal(loadDailyScores('2024-05-01')[0].name, 'Zed');
+    });
+});
+
+describe('streaks', () => {
+    test('grow with each day in a row', () => {
+        const streak = playDays('Sam', ['2024-05-01', '2024-05-02', '2024-05-03']);
+
+        assert.deepEqual(streak, { current: 3, best: 3, lastPlayed: '2024-05-03' });
+    });
+
+    test('carry across the end of a month', () => {
+        assert.equal(playDays('Sam', ['2024-02-28', '2024-02-29', '2024-03-01']).current, 3);
+    });
+
+    test('restart after a missed day but keep the best', () => {
+        const streak = playDays('Sam', ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-05']);
+
+        assert.deepEqual(streak, { current: 1, best: 3, lastPlayed: '2024-05-05' });
+    });
+
+    test('still count the day after the last game, and drop to zero after that', () => {
+        playDays('Sam', ['2024-05-01', '2024-05-02']);
+
+        assert.equal(getDailyStreak('Sam', '2024-05-03').current, 2);
+        assert.equal(getDailyStreak('Sam', '2024-05-04').current, 0);
+        assert.equal(getDailyStreak('Sam', '2024-05-04').best, 2);
+    });
+
+    test('start at zero for new players', () => {
+        assert.deepEqual(getDailyStreak('Ana', '2024-05-01'), { current: 0, best: 0, lastPlayed: null });
+    });
+});
+
+describe('mergePlayerDaily', () => {
+    test('moves results and keeps the better one for a shared day', () => {
+        startDailyAttempt('Sammy', '2024-05-01');
+        finishDailyAttempt('Sammy', { score: 8, points: 1000 }, '2024-05-01');
+        startDailyAttempt('Sam', '2024-05-01');
+        finishDailyAttempt('Sam', { score: 2, points: 200 }, '2024-05-01');
+        startDailyAttempt('Sammy', '2024-05-02');
+
+        mergePlayerDaily('Sammy', 'Sam');
+
+        assert.deepEqual(loadDailyScores('2024-05-01').map(entry => [entry.name, entry.points]), [['Sam', 1000]]);
+        assert.equal(hasPlayedDaily('Sam', '2024-05-02'), true);
+        assert.equal(hasPlayedDaily('Sammy', '2024-05-02'), false);
+    });
+
+    test('keeps the most recent streak and the best of both', () => {
+        playDays('Sammy', ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04']);
+        playDays('Sam', ['2024-05-06', '2024-05-07']);
+
+        mergePlayerDaily('Sammy', 'Sam');
+
+        assert.deepEqual(getDailyStreak('Sam', '2024-05-07'), { current: 2, best: 4, lastPlayed: '2024-05-07' });
+        assert.deepEqual(getDailyStreak('Sammy', '2024-05-07'), { current: 0, best: 0, lastPlayed: null });
+    });
+});
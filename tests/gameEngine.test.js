@@ -0,0 +1,204 @@
+/**
+ * Tests for the rules engine (gameEngine.js): matching rules per difficulty,
+ * hearts, and the timed-mode bonus and penalty math. The engine never touches
+ * the page, so these run without a DOM.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAction, createInitialState, createRules, actions, isCorrectMatch } from '../js/modules/gameEngine.js';
+import { gameConfig } from '../js/modules/config.js';
+
+const TARGET = { type: 'star', color: '#FF6B6B' };
+
+// A board with every kind of shape: the perfect match, the right shape in the
+// wrong color, the right color on the wrong shape, and neither
+const SHAPES = [
+    { id: 0, type: 'star', color: '#FF6B6B' },
+    { id: 1, type: 'star', color: '#4ECDC4' },
+    { id: 2, type: 'circle', color: '#FF6B6B' },
+    { id: 3, type: 'square', color: '#4ECDC4' }
+];
+
+// Start a game and put the test board in front of the player
+function startRound(difficulty, mode = 'classic') {
+    let state = applyAction(createInitialState(), actions.newGame(createRules(difficulty, mode))).state;
+    state = applyAction(state, actions.newRound({ target: TARGET, shapes: SHAPES })).state;
+    return state;
+}
+
+// Pick a shape, then put the same board up again for the next round
+function pickAndContinue(state, id) {
+    const result = applyAction(state, actions.selectShape(id));
+    const next = result.state.phase === 'roundComplete' ?
+        applyAction(result.state, actions.newRound({ target: TARGET, shapes: SHAPES })).state :
+        result.state;
+
+    return { state: next, events: result.events };
+}
+
+function eventTypes(events) {
+    return events.map(event => event.type);
+}
+
+describe('matching rules', () => {
+    test('easy only needs the shape to match', () => {
+        const rules = createRules('easy', 'classic');
+
+        assert.equal(isCorrectMatch(SHAPES[0], TARGET, rules), true);
+        assert.equal(isCorrectMatch(SHAPES[1], TARGET, rules), true);
+        assert.equal(isCorrectMatch(SHAPES[2], TARGET, rules), false);
+        assert.equal(isCorrectMatch(SHAPES[3], TARGET, rules), false);
+    });
+
+    for (const difficulty of ['medium', 'hard']) {
+        test(`${difficulty} needs the shape and the color to match`, () => {
+            const rules = createRules(difficulty, 'classic');
+
+            assert.equal(isCorrectMatch(SHAPES[0], TARGET, rules), true);
+            assert.equal(isCorrectMatch(SHAPES[1], TARGET, rules), false);
+            assert.equal(isCorrectMatch(SHAPES[2], TARGET, rules), false);
+            assert.equal(isCorrectMatch(SHAPES[3], TARGET, rules), false);
+        });
+    }
+
+    test('a right shape in the wrong color is a correct match on easy', () => {
+        const { events } = applyAction(startRound('easy'), actions.selectShape(1));
+
+        assert.ok(eventTypes(events).includes('correctMatch'));
+    });
+
+    test('a right shape in the wrong color costs a heart on medium', () => {
+        const { state, events } = applyAction(startRound('medium'), actions.selectShape(1));
+
+        assert.ok(eventTypes(events).includes('wrongMatch'));
+        assert.equal(state.attemptsLeft, gameConfig.maxAttempts - 1);
+    });
+
+    test('clicks between rounds are ignored', () => {
+        const done = applyAction(startRound('easy'), actions.selectShape(0)).state;
+        const { state, events } = applyAction(done, actions.selectShape(0));
+
+        assert.equal(events.length, 0);
+        assert.equal(state.score, 1);
+    });
+});
+
+describe('hearts', () => {
+    for (const difficulty of ['easy', 'medium']) {
+        test(`${difficulty} gives every heart back after a correct match`, () => {
+            let { state } = pickAndContinue(startRound(difficulty), 3);
+            assert.equal(state.attemptsLeft, gameConfig.maxAttempts - 1);
+
+            ({ state } = pickAndContinue(state, 0));
+            assert.equal(state.attemptsLeft, gameConfig.maxAttempts);
+        });
+    }
+
+    test('hard never gives hearts back', () => {
+        let { state } = pickAndContinue(startRound('hard'), 3);
+        ({ state } = pickAndContinue(state, 0));
+        assert.equal(state.attemptsLeft, gameConfig.maxAttempts - 1);
+
+        ({ state } = pickAndContinue(state, 0));
+        ({ state } = pickAndContinue(state, 0));
+        assert.equal(state.attemptsLeft, gameConfig.maxAttempts - 1);
+    });
+
+    test('hard ends after maxAttempts misses, however many matches come between', () => {
+        let state = startRound('hard');
+        let events = [];
+
+        for (let miss = 0; miss < gameConfig.maxAttempts; miss++) {
+            ({ state } = pickAndContinue(state, 0));
+            ({ state, events } = pickAndContinue(state, 3));
+        }
+
+        assert.equal(state.phase, 'over');
+        assert.equal(events.find(event => event.type === 'gameOver').reason, 'attempts');
+    });
+});
+
+describe('timed mode', () => {
+    for (const difficulty of ['easy', 'medium', 'hard']) {
+        const { timeLimit, timeBonus, timePenalty } = gameConfig.difficulty[difficulty];
+
+        test(`${difficulty} starts with its time limit`, () => {
+            assert.equal(startRound(difficulty, 'timed').timeRemaining, timeLimit);
+        });
+
+        test(`${difficulty} adds ${timeBonus.correct}s for a correct match`, () => {
+            // The perfect match, so easy's color bonus is checked separately
+            const shape = difficulty === 'easy' ? 1 : 0;
+            const { state, events } = applyAction(startRound(difficulty, 'timed'), actions.selectShape(shape));
+
+            assert.equal(state.timeRemaining, timeLimit + timeBonus.correct);
+            assert.equal(events.find(event => event.type === 'correctMatch').timeBonus, timeBonus.correct);
+        });
+
+        test(`${difficulty} takes ${timePenalty}s for a wrong pick`, () => {
+            const { state, events } = applyAction(startRound(difficulty, 'timed'), actions.selectShape(3));
+
+            assert.equal(state.timeRemaining, timeLimit - timePenalty);
+            assert.equal(events.find(event => event.type === 'wrongMatch').timePenalty, timePenalty);
+        });
+    }
+
+    test('easy adds the color bonus when the color happens to match too', () => {
+        const { timeLimit, timeBonus } = gameConfig.difficulty.easy;
+        const { state } = applyAction(startRound('easy', 'timed'), actions.selectShape(0));
+
+        assert.equal(state.timeRemaining, timeLimit + timeBonus.correct + timeBonus.colorMatch);
+    });
+
+    test('the color bonus is easy only', () => {
+        const { timeLimit, timeBonus } = gameConfig.difficulty.medium;
+        const { state } = applyAction(startRound('medium', 'timed'), actions.selectShape(0));
+
+        assert.equal(state.timeRemaining, timeLimit + timeBonus.correct);
+    });
+
+    test('a penalty never takes the clock below 1 second', () => {
+        let state = startRound('medium', 'timed');
+        state = applyAction(state, actions.tick((state.timeRemaining - 1.5) * 1000)).state;
+
+        const { state: next, events } = applyAction(state, actions.selectShape(3));
+
+        assert.equal(next.timeRemaining, 1);
+        assert.equal(events.find(event => event.type === 'wrongMatch').timePenalty, 0.5);
+        assert.notEqual(next.phase, 'over');
+    });
+
+    test('ticks count the clock down and end the game at zero', () => {
+        let state = startRound('easy', 'timed');
+        state = applyAction(state, actions.tick(1500)).state;
+        assert.equal(state.timeRemaining, gameConfig.difficulty.easy.timeLimit - 1.5);
+
+        const { state: over, events } = applyAction(state, actions.tick(state.timeRemaining * 1000 + 500));
+        assert.equal(over.timeRemaining, 0);
+        assert.equal(over.phase, 'over');
+        assert.equal(events.find(event => event.type === 'gameOver').reason, 'time');
+    });
+
+    test('each warning fires once as the clock drops past it', () => {
+        let state = startRound('easy', 'timed');
+        const warnings = [];
+
+        while (state.phase !== 'over') {
+            const result = applyAction(state, actions.tick(250));
+            warnings.push(...result.events.filter(event => event.type === 'timeWarning').map(event => event.warning.seconds));
+            state = result.state;
+        }
+
+        assert.deepEqual(warnings, gameConfig.timer.warnings.map(warning => warning.seconds));
+    });
+
+    test('the clock does not run outside timed mode', () => {
+        const state = startRound('easy', 'classic');
+        const { state: next, events } = applyAction(state, actions.tick(5000));
+
+        assert.equal(next, state);
+        assert.equal(events.length, 0);
+        assert.equal(applyAction(state, actions.selectShape(3)).state.timeRemaining, 0);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for the Timed mode clock (gameTimer.js), driven by a fake clock and
+ * fake animation frames: late frames, pausing and stopping from a report.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameTimer } from '../js/modules/gameTimer.js';
+
+let time;
+let frames;
+let reports;
+
+// Move the fake clock on and run the frame that was waiting
+function nextFrame(ms) {
+    time += ms;
+    const callback = frames.shift();
+    if (callback) callback();
+}
+
+function createTimer(onElapsed = ms => reports.push(ms)) {
+    return createGameTimer(onElapsed, {
+        now: () => time,
+        requestFrame: callback => frames.push(callback),
+        cancelFrame: () => frames.shift()
+    });
+}
+
+beforeEach(() => {
+    time = 1000;
+    frames = [];
+    reports = [];
+});
+
+describe('createGameTimer', () => {
+    test('reports the real time between frames, however late they are', () => {
+        const timer = createTimer();
+        timer.start();
+
+        nextFrame(17);
+        nextFrame(250);
+        nextFrame(16);
+
+        assert.deepEqual(reports, [17, 250, 16]);
+        assert.equal(timer.getActiveMs(), 283);
+    });
+
+    test('counts the time up to stop() and nothing while stopped', () => {
+        const timer = createTimer();
+        timer.start();
+
+        nextFrame(100);
+        time += 40;
+        timer.stop();
+        time += 5000;
+        timer.start();
+        nextFrame(100);
+
+        assert.deepEqual(reports, [100, 40, 100]);
+        assert.equal(timer.getActiveMs(), 240);
+    });
+
+    test('stops asking for frames once stopped', () => {
+        const timer = createTimer();
+        timer.start();
+        timer.stop();
+
+        assert.equal(timer.isRunning(), false);
+        assert.equal(frames.length, 0);
+    });
+
+    test('ignores start() while running and stop() while stopped', () => {
+        const timer = createTimer();
+
+        timer.stop();
+        timer.start();
+        timer.start();
+
+        assert.equal(frames.length, 1);
+        assert.equal(timer.isRunning(), true);
+    });
+
+    test('doesn\'t report frames where no time passed', () => {
+        const timer = createTimer();
+        timer.start();
+
+        nextFrame(0);
+        nextFrame(10);
+
+        assert.deepEqual(reports, [10]);
+    });
+
+    test('a report that stops the clock ends the frames', () => {
+        const timer = createTimer(ms => {
+            reports.push(ms);
+            if (timer.getActiveMs() >= 200) timer.stop();
+        });
+        timer.start();
+
+        nextFrame(150);
+        nextFrame(150);
+
+        assert.equal(timer.isRunning(), false);
+        assert.equal(frames.length, 0);
+        assert.deepEqual(reports, [150, 150]);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for board generation (generateGameShapes in gameLogic.js): every
+ * board has something the player can pick, at every difficulty, whatever the
+ * seed.
+ */
+
+import { dom, BOARD_SIZE } from './helpers/dom.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState from '../js/modules/gameState.js';
+import { gameConfig } from '../js/modules/config.js';
+import { initStorage } from '../js/modules/storage.js';
+import { createSeededRandom } from '../js/modules/utils.js';
+import { clearGameBoard, createTargetShape } from '../js/modules/rendering.js';
+import { createRules, isCorrectMatch } from '../js/modules/gameEngine.js';
+import { generateGameShapes, getAvailableShapes, pickTargetShape, startEngineGame, gameEngine } from '../js/modules/gameLogic.js';
+
+const SEEDS_PER_DIFFICULTY = 40;
+
+before(async () => {
+    await initStorage();
+});
+
+after(() => {
+    dom.window.close();
+});
+
+// Build round `round` of a seeded game, the way startNewRound() does
+function buildBoard(seed, round) {
+    clearGameBoard();
+    gameState.random = createSeededRandom(`${seed}:${round}`);
+
+    const target = pickTargetShape(getAvailableShapes(), gameState.random);
+    createTargetShape(target);
+
+    const { min, max } = gameConfig.difficulty[gameState.currentDifficulty].shapesCount;
+    generateGameShapes(min + (round % (max - min + 1)), target);
+
+    return { type: gameState.targetShape, color: gameState.targetColor };
+}
+
+for (const difficulty of ['easy', 'medium', 'hard']) {
+    describe(`generateGameShapes on ${difficulty}`, () => {
+        const rules = createRules(difficulty, 'classic');
+
+        before(() => {
+            gameState.currentMode = 'classic';
+            gameState.currentDifficulty = difficulty;
+            gameState.playerName = '';
+            startEngineGame();
+        });
+
+        test('always places at least one valid match', () => {
+            for (let seed = 1; seed <= SEEDS_PER_DIFFICULTY; seed++) {
+                const target = buildBoard(seed, seed);
+                const matches = gameState.shapes.filter(shape => isCorrectMatch(shape, target, rules));
+
+                assert.ok(matches.length > 0, `seed ${seed} has no ${target.color} ${target.type} to pick`);
+            }
+        });
+
+        test('marks exactly the shapes the rules accept as matches', () => {
+            for (let seed = 1; seed <= SEEDS_PER_DIFFICULTY; seed++) {
+                const target = buildBoard(seed, seed);
+
+                gameState.shapes.forEach(shape => {
+                    assert.equal(shape.isMatch, isCorrectMatch(shape, target, rules),
+                        `seed ${seed}: ${shape.color} ${shape.type} is marked wrongly`);
+                });
+            }
+        });
+
+        test('hands the rules engine the board the player sees', () => {
+            const target = buildBoard(7, 3);
+            const state = gameEngine.getState();
+
+            assert.equal(state.phase, 'playing');
+            assert.deepEqual(state.target, target);
+            assert.deepEqual(
+                state.shapes,
+                gameState.shapes.map(shape => ({ id: shape.id, type: shape.type, color: shape.color }))
+            );
+        });
+
+        test('draws every shape inside the board', () => {
+            buildBoard(11, 2);
+
+            const board = document.getElementById('game-board');
+            assert.equal(board.children.length, gameState.shapes.length);
+
+            gameState.shapes.forEach(shape => {
+                assert.ok(shape.x >= 0 && shape.y >= 0, `${shape.type} starts off the board`);
+                assert.ok(shape.x + shape.size <= board.clientWidth && shape.y + shape.size <= board.clientHeight,
+                    `${shape.type} runs off the board`);
+            });
+        });
+
+        test('places a match even on a very small board', () => {
+            const { width, height } = BOARD_SIZE;
+            Object.assign(BOARD_SIZE, { width: 120, height: 110 });
+
+            try {
+                for (let seed = 1; seed <= SEEDS_PER_DIFFICULTY; seed++) {
+                    const target = buildBoard(seed, seed);
+
+                    assert.ok(gameState.shapes.some(shape => isCorrectMatch(shape, target, rules)),
+                        `seed ${seed} left every ${target.color} ${target.type} off the board`);
+                    assert.equal(gameEngine.getState().shapes.length, gameState.shapes.length);
+                }
+            } finally {
+                Object.assign(BOARD_SIZE, { width, height });
+            }
+        });
+
+        test('rebuilds the same board from the same seed', () => {
+            const describeBoard = () => gameState.shapes.map(({ type, color, size, rotation, x, y }) => ({ type, color, size, rotation, x, y }));
+
+            buildBoard('replay', 1);
+            const first = describeBoard();
+
+            buildBoard('replay', 1);
+            assert.deepEqual(describeBoard(), first);
+        });
+    });
+}
+
+test('easy boards use distinct colors while the palette lasts', () => {
+    gameState.currentMode = 'classic';
+    gameState.currentDifficulty = 'easy';
+    startEngineGame();
+
+    for (let seed = 1; seed <= SEEDS_PER_DIFFICULTY; seed++) {
+        buildBoard(seed, seed);
+
+        const colors = gameState.shapes.map(shape => shape.color);
+        assert.equal(new Set(colors).size, colors.length, `seed ${seed} repeats a color`);
+    }
+});
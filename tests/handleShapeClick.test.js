@@ -0,0 +1,195 @@
+/**
+ * Tests for picking shapes on the board (handleShapeClick in gameLogic.js):
+ * easy rules only check the shape, medium and hard check the color too, and
+ * hard mode never gives hearts back.
+ */
+
+import { dom, createClickEvent } from './helpers/dom.js';
+import { test, describe, before, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState, { resetGameState } from '../js/modules/gameState.js';
+import { gameConfig } from '../js/modules/config.js';
+import { initStorage } from '../js/modules/storage.js';
+import { setSensorySetting } from '../js/modules/sensorySettings.js';
+import { actions } from '../js/modules/gameEngine.js';
+import { handleShapeClick, startEngineGame, quitGame, gameEngine } from '../js/modules/gameLogic.js';
+
+const TARGET = { type: 'star', color: '#FF6B6B' };
+
+before(async () => {
+    await initStorage();
+
+    // Confetti needs a real canvas
+    setSensorySetting('confetti', false);
+});
+
+after(() => {
+    dom.window.close();
+});
+
+// Start a game and put a board with every kind of shape in front of the
+// player: the perfect match, the right shape in the wrong color, the right
+// color on the wrong shape, and neither
+function startRound(difficulty) {
+    resetGameState();
+    gameState.currentMode = 'classic';
+    gameState.currentDifficulty = difficulty;
+    gameState.playerName = '';
+    gameState.targetShape = TARGET.type;
+    gameState.targetColor = TARGET.color;
+    startEngineGame();
+
+    gameState.shapes = [
+        { id: 0, type: 'star', color: '#FF6B6B' },
+        { id: 1, type: 'star', color: '#4ECDC4' },
+        { id: 2, type: 'circle', color: '#FF6B6B' },
+        { id: 3, type: 'square', color: '#4ECDC4' }
+    ].map(shape => ({ ...shape, element: document.createElement('div') }));
+
+    gameEngine.dispatch(actions.newRound({ target: TARGET, shapes: gameState.shapes }));
+    gameState.roundStartedAt = performance.now();
+
+    return {
+        perfect: gameState.shapes[0],
+        wrongColor: gameState.shapes[1],
+        wrongShape: gameState.shapes[2],
+        neither: gameState.shapes[3]
+    };
+}
+
+// Put the same board up again for the next round
+function nextRound() {
+    gameEngine.dispatch(actions.newRound({ target: TARGET, shapes: gameState.shapes }));
+}
+
+function click(shape) {
+    handleShapeClick(shape, createClickEvent());
+}
+
+afterEach(() => {
+    // Ends the game, which also cancels the wait for the next round
+    if (!gameState.gameOver) {
+        quitGame();
+    }
+});
+
+describe('easy rules', () => {
+    let board;
+
+    beforeEach(() => {
+        board = startRound('easy');
+    });
+
+    test('the right shape in any color scores', () => {
+        click(board.wrongColor);
+
+        assert.equal(gameState.score, 1);
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts);
+    });
+
+    test('the wrong shape in the right color costs a heart', () => {
+        click(board.wrongShape);
+
+        assert.equal(gameState.score, 0);
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts - 1);
+        assert.equal(gameState.mistakes, 1);
+    });
+
+    test('a correct match gives every heart back', () => {
+        click(board.neither);
+        click(board.neither);
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts - 2);
+
+        click(board.perfect);
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts);
+    });
+});
+
+for (const difficulty of ['medium', 'hard']) {
+    describe(`${difficulty} rules`, () => {
+        let board;
+
+        beforeEach(() => {
+            board = startRound(difficulty);
+        });
+
+        test('only the right shape in the right color scores', () => {
+            click(board.perfect);
+
+            assert.equal(gameState.score, 1);
+        });
+
+        test('the right shape in the wrong color costs a heart', () => {
+            click(board.wrongColor);
+
+            assert.equal(gameState.score, 0);
+            assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts - 1);
+        });
+
+        test('the right color on the wrong shape costs a heart', () => {
+            click(board.wrongShape);
+
+            assert.equal(gameState.score, 0);
+            assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts - 1);
+        });
+    });
+}
+
+describe('hearts after a correct match', () => {
+    test('medium gives every heart back', () => {
+        const board = startRound('medium');
+
+        click(board.neither);
+        click(board.perfect);
+
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts);
+    });
+
+    test('hard never gives hearts back', () => {
+        const board = startRound('hard');
+
+        click(board.neither);
+        for (let round = 0; round < 3; round++) {
+            click(board.perfect);
+            nextRound();
+        }
+
+        assert.equal(gameState.score, 3);
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts - 1);
+    });
+
+    test('hard ends the game when the hearts run out', () => {
+        const board = startRound('hard');
+
+        for (let miss = 0; miss < gameConfig.maxAttempts; miss++) {
+            click(board.perfect);
+            nextRound();
+            click(board.neither);
+        }
+
+        assert.equal(gameState.gameOver, true);
+        assert.equal(gameState.attemptsLeft, 0);
+        assert.equal(document.getElementById('game-over').classList.contains('hidden'), false);
+    });
+});
+
+describe('ignored clicks', () => {
+    test('a second click on the finished round does nothing', () => {
+        const board = startRound('easy');
+
+        click(board.perfect);
+        click(board.perfect);
+
+        assert.equal(gameState.score, 1);
+    });
+
+    test('clicks while paused do nothing', () => {
+        const board = startRound('easy');
+        gameState.paused = true;
+
+        click(board.neither);
+
+        gameState.paused = false;
+        assert.equal(gameState.attemptsLeft, gameConfig.maxAttempts);
+    });
+});
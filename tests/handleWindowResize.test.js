@@ -0,0 +1,114 @@
+/**
+ * Tests for resizing the window mid-round (handleWindowResize and
+ * scheduleWindowResize in events.js): the shapes move to fit the new board,
+ * but the round carries on - no new engine round, no extra history record,
+ * no reset reaction timer.
+ */
+
+import { dom, BOARD_SIZE } from './helpers/dom.js';
+import { test, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState, { resetGameState } from '../js/modules/gameState.js';
+import { initStorage, readRecord } from '../js/modules/storage.js';
+import { startEngineGame, startNewRound, quitGame, gameEngine } from '../js/modules/gameLogic.js';
+import { handleWindowResize, scheduleWindowResize } from '../js/modules/events.js';
+
+const describeBoard = () => gameState.shapes.map(({ id, type, color, x, y }) => ({ id, type, color, x, y }));
+
+beforeEach(async () => {
+    await initStorage();
+
+    BOARD_SIZE.width = 800;
+    BOARD_SIZE.height = 600;
+
+    resetGameState();
+    gameState.currentMode = 'classic';
+    gameState.currentDifficulty = 'medium';
+    gameState.playerName = 'Ana';
+    gameState.seed = 'resize';
+    startEngineGame();
+    startNewRound();
+});
+
+afterEach(() => {
+    if (!gameState.gameOver) {
+        quitGame();
+    }
+});
+
+after(() => {
+    dom.window.close();
+});
+
+test('moves the shapes to fit the new board', () => {
+    const before = describeBoard();
+
+    BOARD_SIZE.width = 500;
+    BOARD_SIZE.height = 700;
+    handleWindowResize();
+
+    const shapes = describeBoard();
+    assert.notDeepEqual(shapes.map(({ x, y }) => ({ x, y })), before.map(({ x, y }) => ({ x, y })));
+
+    gameState.shapes.forEach(shape => {
+        assert.ok(shape.x + shape.size <= BOARD_SIZE.width && shape.y + shape.size <= BOARD_SIZE.height,
+            `${shape.type} runs off the resized board`);
+    });
+
+    // The same shapes, still on the page
+    shapes.forEach(shape => {
+        const original = before.find(other => other.id === shape.id);
+        assert.deepEqual({ type: shape.type, color: shape.color }, { type: original.type, color: original.color });
+    });
+    assert.equal(document.getElementById('game-board').children.length, shapes.length);
+});
+
+test('carries on with the same round', () => {
+    const round = gameEngine.getState().round;
+    const startedAt = gameState.roundStartedAt;
+    const target = { type: gameState.targetShape, color: gameState.targetColor };
+
+    BOARD_SIZE.width = 640;
+    handleWindowResize();
+
+    assert.equal(gameEngine.getState().round, round);
+    assert.equal(gameEngine.getState().phase, 'playing');
+    assert.deepEqual(gameEngine.getState().target, target);
+    assert.equal(gameState.roundStartedAt, startedAt);
+});
+
+test('adds no round to the session history', () => {
+    BOARD_SIZE.width = 640;
+    handleWindowResize();
+    BOARD_SIZE.width = 800;
+    handleWindowResize();
+
+    quitGame();
+
+    const [session] = readRecord('shapeGameHistory', []).slice(-1);
+    assert.equal(session.rounds.length, 1);
+});
+
+test('waits for the window to stop resizing', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    try {
+        const before = describeBoard();
+
+        // One rotation fires several resize events
+        BOARD_SIZE.width = 500;
+        scheduleWindowResize();
+        mock.timers.tick(50);
+        scheduleWindowResize();
+        mock.timers.tick(50);
+        scheduleWindowResize();
+        mock.timers.tick(50);
+
+        assert.deepEqual(describeBoard(), before);
+
+        mock.timers.tick(150);
+        assert.notDeepEqual(describeBoard(), before);
+    } finally {
+        mock.timers.reset();
+    }
+});
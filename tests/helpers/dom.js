@@ -0,0 +1,78 @@
+/**
+ * Test DOM Helper
+ * 
+ * Most of the game's modules find their elements the moment they're imported
+ * (see elements.js), so tests that touch them need a page first. Importing
+ * this helper loads index.html into jsdom and puts its window, document and
+ * friends on the global object - import it before any game module.
+ * 
+ * jsdom doesn't lay pages out, so the game board is given a fixed size, and
+ * it can't play media, so audio elements pretend to play. The game's chatty
+ * console.log progress messages are silenced to keep test output readable
+ * (warnings and errors still show).
+ * 
+ * @fileoverview jsdom page setup for tests that need the game's DOM
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Size given to the game board, in pixels.
+ * 
+ * @type {{width: number, height: number}}
+ */
+export const BOARD_SIZE = { width: 800, height: 600 };
+
+const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+/**
+ * The jsdom page the game modules run against.
+ * 
+ * @type {JSDOM}
+ */
+export const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+
+const { window } = dom;
+
+[
+    'window',
+    'document',
+    'navigator',
+    'localStorage',
+    'requestAnimationFrame',
+    'cancelAnimationFrame',
+    'getComputedStyle',
+    'Audio',
+    'Node',
+    'Element',
+    'HTMLElement',
+    'SVGElement',
+    'Event',
+    'KeyboardEvent',
+    'MouseEvent'
+].forEach(name => {
+    const value = typeof window[name] === 'function' && !/^[A-Z]/.test(name) ? window[name].bind(window) : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+});
+
+const board = window.document.getElementById('game-board');
+Object.defineProperty(board, 'clientWidth', { configurable: true, get: () => BOARD_SIZE.width });
+Object.defineProperty(board, 'clientHeight', { configurable: true, get: () => BOARD_SIZE.height });
+
+window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+window.HTMLMediaElement.prototype.pause = () => {};
+
+console.log = () => {};
+
+/**
+ * A stand-in for the click event handleShapeClick() receives.
+ * 
+ * @function
+ * @returns {{clientX: number, clientY: number, stopPropagation: function(): void}} The event
+ */
+export function createClickEvent() {
+    return { clientX: 0, clientY: 0, stopPropagation() {} };
+}
@@ -0,0 +1,34 @@
+/**
+ * Test Storage Helper
+ * 
+ * The data modules (history, mastery, streaks, profiles...) read and write
+ * through storage.js, which has to be started first. Outside the jsdom page
+ * there's no IndexedDB or localStorage, so storage runs in memory - exactly
+ * what tests of those modules want.
+ * 
+ * @fileoverview Fresh, quiet storage for tests of the data modules
+ * @author Game Development Team
+ * @version 1.0.0
+ */
+
+import { initStorage } from '../../js/modules/storage.js';
+
+/**
+ * Starts storage again with nothing in it.
+ * 
+ * Storage explains at length why it's falling back to memory; that's expected
+ * here, so its messages are silenced while it starts.
+ * 
+ * @function
+ * @returns {Promise<string>} Name of the backend in use
+ */
+export async function resetStorage() {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+
+    try {
+        return await initStorage();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
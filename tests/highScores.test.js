@@ -0,0 +1,149 @@
+/**
+ * Tests for the leaderboards (saveHighScore and loadHighScores in
+ * gameLogic.js), including migration 2 in storage.js, which splits the old
+ * combined shapeGameHighScores record into per-mode leaderboards.
+ */
+
+import { dom } from './helpers/dom.js';
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState, { resetGameState } from '../js/modules/gameState.js';
+import { initStorage, flushStorage, readRecord } from '../js/modules/storage.js';
+import { saveHighScore, loadHighScores, loadHighScoresByMode } from '../js/modules/gameLogic.js';
+
+// Scores saved by versions from before the leaderboards were split by mode
+const LEGACY_SCORES = [
+    { name: 'Ana', score: 12, difficulty: 'easy', mode: 'classic', date: '2024-03-01T10:00:00.000Z' },
+    { name: 'Ben', score: 9, difficulty: 'hard', mode: 'timed', date: '2024-03-02T10:00:00.000Z' },
+    { name: 'Cal', score: 7, difficulty: 'medium', mode: 'classic', date: '2024-03-03T10:00:00.000Z' }
+];
+
+// Start storage from the given localStorage records (nothing migrated yet)
+async function startStorage(records = {}) {
+    localStorage.clear();
+    Object.entries(records).forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+
+    return initStorage();
+}
+
+function readSaved(key) {
+    const text = localStorage.getItem(key);
+    return text === null ? undefined : JSON.parse(text);
+}
+
+// Set up a finished game ready for saveHighScore()
+function finishGame({ name = 'Dee', score, points = score * 100, mode = 'classic', difficulty = 'easy' }) {
+    resetGameState();
+    gameState.playerName = name;
+    gameState.score = score;
+    gameState.points = points;
+    gameState.currentMode = mode;
+    gameState.currentDifficulty = difficulty;
+}
+
+after(() => {
+    dom.window.close();
+});
+
+describe('migrating the legacy shapeGameHighScores record', () => {
+    test('moves each score to its mode\'s leaderboard', async () => {
+        await startStorage({ shapeGameHighScores: LEGACY_SCORES });
+
+        assert.deepEqual(loadHighScoresByMode('classic').map(entry => entry.name), ['Ana', 'Cal']);
+        assert.deepEqual(loadHighScoresByMode('timed').map(entry => entry.name), ['Ben']);
+    });
+
+    test('removes the legacy record and saves the new ones', async () => {
+        await startStorage({ shapeGameHighScores: LEGACY_SCORES });
+        await flushStorage();
+
+        assert.equal(readRecord('shapeGameHighScores', undefined), undefined);
+        assert.equal(localStorage.getItem('shapeGameHighScores'), null);
+        assert.equal(readSaved('shapeGameHighScores_classic').length, 2);
+        assert.equal(readSaved('shapeGameSchemaVersion'), 2);
+    });
+
+    test('keeps scores already on the new leaderboards without duplicating them', async () => {
+        const existing = { name: 'Eve', score: 20, difficulty: 'easy', mode: 'classic', date: '2024-04-01T10:00:00.000Z' };
+
+        await startStorage({
+            shapeGameHighScores: LEGACY_SCORES,
+            shapeGameHighScores_classic: [existing, LEGACY_SCORES[0]]
+        });
+
+        assert.deepEqual(loadHighScoresByMode('classic').map(entry => entry.name), ['Eve', 'Ana', 'Cal']);
+    });
+
+    test('runs only once', async () => {
+        await startStorage({ shapeGameHighScores: LEGACY_SCORES });
+        await flushStorage();
+
+        // A stray legacy record written after the migration stays put
+        localStorage.setItem('shapeGameHighScores', JSON.stringify(LEGACY_SCORES));
+        await initStorage();
+
+        assert.equal(loadHighScoresByMode('classic').length, 2);
+        assert.notEqual(localStorage.getItem('shapeGameHighScores'), null);
+    });
+});
+
+describe('saveHighScore and loadHighScores', () => {
+    beforeEach(async () => {
+        await startStorage();
+    });
+
+    test('saves a score to the current mode\'s leaderboard', async () => {
+        finishGame({ score: 5, points: 640 });
+
+        assert.equal(saveHighScore(), 1);
+
+        const [entry] = loadHighScores();
+        assert.equal(entry.name, 'Dee');
+        assert.equal(entry.score, 5);
+        assert.equal(entry.points, 640);
+        assert.equal(entry.mode, 'classic');
+        assert.equal(entry.difficulty, 'easy');
+
+        await flushStorage();
+        assert.equal(readSaved('shapeGameHighScores_classic').length, 1);
+    });
+
+    test('does not save a game without a match', () => {
+        finishGame({ score: 0 });
+
+        assert.equal(saveHighScore(), 0);
+        assert.deepEqual(loadHighScores(), []);
+    });
+
+    test('keeps each mode on its own leaderboard', () => {
+        finishGame({ name: 'Ana', score: 4, mode: 'classic' });
+        saveHighScore();
+        finishGame({ name: 'Ben', score: 6, mode: 'timed' });
+        saveHighScore();
+
+        assert.deepEqual(loadHighScoresByMode('classic').map(entry => entry.name), ['Ana']);
+        assert.deepEqual(loadHighScoresByMode('timed').map(entry => entry.name), ['Ben']);
+        assert.deepEqual(loadHighScores().map(entry => entry.name), ['Ben']);
+    });
+
+    test('returns the position on the leaderboard, by points', () => {
+        finishGame({ name: 'Ana', score: 3, points: 300 });
+        saveHighScore();
+        finishGame({ name: 'Ben', score: 3, points: 900 });
+        assert.equal(saveHighScore(), 1);
+        finishGame({ name: 'Cal', score: 3, points: 600 });
+        assert.equal(saveHighScore(), 2);
+
+        assert.deepEqual(loadHighScores().map(entry => entry.name), ['Ben', 'Cal', 'Ana']);
+    });
+
+    test('loads saved names through the name policy', async () => {
+        await startStorage({
+            shapeGameHighScores_classic: [
+                { name: '  <b>Zed</b>  ', score: 2, points: 200, difficulty: 'easy', mode: 'classic', date: '2024-05-01T10:00:00.000Z' }
+            ]
+        });
+
+        assert.equal(loadHighScores()[0].name, 'Zed');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the board layouts (layout.js): every strategy keeps shapes apart
+ * and on the board, and the shape that has to be on the board always is -
+ * however small the board.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { createSeededRandom } from '../js/modules/utils.js';
+import { getShapeDimensions } from '../js/modules/shapeRegistry.js';
+import { layoutShapes, getLayoutStrategies, getRotatedBounds } from '../js/modules/layout.js';
+
+const TYPES = ['circle', 'square', 'triangle', 'rectangle', 'star', 'hexagon'];
+
+function makeShapes(count, random, { minSize = 60, maxSize = 100 } = {}) {
+    return Array.from({ length: count }, (_, index) => ({
+        type: TYPES[index % TYPES.length],
+        size: Math.round(minSize + random() * (maxSize - minSize)),
+        rotation: Math.round(random() * 359),
+        x: 0,
+        y: 0
+    }));
+}
+
+// The rotated box a placed shape covers on the board
+function footprint(shape) {
+    const { width, height } = getShapeDimensions(shape.type, shape.size);
+    const box = getRotatedBounds(shape);
+    const centerX = shape.x + width / 2;
+    const centerY = shape.y + height / 2;
+
+    return {
+        left: centerX - box.width / 2,
+        right: centerX + box.width / 2,
+        top: centerY - box.height / 2,
+        bottom: centerY + box.height / 2
+    };
+}
+
+function assertLaidOut(shapes, report, bounds) {
+    const { spacing, edgeMargin } = gameConfig.layout;
+    const placed = shapes.filter(shape => !report.unplaced.includes(shape)).map(footprint);
+    const tolerance = 0.001;
+
+    placed.forEach((box, index) => {
+        assert.ok(box.left >= edgeMargin - tolerance && box.top >= edgeMargin - tolerance, `shape ${index} is over the top or left edge`);
+        assert.ok(box.right <= bounds.width - edgeMargin + tolerance && box.bottom <= bounds.height - edgeMargin + tolerance, `shape ${index} is over the bottom or right edge`);
+
+        placed.slice(index + 1).forEach((other, offset) => {
+            const apart = box.right + spacing <= other.left + tolerance || other.right + spacing <= box.left + tolerance ||
+                box.bottom + spacing <= other.top + tolerance || other.bottom + spacing <= box.top + tolerance;
+            assert.ok(apart, `shapes ${index} and ${index + 1 + offset} are too close`);
+        });
+    });
+}
+
+for (const strategy of getLayoutStrategies()) {
+    describe(`${strategy} layout`, () => {
+        test('keeps every shape on the board and apart from the others', () => {
+            for (let seed = 1; seed <= 20; seed++) {
+                const random = createSeededRandom(seed);
+                const bounds = { width: 800, height: 600 };
+                const shapes = makeShapes(12, random);
+                const report = layoutShapes(shapes, bounds, { strategy, random });
+
+                assert.equal(report.requested, 12);
+                assert.equal(report.placed, 12 - report.unplaced.length);
+                assertLaidOut(shapes, report, bounds);
+            }
+        });
+
+        test('always places the required shape on a very small board', () => {
+            for (let seed = 1; seed <= 20; seed++) {
+                const random = createSeededRandom(seed);
+                const bounds = { width: 140, height: 120 };
+                const shapes = makeShapes(18, random);
+                const report = layoutShapes(shapes, bounds, { strategy, random, required: 0 });
+
+                assert.ok(!report.unplaced.includes(shapes[0]), `seed ${seed} left the required shape off`);
+                assert.equal(report.fits, false);
+                assertLaidOut(shapes, report, bounds);
+            }
+        });
+    });
+}
+
+describe('the required shape', () => {
+    test('is shrunk to fit a board smaller than it', () => {
+        const random = createSeededRandom('tiny');
+        const bounds = { width: 100, height: 100 };
+        const shapes = [{ type: 'rectangle', size: 120, rotation: 45, x: 0, y: 0 }];
+
+        const report = layoutShapes(shapes, bounds, { strategy: 'poisson', random, required: 0 });
+
+        assert.equal(report.placed, 1);
+        assert.ok(shapes[0].size < 120);
+        assertLaidOut(shapes, report, bounds);
+    });
+
+    test('keeps its size when the board has room for it', () => {
+        // Just room for the one shape, right in the middle
+        const shape = { type: 'square', size: 80, rotation: 0, x: 0, y: 0 };
+        const { edgeMargin } = gameConfig.layout;
+        const bounds = { width: 80 + edgeMargin * 2 + 1, height: 80 + edgeMargin * 2 + 1 };
+
+        const report = layoutShapes([shape], bounds, { strategy: 'poisson', random: createSeededRandom(3), required: 0 });
+
+        assert.equal(report.placed, 1);
+        assert.equal(shape.size, 80);
+    });
+
+    test('without one, shapes that don\'t fit are simply left off', () => {
+        const shapes = [{ type: 'square', size: 120, rotation: 0, x: 0, y: 0 }];
+
+        const report = layoutShapes(shapes, { width: 100, height: 100 }, { strategy: 'grid', random: createSeededRandom(1) });
+
+        assert.deepEqual(report.unplaced, shapes);
+        assert.equal(shapes[0].size, 120);
+    });
+});
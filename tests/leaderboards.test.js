@@ -0,0 +1,134 @@
+/**
+ * Tests for the leaderboard boards (leaderboards.js): splitting scores by
+ * difficulty and shape count, trimming one board at a time, personal bests
+ * and sorting by column.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isSplitMode,
+    getBoard,
+    getBoardEntries,
+    addLeaderboardEntry,
+    getShapeCounts,
+    isPlayerEntry,
+    getPersonalBest,
+    sortBoardEntries
+} from '../js/modules/leaderboards.js';
+
+function entry(name, points, details = {}) {
+    return { name, points, score: Math.round(points / 100), mode: 'classic', difficulty: 'easy', shapeCount: 10, date: '2024-05-01T10:00:00.000Z', ...details };
+}
+
+const EASY_TEN = { mode: 'classic', difficulty: 'easy', shapeCount: 10 };
+
+describe('boards', () => {
+    test('Classic and Timed split by difficulty and shape count', () => {
+        assert.equal(isSplitMode('classic'), true);
+        assert.equal(isSplitMode('timed'), true);
+        assert.deepEqual(getBoard(entry('Sam', 100, { mode: 'timed', difficulty: 'hard', shapeCount: 20 })), { mode: 'timed', difficulty: 'hard', shapeCount: 20 });
+    });
+
+    test('Daily and Survival have one board each', () => {
+        assert.equal(isSplitMode('daily'), false);
+        assert.deepEqual(getBoard(entry('Sam', 100, { mode: 'survival', difficulty: 'hard', shapeCount: 20 })), { mode: 'survival', difficulty: null, shapeCount: null });
+    });
+
+    test('entries saved before shape counts were recorded share a board', () => {
+        assert.deepEqual(getBoard(entry('Sam', 100, { shapeCount: undefined })), { mode: 'classic', difficulty: 'easy', shapeCount: null });
+    });
+
+    test('getBoardEntries ranks just the board\'s entries', () => {
+        const entries = [
+            entry('Ana', 300),
+            entry('Ben', 900, { shapeCount: 12 }),
+            entry('Cal', 500),
+            entry('Dee', 800, { difficulty: 'hard' })
+        ];
+
+        assert.deepEqual(getBoardEntries(entries, EASY_TEN).map(item => [item.rank, item.name]), [[1, 'Cal'], [2, 'Ana']]);
+    });
+
+    test('getShapeCounts lists a difficulty\'s boards, older entries last', () => {
+        const entries = [
+            entry('Ana', 100, { shapeCount: 12 }),
+            entry('Ben', 100, { shapeCount: undefined }),
+            entry('Cal', 100, { shapeCount: 5 }),
+            entry('Dee', 100, { shapeCount: 12 }),
+            entry('Eve', 100, { difficulty: 'hard', shapeCount: 20 })
+        ];
+
+        assert.deepEqual(getShapeCounts(entries, 'classic', 'easy'), [5, 12, null]);
+    });
+});
+
+describe('addLeaderboardEntry', () => {
+    test('gives the new entry\'s rank on its own board', () => {
+        const entries = [entry('Ana', 300), entry('Ben', 900, { difficulty: 'hard' })];
+
+        const { entries: updated, rank } = addLeaderboardEntry(entries, entry('Cal', 500));
+
+        assert.equal(rank, 1);
+        assert.equal(updated.length, 3);
+    });
+
+    test('trims only the new entry\'s board', () => {
+        const entries = [entry('Ana', 300), entry('Ben', 200), entry('Old', 50, { difficulty: 'hard' })];
+
+        const { entries: updated, rank } = addLeaderboardEntry(entries, entry('Cal', 100), 2);
+
+        assert.equal(rank, 0);
+        assert.deepEqual(updated.map(item => item.name).sort(), ['Ana', 'Ben', 'Old']);
+    });
+
+    test('bumps the lowest entry off a full board', () => {
+        const entries = [entry('Ana', 300), entry('Ben', 200)];
+
+        const { entries: updated, rank } = addLeaderboardEntry(entries, entry('Cal', 250), 2);
+
+        assert.equal(rank, 2);
+        assert.deepEqual(updated.map(item => item.name), ['Ana', 'Cal']);
+    });
+});
+
+describe('personal bests', () => {
+    test('match the player\'s name, ignoring case and spaces', () => {
+        assert.equal(isPlayerEntry(entry(' Sam ', 100), 'sam'), true);
+        assert.equal(isPlayerEntry(entry('Sam', 100), ''), false);
+    });
+
+    test('are the player\'s highest ranked entry on the board', () => {
+        const board = getBoardEntries([entry('Sam', 300), entry('Ana', 900), entry('sam', 700)], EASY_TEN);
+
+        assert.equal(getPersonalBest(board, 'SAM').rank, 2);
+        assert.equal(getPersonalBest(board, 'Ben'), null);
+    });
+});
+
+describe('sortBoardEntries', () => {
+    const board = getBoardEntries([
+        entry('cal', 500, { date: '2024-05-03T10:00:00.000Z' }),
+        entry('Ana', 900, { date: '2024-05-02T10:00:00.000Z' }),
+        entry('Ben', 500, { date: '2024-05-01T10:00:00.000Z' })
+    ], EASY_TEN);
+
+    test('sorts by name without caring about case', () => {
+        assert.deepEqual(sortBoardEntries(board, 'name', 'ascending').map(item => item.name), ['Ana', 'Ben', 'cal']);
+    });
+
+    test('sorts either way and keeps rank order for ties', () => {
+        assert.deepEqual(sortBoardEntries(board, 'points', 'ascending').map(item => item.rank), [2, 3, 1]);
+        assert.deepEqual(sortBoardEntries(board, 'date', 'descending').map(item => item.name), ['cal', 'Ana', 'Ben']);
+    });
+
+    test('leaves the board it was given alone', () => {
+        sortBoardEntries(board, 'name', 'descending');
+
+        assert.deepEqual(board.map(item => item.rank), [1, 2, 3]);
+    });
+
+    test('rejects columns it can\'t sort by', () => {
+        assert.throws(() => sortBoardEntries(board, 'avatar', 'ascending'), /can't sort by "avatar"/);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for moving shapes (motion.js): seeded motion, every pattern staying
+ * on the board, and movement that doesn't depend on the frame rate.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { createSeededRandom } from '../js/modules/utils.js';
+import { getShapeDimensions } from '../js/modules/shapeRegistry.js';
+import { MOTION_PATTERNS, createMotion, updateMotion } from '../js/modules/motion.js';
+
+const BOUNDS = { width: 800, height: 600 };
+const { hard } = gameConfig.difficulty;
+
+function makeMovingShape(pattern, seed = 1, overrides = {}) {
+    const shape = { type: 'square', size: 80, rotation: 0, x: 360, y: 260, ...overrides };
+    shape.motion = createMotion(shape, { ...hard, motionPatterns: [pattern] }, createSeededRandom(seed));
+    return shape;
+}
+
+// Run the animation for a number of seconds at a steady frame rate
+function run(shape, seconds, fps = 60) {
+    for (let frame = 0; frame < seconds * fps; frame++) {
+        updateMotion(shape, 1 / fps, BOUNDS);
+    }
+}
+
+describe('createMotion', () => {
+    test('gives still shapes no motion', () => {
+        const shape = { type: 'square', size: 80, x: 0, y: 0 };
+
+        assert.equal(createMotion(shape, gameConfig.difficulty.easy, createSeededRandom(1)), null);
+        assert.equal(createMotion(shape, { ...hard, motionPatterns: ['teleport'] }, createSeededRandom(1)), null);
+    });
+
+    test('picks the same motion for the same seed', () => {
+        const first = makeMovingShape('sine', 'same');
+        const second = makeMovingShape('sine', 'same');
+
+        assert.deepEqual(first.motion, second.motion);
+        assert.notDeepEqual(makeMovingShape('sine', 'other').motion, first.motion);
+    });
+
+    test('keeps speed and spin within the difficulty\'s ranges', () => {
+        for (let seed = 1; seed <= 50; seed++) {
+            const { motion } = makeMovingShape(MOTION_PATTERNS[seed % MOTION_PATTERNS.length], seed);
+
+            assert.ok(motion.speed >= hard.movementSpeed.min && motion.speed <= hard.movementSpeed.max);
+            assert.ok(Math.abs(motion.spin) <= hard.spinSpeed.max);
+        }
+    });
+});
+
+describe('updateMotion', () => {
+    for (const pattern of MOTION_PATTERNS) {
+        test(`${pattern} shapes stay on the board`, () => {
+            for (let seed = 1; seed <= 10; seed++) {
+                const shape = makeMovingShape(pattern, seed, { x: 5, y: 5 });
+                const { width, height } = getShapeDimensions(shape.type, shape.size);
+
+                for (let frame = 0; frame < 60 * 60; frame++) {
+                    updateMotion(shape, 1 / 60, BOUNDS);
+
+                    assert.ok(shape.x >= -0.001 && shape.x <= BOUNDS.width - width + 0.001, `${pattern} seed ${seed} left the board`);
+                    assert.ok(shape.y >= -0.001 && shape.y <= BOUNDS.height - height + 0.001, `${pattern} seed ${seed} left the board`);
+                }
+            }
+        });
+    }
+
+    for (const pattern of ['bounce', 'orbit']) {
+        test(`${pattern} shapes cover the same ground at 30 and 120 frames a second`, () => {
+            const slow = makeMovingShape(pattern, 'fps');
+            const fast = makeMovingShape(pattern, 'fps');
+
+            run(slow, 2, 30);
+            run(fast, 2, 120);
+
+            assert.ok(Math.abs(slow.x - fast.x) < 0.01 && Math.abs(slow.y - fast.y) < 0.01);
+            assert.ok(Math.abs(slow.rotation - fast.rotation) < 0.01);
+        });
+    }
+
+    test('moves at the shape\'s speed', () => {
+        const shape = makeMovingShape('bounce', 'speed');
+        const { x, y } = shape;
+
+        updateMotion(shape, 0.05, BOUNDS);
+
+        assert.ok(Math.abs(Math.hypot(shape.x - x, shape.y - y) - shape.motion.speed * 0.05) < 0.001);
+    });
+
+    test('caps long gaps between frames so shapes never jump', () => {
+        const capped = makeMovingShape('bounce', 'gap');
+        const steady = makeMovingShape('bounce', 'gap');
+
+        updateMotion(capped, 5, BOUNDS);
+        updateMotion(steady, gameConfig.motion.maxFrameSeconds, BOUNDS);
+
+        assert.deepEqual([capped.x, capped.y], [steady.x, steady.y]);
+    });
+
+    test('spins the shape and keeps its rotation between 0 and 360', () => {
+        const shape = makeMovingShape('bounce', 'spin');
+        shape.motion.spin = -20;
+
+        updateMotion(shape, 0.1, BOUNDS);
+
+        assert.ok(Math.abs(shape.rotation - 358) < 0.001);
+    });
+
+    test('leaves still shapes alone', () => {
+        const shape = { type: 'square', size: 80, rotation: 10, x: 100, y: 100, motion: null };
+
+        updateMotion(shape, 0.1, BOUNDS);
+
+        assert.deepEqual([shape.x, shape.y, shape.rotation], [100, 100, 10]);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for the player name policy (namePolicy.js): checking typed names and
+ * cleaning up stored ones.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { checkPlayerName, sanitizePlayerName } from '../js/modules/namePolicy.js';
+
+const { maxLength, fallbackName } = gameConfig.names;
+
+describe('checkPlayerName', () => {
+    test('tidies up spacing', () => {
+        assert.deepEqual(checkPlayerName('  Sam   Lee '), { name: 'Sam Lee', error: null });
+    });
+
+    test('allows letters from any language and a little punctuation', () => {
+        ['Zoë', 'José-María', "O'Brien Jr.", 'Łucja_2', '美咲'].forEach(name => {
+            assert.equal(checkPlayerName(name).error, null, name);
+        });
+    });
+
+    test('needs a name, but not a long one', () => {
+        assert.match(checkPlayerName('   ').error, /enter your name/);
+        assert.match(checkPlayerName(null).error, /enter your name/);
+        assert.equal(checkPlayerName('a'.repeat(maxLength)).error, null);
+        assert.match(checkPlayerName('a'.repeat(maxLength + 1)).error, /at most/);
+    });
+
+    test('turns away markup and symbols', () => {
+        ['<b>Sam</b>', 'Sam!', 'Sam;DROP', '=SUM(A1)'].forEach(name => {
+            assert.match(checkPlayerName(name).error, /only use letters/, name);
+        });
+    });
+
+    test('turns away blocked words, however they\'re dressed up', () => {
+        ['poop', 'Big POOPS', 'p00p', 'stu pid', 'Stu-Pid'].forEach(name => {
+            assert.match(checkPlayerName(name).error, /different name/, name);
+        });
+    });
+
+    test('doesn\'t block names that only contain a blocked word', () => {
+        ['Cassandra', 'Hello Kitty', 'Dickens', 'Shelley'].forEach(name => {
+            assert.equal(checkPlayerName(name).error, null, name);
+        });
+    });
+});
+
+describe('sanitizePlayerName', () => {
+    test('strips markup and characters that aren\'t allowed', () => {
+        assert.equal(sanitizePlayerName('<img src=x onerror=alert(1)>Sam'), 'Sam');
+        assert.equal(sanitizePlayerName('=Sam+Lee'), 'SamLee');
+    });
+
+    test('cuts long names short', () => {
+        assert.equal(sanitizePlayerName(`${'a'.repeat(maxLength - 1)} bcd`), `${'a'.repeat(maxLength - 1)}`);
+    });
+
+    test('falls back to a default for empty or blocked names', () => {
+        assert.equal(sanitizePlayerName('<b></b>'), fallbackName);
+        assert.equal(sanitizePlayerName(undefined), fallbackName);
+        assert.equal(sanitizePlayerName('stupid'), fallbackName);
+    });
+
+    test('always gives a name checkPlayerName() accepts', () => {
+        ['  Sam  ', '<script>x</script>', 42, '💩💩', 'a'.repeat(50), 'p00p'].forEach(name => {
+            assert.equal(checkPlayerName(sanitizePlayerName(name)).error, null, String(name));
+        });
+    });
+});
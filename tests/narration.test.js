@@ -0,0 +1,95 @@
+/**
+ * Tests for screen reader narration (narration.js): naming shapes and where
+ * they are, and what is read out for targets, clicks and the end of a game.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getColorName,
+    nameShape,
+    describePosition,
+    describeShape,
+    describeTarget,
+    describeRound,
+    describeCorrectMatch,
+    describeWrongMatch,
+    describeGameOver
+} from '../js/modules/narration.js';
+
+const RED_STAR = { type: 'star', color: '#FF6B6B' };
+
+describe('naming shapes', () => {
+    test('names palette colors, whatever the case of the hex', () => {
+        assert.equal(getColorName('#FF6B6B'), 'red');
+        assert.equal(getColorName('#ff6b6b'), 'red');
+        assert.equal(getColorName('#123456'), 'colored');
+    });
+
+    test('names a shape by its color and type', () => {
+        assert.equal(nameShape('star', '#FF6B6B'), 'red star');
+    });
+
+    test('says which ninth of the board a point is in', () => {
+        assert.equal(describePosition(50, 40, 800, 600), 'top left');
+        assert.equal(describePosition(400, 300, 800, 600), 'center');
+        assert.equal(describePosition(400, 599, 800, 600), 'bottom center');
+        assert.equal(describePosition(790, 300, 800, 600), 'middle right');
+    });
+
+    test('keeps points past the edge on the board', () => {
+        assert.equal(describePosition(-20, 900, 800, 600), 'bottom left');
+    });
+
+    test('places a shape by its middle, not its corner', () => {
+        const shape = { ...RED_STAR, x: 230, y: 20 };
+
+        assert.equal(describeShape(shape, { width: 800, height: 600 }, { width: 80, height: 80 }), 'red star, top center');
+    });
+});
+
+describe('targets and rounds', () => {
+    test('only names the color when it has to match', () => {
+        assert.equal(describeTarget(RED_STAR, true), 'red star');
+        assert.equal(describeTarget(RED_STAR, false), 'star, any color');
+    });
+
+    test('explains the keys in the first round only', () => {
+        assert.equal(
+            describeRound({ round: 1, target: RED_STAR, matchColor: true, shapeCount: 10 }),
+            'Find the red star. 10 shapes on the board. Press Tab to reach the board, then use the arrow keys to hear each shape.'
+        );
+        assert.equal(describeRound({ round: 2, target: RED_STAR, matchColor: true, shapeCount: 10 }), 'Find the red star. 10 shapes on the board.');
+    });
+
+    test('says "an" before a vowel', () => {
+        assert.match(describeRound({ round: 2, target: { type: 'oval', color: '#FF6B6B' }, matchColor: false, shapeCount: 6 }), /^Find an oval, any color\./);
+        assert.match(describeRound({ round: 2, target: RED_STAR, matchColor: false, shapeCount: 6 }), /^Find a star, any color\./);
+    });
+});
+
+describe('results', () => {
+    test('a correct click gives the points, combo and time bonus', () => {
+        assert.equal(describeCorrectMatch({ shape: RED_STAR, points: 150, combo: 1, timeBonus: 0 }), 'Correct, red star! 150 points.');
+        assert.equal(
+            describeCorrectMatch({ shape: RED_STAR, points: 288, combo: 3, timeBonus: 2.5 }),
+            'Correct, red star! 288 points. 3 in a row. Plus 3 seconds.'
+        );
+    });
+
+    test('a wrong click names what was clicked and the hearts left', () => {
+        const circle = { type: 'circle', color: '#4ECDC4' };
+
+        assert.equal(describeWrongMatch({ shape: circle, attemptsLeft: 2, timePenalty: 0 }), 'Not that one, that\'s the teal circle. 2 hearts left.');
+        assert.equal(describeWrongMatch({ shape: circle, attemptsLeft: 1, timePenalty: 3 }), 'Not that one, that\'s the teal circle. Last heart! Minus 3 seconds.');
+        assert.equal(describeWrongMatch({ shape: circle, attemptsLeft: 0, timePenalty: 0 }), 'Not that one, that\'s the teal circle.');
+    });
+
+    test('the end of the game gives the reason and the final score', () => {
+        assert.equal(
+            describeGameOver({ reason: 'time', points: 1200, score: 8, bestCombo: 5 }),
+            'Time\'s up! Final score 1200 points, 8 matches, best combo 5.'
+        );
+        assert.match(describeGameOver({ reason: 'unknown', points: 0, score: 0, bestCombo: 0 }), /^Game over\./);
+    });
+});
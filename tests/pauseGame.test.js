@@ -0,0 +1,139 @@
+/**
+ * Tests for pausing (pauseGame and resumeGame in gameLogic.js): the clock,
+ * the wait for the next round and response times all stop while paused and
+ * carry on afterwards.
+ */
+
+import { dom, createClickEvent } from './helpers/dom.js';
+import { test, describe, before, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import gameState, { resetGameState } from '../js/modules/gameState.js';
+import { gameConfig } from '../js/modules/config.js';
+import { initStorage } from '../js/modules/storage.js';
+import { setSensorySetting } from '../js/modules/sensorySettings.js';
+import { actions } from '../js/modules/gameEngine.js';
+import { handleShapeClick, startEngineGame, quitGame, gameEngine, pauseGame, resumeGame, startTimer } from '../js/modules/gameLogic.js';
+
+const TARGET = { type: 'star', color: '#FF6B6B' };
+
+const board = document.getElementById('game-board');
+
+before(async () => {
+    await initStorage();
+
+    // Confetti needs a real canvas
+    setSensorySetting('confetti', false);
+});
+
+after(() => {
+    dom.window.close();
+});
+
+afterEach(() => {
+    mock.timers.reset();
+
+    if (!gameState.gameOver) {
+        quitGame();
+    }
+});
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Start a game with a one-shape board: the match
+function startGame(mode = 'classic') {
+    resetGameState();
+    gameState.currentMode = mode;
+    gameState.currentDifficulty = 'easy';
+    gameState.playerName = '';
+    gameState.targetShape = TARGET.type;
+    gameState.targetColor = TARGET.color;
+    startEngineGame();
+
+    gameState.shapes = [{ id: 0, ...TARGET, element: document.createElement('div') }];
+    gameEngine.dispatch(actions.newRound({ target: TARGET, shapes: gameState.shapes }));
+    gameState.roundStartedAt = performance.now();
+
+    return gameState.shapes[0];
+}
+
+describe('pauseGame', () => {
+    test('hides the board until the game is resumed', () => {
+        startGame();
+
+        assert.equal(pauseGame(), true);
+        assert.equal(gameState.paused, true);
+        assert.ok(board.classList.contains('paused'));
+
+        assert.equal(resumeGame(), true);
+        assert.equal(gameState.paused, false);
+        assert.ok(!board.classList.contains('paused'));
+    });
+
+    test('only pauses a running game, once', () => {
+        resetGameState();
+        assert.equal(pauseGame(), false);
+
+        startGame();
+        pauseGame();
+
+        assert.equal(pauseGame(), false);
+        resumeGame();
+        assert.equal(resumeGame(), false);
+    });
+
+    test('ending the game while paused leaves nothing paused', () => {
+        startGame();
+        pauseGame();
+
+        quitGame();
+
+        assert.equal(gameState.paused, false);
+        assert.ok(!board.classList.contains('paused'));
+    });
+});
+
+describe('while paused', () => {
+    test('the Timed mode clock stops', async () => {
+        startGame('timed');
+        startTimer();
+        await wait(50);
+
+        pauseGame();
+        const timeLeft = gameState.timeRemaining;
+        await wait(150);
+
+        assert.equal(gameState.timeRemaining, timeLeft);
+
+        resumeGame();
+        await wait(150);
+        assert.ok(gameState.timeRemaining < timeLeft);
+    });
+
+    test('the next round waits', () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const match = startGame();
+
+        handleShapeClick(match, createClickEvent());
+        pauseGame();
+        mock.timers.tick(gameConfig.successDelay * 2);
+
+        assert.equal(gameEngine.getState().round, 1);
+
+        resumeGame();
+        mock.timers.tick(gameConfig.successDelay);
+        assert.equal(gameEngine.getState().round, 2);
+    });
+
+    test('the break isn\'t counted in the response time', async () => {
+        startGame();
+        const startedAt = gameState.roundStartedAt;
+
+        pauseGame();
+        await wait(100);
+        resumeGame();
+
+        assert.ok(gameState.roundStartedAt - startedAt >= 90);
+    });
+});
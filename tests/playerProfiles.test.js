@@ -0,0 +1,162 @@
+/**
+ * Tests for player profiles (playerProfiles.js): creating, renaming, merging
+ * and deleting profiles, the active profile and lifetime stats.
+ */
+
+import { test, describe, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/storage.js';
+import { writeRecord } from '../js/modules/storage.js';
+import {
+    PROFILE_AVATARS,
+    loadProfiles,
+    getProfile,
+    findProfileByName,
+    getActiveProfile,
+    setActiveProfile,
+    createProfile,
+    updateProfilePreferences,
+    renameProfile,
+    mergeProfiles,
+    deleteProfile,
+    recordGameResult
+} from '../js/modules/playerProfiles.js';
+
+// Profile changes are logged for the console; keep the test output clean
+mock.method(console, 'log', () => {});
+
+beforeEach(async () => {
+    await resetStorage();
+});
+
+describe('createProfile', () => {
+    test('starts a profile with the given preferences and empty stats', () => {
+        const profile = createProfile({ name: '  Sam  ', preferredDifficulty: 'hard', preferredMode: 'survival' });
+
+        assert.equal(profile.name, 'Sam');
+        assert.equal(profile.preferredDifficulty, 'hard');
+        assert.equal(profile.preferredMode, 'survival');
+        assert.equal(profile.lastPlayed, null);
+        assert.deepEqual(profile.stats, { gamesPlayed: 0, bestScore: 0, correctMatches: 0, wrongMatches: 0, bestSurvivalLevel: 0 });
+        assert.deepEqual(getProfile(profile.id), profile);
+    });
+
+    test('hands out avatars in turn unless one is picked', () => {
+        const first = createProfile({ name: 'Ana' });
+        const second = createProfile({ name: 'Ben' });
+        const picked = createProfile({ name: 'Cal', avatar: PROFILE_AVATARS[5] });
+        const unknown = createProfile({ name: 'Dee', avatar: '💣' });
+
+        assert.equal(first.avatar, PROFILE_AVATARS[0]);
+        assert.equal(second.avatar, PROFILE_AVATARS[1]);
+        assert.equal(picked.avatar, PROFILE_AVATARS[5]);
+        assert.equal(unknown.avatar, PROFILE_AVATARS[3]);
+    });
+
+    test('turns away names that break the name policy or are taken', () => {
+        createProfile({ name: 'Sam' });
+
+        assert.throws(() => createProfile({ name: '   ' }), /enter your name/);
+        assert.throws(() => createProfile({ name: '<b>Sam</b>' }), /only use letters/);
+        assert.throws(() => createProfile({ name: 'sam ' }), /already a profile called Sam/);
+        assert.equal(loadProfiles().length, 1);
+    });
+
+    test('finds profiles by name, whatever the case', () => {
+        const profile = createProfile({ name: 'Sam Lee' });
+
+        assert.equal(findProfileByName(' sam lee').id, profile.id);
+        assert.equal(findProfileByName('Ana'), null);
+    });
+});
+
+describe('the active profile', () => {
+    test('can be set and cleared', () => {
+        const profile = createProfile({ name: 'Sam' });
+
+        setActiveProfile(profile.id);
+        assert.equal(getActiveProfile().id, profile.id);
+
+        setActiveProfile(null);
+        assert.equal(getActiveProfile(), null);
+    });
+
+    test('must be a profile that exists', () => {
+        assert.throws(() => setActiveProfile('profile-missing'), /No profile found/);
+    });
+});
+
+describe('changing a profile', () => {
+    test('updateProfilePreferences only changes what it\'s given', () => {
+        const { id } = createProfile({ name: 'Sam', preferredDifficulty: 'medium' });
+
+        const profile = updateProfilePreferences(id, { colorPatterns: true, avatar: 'not an avatar' });
+
+        assert.equal(profile.colorPatterns, true);
+        assert.equal(profile.preferredDifficulty, 'medium');
+        assert.equal(profile.avatar, PROFILE_AVATARS[0]);
+        assert.equal(getProfile(id).colorPatterns, true);
+    });
+
+    test('renameProfile checks the new name like a new one', () => {
+        const { id } = createProfile({ name: 'Sammy' });
+        createProfile({ name: 'Ana' });
+
+        assert.equal(renameProfile(id, 'Sam').oldName, 'Sammy');
+        assert.equal(renameProfile(id, 'SAM').profile.name, 'SAM');
+        assert.throws(() => renameProfile(id, 'ana'), /already a profile called Ana/);
+    });
+
+    test('recordGameResult adds to the lifetime stats', () => {
+        const { id } = createProfile({ name: 'Sam' });
+
+        recordGameResult(id, { score: 7, mistakes: 2, survivalLevel: 4 });
+        const stats = recordGameResult(id, { score: 3, mistakes: 1 });
+
+        assert.deepEqual(stats, { gamesPlayed: 2, bestScore: 7, correctMatches: 10, wrongMatches: 3, bestSurvivalLevel: 4 });
+        assert.ok(getProfile(id).lastPlayed);
+    });
+});
+
+describe('mergeProfiles', () => {
+    test('combines the stats and removes the merged profile', () => {
+        const from = createProfile({ name: 'Sammy' });
+        const into = createProfile({ name: 'Sam' });
+        recordGameResult(from.id, { score: 9, mistakes: 1, survivalLevel: 2 });
+        recordGameResult(into.id, { score: 4, mistakes: 3, survivalLevel: 5 });
+        setActiveProfile(from.id);
+
+        mergeProfiles(from.id, into.id);
+
+        assert.deepEqual(getProfile(into.id).stats, { gamesPlayed: 2, bestScore: 9, correctMatches: 13, wrongMatches: 4, bestSurvivalLevel: 5 });
+        assert.equal(getProfile(from.id), null);
+        assert.equal(getActiveProfile().id, into.id);
+    });
+
+    test('won\'t merge a profile into itself', () => {
+        const { id } = createProfile({ name: 'Sam' });
+
+        assert.throws(() => mergeProfiles(id, id), /into itself/);
+    });
+});
+
+describe('deleteProfile', () => {
+    test('removes the profile and clears it if it was active', () => {
+        const { id } = createProfile({ name: 'Sam' });
+        setActiveProfile(id);
+
+        assert.equal(deleteProfile(id).name, 'Sam');
+        assert.deepEqual(loadProfiles(), []);
+        assert.equal(getActiveProfile(), null);
+        assert.throws(() => deleteProfile(id), /No profile found/);
+    });
+});
+
+test('names saved before the name policy are cleaned up when loaded', () => {
+    writeRecord('shapeGameProfiles', {
+        activeProfileId: null,
+        profiles: [{ id: 'profile-old', name: '<script>Zed</script>', stats: {} }]
+    });
+
+    assert.equal(getProfile('profile-old').name, 'Zed');
+});
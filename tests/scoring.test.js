@@ -0,0 +1,89 @@
+/**
+ * Tests for points scoring (scoring.js): the speed and crowd bonuses, the
+ * combo multiplier and how leaderboard entries are ranked.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { getComboMultiplier, scoreMatch, compareScoreEntries } from '../js/modules/scoring.js';
+
+const { basePoints, speed, combo, crowd } = gameConfig.scoring;
+
+describe('getComboMultiplier', () => {
+    test('starts at 1x and grows with each answer in a row', () => {
+        assert.equal(getComboMultiplier(0), 1);
+        assert.equal(getComboMultiplier(1), 1);
+        assert.equal(getComboMultiplier(3), 1 + combo.step * 2);
+    });
+
+    test('stops at the maximum', () => {
+        assert.equal(getComboMultiplier(1000), combo.maxMultiplier);
+    });
+});
+
+describe('scoreMatch', () => {
+    test('matches the documented example', () => {
+        assert.deepEqual(scoreMatch({ reactionMs: 1200, combo: 2, distractors: 14 }), {
+            points: 288,
+            base: 100,
+            speedBonus: 100,
+            crowdBonus: 30,
+            multiplier: 1.25
+        });
+    });
+
+    test('gives the full speed bonus up to fastMs, sliding to nothing at slowMs', () => {
+        const bonusAt = reactionMs => scoreMatch({ reactionMs, combo: 1, distractors: 0 }).speedBonus;
+
+        assert.equal(bonusAt(0), speed.maxBonus);
+        assert.equal(bonusAt(speed.fastMs), speed.maxBonus);
+        assert.equal(bonusAt((speed.fastMs + speed.slowMs) / 2), Math.round(speed.maxBonus / 2));
+        assert.equal(bonusAt(speed.slowMs), 0);
+        assert.equal(bonusAt(speed.slowMs * 10), 0);
+    });
+
+    test('gives no speed bonus when the reaction time is unknown', () => {
+        assert.equal(scoreMatch({ reactionMs: null, combo: 1, distractors: 0 }).speedBonus, 0);
+        assert.equal(scoreMatch({ reactionMs: -5, combo: 1, distractors: 0 }).speedBonus, 0);
+    });
+
+    test('only busy boards earn the crowd bonus', () => {
+        const crowdAt = distractors => scoreMatch({ reactionMs: null, combo: 1, distractors }).crowdBonus;
+
+        assert.equal(crowdAt(crowd.freeDistractors), 0);
+        assert.equal(crowdAt(crowd.freeDistractors + 3), 3 * crowd.pointsPerDistractor);
+    });
+
+    test('multiplies everything by the combo', () => {
+        const plain = scoreMatch({ reactionMs: null, combo: 1, distractors: 0 });
+        const combined = scoreMatch({ reactionMs: null, combo: 5, distractors: 0 });
+
+        assert.equal(plain.points, basePoints);
+        assert.equal(combined.points, Math.round(basePoints * getComboMultiplier(5)));
+    });
+
+    test('uses the scoring settings it\'s given', () => {
+        const scoring = { ...gameConfig.scoring, basePoints: 10, combo: { step: 1, maxMultiplier: 2 } };
+
+        assert.equal(scoreMatch({ reactionMs: null, combo: 4, distractors: 0 }, scoring).points, 20);
+    });
+});
+
+describe('compareScoreEntries', () => {
+    test('ranks by points, then by matches', () => {
+        const entries = [
+            { name: 'Ana', score: 5, points: 600 },
+            { name: 'Ben', score: 4, points: 900 },
+            { name: 'Cal', score: 6, points: 600 }
+        ];
+
+        assert.deepEqual(entries.sort(compareScoreEntries).map(entry => entry.name), ['Ben', 'Cal', 'Ana']);
+    });
+
+    test('puts entries saved before points existed below games that earned some', () => {
+        const entries = [{ name: 'Old', score: 20 }, { name: 'New', score: 1, points: 100 }];
+
+        assert.deepEqual(entries.sort(compareScoreEntries).map(entry => entry.name), ['New', 'Old']);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for seeded randomness (utils.js): seeds typed by a teacher or made
+ * by the game always give the same sequence, and every random helper follows
+ * the generator it's given.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeSeed,
+    createSeededRandom,
+    generateSeed,
+    getRandomItem,
+    getWeightedRandomItem,
+    getRandomNumber,
+    getRandomFloat,
+    shuffleArray
+} from '../js/modules/utils.js';
+
+function take(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+describe('normalizeSeed', () => {
+    test('keeps whole numbers as they are', () => {
+        assert.equal(normalizeSeed(42), 42);
+        assert.equal(normalizeSeed(4294967295), 4294967295);
+    });
+
+    test('reads digits typed as text as the number they spell', () => {
+        assert.equal(normalizeSeed(' 1234 '), 1234);
+    });
+
+    test('hashes any other text to the same number every time', () => {
+        const seed = normalizeSeed('tuesday-shapes');
+
+        assert.equal(normalizeSeed('tuesday-shapes'), seed);
+        assert.notEqual(normalizeSeed('wednesday-shapes'), seed);
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+    });
+
+    test('rejects seeds that can\'t be used', () => {
+        assert.throws(() => normalizeSeed(''), /finite number or a non-empty string/);
+        assert.throws(() => normalizeSeed(Infinity), /finite number or a non-empty string/);
+        assert.throws(() => normalizeSeed(null), /finite number or a non-empty string/);
+    });
+});
+
+describe('createSeededRandom', () => {
+    test('gives the same sequence for the same seed', () => {
+        assert.deepEqual(take(createSeededRandom(12345), 20), take(createSeededRandom(12345), 20));
+        assert.deepEqual(take(createSeededRandom('2024-05-01'), 20), take(createSeededRandom('2024-05-01'), 20));
+    });
+
+    test('gives different sequences for different seeds', () => {
+        assert.notDeepEqual(take(createSeededRandom(1), 5), take(createSeededRandom(2), 5));
+    });
+
+    test('stays in [0, 1) and spreads out evenly', () => {
+        const values = take(createSeededRandom('spread'), 10000);
+        const buckets = Array(10).fill(0);
+
+        values.forEach(value => {
+            assert.ok(value >= 0 && value < 1);
+            buckets[Math.floor(value * 10)]++;
+        });
+
+        buckets.forEach(count => assert.ok(count > 900 && count < 1100, `uneven bucket: ${count}`));
+    });
+});
+
+test('generateSeed makes 32-bit seeds', () => {
+    const seed = generateSeed();
+
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+    assert.equal(normalizeSeed(seed), seed);
+});
+
+describe('random helpers with a seeded generator', () => {
+    const run = pick => {
+        const random = createSeededRandom('helpers');
+        return Array.from({ length: 10 }, () => pick(random));
+    };
+
+    test('repeat their picks for the same seed', () => {
+        const pickers = [
+            random => getRandomItem(['a', 'b', 'c', 'd'], random),
+            random => getWeightedRandomItem(['a', 'b', 'c'], [1, 2, 3], random),
+            random => getRandomNumber(0, 359, random),
+            random => getRandomFloat(-1, 1, random),
+            random => shuffleArray([1, 2, 3, 4, 5], random).join('')
+        ];
+
+        pickers.forEach(pick => assert.deepEqual(run(pick), run(pick)));
+    });
+
+    test('getRandomNumber includes both ends', () => {
+        const random = createSeededRandom('dice');
+        const rolls = new Set(Array.from({ length: 200 }, () => getRandomNumber(1, 6, random)));
+
+        assert.deepEqual([...rolls].sort(), [1, 2, 3, 4, 5, 6]);
+    });
+
+    test('getWeightedRandomItem never picks a zero weight', () => {
+        const random = createSeededRandom('weights');
+
+        for (let i = 0; i < 200; i++) {
+            assert.notEqual(getWeightedRandomItem(['never', 'always'], [0, 1], random), 'never');
+        }
+    });
+
+    test('getWeightedRandomItem treats all-zero weights as equal', () => {
+        const random = createSeededRandom('zeros');
+        const picks = new Set(Array.from({ length: 50 }, () => getWeightedRandomItem(['a', 'b'], [0, 0], random)));
+
+        assert.deepEqual([...picks].sort(), ['a', 'b']);
+    });
+
+    test('shuffleArray keeps every item', () => {
+        const shuffled = shuffleArray([1, 2, 3, 4, 5, 6, 7, 8], createSeededRandom(7));
+
+        assert.deepEqual([...shuffled].sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the comfort settings (sensorySettings.js): following the
+ * device's reduced motion setting, the player's own choices on top of it,
+ * and the classes the stylesheet uses.
+ */
+
+import { dom } from './helpers/dom.js';
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import {
+    SENSORY_SETTINGS,
+    prefersReducedMotion,
+    getSensorySettings,
+    isSensorySettingOn,
+    setSensorySetting,
+    getSensoryChoices,
+    setSensoryChoices,
+    onSensorySettingsChange,
+    initSensorySettings
+} from '../js/modules/sensorySettings.js';
+
+// jsdom has no media queries, so the device's reduced motion setting is faked
+const reducedMotion = { matches: false, listeners: [] };
+
+dom.window.matchMedia = () => ({
+    get matches() {
+        return reducedMotion.matches;
+    },
+    addEventListener(type, listener) {
+        reducedMotion.listeners.push(listener);
+    }
+});
+
+// Change the device's setting, as the player would in their system settings
+function setDeviceReducedMotion(matches) {
+    reducedMotion.matches = matches;
+    reducedMotion.listeners.forEach(listener => listener({ matches }));
+}
+
+before(() => {
+    initSensorySettings();
+});
+
+beforeEach(() => {
+    setDeviceReducedMotion(false);
+    setSensoryChoices();
+});
+
+after(() => {
+    dom.window.close();
+});
+
+describe('following the device', () => {
+    test('uses the standard settings normally', () => {
+        assert.equal(prefersReducedMotion(), false);
+        assert.deepEqual(getSensorySettings(), gameConfig.sensory.standard);
+    });
+
+    test('uses the calmer settings when the device asks for reduced motion', () => {
+        setDeviceReducedMotion(true);
+
+        assert.equal(prefersReducedMotion(), true);
+        assert.deepEqual(getSensorySettings(), gameConfig.sensory.reducedMotion);
+        assert.equal(isSensorySettingOn('confetti'), false);
+    });
+});
+
+describe('the player\'s choices', () => {
+    test('override the device\'s setting, one setting at a time', () => {
+        setDeviceReducedMotion(true);
+        setSensorySetting('confetti', true);
+
+        assert.equal(isSensorySettingOn('confetti'), true);
+        assert.equal(isSensorySettingOn('gentleFeedback'), true);
+        assert.deepEqual(getSensoryChoices(), { confetti: true });
+    });
+
+    test('can be loaded from a profile, ignoring anything unexpected', () => {
+        setSensoryChoices({ limitFlashing: true, confetti: 'yes', sparkles: true });
+
+        assert.deepEqual(getSensoryChoices(), { limitFlashing: true });
+    });
+
+    test('go back to following the device when cleared', () => {
+        setSensorySetting('fadeInPlace', true);
+
+        setSensoryChoices();
+
+        assert.deepEqual(getSensoryChoices(), {});
+        assert.equal(isSensorySettingOn('fadeInPlace'), false);
+    });
+
+    test('only cover the known settings', () => {
+        assert.throws(() => setSensorySetting('sparkles', true), /Unknown sensory setting/);
+        assert.deepEqual(Object.keys(getSensorySettings()).sort(), [...SENSORY_SETTINGS].sort());
+    });
+});
+
+describe('changes', () => {
+    test('are passed on to listeners until they stop listening', () => {
+        const seen = [];
+        const stop = onSensorySettingsChange(settings => seen.push(settings.gentleFeedback));
+
+        setSensorySetting('gentleFeedback', true);
+        setDeviceReducedMotion(true);
+        stop();
+        setSensorySetting('gentleFeedback', false);
+
+        assert.deepEqual(seen, [true, true]);
+    });
+
+    test('show up as classes on the page', () => {
+        setSensorySetting('gentleFeedback', true);
+        assert.ok(document.body.classList.contains('gentle-feedback'));
+        assert.ok(!document.body.classList.contains('limit-flashing'));
+
+        setDeviceReducedMotion(true);
+        assert.ok(document.body.classList.contains('limit-flashing'));
+    });
+});
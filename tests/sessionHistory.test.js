@@ -0,0 +1,196 @@
+/**
+ * Tests for the session history log (sessionHistory.js): recording rounds
+ * and clicks, the CSV and JSON reports, importing a JSON report again, and
+ * keeping player names within the name policy.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetStorage } from './helpers/storage.js';
+import { readRecord, writeRecord } from '../js/modules/storage.js';
+import {
+    createSessionRecord,
+    recordRoundStart,
+    recordClick,
+    finishSessionRecord,
+    loadSessions,
+    exportSessionsToCsv,
+    exportSessionsToJson,
+    importSessions,
+    listHistoryPlayers
+} from '../js/modules/sessionHistory.js';
+
+const TARGET = { type: 'star', color: '#FF6B6B' };
+
+const SHAPES = [
+    { type: 'star', color: '#FF6B6B' },
+    { type: 'circle', color: '#4ECDC4' },
+    { type: 'square', color: '#FFD166' }
+];
+
+// Play a short game: a wrong click then a match, then a round cut off by a quit
+function playGame(playerName = 'Ana', details = {}) {
+    const session = createSessionRecord({ playerName, mode: 'classic', difficulty: 'medium', seed: 42, ...details });
+
+    recordRoundStart(session, { round: 1, difficulty: 'medium', target: TARGET, shapes: SHAPES });
+    recordClick(session, { shape: SHAPES[1], correct: false, elapsedMs: 900.4 });
+    recordClick(session, { shape: SHAPES[0], correct: true, elapsedMs: 1500 });
+
+    recordRoundStart(session, { round: 2, difficulty: 'medium', target: TARGET, shapes: SHAPES });
+
+    return finishSessionRecord(session, { score: 1, points: 150, reason: 'quit' });
+}
+
+// Split CSV text into rows of cells (enough of RFC 4180 for these reports)
+function parseCsv(text) {
+    return text.split('\r\n').map(line => {
+        const cells = [];
+        const pattern = /("([^"]|"")*"|[^,]*)(,|$)/g;
+        let match;
+
+        while ((match = pattern.exec(line)) && match[0] !== '') {
+            const cell = match[1];
+            cells.push(cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell);
+            if (match[3] === '') break;
+        }
+
+        return cells;
+    });
+}
+
+// Names as saved, before loading cleans them up
+function listStoredNames() {
+    return readRecord('shapeGameHistory', []).map(session => session.playerName);
+}
+
+beforeEach(async () => {
+    await resetStorage();
+});
+
+describe('recording a session', () => {
+    test('keeps each round\'s target, distractors, first click and wrong clicks', () => {
+        const [first] = playGame().rounds;
+
+        assert.deepEqual(first.target, TARGET);
+        assert.deepEqual(first.distractors, SHAPES.slice(1));
+        assert.equal(first.firstClickMs, 900);
+        assert.deepEqual(first.wrongClicks, [{ type: 'circle', color: '#4ECDC4', elapsedMs: 900 }]);
+        assert.equal(first.outcome, 'correct');
+    });
+
+    test('gives the round the game ended in the game over reason', () => {
+        const session = playGame();
+
+        assert.equal(session.rounds[1].outcome, 'quit');
+        assert.equal(session.finalScore, 1);
+        assert.equal(session.finalPoints, 150);
+        assert.equal(session.endReason, 'quit');
+    });
+
+    test('saves finished sessions and filters them by player', () => {
+        playGame('Ana');
+        playGame('Ben');
+
+        assert.equal(loadSessions().length, 2);
+        assert.deepEqual(loadSessions({ playerName: ' ana ' }).map(session => session.playerName), ['Ana']);
+    });
+});
+
+describe('CSV report', () => {
+    test('has a header and one row per round', () => {
+        playGame();
+        const rows = parseCsv(exportSessionsToCsv(loadSessions()));
+
+        assert.equal(rows.length, 3);
+        assert.equal(rows[0][0], 'sessionId');
+        assert.equal(rows[1][1], 'Ana');
+        assert.equal(rows[1][12], 'circle:#4ECDC4;square:#FFD166');
+        assert.equal(rows[1][16], 'correct');
+        assert.equal(rows[2][16], 'quit');
+    });
+
+    // Saved names are cleaned up by the name policy, but seeds are free text
+    // and an imported file can hold anything, so these export sessions as
+    // recorded rather than as loaded
+    test('quotes cells with commas and quotes', () => {
+        const rows = parseCsv(exportSessionsToCsv([playGame('Ana, "the great"')]));
+
+        assert.equal(rows[1][1], 'Ana, "the great"');
+    });
+
+    for (const text of ['=HYPERLINK("http://example.com","x")', '+1', '-1+1', '@SUM(A1)', '\tTab']) {
+        test(`keeps ${JSON.stringify(text)} from running as a formula`, () => {
+            const rows = parseCsv(exportSessionsToCsv([playGame(text, { seed: text })]));
+
+            assert.equal(rows[1][1], `'${text}`);
+            assert.equal(rows[1][5], `'${text}`);
+        });
+    }
+
+    test('leaves numbers alone', () => {
+        playGame('Ana', { seed: 12345 });
+        const rows = parseCsv(exportSessionsToCsv(loadSessions()));
+
+        assert.equal(rows[1][5], '12345');
+        assert.equal(rows[1][13], '900');
+    });
+});
+
+describe('JSON report and import', () => {
+    test('imports a report from another device', async () => {
+        playGame('Ana');
+        const report = exportSessionsToJson(loadSessions());
+
+        await resetStorage();
+        playGame('Ben');
+
+        assert.deepEqual(importSessions(report), { added: 1, skipped: 0 });
+        assert.deepEqual(loadSessions().map(session => session.playerName).sort(), ['Ana', 'Ben']);
+    });
+
+    test('skips sessions it already has, so a report can be imported twice', () => {
+        playGame();
+        const report = exportSessionsToJson(loadSessions());
+
+        assert.deepEqual(importSessions(report), { added: 0, skipped: 1 });
+        assert.equal(loadSessions().length, 1);
+    });
+
+    test('skips sessions missing the fields the reports need', () => {
+        const report = JSON.stringify({
+            format: 'shape-game-history',
+            version: 1,
+            sessions: [{ id: 'session-1', playerName: 'Ana', startedAt: 'not a date', rounds: [] }]
+        });
+
+        assert.deepEqual(importSessions(report), { added: 0, skipped: 1 });
+    });
+
+    test('cleans up imported player names with the name policy', async () => {
+        const session = playGame();
+        const report = exportSessionsToJson([
+            { ...session, id: 'session-markup', playerName: '<b>Zed</b>' },
+            { ...session, id: 'session-blocked', playerName: 'poop' }
+        ]);
+
+        await resetStorage();
+        importSessions(report);
+
+        assert.deepEqual(loadSessions().map(item => item.playerName), ['Zed', 'Player']);
+        assert.deepEqual(listStoredNames(), ['Zed', 'Player']);
+    });
+
+    test('cleans up names already in the history when loading them', () => {
+        const session = playGame();
+        writeRecord('shapeGameHistory', [{ ...session, playerName: '<i>Ana</i>!!' }]);
+
+        assert.equal(loadSessions()[0].playerName, 'Ana');
+        assert.deepEqual(listHistoryPlayers(), ['Ana']);
+    });
+
+    test('rejects files that aren\'t history reports', () => {
+        assert.throws(() => importSessions('not json'), /not a valid history export/);
+        assert.throws(() => importSessions('{"sessions": []}'), /not a valid history export/);
+        assert.throws(() => importSessions('{"format": "shape-game-history", "version": 99, "sessions": []}'), /newer version/);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for shape mastery (shapeMastery.js): the per-player learning record,
+ * the spaced-repetition boxes and the weights used to pick targets and
+ * distractors.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { resetStorage } from './helpers/storage.js';
+import {
+    getShapeMastery,
+    recordSelection,
+    getTargetWeights,
+    getDistractorWeights,
+    mergePlayerMastery,
+    clearPlayerMastery
+} from '../js/modules/shapeMastery.js';
+
+const { maxBox, boxWeights, dueBoost, slowResponseMs, slowResponseBoost, confusionWeight } = gameConfig.mastery;
+
+function answer(playerName, targetType, selectedType = targetType, responseMs = 1000) {
+    return recordSelection(playerName, { targetType, selectedType, responseMs });
+}
+
+beforeEach(async () => {
+    await resetStorage();
+});
+
+describe('recordSelection', () => {
+    test('moves a shape up a box for each right answer, up to the top box', () => {
+        for (let i = 1; i <= maxBox + 2; i++) {
+            assert.equal(answer('Sam', 'star').box, Math.min(i, maxBox));
+        }
+    });
+
+    test('sends a shape back to box 1 after a mistake and notes the mix-up', () => {
+        answer('Sam', 'pentagon');
+        answer('Sam', 'pentagon');
+        const stats = answer('Sam', 'pentagon', 'hexagon');
+
+        assert.equal(stats.box, 1);
+        assert.equal(stats.attempts, 3);
+        assert.equal(stats.correct, 2);
+        assert.equal(getShapeMastery('Sam').confusions['pentagon>hexagon'], 1);
+    });
+
+    test('keeps one record per player, whatever the name\'s case', () => {
+        answer('Sam', 'star');
+        answer(' sam', 'circle');
+
+        assert.equal(getShapeMastery('SAM').reviews, 2);
+        assert.deepEqual(getShapeMastery('Ana'), { reviews: 0, shapes: {}, confusions: {} });
+    });
+
+    test('adds up response times, ignoring negative ones', () => {
+        answer('Sam', 'star', 'star', 1500);
+        const stats = answer('Sam', 'star', 'star', -200);
+
+        assert.equal(stats.totalResponseMs, 1500);
+    });
+});
+
+describe('getTargetWeights', () => {
+    test('favours shapes the player hasn\'t seen or keeps missing', () => {
+        answer('Sam', 'circle');
+        answer('Sam', 'circle');
+        answer('Sam', 'circle');
+        answer('Sam', 'square', 'circle');
+
+        const [circle, square, star] = getTargetWeights('Sam', ['circle', 'square', 'star']);
+
+        assert.equal(star, boxWeights[0]);
+        assert.ok(square > circle, 'a missed shape should come up more than a known one');
+    });
+
+    test('boosts a shape once it\'s due for review again', () => {
+        answer('Sam', 'star');
+        const [before] = getTargetWeights('Sam', ['star']);
+
+        for (let i = 0; i < gameConfig.mastery.reviewIntervals[1]; i++) {
+            answer('Sam', 'circle');
+        }
+
+        assert.equal(before, boxWeights[1]);
+        assert.equal(getTargetWeights('Sam', ['star'])[0], boxWeights[1] * dueBoost);
+    });
+
+    test('boosts shapes the player is slow to find', () => {
+        answer('Sam', 'star', 'star', 500);
+        answer('Ana', 'star', 'star', slowResponseMs + 1000);
+
+        assert.equal(getTargetWeights('Ana', ['star'])[0], getTargetWeights('Sam', ['star'])[0] * slowResponseBoost);
+    });
+});
+
+describe('getDistractorWeights', () => {
+    test('shows shapes the player confuses with the target more often, either way round', () => {
+        answer('Sam', 'pentagon', 'hexagon');
+        answer('Sam', 'hexagon', 'pentagon');
+
+        const plain = getTargetWeights('Sam', ['hexagon', 'octagon']);
+        const [hexagon, octagon] = getDistractorWeights('Sam', 'pentagon', ['hexagon', 'octagon']);
+
+        assert.equal(hexagon, plain[0] + 2 * confusionWeight);
+        assert.equal(octagon, plain[1]);
+    });
+});
+
+describe('merging and clearing', () => {
+    test('a rename moves the record', () => {
+        answer('Sammy', 'star');
+
+        mergePlayerMastery('Sammy', 'Sam');
+
+        assert.equal(getShapeMastery('Sam').shapes.star.correct, 1);
+        assert.equal(getShapeMastery('Sammy').reviews, 0);
+    });
+
+    test('a merge adds the counts and keeps the more cautious box', () => {
+        answer('Sammy', 'star');
+        answer('Sammy', 'star');
+        answer('Sammy', 'pentagon', 'hexagon');
+        answer('Sam', 'star', 'heart');
+        answer('Sam', 'pentagon', 'hexagon');
+
+        mergePlayerMastery('Sammy', 'Sam');
+
+        const { shapes, confusions } = getShapeMastery('Sam');
+        assert.equal(shapes.star.attempts, 3);
+        assert.equal(shapes.star.correct, 2);
+        assert.equal(shapes.star.box, 1);
+        assert.equal(confusions['pentagon>hexagon'], 2);
+        assert.equal(confusions['star>heart'], 1);
+    });
+
+    test('merging a player into themselves changes nothing', () => {
+        answer('Sam', 'star');
+
+        mergePlayerMastery('Sam', ' sam ');
+
+        assert.equal(getShapeMastery('Sam').reviews, 1);
+    });
+
+    test('clearPlayerMastery forgets only that player', () => {
+        answer('Sam', 'star');
+        answer('Ana', 'star');
+
+        clearPlayerMastery('Sam');
+
+        assert.equal(getShapeMastery('Sam').reviews, 0);
+        assert.equal(getShapeMastery('Ana').reviews, 1);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the shape registry (shapeRegistry.js): the built-in shapes and
+ * their tiers, registering a new shape at runtime, and drawing registered
+ * shapes with createShapeElement().
+ */
+
+import { dom } from './helpers/dom.js';
+import { test, describe, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    registerShape,
+    unregisterShape,
+    hasShape,
+    getShapeDefinition,
+    getShapeTypes,
+    getShapeDimensions,
+    getShapeDisplayName
+} from '../js/modules/shapeRegistry.js';
+import { createShapeElement } from '../js/modules/rendering.js';
+
+const PARALLELOGRAM = {
+    type: 'parallelogram',
+    displayName: 'Parallelogram',
+    tier: 'hard',
+    sides: 4,
+    vertices: 4,
+    aspectRatio: { width: 1.3, height: 0.8 },
+    svg: { tag: 'polygon', attributes: { points: '25,20 95,20 75,80 5,80' } }
+};
+
+afterEach(() => {
+    unregisterShape('parallelogram');
+});
+
+after(() => {
+    dom.window.close();
+});
+
+describe('built-in shapes', () => {
+    test('come in basic, medium and hard tiers', () => {
+        assert.deepEqual(getShapeTypes(['basic']), ['circle', 'square', 'triangle', 'rectangle']);
+        assert.deepEqual(getShapeTypes(['medium']), ['pentagon', 'hexagon', 'oval', 'diamond']);
+        assert.deepEqual(getShapeTypes(['hard']), ['octagon', 'star', 'heart', 'trapezoid']);
+    });
+
+    test('are listed by tier, whatever order the tiers are asked for in', () => {
+        assert.deepEqual(getShapeTypes(['medium', 'basic']), [...getShapeTypes(['basic']), ...getShapeTypes(['medium'])]);
+        assert.equal(getShapeTypes().length, 12);
+    });
+
+    test('describe their geometry and metadata', () => {
+        assert.equal(getShapeDefinition('hexagon').sides, 6);
+        assert.equal(getShapeDisplayName('star'), 'Star');
+        assert.deepEqual(getShapeDimensions('square', 80), { width: 80, height: 80 });
+        assert.deepEqual(getShapeDimensions('rectangle', 80), { width: 120, height: 60 });
+    });
+
+    test('unknown types fall back to the circle', () => {
+        assert.equal(getShapeDefinition('blob').type, 'circle');
+    });
+});
+
+describe('registerShape', () => {
+    test('adds a shape the rest of the game can use', () => {
+        registerShape(PARALLELOGRAM);
+
+        assert.equal(hasShape('parallelogram'), true);
+        assert.ok(getShapeTypes(['hard']).includes('parallelogram'));
+        assert.deepEqual(getShapeDimensions('parallelogram', 100), { width: 130, height: 80 });
+    });
+
+    test('stores a frozen copy', () => {
+        const definition = registerShape(PARALLELOGRAM);
+
+        assert.ok(Object.isFrozen(definition));
+        assert.ok(Object.isFrozen(definition.svg.attributes));
+        assert.notEqual(definition.svg.attributes, PARALLELOGRAM.svg.attributes);
+    });
+
+    test('defaults to a square aspect ratio and no sides', () => {
+        const definition = registerShape({ ...PARALLELOGRAM, aspectRatio: undefined, sides: undefined, vertices: undefined });
+
+        assert.deepEqual(definition.aspectRatio, { width: 1, height: 1 });
+        assert.equal(definition.sides, 0);
+        assert.equal(definition.vertices, 0);
+    });
+
+    test('rejects incomplete definitions', () => {
+        assert.throws(() => registerShape(null), /shape definition object/);
+        assert.throws(() => registerShape({ ...PARALLELOGRAM, type: '' }), /valid shape type/);
+        assert.throws(() => registerShape({ ...PARALLELOGRAM, displayName: '' }), /display name/);
+        assert.throws(() => registerShape({ ...PARALLELOGRAM, tier: 'expert' }), /tier/);
+        assert.throws(() => registerShape({ ...PARALLELOGRAM, svg: { tag: 'polygon' } }), /svg geometry/);
+        assert.throws(() => registerShape({ ...PARALLELOGRAM, aspectRatio: { width: 0, height: 1 } }), /aspect ratio/);
+        assert.equal(hasShape('parallelogram'), false);
+    });
+
+    test('unregisterShape removes it again', () => {
+        registerShape(PARALLELOGRAM);
+
+        assert.equal(unregisterShape('parallelogram'), true);
+        assert.equal(unregisterShape('parallelogram'), false);
+        assert.equal(hasShape('parallelogram'), false);
+    });
+});
+
+describe('createShapeElement', () => {
+    test('draws a shape from its registered geometry', () => {
+        registerShape(PARALLELOGRAM);
+
+        const element = createShapeElement('parallelogram', '#FF6B6B', 100);
+        const outline = element.querySelector('polygon');
+
+        assert.equal(outline.getAttribute('points'), '25,20 95,20 75,80 5,80');
+        assert.equal(outline.getAttribute('fill'), '#FF6B6B');
+        assert.equal(element.style.width, '130px');
+        assert.equal(element.style.height, '80px');
+    });
+
+    test('draws a circle for unknown types', () => {
+        assert.ok(createShapeElement('blob', '#FF6B6B', 80).querySelector('circle'));
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the sound engine (soundEngine.js), run against a stand-in Web
+ * Audio context: combo pitch, the synthesized cues, waiting for the browser
+ * to allow audio, following the volume settings and falling back to audio
+ * elements for files that didn't load.
+ */
+
+import { dom } from './helpers/dom.js';
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { setAudioSettings, setMuted, setVolume, getEffectVolume } from '../js/modules/audioSettings.js';
+import { getComboPlaybackRate, initSoundEngine, playEffect } from '../js/modules/soundEngine.js';
+
+// Sources started through Web Audio, and audio elements played instead
+const started = [];
+const fallbackPlays = [];
+
+let context;
+
+// Just enough of an AudioContext for the engine; audio stays blocked until
+// resume() is called, like a browser before the player's first click
+class FakeAudioContext {
+    constructor() {
+        context = this;
+        this.state = 'suspended';
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.destination = {};
+        this.gains = [];
+    }
+
+    createGain() {
+        const gain = { gain: { value: 1, setTargetAtTime(value) { this.value = value; } }, connect() {} };
+        this.gains.push(gain);
+        return gain;
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { length, getChannelData: () => data };
+    }
+
+    createBufferSource() {
+        const source = { buffer: null, playbackRate: { value: 1 }, connect() {}, start() { started.push(source); } };
+        return source;
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    decodeAudioData(data, resolve) {
+        resolve(this.createBuffer(1, 1));
+    }
+}
+
+before(async () => {
+    dom.window.AudioContext = FakeAudioContext;
+    dom.window.HTMLMediaElement.prototype.play = function () {
+        fallbackPlays.push({ src: this.src, volume: this.volume, playbackRate: this.playbackRate });
+        return Promise.resolve();
+    };
+
+    initSoundEngine();
+
+    // The sound files can't be fetched here, so they fall back to audio
+    // elements; give the failed downloads a moment to finish
+    await new Promise(resolve => setTimeout(resolve, 50));
+});
+
+beforeEach(() => {
+    setAudioSettings();
+    started.length = 0;
+    fallbackPlays.length = 0;
+});
+
+after(() => {
+    dom.window.close();
+});
+
+describe('getComboPlaybackRate', () => {
+    const { semitones, maxSemitones } = gameConfig.audio.comboPitch;
+
+    test('plays the first answer at normal pitch', () => {
+        assert.equal(getComboPlaybackRate(0), 1);
+        assert.equal(getComboPlaybackRate(1), 1);
+        assert.equal(getComboPlaybackRate(undefined), 1);
+    });
+
+    test('goes up with each answer in a row, to a limit', () => {
+        assert.equal(getComboPlaybackRate(3), Math.pow(2, (2 * semitones) / 12));
+        assert.equal(getComboPlaybackRate(100), Math.pow(2, maxSemitones / 12));
+    });
+});
+
+describe('playEffect', () => {
+    test('waits for the browser to allow audio, then plays', async () => {
+        context.state = 'suspended';
+
+        playEffect('tick');
+        assert.equal(started.length, 0);
+
+        await Promise.resolve();
+        await Promise.resolve();
+
+        assert.equal(context.state, 'running');
+        assert.equal(started.length, 1);
+    });
+
+    test('plays synthesized cues from memory straight away', () => {
+        context.state = 'running';
+
+        playEffect('nearMiss');
+        playEffect('warning');
+
+        assert.equal(started.length, 2);
+        assert.ok(started.every(source => source.buffer && source.buffer.length > 0));
+    });
+
+    test('raises the pitch with the combo', () => {
+        context.state = 'running';
+
+        playEffect('warning', { combo: 3 });
+
+        assert.equal(started[0].playbackRate.value, getComboPlaybackRate(3));
+    });
+
+    test('plays files that didn\'t load through an audio element', () => {
+        setVolume('effects', 0.5);
+
+        playEffect('correct', { combo: 2 });
+
+        assert.equal(started.length, 0);
+        assert.equal(fallbackPlays.length, 1);
+        assert.match(fallbackPlays[0].src, /audio\/correct\.mp3$/);
+        assert.equal(fallbackPlays[0].volume, getEffectVolume('correct'));
+        assert.equal(fallbackPlays[0].playbackRate, getComboPlaybackRate(2));
+    });
+});
+
+describe('volumes', () => {
+    test('follow the settings panel', () => {
+        const [master, effects] = context.gains;
+
+        setVolume('master', 0.4);
+        setVolume('effects', 0.7);
+        assert.equal(master.gain.value, 0.4);
+        assert.equal(effects.gain.value, 0.7);
+
+        setMuted(true);
+        assert.equal(master.gain.value, 0);
+    });
+});
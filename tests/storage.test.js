@@ -0,0 +1,204 @@
+/**
+ * Tests for the storage layer (storage.js): importing old localStorage
+ * records into IndexedDB (migration 1), splitting the old combined
+ * leaderboard (migration 2), and what happens when IndexedDB can't save.
+ */
+
+import './helpers/dom.js';
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import { initStorage, flushStorage, readRecord, writeRecord, onStorageError } from '../js/modules/storage.js';
+
+const PROFILES = { activeId: 'p1', profiles: [{ id: 'p1', name: 'Ana' }] };
+
+const LEGACY_SCORES = [
+    { name: 'Ana', score: 12, difficulty: 'easy', mode: 'classic', date: '2024-03-01T10:00:00.000Z' },
+    { name: 'Ben', score: 9, difficulty: 'hard', mode: 'timed', date: '2024-03-02T10:00:00.000Z' }
+];
+
+const originalPut = IDBObjectStore.prototype.put;
+
+// Make IndexedDB refuse to save the given records, as if storage were full
+function failSavesOf(...keys) {
+    IDBObjectStore.prototype.put = function (value, key) {
+        if (keys.includes(key)) {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        return originalPut.call(this, value, key);
+    };
+}
+
+function setLocalStorage(records) {
+    Object.entries(records).forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+}
+
+// Open the game's database the way a browser would and read every record
+async function readDatabase() {
+    const request = indexedDB.open('shapeGame');
+    const db = await new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const store = db.transaction('records', 'readonly').objectStore('records');
+    const records = await new Promise(resolve => {
+        const found = {};
+        store.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return resolve(found);
+            found[cursor.key] = cursor.value;
+            cursor.continue();
+        };
+    });
+
+    db.close();
+    return records;
+}
+
+// Fill the database with records saved by an earlier version of the game
+async function seedDatabase(records) {
+    const request = indexedDB.open('shapeGame', 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('records');
+
+    const db = await new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const transaction = db.transaction('records', 'readwrite');
+    Object.entries(records).forEach(([key, value]) => transaction.objectStore('records').put(value, key));
+    await new Promise(resolve => { transaction.oncomplete = resolve; });
+
+    db.close();
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+    IDBObjectStore.prototype.put = originalPut;
+});
+
+describe('migration 1: importing localStorage records', () => {
+    test('moves every record into IndexedDB and removes the localStorage copies', async () => {
+        setLocalStorage({ shapeGameProfiles: PROFILES, shapeGameMastery: { p1: {} } });
+
+        assert.equal(await initStorage(), 'indexedDB');
+
+        const saved = await readDatabase();
+        assert.deepEqual(saved.shapeGameProfiles, PROFILES);
+        assert.deepEqual(saved.shapeGameMastery, { p1: {} });
+        assert.equal(saved.shapeGameSchemaVersion, 2);
+        assert.equal(localStorage.getItem('shapeGameProfiles'), null);
+        assert.equal(localStorage.getItem('shapeGameMastery'), null);
+    });
+
+    test('keeps records already in IndexedDB', async () => {
+        const newer = { activeId: 'p2', profiles: [{ id: 'p2', name: 'Ben' }] };
+        await seedDatabase({ shapeGameProfiles: newer });
+        setLocalStorage({ shapeGameProfiles: PROFILES });
+
+        await initStorage();
+
+        assert.deepEqual(readRecord('shapeGameProfiles'), newer);
+        assert.equal(localStorage.getItem('shapeGameProfiles'), null);
+    });
+
+    test('a record IndexedDB can\'t save keeps its localStorage copy', async () => {
+        setLocalStorage({ shapeGameProfiles: PROFILES, shapeGameMastery: { p1: {} } });
+        failSavesOf('shapeGameProfiles');
+
+        const errors = [];
+        const stopListening = onStorageError(error => errors.push(error));
+        await initStorage();
+        stopListening();
+
+        // Still playable this visit, and still on the device for the next one
+        assert.deepEqual(readRecord('shapeGameProfiles'), PROFILES);
+        assert.deepEqual(JSON.parse(localStorage.getItem('shapeGameProfiles')), PROFILES);
+
+        // The record that was saved doesn't need its copy any more
+        assert.equal(localStorage.getItem('shapeGameMastery'), null);
+
+        assert.deepEqual(errors.map(error => error.key), ['shapeGameProfiles']);
+        assert.match(errors[0].message, /Storage is full/);
+    });
+
+    test('a failed import leaves the schema version alone and runs again next time', async () => {
+        setLocalStorage({ shapeGameProfiles: PROFILES, shapeGameHighScores: LEGACY_SCORES });
+        failSavesOf('shapeGameProfiles');
+
+        await initStorage();
+
+        let saved = await readDatabase();
+        assert.equal(saved.shapeGameSchemaVersion, undefined);
+        assert.equal(saved.shapeGameProfiles, undefined);
+
+        // Next visit, with space to spare
+        IDBObjectStore.prototype.put = originalPut;
+        await initStorage();
+
+        saved = await readDatabase();
+        assert.equal(saved.shapeGameSchemaVersion, 2);
+        assert.deepEqual(saved.shapeGameProfiles, PROFILES);
+        assert.equal(localStorage.getItem('shapeGameProfiles'), null);
+        assert.deepEqual(saved.shapeGameHighScores_classic.map(entry => entry.name), ['Ana']);
+    });
+});
+
+describe('migration 2: splitting the old combined leaderboard', () => {
+    test('moves version 1 scores to their mode\'s leaderboard', async () => {
+        const existing = { name: 'Cal', score: 20, difficulty: 'easy', mode: 'classic', date: '2024-04-01T10:00:00.000Z' };
+        await seedDatabase({
+            shapeGameSchemaVersion: 1,
+            shapeGameHighScores: LEGACY_SCORES,
+            shapeGameHighScores_classic: [existing]
+        });
+
+        await initStorage();
+
+        const saved = await readDatabase();
+        assert.equal(saved.shapeGameSchemaVersion, 2);
+        assert.equal(saved.shapeGameHighScores, undefined);
+        assert.deepEqual(saved.shapeGameHighScores_classic.map(entry => entry.name), ['Cal', 'Ana']);
+        assert.deepEqual(saved.shapeGameHighScores_timed.map(entry => entry.name), ['Ben']);
+    });
+
+    test('doesn\'t run again once the data is at version 2', async () => {
+        await seedDatabase({ shapeGameSchemaVersion: 2, shapeGameHighScores: LEGACY_SCORES });
+
+        await initStorage();
+
+        const saved = await readDatabase();
+        assert.deepEqual(saved.shapeGameHighScores, LEGACY_SCORES);
+        assert.equal(saved.shapeGameHighScores_classic, undefined);
+    });
+});
+
+describe('saving', () => {
+    test('writeRecord and flushStorage report which saves worked', async () => {
+        await initStorage();
+        failSavesOf('shapeGameHistory');
+
+        const profilesSaved = writeRecord('shapeGameProfiles', PROFILES);
+        const historySaved = writeRecord('shapeGameHistory', []);
+        const outcomes = await flushStorage();
+
+        assert.equal(await profilesSaved, true);
+        assert.equal(await historySaved, false);
+        assert.equal(outcomes.get('shapeGameProfiles'), true);
+        assert.equal(outcomes.get('shapeGameHistory'), false);
+    });
+
+    test('falls back to localStorage without IndexedDB', async () => {
+        delete globalThis.indexedDB;
+        setLocalStorage({ shapeGameProfiles: PROFILES });
+
+        assert.equal(await initStorage(), 'localStorage');
+        assert.deepEqual(readRecord('shapeGameProfiles'), PROFILES);
+        assert.equal(readRecord('shapeGameSchemaVersion'), 2);
+    });
+});
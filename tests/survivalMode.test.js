@@ -0,0 +1,96 @@
+/**
+ * Tests for Survival mode (survivalMode.js): the level ramp and the settings
+ * blended between easy and hard for each level.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameConfig } from '../js/modules/config.js';
+import { getSurvivalLevel, getSurvivalSettings } from '../js/modules/survivalMode.js';
+
+const { levelUpEvery, maxLevel } = gameConfig.survival;
+const { easy, hard } = gameConfig.difficulty;
+
+function allLevels() {
+    return Array.from({ length: maxLevel }, (_, index) => getSurvivalSettings(index + 1));
+}
+
+describe('getSurvivalLevel', () => {
+    test('goes up a level every few correct matches', () => {
+        assert.equal(getSurvivalLevel(0), 1);
+        assert.equal(getSurvivalLevel(levelUpEvery - 1), 1);
+        assert.equal(getSurvivalLevel(levelUpEvery), 2);
+        assert.equal(getSurvivalLevel(levelUpEvery * 2 + 1), 3);
+    });
+
+    test('stops at the last level', () => {
+        assert.equal(getSurvivalLevel(levelUpEvery * maxLevel * 5), maxLevel);
+    });
+});
+
+describe('getSurvivalSettings', () => {
+    test('starts exactly at easy', () => {
+        const settings = getSurvivalSettings(1);
+
+        assert.equal(settings.difficulty, 'easy');
+        assert.deepEqual(settings.shapesCount, easy.shapesCount);
+        assert.deepEqual(settings.shapeTiers, easy.shapeTiers);
+        assert.deepEqual(settings.rotationRange, easy.rotationRange);
+        assert.deepEqual(settings.movementSpeed, easy.movementSpeed);
+        assert.equal(settings.colorRepeatChance, 0);
+        assert.equal(settings.distinctColors, true);
+    });
+
+    test('ends exactly at hard', () => {
+        const settings = getSurvivalSettings(maxLevel);
+
+        assert.equal(settings.difficulty, 'hard');
+        assert.deepEqual(settings.shapesCount, hard.shapesCount);
+        assert.deepEqual(settings.shapeTiers, hard.shapeTiers);
+        assert.deepEqual(settings.rotationRange, hard.rotationRange);
+        assert.deepEqual(settings.movementSpeed, hard.movementSpeed);
+        assert.equal(settings.colorRepeatChance, 1);
+        assert.equal(settings.timeLimit, hard.timeLimit);
+    });
+
+    test('never gets easier from one level to the next', () => {
+        allLevels().reduce((previous, settings) => {
+            assert.ok(settings.shapesQuantity >= previous.shapesQuantity, `level ${settings.level} has fewer shapes`);
+            assert.ok(settings.shapeTiers.length >= previous.shapeTiers.length, `level ${settings.level} has fewer tiers`);
+            assert.ok(settings.rotationRange.max >= previous.rotationRange.max, `level ${settings.level} rotates less`);
+            assert.ok(settings.movementSpeed.max >= previous.movementSpeed.max, `level ${settings.level} moves slower`);
+            assert.ok(settings.colorRepeatChance >= previous.colorRepeatChance, `level ${settings.level} repeats fewer colors`);
+            return settings;
+        });
+    });
+
+    test('brings in repeated colors a little at a time', () => {
+        const chance = getSurvivalSettings(Math.ceil(maxLevel / 2)).colorRepeatChance;
+
+        assert.ok(chance > 0 && chance < 1);
+        assert.equal(getSurvivalSettings(Math.ceil(maxLevel / 2)).distinctColors, false);
+    });
+
+    test('plays by easy, then medium, then hard rules', () => {
+        const bands = allLevels().map(settings => settings.difficulty);
+
+        assert.deepEqual([...new Set(bands)], ['easy', 'medium', 'hard']);
+    });
+
+    test('shows a whole number of shapes within the level\'s range', () => {
+        allLevels().forEach(settings => {
+            assert.ok(Number.isInteger(settings.shapesQuantity));
+            assert.ok(settings.shapesQuantity >= settings.shapesCount.min && settings.shapesQuantity <= settings.shapesCount.max);
+        });
+    });
+
+    test('hands out copies the game can change safely', () => {
+        const settings = getSurvivalSettings(maxLevel);
+
+        settings.motionPatterns.push('teleport');
+        settings.timeBonus.max = -1;
+
+        assert.ok(!hard.motionPatterns.includes('teleport'));
+        assert.notEqual(hard.timeBonus.max, -1);
+    });
+});